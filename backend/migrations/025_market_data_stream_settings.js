@@ -0,0 +1,39 @@
+/**
+ * Migration 025 - Seed market data streaming settings
+ */
+
+export const version = '025';
+export const name = 'market_data_stream_settings';
+
+export const up = async (db) => {
+  const entries = [
+    {
+      key: 'market_data_feed.stream_enabled',
+      value: 'true',
+      description: 'Stream quotes from the websocket instance (falls back to REST polling when disconnected)',
+      data_type: 'boolean',
+    },
+    {
+      key: 'market_data_feed.stream_resync_ms',
+      value: '60000',
+      description: 'Interval for refreshing websocket subscriptions from tracked watchlist symbols',
+      data_type: 'number',
+    },
+  ];
+
+  for (const entry of entries) {
+    await db.run(
+      `INSERT OR IGNORE INTO application_settings
+        (key, value, description, category, data_type, is_sensitive)
+       VALUES (?, ?, ?, 'market_data_feed', ?, 0)`,
+      [entry.key, entry.value, entry.description, entry.data_type]
+    );
+  }
+};
+
+export const down = async (db) => {
+  await db.run(
+    `DELETE FROM application_settings
+     WHERE key IN ('market_data_feed.stream_enabled', 'market_data_feed.stream_resync_ms')`
+  );
+};
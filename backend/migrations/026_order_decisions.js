@@ -0,0 +1,87 @@
+/**
+ * Migration 026: Order decision audit trail
+ * Persists the per-instance reasoning behind every quick order (position snapshot,
+ * resolved symbol/strike, computed target, payload and broker response) so a broadcast
+ * can be reconstructed after the fact.
+ */
+
+export const version = '026';
+export const name = 'order_decisions';
+
+async function columnExists(db, tableName, columnName) {
+  const columns = await db.all(`PRAGMA table_info(${tableName})`);
+  return columns.some(col => col.name === columnName);
+}
+
+export async function up(db) {
+  console.log('  ℹ️  Creating order_decisions table');
+
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS order_decisions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      transaction_id TEXT NOT NULL,
+      quick_order_id INTEGER,
+      instance_id INTEGER,
+      symbol_id INTEGER,
+
+      -- Request / strategy
+      strategy TEXT NOT NULL,
+      requested_action TEXT NOT NULL,
+      trade_mode TEXT,
+      request_type TEXT,
+
+      -- Position math
+      position_source TEXT,
+      position_snapshot TEXT,
+      current_position REAL,
+      target_position REAL,
+      lot_size REAL,
+
+      -- Resolution
+      resolved_symbol TEXT,
+      exchange TEXT,
+      strike REAL,
+      option_type TEXT,
+      expiry TEXT,
+
+      -- Execution
+      payload TEXT,
+      broker_response TEXT,
+      status TEXT NOT NULL CHECK (status IN ('placed', 'noop', 'failed')),
+      message TEXT,
+      retry_attempt INTEGER DEFAULT 0,
+
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+
+      FOREIGN KEY (quick_order_id) REFERENCES quick_orders (id) ON DELETE SET NULL,
+      FOREIGN KEY (instance_id) REFERENCES instances (id) ON DELETE CASCADE
+    )
+  `);
+
+  await db.run(`
+    CREATE INDEX IF NOT EXISTS idx_order_decisions_transaction
+    ON order_decisions(transaction_id, instance_id)
+  `);
+
+  await db.run(`
+    CREATE INDEX IF NOT EXISTS idx_order_decisions_quick_order
+    ON order_decisions(quick_order_id)
+  `);
+
+  if (!(await columnExists(db, 'quick_orders', 'transaction_id'))) {
+    await db.run('ALTER TABLE quick_orders ADD COLUMN transaction_id TEXT');
+  }
+
+  await db.run(`
+    CREATE INDEX IF NOT EXISTS idx_quick_orders_transaction
+    ON quick_orders(transaction_id)
+  `);
+
+  console.log('  ✅ Migration 026 completed');
+}
+
+export async function down(db) {
+  await db.run('DROP INDEX IF EXISTS idx_quick_orders_transaction');
+  await db.run('DROP TABLE IF EXISTS order_decisions');
+  console.warn('  ⚠️  quick_orders.transaction_id left in place (requires table rebuild)');
+}
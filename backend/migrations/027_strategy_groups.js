@@ -0,0 +1,82 @@
+/**
+ * Migration 027: Multi-leg strategy groups
+ * One strategy_groups row per strategy order (straddle, iron condor, ...) and one
+ * strategy_legs row per leg per instance, so partial fills and rollbacks stay traceable.
+ */
+
+export const version = '027';
+export const name = 'strategy_groups';
+
+export async function up(db) {
+  console.log('  ℹ️  Creating strategy_groups and strategy_legs tables');
+
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS strategy_groups (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      watchlist_id INTEGER,
+      symbol_id INTEGER,
+      underlying TEXT NOT NULL,
+      exchange TEXT NOT NULL,
+      expiry TEXT NOT NULL,
+      template TEXT NOT NULL,
+      lots INTEGER NOT NULL DEFAULT 1,
+      product TEXT NOT NULL,
+      on_partial TEXT NOT NULL DEFAULT 'rollback' CHECK (on_partial IN ('rollback', 'flag')),
+      underlying_ltp REAL,
+      status TEXT NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'complete', 'partial', 'rolled_back', 'failed')),
+      message TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+
+      FOREIGN KEY (watchlist_id) REFERENCES watchlists (id) ON DELETE SET NULL,
+      FOREIGN KEY (symbol_id) REFERENCES watchlist_symbols (id) ON DELETE SET NULL
+    )
+  `);
+
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS strategy_legs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      group_id INTEGER NOT NULL,
+      instance_id INTEGER NOT NULL,
+      leg_index INTEGER NOT NULL,
+      role TEXT NOT NULL CHECK (role IN ('hedge', 'core')),
+      action TEXT NOT NULL CHECK (action IN ('BUY', 'SELL')),
+      option_type TEXT NOT NULL CHECK (option_type IN ('CE', 'PE')),
+      strike_offset TEXT NOT NULL,
+      strike REAL,
+      symbol TEXT NOT NULL,
+      exchange TEXT NOT NULL,
+      quantity INTEGER NOT NULL,
+      position_before INTEGER,
+      target_position INTEGER,
+      order_id TEXT,
+      status TEXT NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'placed', 'filled', 'open', 'rejected', 'failed', 'skipped', 'rolled_back', 'rollback_failed')),
+      message TEXT,
+      rollback_order_id TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+
+      FOREIGN KEY (group_id) REFERENCES strategy_groups (id) ON DELETE CASCADE,
+      FOREIGN KEY (instance_id) REFERENCES instances (id) ON DELETE CASCADE
+    )
+  `);
+
+  await db.run(`
+    CREATE INDEX IF NOT EXISTS idx_strategy_legs_group
+    ON strategy_legs(group_id, instance_id)
+  `);
+
+  await db.run(`
+    CREATE INDEX IF NOT EXISTS idx_strategy_groups_created
+    ON strategy_groups(created_at DESC)
+  `);
+
+  console.log('  ✅ Migration 027 completed');
+}
+
+export async function down(db) {
+  await db.run('DROP TABLE IF EXISTS strategy_legs');
+  await db.run('DROP TABLE IF EXISTS strategy_groups');
+}
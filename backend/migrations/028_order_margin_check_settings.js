@@ -0,0 +1,23 @@
+/**
+ * Migration 028 - Seed margin pre-check setting for quick order broadcasts
+ */
+
+export const version = '028';
+export const name = 'order_margin_check_settings';
+
+export const up = async (db) => {
+  await db.run(
+    `INSERT OR IGNORE INTO application_settings
+      (key, value, description, category, data_type, is_sensitive)
+     VALUES (?, ?, ?, 'orders', 'string', 0)`,
+    [
+      'orders.margin_check',
+      'skip',
+      'Margin pre-check before broadcasting entry orders: skip (drop underfunded instances), warn (place anyway), off',
+    ]
+  );
+};
+
+export const down = async (db) => {
+  await db.run(`DELETE FROM application_settings WHERE key = 'orders.margin_check'`);
+};
@@ -0,0 +1,61 @@
+/**
+ * Migration 029: Freeze-quantity limits per underlying
+ * Exchange freeze limits cap the quantity of a single F&O order. Quick orders above
+ * the limit are sliced via OpenAlgo splitorder.
+ */
+
+export const version = '029';
+export const name = 'instrument_freeze_limits';
+
+// Exchange freeze quantities (units, not lots) - editable via /instruments/freeze-limits
+const DEFAULT_FREEZE_LIMITS = [
+  ['NIFTY', 'NFO', 1800],
+  ['BANKNIFTY', 'NFO', 900],
+  ['FINNIFTY', 'NFO', 1800],
+  ['MIDCPNIFTY', 'NFO', 2800],
+  ['NIFTYNXT50', 'NFO', 600],
+  ['SENSEX', 'BFO', 1000],
+  ['BANKEX', 'BFO', 900],
+];
+
+export async function up(db) {
+  console.log('  ℹ️  Creating instrument_freeze_limits table');
+
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS instrument_freeze_limits (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      underlying_key TEXT NOT NULL,
+      exchange TEXT NOT NULL,
+      freeze_qty INTEGER NOT NULL CHECK (freeze_qty > 0),
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(underlying_key, exchange)
+    )
+  `);
+
+  for (const [underlyingKey, exchange, freezeQty] of DEFAULT_FREEZE_LIMITS) {
+    await db.run(
+      `INSERT OR IGNORE INTO instrument_freeze_limits (underlying_key, exchange, freeze_qty)
+       VALUES (?, ?, ?)`,
+      [underlyingKey, exchange, freezeQty]
+    );
+  }
+
+  await db.run(
+    `INSERT OR IGNORE INTO application_settings
+      (key, value, description, category, data_type, is_sensitive)
+     VALUES (?, ?, ?, 'orders', 'boolean', 0)`,
+    [
+      'orders.freeze_slicing',
+      'true',
+      'Slice quick orders above the underlying freeze quantity into splitorder chunks',
+    ]
+  );
+
+  console.log('  ✅ Migration 029 completed');
+}
+
+export async function down(db) {
+  await db.run(`DELETE FROM application_settings WHERE key = 'orders.freeze_slicing'`);
+  await db.run('DROP TABLE IF EXISTS instrument_freeze_limits');
+}
@@ -0,0 +1,48 @@
+/**
+ * Migration 030: Order intents (server-side idempotency keys)
+ * One row per client intent_id, holding the stored result so a retried or
+ * double-submitted order request is answered without placing again.
+ */
+
+export const version = '030';
+export const name = 'order_intents';
+
+export async function up(db) {
+  console.log('  ℹ️  Creating order_intents table');
+
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS order_intents (
+      intent_id TEXT PRIMARY KEY,
+      scope TEXT NOT NULL,
+      request_hash TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'in_progress'
+        CHECK (status IN ('in_progress', 'completed')),
+      response TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      completed_at DATETIME
+    )
+  `);
+
+  await db.run(`
+    CREATE INDEX IF NOT EXISTS idx_order_intents_created
+    ON order_intents(created_at)
+  `);
+
+  await db.run(
+    `INSERT OR IGNORE INTO application_settings
+      (key, value, description, category, data_type, is_sensitive)
+     VALUES (?, ?, ?, 'orders', 'number', 0)`,
+    [
+      'orders.intent_window_seconds',
+      '600',
+      'How long an order intent_id is remembered; repeats inside the window return the stored result',
+    ]
+  );
+
+  console.log('  ✅ Migration 030 completed');
+}
+
+export async function down(db) {
+  await db.run(`DELETE FROM application_settings WHERE key = 'orders.intent_window_seconds'`);
+  await db.run('DROP TABLE IF EXISTS order_intents');
+}
@@ -0,0 +1,66 @@
+/**
+ * Migration 031: P&L snapshots ledger
+ * instances only keeps the latest P&L (overwritten every poll). pnl_snapshots keeps
+ * the history: one row per poll plus rows at each trading session start/end, so
+ * equity curves, drawdown and per-session results can be reported.
+ */
+
+export const version = '031';
+export const name = 'pnl_snapshots';
+
+export async function up(db) {
+  console.log('  ℹ️  Creating pnl_snapshots table');
+
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS pnl_snapshots (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      instance_id INTEGER NOT NULL,
+      snapshot_type TEXT NOT NULL DEFAULT 'poll'
+        CHECK (snapshot_type IN ('poll', 'session_start', 'session_end')),
+      trading_date TEXT NOT NULL,
+      session_key TEXT,
+      session_label TEXT,
+      current_balance REAL DEFAULT 0,
+      realized_pnl REAL DEFAULT 0,
+      unrealized_pnl REAL DEFAULT 0,
+      total_pnl REAL DEFAULT 0,
+      session_pnl REAL,
+      is_analyzer_mode BOOLEAN DEFAULT 0,
+      captured_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (instance_id) REFERENCES instances(id) ON DELETE CASCADE
+    )
+  `);
+
+  await db.run(`
+    CREATE INDEX IF NOT EXISTS idx_pnl_snapshots_instance_time
+    ON pnl_snapshots(instance_id, captured_at)
+  `);
+
+  await db.run(`
+    CREATE INDEX IF NOT EXISTS idx_pnl_snapshots_date
+    ON pnl_snapshots(trading_date, snapshot_type)
+  `);
+
+  await db.run(`
+    CREATE INDEX IF NOT EXISTS idx_pnl_snapshots_session
+    ON pnl_snapshots(instance_id, session_key, snapshot_type)
+  `);
+
+  await db.run(
+    `INSERT OR IGNORE INTO application_settings
+      (key, value, description, category, data_type, is_sensitive)
+     VALUES (?, ?, ?, 'pnl', 'number', 0)`,
+    [
+      'pnl.snapshot_retention_days',
+      '90',
+      'Days of per-poll P&L snapshots to keep (session start/end rows are kept)',
+    ]
+  );
+
+  console.log('  ✅ Migration 031 completed');
+}
+
+export async function down(db) {
+  await db.run(`DELETE FROM application_settings WHERE key = 'pnl.snapshot_retention_days'`);
+  await db.run('DROP TABLE IF EXISTS pnl_snapshots');
+}
@@ -0,0 +1,60 @@
+/**
+ * Migration 032: Persistent trade history
+ * Brokers clear the tradebook daily. Each instance's tradebook is ingested into
+ * trades (one row per broker trade, deduplicated) so realized P&L can be computed
+ * across the whole history.
+ */
+
+export const version = '032';
+export const name = 'trades';
+
+export async function up(db) {
+  console.log('  ℹ️  Creating trades table');
+
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS trades (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      instance_id INTEGER NOT NULL,
+      trade_id TEXT NOT NULL,
+      order_id TEXT,
+      symbol TEXT NOT NULL,
+      exchange TEXT NOT NULL,
+      product TEXT,
+      action TEXT NOT NULL CHECK (action IN ('BUY', 'SELL')),
+      quantity REAL NOT NULL,
+      price REAL NOT NULL,
+      trade_value REAL,
+      underlying TEXT,
+      watchlist_id INTEGER,
+      is_analyzer_mode BOOLEAN DEFAULT 0,
+      traded_at DATETIME,
+      trade_date TEXT,
+      raw TEXT,
+      ingested_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(instance_id, trade_id),
+      FOREIGN KEY (instance_id) REFERENCES instances(id) ON DELETE CASCADE,
+      FOREIGN KEY (watchlist_id) REFERENCES watchlists(id) ON DELETE SET NULL
+    )
+  `);
+
+  await db.run(`
+    CREATE INDEX IF NOT EXISTS idx_trades_instance_symbol
+    ON trades(instance_id, exchange, symbol, traded_at)
+  `);
+
+  await db.run(`
+    CREATE INDEX IF NOT EXISTS idx_trades_date
+    ON trades(trade_date)
+  `);
+
+  await db.run(`
+    CREATE INDEX IF NOT EXISTS idx_trades_underlying
+    ON trades(underlying)
+  `);
+
+  console.log('  ✅ Migration 032 completed');
+}
+
+export async function down(db) {
+  await db.run('DROP TABLE IF EXISTS trades');
+}
@@ -0,0 +1,69 @@
+/**
+ * Migration 033: User roles and per-instance / per-watchlist grants
+ * - users.role: viewer (read-only), trader (orders on granted instances/watchlists), admin
+ * - user_instance_grants / user_watchlist_grants: what a trader may trade
+ *
+ * Existing admins become admin. Existing non-admin users could do everything before,
+ * so they become traders granted every current instance and watchlist; new users
+ * start as viewers.
+ */
+
+export const version = '033';
+export const name = 'user_roles';
+
+export async function up(db) {
+  console.log('  ℹ️  Adding users.role and access grant tables');
+
+  await db.run(`
+    ALTER TABLE users
+    ADD COLUMN role TEXT NOT NULL DEFAULT 'viewer'
+      CHECK (role IN ('viewer', 'trader', 'admin'))
+  `);
+
+  await db.run(`UPDATE users SET role = 'admin' WHERE is_admin = 1`);
+  await db.run(`UPDATE users SET role = 'trader' WHERE is_admin = 0 OR is_admin IS NULL`);
+
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS user_instance_grants (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      instance_id INTEGER NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(user_id, instance_id),
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (instance_id) REFERENCES instances(id) ON DELETE CASCADE
+    )
+  `);
+
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS user_watchlist_grants (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      watchlist_id INTEGER NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(user_id, watchlist_id),
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (watchlist_id) REFERENCES watchlists(id) ON DELETE CASCADE
+    )
+  `);
+
+  await db.run(`
+    INSERT OR IGNORE INTO user_instance_grants (user_id, instance_id)
+    SELECT u.id, i.id FROM users u CROSS JOIN instances i
+    WHERE u.role = 'trader'
+  `);
+
+  await db.run(`
+    INSERT OR IGNORE INTO user_watchlist_grants (user_id, watchlist_id)
+    SELECT u.id, w.id FROM users u CROSS JOIN watchlists w
+    WHERE u.role = 'trader'
+  `);
+
+  console.log('  ✅ Migration 033 completed');
+}
+
+export async function down(db) {
+  await db.run('DROP TABLE IF EXISTS user_watchlist_grants');
+  await db.run('DROP TABLE IF EXISTS user_instance_grants');
+  await db.run('ALTER TABLE users DROP COLUMN role');
+}
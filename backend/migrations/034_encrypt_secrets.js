@@ -0,0 +1,83 @@
+/**
+ * Migration 034: Encrypt secrets at rest
+ * - Marks session.secret and oauth.google.client_secret as sensitive
+ * - Adds telegram.bot_token (sensitive) and telegram.bot_username settings
+ * - Encrypts instances.api_key and every sensitive setting with SECRETS_MASTER_KEY
+ *
+ * Without SECRETS_MASTER_KEY the values stay plaintext; set the key and run
+ * `npm run secrets:rotate` to encrypt them later.
+ */
+
+import secrets from '../src/core/secrets.js';
+
+export const version = '034';
+export const name = 'encrypt_secrets';
+
+const SENSITIVE_KEYS = ['session.secret', 'oauth.google.client_secret', 'telegram.bot_token'];
+
+export async function up(db) {
+  console.log('  ℹ️  Encrypting instance API keys and sensitive settings');
+
+  await db.run(
+    `INSERT OR IGNORE INTO application_settings
+      (key, value, description, category, data_type, is_sensitive)
+     VALUES (?, ?, ?, 'telegram', 'string', ?)`,
+    ['telegram.bot_token', '', 'Telegram bot token (falls back to TELEGRAM_BOT_TOKEN)', 1]
+  );
+
+  await db.run(
+    `INSERT OR IGNORE INTO application_settings
+      (key, value, description, category, data_type, is_sensitive)
+     VALUES (?, ?, ?, 'telegram', 'string', ?)`,
+    ['telegram.bot_username', '', 'Telegram bot username (falls back to TELEGRAM_BOT_USERNAME)', 0]
+  );
+
+  const placeholders = SENSITIVE_KEYS.map(() => '?').join(',');
+  await db.run(
+    `UPDATE application_settings SET is_sensitive = 1 WHERE key IN (${placeholders})`,
+    SENSITIVE_KEYS
+  );
+
+  if (!secrets.isConfigured()) {
+    console.log('  ⚠️  SECRETS_MASTER_KEY is not set - secrets left in plaintext (run `npm run secrets:rotate` once it is set)');
+    console.log('  ✅ Migration 034 completed');
+    return;
+  }
+
+  const instances = await db.all('SELECT id, api_key FROM instances');
+  for (const instance of instances) {
+    if (instance.api_key && !secrets.isEncrypted(instance.api_key)) {
+      await db.run('UPDATE instances SET api_key = ? WHERE id = ?', [secrets.encrypt(instance.api_key), instance.id]);
+    }
+  }
+
+  const settings = await db.all('SELECT key, value FROM application_settings WHERE is_sensitive = 1');
+  for (const setting of settings) {
+    if (setting.value && !secrets.isEncrypted(setting.value)) {
+      await db.run('UPDATE application_settings SET value = ? WHERE key = ?', [secrets.encrypt(setting.value), setting.key]);
+    }
+  }
+
+  console.log(`  ✅ Migration 034 completed (${instances.length} instance(s), ${settings.length} sensitive setting(s), key ${secrets.getKeyId()})`);
+}
+
+export async function down(db) {
+  const instances = await db.all('SELECT id, api_key FROM instances');
+  for (const instance of instances) {
+    if (secrets.isEncrypted(instance.api_key)) {
+      await db.run('UPDATE instances SET api_key = ? WHERE id = ?', [secrets.decrypt(instance.api_key), instance.id]);
+    }
+  }
+
+  const settings = await db.all('SELECT key, value FROM application_settings WHERE is_sensitive = 1');
+  for (const setting of settings) {
+    if (secrets.isEncrypted(setting.value)) {
+      await db.run('UPDATE application_settings SET value = ? WHERE key = ?', [secrets.decrypt(setting.value), setting.key]);
+    }
+  }
+
+  await db.run(`DELETE FROM application_settings WHERE key IN ('telegram.bot_token', 'telegram.bot_username')`);
+  await db.run(
+    `UPDATE application_settings SET is_sensitive = 0 WHERE key IN ('session.secret', 'oauth.google.client_secret')`
+  );
+}
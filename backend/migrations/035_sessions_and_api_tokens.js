@@ -0,0 +1,53 @@
+/**
+ * Migration 035: Persistent sessions and personal API tokens
+ * - sessions: express-session store (sessions survive restarts)
+ * - api_tokens: per-user bearer tokens for scripts; only the SHA-256 hash is stored
+ */
+
+export const version = '035';
+export const name = 'sessions_and_api_tokens';
+
+export async function up(db) {
+  console.log('  ℹ️  Creating sessions and api_tokens tables');
+
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS sessions (
+      sid TEXT PRIMARY KEY,
+      sess TEXT NOT NULL,
+      expires_at INTEGER NOT NULL
+    )
+  `);
+
+  await db.run(`
+    CREATE INDEX IF NOT EXISTS idx_sessions_expires
+    ON sessions(expires_at)
+  `);
+
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS api_tokens (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      name TEXT NOT NULL,
+      token_hash TEXT NOT NULL UNIQUE,
+      token_prefix TEXT NOT NULL,
+      scopes TEXT NOT NULL,
+      expires_at DATETIME,
+      last_used_at DATETIME,
+      revoked_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )
+  `);
+
+  await db.run(`
+    CREATE INDEX IF NOT EXISTS idx_api_tokens_user
+    ON api_tokens(user_id)
+  `);
+
+  console.log('  ✅ Migration 035 completed');
+}
+
+export async function down(db) {
+  await db.run('DROP TABLE IF EXISTS api_tokens');
+  await db.run('DROP TABLE IF EXISTS sessions');
+}
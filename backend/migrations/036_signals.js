@@ -0,0 +1,75 @@
+/**
+ * Migration 036: Signal webhooks
+ * - signals: one webhook URL per alert source, mapped to a watchlist (optionally
+ *   pinned to one symbol/instance) with the actions it may trigger. Only the
+ *   SHA-256 hash of the URL token is stored.
+ * - signal_events: every payload received and what came of it
+ */
+
+export const version = '036';
+export const name = 'signals';
+
+export async function up(db) {
+  console.log('  ℹ️  Creating signals and signal_events tables');
+
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS signals (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      token_hash TEXT NOT NULL UNIQUE,
+      token_prefix TEXT NOT NULL,
+      watchlist_id INTEGER NOT NULL,
+      symbol_id INTEGER,
+      instance_id INTEGER,
+      allowed_actions TEXT NOT NULL,
+      trade_mode TEXT CHECK (trade_mode IS NULL OR trade_mode IN ('EQUITY', 'FUTURES')),
+      quantity INTEGER,
+      max_quantity INTEGER,
+      dry_run BOOLEAN NOT NULL DEFAULT 0,
+      is_enabled BOOLEAN NOT NULL DEFAULT 1,
+      created_by INTEGER NOT NULL,
+      last_received_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+
+      FOREIGN KEY (watchlist_id) REFERENCES watchlists (id) ON DELETE CASCADE,
+      FOREIGN KEY (symbol_id) REFERENCES watchlist_symbols (id) ON DELETE CASCADE,
+      FOREIGN KEY (instance_id) REFERENCES instances (id) ON DELETE CASCADE,
+      FOREIGN KEY (created_by) REFERENCES users (id) ON DELETE CASCADE
+    )
+  `);
+
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS signal_events (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      signal_id INTEGER NOT NULL,
+      source_ip TEXT,
+      payload TEXT,
+      action TEXT,
+      symbol TEXT,
+      symbol_id INTEGER,
+      trade_mode TEXT,
+      quantity INTEGER,
+      intent_id TEXT,
+      status TEXT NOT NULL
+        CHECK (status IN ('rejected', 'placed', 'partial', 'failed', 'dry_run', 'duplicate')),
+      message TEXT,
+      result TEXT,
+      received_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+
+      FOREIGN KEY (signal_id) REFERENCES signals (id) ON DELETE CASCADE
+    )
+  `);
+
+  await db.run(`
+    CREATE INDEX IF NOT EXISTS idx_signal_events_signal
+    ON signal_events(signal_id, received_at DESC)
+  `);
+
+  console.log('  ✅ Migration 036 completed');
+}
+
+export async function down(db) {
+  await db.run('DROP TABLE IF EXISTS signal_events');
+  await db.run('DROP TABLE IF EXISTS signals');
+}
@@ -0,0 +1,38 @@
+/**
+ * Migration 037: Telegram alert preferences for event-bus alerts
+ * - notify_on_target: restores the target-hit toggle dropped in 011 (auto-exits on
+ *   target were never filtered correctly without it)
+ * - notify_on_session_cutoff / notify_on_rejection / notify_on_health: session
+ *   max-loss cutoffs, broker rejections, and instance health / market-data fallback
+ */
+
+export const version = '037';
+export const name = 'telegram_alert_preferences';
+
+const PREFERENCE_COLUMNS = [
+  'notify_on_target',
+  'notify_on_session_cutoff',
+  'notify_on_rejection',
+  'notify_on_health',
+];
+
+async function columnExists(db, tableName, columnName) {
+  const columns = await db.all(`PRAGMA table_info(${tableName})`);
+  return columns.some(col => col.name === columnName);
+}
+
+export async function up(db) {
+  console.log('  ℹ️  Adding alert preference columns to user_telegram_config');
+
+  for (const column of PREFERENCE_COLUMNS) {
+    if (!(await columnExists(db, 'user_telegram_config', column))) {
+      await db.run(`ALTER TABLE user_telegram_config ADD COLUMN ${column} BOOLEAN DEFAULT 1`);
+    }
+  }
+
+  console.log('  ✅ Migration 037 completed');
+}
+
+export async function down() {
+  console.warn('  ⚠️  user_telegram_config preference columns left in place (requires table rebuild)');
+}
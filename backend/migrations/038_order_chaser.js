@@ -0,0 +1,105 @@
+/**
+ * Migration 038: Order chaser for unfilled LIMIT orders
+ * - watchlist_symbols.chase_*: per-symbol chasing policy (reprice interval,
+ *   slippage budget in % of the original limit price, what to do once spent)
+ * - order_chases: one row per chased broker order (a split order has one per slice)
+ * - order_chase_steps: every reprice / conversion / cancel, linked to the chase
+ */
+
+export const version = '038';
+export const name = 'order_chaser';
+
+const SYMBOL_COLUMNS = [
+  { name: 'chase_enabled', def: 'BOOLEAN DEFAULT 0' },
+  { name: 'chase_interval_seconds', def: 'INTEGER DEFAULT 5' },
+  { name: 'chase_max_slippage_percent', def: 'REAL DEFAULT 1' },
+  { name: 'chase_on_exhausted', def: "TEXT DEFAULT 'MARKET'" },
+];
+
+async function columnExists(db, tableName, columnName) {
+  const columns = await db.all(`PRAGMA table_info(${tableName})`);
+  return columns.some(col => col.name === columnName);
+}
+
+export async function up(db) {
+  console.log('  ℹ️  Adding chase settings to watchlist_symbols');
+
+  for (const column of SYMBOL_COLUMNS) {
+    if (!(await columnExists(db, 'watchlist_symbols', column.name))) {
+      await db.run(`ALTER TABLE watchlist_symbols ADD COLUMN ${column.name} ${column.def}`);
+    }
+  }
+
+  console.log('  ℹ️  Creating order_chases and order_chase_steps tables');
+
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS order_chases (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      instance_id INTEGER NOT NULL,
+      symbol_id INTEGER,
+      quick_order_id INTEGER,
+      transaction_id TEXT,
+      order_id TEXT NOT NULL,
+      strategy TEXT NOT NULL,
+      exchange TEXT NOT NULL,
+      symbol TEXT NOT NULL,
+      action TEXT NOT NULL CHECK (action IN ('BUY', 'SELL')),
+      product TEXT NOT NULL,
+      quantity INTEGER NOT NULL,
+      tick_size REAL NOT NULL,
+      initial_price REAL NOT NULL,
+      current_price REAL NOT NULL,
+      limit_price REAL NOT NULL,
+      interval_seconds INTEGER NOT NULL,
+      on_exhausted TEXT NOT NULL CHECK (on_exhausted IN ('MARKET', 'CANCEL')),
+      status TEXT NOT NULL DEFAULT 'active'
+        CHECK (status IN ('active', 'filled', 'converted', 'cancelled', 'closed', 'failed')),
+      reprice_count INTEGER NOT NULL DEFAULT 0,
+      message TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+
+      FOREIGN KEY (instance_id) REFERENCES instances (id) ON DELETE CASCADE,
+      FOREIGN KEY (quick_order_id) REFERENCES quick_orders (id) ON DELETE SET NULL
+    )
+  `);
+
+  await db.run(`
+    CREATE INDEX IF NOT EXISTS idx_order_chases_status
+    ON order_chases(status)
+  `);
+
+  await db.run(`
+    CREATE INDEX IF NOT EXISTS idx_order_chases_transaction
+    ON order_chases(transaction_id, instance_id)
+  `);
+
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS order_chase_steps (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      chase_id INTEGER NOT NULL,
+      step_type TEXT NOT NULL
+        CHECK (step_type IN ('reprice', 'convert_market', 'cancel', 'filled', 'closed', 'error')),
+      from_price REAL,
+      to_price REAL,
+      ltp REAL,
+      message TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+
+      FOREIGN KEY (chase_id) REFERENCES order_chases (id) ON DELETE CASCADE
+    )
+  `);
+
+  await db.run(`
+    CREATE INDEX IF NOT EXISTS idx_order_chase_steps_chase
+    ON order_chase_steps(chase_id, id)
+  `);
+
+  console.log('  ✅ Migration 038 completed');
+}
+
+export async function down(db) {
+  await db.run('DROP TABLE IF EXISTS order_chase_steps');
+  await db.run('DROP TABLE IF EXISTS order_chases');
+  console.warn('  ⚠️  watchlist_symbols chase columns left in place (requires table rebuild)');
+}
@@ -0,0 +1,77 @@
+/**
+ * Migration 039: Scheduled orders and square-offs
+ * - schedules: a quick-order intent (ORDER) or a square-off (SQUARE_OFF) that runs
+ *   at an IST time or at a trading session's start, on chosen weekdays or once
+ * - schedule_runs: one row per run; (schedule_id, run_key) is unique so a run is
+ *   claimed exactly once even across restarts
+ */
+
+export const version = '039';
+export const name = 'schedules';
+
+export async function up(db) {
+  console.log('  ℹ️  Creating schedules and schedule_runs tables');
+
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS schedules (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      schedule_type TEXT NOT NULL CHECK (schedule_type IN ('ORDER', 'SQUARE_OFF')),
+      trigger_type TEXT NOT NULL CHECK (trigger_type IN ('TIME', 'SESSION_START')),
+      time_ist TEXT,
+      session_label TEXT,
+      offset_minutes INTEGER NOT NULL DEFAULT 0,
+      days_of_week TEXT NOT NULL DEFAULT '[1,2,3,4,5]',
+      run_date TEXT,
+      watchlist_id INTEGER,
+      symbol_id INTEGER,
+      instance_id INTEGER,
+      action TEXT,
+      trade_mode TEXT CHECK (trade_mode IS NULL OR trade_mode IN ('EQUITY', 'FUTURES', 'OPTIONS')),
+      quantity INTEGER,
+      options_leg TEXT,
+      product TEXT,
+      dry_run BOOLEAN NOT NULL DEFAULT 0,
+      is_enabled BOOLEAN NOT NULL DEFAULT 1,
+      created_by INTEGER NOT NULL,
+      last_run_at DATETIME,
+      last_status TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+
+      FOREIGN KEY (watchlist_id) REFERENCES watchlists (id) ON DELETE CASCADE,
+      FOREIGN KEY (symbol_id) REFERENCES watchlist_symbols (id) ON DELETE CASCADE,
+      FOREIGN KEY (instance_id) REFERENCES instances (id) ON DELETE CASCADE,
+      FOREIGN KEY (created_by) REFERENCES users (id) ON DELETE CASCADE
+    )
+  `);
+
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS schedule_runs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      schedule_id INTEGER NOT NULL,
+      run_key TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'running'
+        CHECK (status IN ('running', 'placed', 'partial', 'failed', 'dry_run', 'skipped')),
+      message TEXT,
+      result TEXT,
+      started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      finished_at DATETIME,
+
+      UNIQUE (schedule_id, run_key),
+      FOREIGN KEY (schedule_id) REFERENCES schedules (id) ON DELETE CASCADE
+    )
+  `);
+
+  await db.run(`
+    CREATE INDEX IF NOT EXISTS idx_schedule_runs_schedule
+    ON schedule_runs(schedule_id, started_at DESC)
+  `);
+
+  console.log('  ✅ Migration 039 completed');
+}
+
+export async function down(db) {
+  await db.run('DROP TABLE IF EXISTS schedule_runs');
+  await db.run('DROP TABLE IF EXISTS schedules');
+}
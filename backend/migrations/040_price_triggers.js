@@ -0,0 +1,56 @@
+/**
+ * Migration 040: Price-triggered conditional orders
+ * - price_triggers: "when LTP of a watchlist symbol crosses above/below a price, run a
+ *   quick-order action on these instances". Fires once: status leaves 'active' the
+ *   moment the cross is seen.
+ */
+
+export const version = '040';
+export const name = 'price_triggers';
+
+export async function up(db) {
+  console.log('  ℹ️  Creating price_triggers table');
+
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS price_triggers (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      symbol_id INTEGER NOT NULL,
+      exchange TEXT NOT NULL,
+      symbol TEXT NOT NULL,
+      condition TEXT NOT NULL CHECK (condition IN ('CROSS_ABOVE', 'CROSS_BELOW')),
+      trigger_price REAL NOT NULL,
+      reference_ltp REAL,
+      action TEXT NOT NULL,
+      trade_mode TEXT NOT NULL CHECK (trade_mode IN ('EQUITY', 'FUTURES', 'OPTIONS')),
+      quantity INTEGER,
+      options_leg TEXT,
+      product TEXT,
+      instance_ids TEXT,
+      dry_run BOOLEAN NOT NULL DEFAULT 0,
+      status TEXT NOT NULL DEFAULT 'active'
+        CHECK (status IN ('active', 'firing', 'triggered', 'failed', 'cancelled')),
+      triggered_at DATETIME,
+      triggered_ltp REAL,
+      message TEXT,
+      result TEXT,
+      created_by INTEGER NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+
+      FOREIGN KEY (symbol_id) REFERENCES watchlist_symbols (id) ON DELETE CASCADE,
+      FOREIGN KEY (created_by) REFERENCES users (id) ON DELETE CASCADE
+    )
+  `);
+
+  await db.run(`
+    CREATE INDEX IF NOT EXISTS idx_price_triggers_status
+    ON price_triggers(status)
+  `);
+
+  console.log('  ✅ Migration 040 completed');
+}
+
+export async function down(db) {
+  await db.run('DROP TABLE IF EXISTS price_triggers');
+}
@@ -0,0 +1,58 @@
+/**
+ * Migration 041: Scope order intents to the user
+ * - order_intents is keyed on (user_id, intent_id), so two users sending the same
+ *   intent_id no longer share (or replay) each other's order
+ * Intents only live for orders.intent_window_seconds, so the old rows (which have no
+ * user) are not carried over.
+ */
+
+export const version = '041';
+export const name = 'order_intents_per_user';
+
+export async function up(db) {
+  console.log('  ℹ️  Rebuilding order_intents keyed on (user_id, intent_id)');
+
+  await db.run('DROP TABLE IF EXISTS order_intents');
+  await db.run(`
+    CREATE TABLE order_intents (
+      user_id INTEGER NOT NULL,
+      intent_id TEXT NOT NULL,
+      scope TEXT NOT NULL,
+      request_hash TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'in_progress'
+        CHECK (status IN ('in_progress', 'completed')),
+      response TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      completed_at DATETIME,
+
+      PRIMARY KEY (user_id, intent_id)
+    )
+  `);
+
+  await db.run(`
+    CREATE INDEX IF NOT EXISTS idx_order_intents_created
+    ON order_intents(created_at)
+  `);
+
+  console.log('  ✅ Migration 041 completed');
+}
+
+export async function down(db) {
+  await db.run('DROP TABLE IF EXISTS order_intents');
+  await db.run(`
+    CREATE TABLE order_intents (
+      intent_id TEXT PRIMARY KEY,
+      scope TEXT NOT NULL,
+      request_hash TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'in_progress'
+        CHECK (status IN ('in_progress', 'completed')),
+      response TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      completed_at DATETIME
+    )
+  `);
+  await db.run(`
+    CREATE INDEX IF NOT EXISTS idx_order_intents_created
+    ON order_intents(created_at)
+  `);
+}
@@ -153,6 +153,17 @@ class APIClient {
     return this.request('/dashboard/metrics');
   }
 
+  // P&L history APIs
+  async getEquityCurve(filters = {}) {
+    const params = new URLSearchParams(filters);
+    return this.request(`/pnl/equity-curve?${params}`);
+  }
+
+  async getSessionResults(filters = {}) {
+    const params = new URLSearchParams(filters);
+    return this.request(`/pnl/sessions?${params}`);
+  }
+
   // Watchlist APIs
   async getWatchlists(filters = {}) {
     const params = new URLSearchParams(filters);
@@ -257,6 +268,20 @@ class APIClient {
     });
   }
 
+  async modifyOrder(orderId, data) {
+    return this.request(`/orders/${encodeURIComponent(orderId)}`, {
+      method: 'PUT',
+      body: data,
+    });
+  }
+
+  async modifyOrdersBatch(orders) {
+    return this.request('/orders/batch', {
+      method: 'PUT',
+      body: { orders },
+    });
+  }
+
   async cancelAllOrders(instanceId, strategy = null) {
     return this.request('/orders/cancel-all', {
       method: 'POST',
@@ -298,6 +323,85 @@ class APIClient {
     return this.request('/positions/aggregate/pnl');
   }
 
+  async getAggregatedGreeks() {
+    return this.request('/positions/aggregate/greeks');
+  }
+
+  async getAllHoldings(force = false) {
+    return this.request(`/holdings${force ? '?force=true' : ''}`);
+  }
+
+  async getAggregatedHoldings(includeAnalyzer = false) {
+    const params = new URLSearchParams({ includeAnalyzer: includeAnalyzer.toString() });
+    return this.request(`/holdings/aggregate?${params}`);
+  }
+
+  async exitHolding(instanceId, payload) {
+    return this.request(`/holdings/${instanceId}/exit`, {
+      method: 'POST',
+      body: payload,
+    });
+  }
+
+  // Schedule APIs
+  async getSchedules() {
+    return this.request('/schedules');
+  }
+
+  async getScheduleRuns(id, limit = 20) {
+    return this.request(`/schedules/${id}/runs?limit=${limit}`);
+  }
+
+  async createSchedule(data) {
+    return this.request('/schedules', {
+      method: 'POST',
+      body: data,
+    });
+  }
+
+  async updateSchedule(id, data) {
+    return this.request(`/schedules/${id}`, {
+      method: 'PUT',
+      body: data,
+    });
+  }
+
+  async runSchedule(id) {
+    return this.request(`/schedules/${id}/run`, {
+      method: 'POST',
+    });
+  }
+
+  async deleteSchedule(id) {
+    return this.request(`/schedules/${id}`, {
+      method: 'DELETE',
+    });
+  }
+
+  // Price trigger APIs
+  async getTriggers(status = null) {
+    return this.request(status ? `/triggers?status=${encodeURIComponent(status)}` : '/triggers');
+  }
+
+  async createTrigger(data) {
+    return this.request('/triggers', {
+      method: 'POST',
+      body: data,
+    });
+  }
+
+  async cancelTrigger(id) {
+    return this.request(`/triggers/${id}/cancel`, {
+      method: 'POST',
+    });
+  }
+
+  async deleteTrigger(id) {
+    return this.request(`/triggers/${id}`, {
+      method: 'DELETE',
+    });
+  }
+
   async closePositions(instanceId) {
     return this.request(`/positions/${instanceId}/close`, {
       method: 'POST',
@@ -342,6 +446,10 @@ class APIClient {
     return this.request(`/symbols/market-data/${exchange}/${symbol}`);
   }
 
+  async getMarketDepth(exchange, symbol) {
+    return this.request(`/symbols/depth/${encodeURIComponent(exchange)}/${encodeURIComponent(symbol)}`);
+  }
+
   /**
    * Symbol utility operations - consolidates frontend/backend logic
    * @param {string} operation - Operation name (getDerivativeExchange, extractUnderlying, formatExpiry, normalizeExpiry, classifySymbol, batch)
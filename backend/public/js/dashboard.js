@@ -22,7 +22,9 @@ class DashboardApp {
     this.watchlistQuoteSnapshots = new Map();
     this.isSidebarCollapsed = false;
     this.quickOrder = window.quickOrder || null;
-    this.validViews = ['dashboard', 'instances', 'watchlists', 'orders', 'trades', 'positions', 'settings'];
+    // Dashboard equity curve filters (instanceId '' = all instances)
+    this.equityCurveFilters = { instanceId: '', days: 30 };
+    this.validViews = ['dashboard', 'instances', 'watchlists', 'orders', 'trades', 'positions', 'holdings', 'schedules', 'triggers', 'settings'];
     this.suppressHashChange = false;
     this._throttledWatchlistRefresh = Utils.throttle((opts = {}) => {
       this.refreshWatchlistPositions(opts);
@@ -30,6 +32,7 @@ class DashboardApp {
     this.watchlistPositionsExpanded = new Set();
     this.latestWatchlistPositionsData = null;
     this.currentOrderFilter = '';
+    this.editingOrder = null;
     this.autoExitModes = [
       { key: 'direct', label: 'Direct Trading' },
       { key: 'futures', label: 'Futures Trading' },
@@ -43,7 +46,14 @@ class DashboardApp {
     this.positionsInstanceStore = new Map();
     // Track expanded instances in positions view; default is collapsed
     this.positionsExpanded = new Set();
+    // Holdings view: analyzer-mode instances are left out of the cross-instance totals by default
+    this.holdingsIncludeAnalyzer = false;
     this.isPaused = false; // default running; user can pause manually
+    // Socket.IO push channel; timers below only poll while it is disconnected
+    this.socket = null;
+    this.realtimeConnected = false;
+    // Watchlist symbols keyed by watchlist ID, used to map pushed quotes to rows
+    this.watchlistSymbolsCache = new Map();
   }
 
   /**
@@ -58,6 +68,9 @@ class DashboardApp {
       // Load current user
       await this.loadCurrentUser();
 
+      // Connect realtime push channel (falls back to polling when unavailable)
+      this.connectRealtime();
+
       // Setup navigation and route listeners
       this.setupNavigation();
       window.addEventListener('hashchange', () => this.handleHashChange());
@@ -299,6 +312,9 @@ class DashboardApp {
       if (window.quickOrder && typeof window.quickOrder.stopAllFuturesPreviewPolling === 'function') {
         window.quickOrder.stopAllFuturesPreviewPolling();
       }
+      if (window.quickOrder && typeof window.quickOrder.stopAllDepthPolling === 'function') {
+        window.quickOrder.stopAllDepthPolling();
+      }
     }
 
     if (this.currentView === 'trades' && viewName !== 'trades') {
@@ -315,6 +331,9 @@ class DashboardApp {
       orders: 'Orders',
       trades: 'Trades',
       positions: 'Positions',
+      holdings: 'Holdings',
+      schedules: 'Schedules',
+      triggers: 'Price Triggers',
       settings: 'Settings',
     };
 
@@ -346,6 +365,15 @@ class DashboardApp {
         case 'positions':
           await this.renderPositionsView();
           break;
+        case 'holdings':
+          await this.renderHoldingsView();
+          break;
+        case 'schedules':
+          await this.renderSchedulesView();
+          break;
+        case 'triggers':
+          await this.renderTriggersView();
+          break;
         case 'settings':
           await settings.renderSettingsView();
           break;
@@ -495,6 +523,31 @@ class DashboardApp {
         </div>
       ` : ''}
 
+      <!-- Equity Curve -->
+      <div class="card mb-6">
+        <div class="card-header flex flex-wrap items-center justify-between gap-3">
+          <h3 class="card-title">Equity Curve</h3>
+          <div class="flex items-center gap-2">
+            <select id="equity-instance-filter" class="form-select" onchange="app.setEquityCurveFilter('instanceId', this.value)">
+              <option value="">All live instances</option>
+              ${this.instances.map(instance => `
+                <option value="${instance.id}" ${String(instance.id) === String(this.equityCurveFilters.instanceId) ? 'selected' : ''}>
+                  ${Utils.escapeHTML(instance.name)}
+                </option>
+              `).join('')}
+            </select>
+            <select id="equity-range-filter" class="form-select" onchange="app.setEquityCurveFilter('days', this.value)">
+              ${[7, 30, 90].map(days => `
+                <option value="${days}" ${days === Number(this.equityCurveFilters.days) ? 'selected' : ''}>Last ${days} days</option>
+              `).join('')}
+            </select>
+          </div>
+        </div>
+        <div class="p-4" id="equity-curve-panel">
+          <div class="text-center text-neutral-500">Loading equity curve…</div>
+        </div>
+      </div>
+
       <!-- Instances Table -->
       <div class="card">
         <div class="card-header">
@@ -508,6 +561,151 @@ class DashboardApp {
         </div>
       </div>
     `;
+
+    await this.loadEquityCurve();
+  }
+
+  /**
+   * Update an equity curve filter and reload the chart
+   */
+  setEquityCurveFilter(key, value) {
+    this.equityCurveFilters[key] = value;
+    this.loadEquityCurve();
+  }
+
+  /**
+   * Load the equity curve and session results for the dashboard card
+   */
+  async loadEquityCurve() {
+    const panel = document.getElementById('equity-curve-panel');
+    if (!panel) return;
+
+    const { instanceId, days } = this.equityCurveFilters;
+    const from = new Date(Date.now() - Number(days) * 24 * 60 * 60 * 1000)
+      .toLocaleDateString('en-CA', { timeZone: 'Asia/Kolkata' });
+    const filters = { from, interval: Number(days) > 30 ? 'day' : 'hour' };
+    if (instanceId) filters.instanceId = instanceId;
+
+    try {
+      const [curveRes, sessionsRes] = await Promise.all([
+        api.getEquityCurve(filters),
+        api.getSessionResults({ from, ...(instanceId ? { instanceId } : {}) }),
+      ]);
+
+      panel.innerHTML = `
+        ${this.renderEquityCurveSummary(curveRes.data, sessionsRes.data)}
+        ${this.renderEquityCurveChart(curveRes.data.points)}
+        ${this.renderSessionResults(sessionsRes.data.sessions)}
+      `;
+    } catch (error) {
+      panel.innerHTML = `<div class="text-center text-red-600">Failed to load equity curve: ${Utils.escapeHTML(error.message)}</div>`;
+    }
+  }
+
+  /**
+   * Net change, max drawdown and session win/loss counts
+   */
+  renderEquityCurveSummary(curve, sessions) {
+    const drawdown = curve.max_drawdown || {};
+    return `
+      <div class="stats-grid mb-4">
+        <div class="stat-card">
+          <div class="stat-label">Net Change</div>
+          <div class="stat-value ${Utils.getPnLColorClass(curve.summary.net_change)}">
+            ${Utils.formatCurrency(curve.summary.net_change)}
+          </div>
+        </div>
+        <div class="stat-card">
+          <div class="stat-label">Max Drawdown</div>
+          <div class="stat-value ${drawdown.amount > 0 ? 'text-red-600' : ''}">
+            ${Utils.formatCurrency(-(drawdown.amount || 0))}
+          </div>
+          ${drawdown.from ? `<div class="text-xs text-neutral-500">${Utils.formatDateTime(drawdown.from)} → ${Utils.formatDateTime(drawdown.to)}</div>` : ''}
+        </div>
+        <div class="stat-card">
+          <div class="stat-label">Sessions (W / L)</div>
+          <div class="stat-value">
+            ${sessions.summary.winning_sessions} / ${sessions.summary.losing_sessions}
+          </div>
+        </div>
+        <div class="stat-card">
+          <div class="stat-label">Session Net</div>
+          <div class="stat-value ${Utils.getPnLColorClass(sessions.summary.net_pnl)}">
+            ${Utils.formatCurrency(sessions.summary.net_pnl)}
+          </div>
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Inline SVG line chart of equity points (no chart library)
+   */
+  renderEquityCurveChart(points = []) {
+    if (points.length < 2) {
+      return '<div class="text-center text-neutral-500 py-6">Not enough P&L history yet - snapshots are recorded on every P&L poll.</div>';
+    }
+
+    const width = 800;
+    const height = 220;
+    const pad = 8;
+    const values = points.map(p => p.equity);
+    const min = Math.min(0, ...values);
+    const max = Math.max(0, ...values);
+    const span = max - min || 1;
+    const x = (i) => pad + (i / (points.length - 1)) * (width - pad * 2);
+    const y = (v) => pad + (1 - (v - min) / span) * (height - pad * 2);
+    const path = points.map((p, i) => `${i === 0 ? 'M' : 'L'}${x(i).toFixed(1)},${y(p.equity).toFixed(1)}`).join(' ');
+    const last = values[values.length - 1];
+    const stroke = last >= 0 ? '#16a34a' : '#dc2626';
+
+    return `
+      <div class="mb-4">
+        <svg viewBox="0 0 ${width} ${height}" preserveAspectRatio="none" class="w-full" style="height: ${height}px">
+          <line x1="${pad}" x2="${width - pad}" y1="${y(0).toFixed(1)}" y2="${y(0).toFixed(1)}" stroke="#d4d4d4" stroke-dasharray="4 4" />
+          <path d="${path}" fill="none" stroke="${stroke}" stroke-width="2" vector-effect="non-scaling-stroke" />
+        </svg>
+        <div class="flex justify-between text-xs text-neutral-500">
+          <span>${Utils.formatDateTime(points[0].time)}</span>
+          <span>High ${Utils.formatCurrency(max)} · Low ${Utils.formatCurrency(min)}</span>
+          <span>${Utils.formatDateTime(points[points.length - 1].time)}</span>
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Most recent session results, newest first
+   */
+  renderSessionResults(sessions = []) {
+    if (sessions.length === 0) {
+      return '<div class="text-sm text-neutral-500">No completed sessions in this range.</div>';
+    }
+
+    const rows = sessions.slice(-10).reverse().map(session => `
+      <tr>
+        <td>${Utils.escapeHTML(session.trading_date)}</td>
+        <td>${Utils.escapeHTML(session.session_label || '-')}</td>
+        <td>${session.instances.length}</td>
+        <td class="${Utils.getPnLColorClass(session.session_pnl)}">${Utils.formatCurrency(session.session_pnl)}</td>
+      </tr>
+    `).join('');
+
+    return `
+      <div class="table-container">
+        <table class="table">
+          <thead>
+            <tr>
+              <th>Date</th>
+              <th>Session</th>
+              <th>Instances</th>
+              <th>Session P&L</th>
+            </tr>
+          </thead>
+          <tbody>${rows}</tbody>
+        </table>
+      </div>
+    `;
   }
 
   /**
@@ -732,6 +930,9 @@ class DashboardApp {
     if (window.quickOrder && typeof window.quickOrder.stopAllFuturesPreviewPolling === 'function') {
       window.quickOrder.stopAllFuturesPreviewPolling();
     }
+    if (window.quickOrder && typeof window.quickOrder.stopAllDepthPolling === 'function') {
+      window.quickOrder.stopAllDepthPolling();
+    }
 
     // Fetch watchlists + instances in parallel to reduce latency
     const [watchlistsRes, instancesRes] = await Promise.all([
@@ -1103,6 +1304,101 @@ class DashboardApp {
     }
   }
 
+  /**
+   * Connect to the Socket.IO push channel
+   * Quotes, positions and order events are pushed by the server; polling timers pause while connected
+   */
+  connectRealtime() {
+    if (typeof window.io !== 'function') {
+      console.warn('Socket.IO client not available, using polling');
+      return;
+    }
+
+    this.socket = window.io({ withCredentials: true });
+
+    this.socket.on('connect', () => {
+      this.realtimeConnected = true;
+      this.socket.emit('subscribe', ['quotes', 'positions', 'orders']);
+      console.log('✅ Realtime channel connected');
+    });
+
+    this.socket.on('disconnect', () => {
+      this.realtimeConnected = false;
+      console.warn('Realtime channel disconnected, falling back to polling');
+    });
+
+    this.socket.on('connect_error', (error) => {
+      this.realtimeConnected = false;
+      console.warn('Realtime channel unavailable:', error.message);
+    });
+
+    this.socket.on('quotes:update', (payload) => this.handleRealtimeQuotes(payload));
+    this.socket.on('positions:update', () => {
+      if (this.currentView === 'watchlists') {
+        this.requestWatchlistRefresh();
+      }
+    });
+    this.socket.on('cache:invalidated', () => this.handleRealtimeOrdersChanged());
+    this.socket.on('quickorder:result', () => this.handleRealtimeOrdersChanged());
+    this.socket.on('autoexit:triggered', (payload) => {
+      Utils.showToast(
+        `Auto-exit ${String(payload.reason || '').replace(/_/g, ' ')}: ${payload.symbol} on ${payload.instance_name}`,
+        'warning'
+      );
+      this.handleRealtimeOrdersChanged();
+    });
+  }
+
+  isRealtimeActive() {
+    return this.realtimeConnected && !!this.socket?.connected;
+  }
+
+  /**
+   * Apply a pushed quote snapshot to every watchlist currently being displayed
+   */
+  handleRealtimeQuotes(payload = {}) {
+    if (this.isPaused || this.currentView !== 'watchlists') return;
+    const quotes = Array.isArray(payload.data) ? payload.data : [];
+    if (quotes.length === 0) return;
+
+    this.watchlistPollers.forEach((intervalId, watchlistId) => {
+      const symbols = this.watchlistSymbolsCache.get(watchlistId) || [];
+      let filled = 0;
+
+      quotes.forEach(quote => {
+        const normalizedQuoteSymbol = this.normalizeQuoteSymbol(quote.symbol);
+        const symbol = symbols.find(s =>
+          this.normalizeExchange(s.exchange) === this.normalizeExchange(quote.exchange) &&
+          s.symbol === normalizedQuoteSymbol
+        );
+        if (symbol) {
+          this.updateSymbolQuote(watchlistId, symbol.id, quote);
+          filled++;
+        }
+      });
+
+      if (filled > 0) {
+        const timestamp = payload.fetchedAt || Date.now();
+        this.watchlistQuoteSnapshots.set(watchlistId, timestamp);
+        this.updateWatchlistQuoteMeta(watchlistId, { timestamp, source: 'cache' });
+      }
+    });
+  }
+
+  /**
+   * Refresh order-related views after a pushed order event
+   */
+  handleRealtimeOrdersChanged() {
+    if (this.isPaused) return;
+    if (this.currentView === 'trades') {
+      this.loadTrades(true);
+    } else if (this.currentView === 'orders') {
+      this.loadOrders(this.currentOrderFilter);
+    } else if (this.currentView === 'watchlists') {
+      this.requestWatchlistRefresh();
+    }
+  }
+
   /**
    * Start polling quotes for a watchlist
    */
@@ -1114,9 +1410,9 @@ class DashboardApp {
     // Fetch quotes immediately
     await this.updateWatchlistQuotes(watchlistId, { force: true });
 
-    // Start 10-second polling
+    // Start 10-second polling (fallback while the push channel is down)
     const intervalId = setInterval(async () => {
-      if (this.isPaused) return;
+      if (this.isPaused || this.isRealtimeActive()) return;
       await this.updateWatchlistQuotes(watchlistId);
     }, 10000);
 
@@ -1167,6 +1463,7 @@ class DashboardApp {
     this.stopPositionsPolling();
     this.requestWatchlistRefresh({ showLoader: true, force: true });
     this.positionsPollingInterval = setInterval(() => {
+      if (this.isRealtimeActive()) return;
       this.requestWatchlistRefresh();
     }, 10000);
   }
@@ -1203,6 +1500,7 @@ class DashboardApp {
       // Get watchlist symbols
       const response = await api.getWatchlistSymbols(watchlistId);
       const symbols = response.data;
+      this.watchlistSymbolsCache.set(watchlistId, symbols);
 
       if (symbols.length === 0) {
         this.updateWatchlistQuoteMeta(watchlistId, { statusText: 'No symbols configured' });
@@ -1485,6 +1783,7 @@ class DashboardApp {
   async renderOrdersView() {
     const contentArea = document.getElementById('content-area');
     this.currentOrderFilter = this.currentOrderFilter || '';
+    this.editingOrder = null;
 
     contentArea.innerHTML = `
       <div class="space-y-4">
@@ -1525,6 +1824,8 @@ class DashboardApp {
       const response = await api.getOrderbook(status);
       const payload = response.data || {};
       this.orderbookPayload = payload;
+      // Don't wipe an inline order edit in progress; it re-renders on save / cancel
+      if (this.editingOrder) return;
       this.renderOrdersPanel(payload);
       const select = document.getElementById('orders-filter');
       if (select) select.value = status || '';
@@ -1630,7 +1931,7 @@ class DashboardApp {
     const openOrders = orders.filter(o => ['open', 'pending'].includes(o.status)).length;
 
     return `
-      <details class="rounded-lg border border-base-200 bg-base-100">
+      <details class="rounded-lg border border-base-200 bg-base-100"${this.editingOrder?.instanceId === instanceEntry.instance_id ? ' open' : ''}>
         <summary class="flex flex-wrap cursor-pointer items-center justify-between gap-4 px-4 py-4">
           <div>
             <h4 class="font-semibold text-lg">${title}</h4>
@@ -1651,13 +1952,13 @@ class DashboardApp {
           </div>
         </summary>
         <div class="border-t border-base-200 p-4">
-          ${this.renderOrdersTable(orders)}
+          ${this.renderOrdersTable(orders, instanceEntry.instance_id)}
         </div>
       </details>
     `;
   }
 
-  renderOrdersTable(orders) {
+  renderOrdersTable(orders, instanceId = null) {
     const rows = orders.map(order => {
       const safeValue = (...keys) => {
         for (const key of keys) {
@@ -1682,6 +1983,12 @@ class DashboardApp {
       const action = safeValue('action');
       const cancelable = ['pending', 'open'].includes(order.status);
       const orderId = order.id ? order.id.toString().replace(/'/g, "\\'") : '';
+      const modifiable = instanceId !== null
+        && ['pending', 'open', 'trigger pending'].includes(order.status)
+        && ['LIMIT', 'SL', 'SL-M'].includes((order.order_type || '').toUpperCase());
+      const isEditing = modifiable
+        && this.editingOrder?.instanceId === instanceId
+        && String(this.editingOrder?.orderId) === String(order.id);
       const exchange = Utils.escapeHTML(safeValue('exchange', 'metadata.exchange'));
       const priceValue = safeValue('price', 'metadata.price', 'metadata.average_price');
       const priceDisplay = priceValue !== '-' ? Utils.formatNumber(priceValue) : '-';
@@ -1700,6 +2007,10 @@ class DashboardApp {
         ? `<div class="text-xs text-neutral-500 mt-1">${Utils.escapeHTML(rejectionReason)}</div>`
         : '';
 
+      if (isEditing) {
+        return this.renderOrderEditRow(order, instanceId, orderId);
+      }
+
       return `
         <tr>
           <td>${Utils.escapeHTML(safeValue('symbol', 'metadata.symbol'))}</td>
@@ -1718,12 +2029,18 @@ class DashboardApp {
           <td>${statusBadge}${rejectionLine}</td>
           <td class="text-right">${placedAt}</td>
           <td class="text-center">
+            ${modifiable ? `
+              <button class="btn btn-sm btn-ghost"
+                      onclick="app.startOrderEdit(${instanceId}, '${orderId}')">
+                Modify
+              </button>
+            ` : ''}
             ${cancelable ? `
               <button class="btn btn-sm btn-outline"
                       onclick="app.cancelOrder('${orderId}')">
                 Cancel
               </button>
-            ` : '-'}
+            ` : (modifiable ? '' : '-')}
           </td>
         </tr>
       `;
@@ -1756,6 +2073,61 @@ class DashboardApp {
     `;
   }
 
+  /**
+   * Inline editor for a pending LIMIT / SL order (price, trigger price, quantity)
+   */
+  renderOrderEditRow(order, instanceId, orderId) {
+    const orderType = (order.order_type || '').toUpperCase();
+    const fieldPrefix = `order-edit-${instanceId}-${orderId}`.replace(/[^a-zA-Z0-9_-]/g, '_');
+    const inputValue = (value) => (value === undefined || value === null || value === '' ? '' : Utils.escapeHTML(String(value)));
+    const priceInput = orderType === 'SL-M'
+      ? '-'
+      : `<input id="${fieldPrefix}-price" type="number" step="0.05" min="0" class="input input-bordered input-sm w-24" value="${inputValue(order.price)}">`;
+    const triggerInput = orderType === 'SL' || orderType === 'SL-M'
+      ? `<input id="${fieldPrefix}-trigger" type="number" step="0.05" min="0" class="input input-bordered input-sm w-24" value="${inputValue(order.trigger_price)}" title="Trigger price">`
+      : '';
+
+    return `
+      <tr class="bg-base-200">
+        <td>${Utils.escapeHTML(order.symbol || '-')}</td>
+        <td></td>
+        <td>${Utils.escapeHTML(order.exchange || '-')}</td>
+        <td>
+          <span class="badge ${order.action === 'BUY' ? 'badge-success' : 'badge-error'}">
+            ${order.action}
+          </span>
+        </td>
+        <td>
+          <div class="flex flex-col gap-1">
+            ${priceInput}
+            ${triggerInput}
+          </div>
+        </td>
+        <td>
+          <input id="${fieldPrefix}-qty" type="number" step="1" min="1" class="input input-bordered input-sm w-20" value="${inputValue(order.quantity)}">
+        </td>
+        <td>${Utils.escapeHTML(order.product || '-')}</td>
+        <td>${Utils.escapeHTML(orderType)}</td>
+        <td colspan="3">
+          <label class="label cursor-pointer justify-start gap-2 text-xs">
+            <input id="${fieldPrefix}-group" type="checkbox" class="checkbox checkbox-xs">
+            Apply price to all instances from the same quick order
+          </label>
+        </td>
+        <td class="text-center whitespace-nowrap">
+          <button class="btn btn-sm btn-primary"
+                  onclick="app.saveOrderEdit(${instanceId}, '${orderId}', '${fieldPrefix}')">
+            Save
+          </button>
+          <button class="btn btn-sm btn-ghost"
+                  onclick="app.cancelOrderEdit()">
+            Cancel
+          </button>
+        </td>
+      </tr>
+    `;
+  }
+
   stopTradesPolling() {
     if (this.tradesPollingInterval) {
       clearInterval(this.tradesPollingInterval);
@@ -1793,6 +2165,12 @@ class DashboardApp {
               <button class="btn btn-outline btn-sm" onclick="app.loadTrades()">
                 Refresh
               </button>
+              <a class="btn btn-outline btn-sm" href="${api.baseURL}/trades/history?format=csv" download>
+                History CSV
+              </a>
+              <a class="btn btn-outline btn-sm" href="${api.baseURL}/trades/history/pnl?groupBy=day&format=csv" download>
+                Daily P&L CSV
+              </a>
             </div>
           </div>
           <div class="p-4" id="trades-panel">
@@ -1804,7 +2182,11 @@ class DashboardApp {
 
     await this.loadTrades();
     if (!this.isPaused) {
-      this.tradesPollingInterval = setInterval(() => this.loadTrades(true), 5000);
+      this.tradesPollingInterval = setInterval(() => {
+        // Pushed order events refresh trades; still poll occasionally for external fills
+        if (this.isRealtimeActive() && Date.now() - (this.tradesLastUpdatedAt || 0) < 30000) return;
+        this.loadTrades(true);
+      }, 5000);
     }
   }
 
@@ -2069,6 +2451,14 @@ class DashboardApp {
             </div>
             <div class="p-4" id="positions-summary"></div>
           </div>
+          <div class="card mb-6">
+            <div class="card-header">
+              <h3 class="card-title">Options Greeks</h3>
+            </div>
+            <div class="p-4" id="positions-greeks">
+              <p class="text-neutral-500">Loading Greeks...</p>
+            </div>
+          </div>
           <div class="space-y-5" id="positions-layout">
             <div id="positions-live"></div>
             <div id="positions-analyzer"></div>
@@ -2078,6 +2468,7 @@ class DashboardApp {
       }
 
       this.updatePositionsSummary(data);
+      this.updatePositionsGreeks();
       const instances = Array.isArray(data.instances) ? data.instances : [];
       const liveInstances = instances.filter(inst => !inst.is_analyzer_mode);
       const analyzerInstances = instances.filter(inst => inst.is_analyzer_mode);
@@ -2115,6 +2506,64 @@ class DashboardApp {
     `;
   }
 
+  /**
+   * Render net Greeks per underlying and per instance for open options positions
+   */
+  async updatePositionsGreeks() {
+    const container = document.getElementById('positions-greeks');
+    if (!container) return;
+
+    try {
+      const response = await api.getAggregatedGreeks();
+      const data = response.data;
+
+      if (!data.totals || data.totals.positions === 0) {
+        container.innerHTML = '<p class="text-neutral-500">No open options positions</p>';
+        return;
+      }
+
+      const fmt = (value, decimals = 2) => Utils.formatNumber(value, decimals);
+      const row = (label, totals) => `
+        <tr>
+          <td class="font-medium">${Utils.escapeHTML(label)}</td>
+          <td class="text-right">${totals.positions}</td>
+          <td class="text-right ${Utils.getPnLColorClass(totals.delta)}">${fmt(totals.delta)}</td>
+          <td class="text-right">${fmt(totals.gamma, 4)}</td>
+          <td class="text-right ${Utils.getPnLColorClass(totals.theta)}">${fmt(totals.theta)}</td>
+          <td class="text-right">${fmt(totals.vega)}</td>
+        </tr>
+      `;
+      const instanceRows = data.instances
+        .filter(inst => inst.totals.positions > 0)
+        .map(inst => row(inst.instance_name, inst.totals))
+        .join('');
+
+      container.innerHTML = `
+        <div class="table-container">
+          <table class="table">
+            <thead>
+              <tr>
+                <th>Underlying / Instance</th>
+                <th class="text-right">Legs</th>
+                <th class="text-right">Net Delta</th>
+                <th class="text-right">Net Gamma</th>
+                <th class="text-right">Theta / day</th>
+                <th class="text-right">Vega / vol pt</th>
+              </tr>
+            </thead>
+            <tbody>
+              ${data.underlyings.map(u => row(`${u.underlying} @ ${fmt(u.underlying_ltp)}`, u)).join('')}
+              ${instanceRows}
+              ${row('Portfolio', data.totals)}
+            </tbody>
+          </table>
+        </div>
+      `;
+    } catch (error) {
+      container.innerHTML = `<p class="text-neutral-500">Greeks unavailable: ${Utils.escapeHTML(error.message)}</p>`;
+    }
+  }
+
   updatePositionsSection(type, instances = []) {
     const container = document.getElementById(type === 'live' ? 'positions-live' : 'positions-analyzer');
     if (!container) return;
@@ -2212,71 +2661,1119 @@ class DashboardApp {
   }
 
   /**
-   * Show add instance modal
+   * Render Holdings View (CNC delivery, per instance and summed across instances)
    */
-  showAddInstanceModal() {
-    const modal = document.createElement('div');
-    modal.className = 'modal-overlay symbol-search-modal';
-    modal.innerHTML = `
-      <div class="modal-content">
-        <div class="modal-header">
-          <h3>Add Instance</h3>
-        </div>
-        <div class="modal-body">
-          <form id="add-instance-form">
-            <div class="form-group">
-              <label class="form-label">Instance Name *</label>
-              <input type="text" name="name" class="form-input" required>
-            </div>
+  async renderHoldingsView() {
+    const contentArea = document.getElementById('content-area');
 
-            <div class="form-group">
-              <label class="form-label">Host URL *</label>
-              <input type="url" name="host_url" id="instance-host-url" class="form-input"
-                     placeholder="http://localhost:5000" required>
-            </div>
+    try {
+      const [aggregateResponse, instancesResponse] = await Promise.all([
+        api.getAggregatedHoldings(this.holdingsIncludeAnalyzer),
+        api.getAllHoldings(),
+      ]);
+      const aggregate = aggregateResponse.data;
+      const instances = instancesResponse.data.instances || [];
 
-            <div class="form-group">
-              <label class="form-label">API Key *</label>
-              <input type="text" name="api_key" id="instance-api-key" class="form-input" required>
-            </div>
+      if (instances.length === 0) {
+        contentArea.innerHTML = `
+          <div class="card">
+            <p class="text-center text-neutral-600">No active instances found</p>
+          </div>
+        `;
+        return;
+      }
 
-            <div class="form-group">
-              <label class="form-label">Broker (auto-detected)</label>
-              <div style="display: flex; gap: 0.5rem; align-items: center;">
-                <input type="text" name="broker" id="instance-broker" class="form-input" readonly
-                       placeholder="Click 'Test Connection' to detect">
-                <button type="button" class="btn btn-secondary btn-sm"
-                        onclick="app.testInstanceConnection()">
-                  Test Connection
-                </button>
-              </div>
-              <small id="connection-status" class="form-help" style="display: block; margin-top: 0.25rem;"></small>
-            </div>
+      contentArea.innerHTML = `
+        <div class="card mb-6">
+          <div class="card-header items-center justify-between">
+            <h3 class="card-title">All Holdings Summary</h3>
+            <label class="inline-flex items-center gap-2 text-sm">
+              <input type="checkbox" class="form-checkbox" ${this.holdingsIncludeAnalyzer ? 'checked' : ''}
+                     onchange="app.toggleHoldingsAnalyzer(this.checked)">
+              <span>Include analyzer instances</span>
+            </label>
+          </div>
+          <div class="p-4">${this.renderHoldingsSummary(aggregate)}</div>
+        </div>
+        <div class="card mb-6">
+          <div class="card-header">
+            <h3 class="card-title">Across Instances</h3>
+          </div>
+          <div class="p-4">${this.renderAggregatedHoldingsTable(aggregate.holdings)}</div>
+        </div>
+        <div class="space-y-5">
+          ${instances.map(inst => this.renderInstanceHoldings(inst)).join('')}
+        </div>
+      `;
+    } catch (error) {
+      contentArea.innerHTML = `
+        <div class="card">
+          <p class="text-center text-error-600">Failed to load holdings: ${Utils.escapeHTML(error.message)}</p>
+        </div>
+      `;
+    }
+  }
 
-            <div class="form-group">
-              <label class="form-label">Verify API Key</label>
-              <button type="button" class="btn btn-secondary btn-sm" style="width: 100%;"
-                      onclick="app.testInstanceApiKey()">
-                Test API Key with Funds Endpoint
-              </button>
-              <small id="apikey-status" class="form-help" style="display: block; margin-top: 0.25rem;"></small>
-            </div>
+  renderHoldingsSummary(aggregate) {
+    const totals = aggregate.totals || {};
+    const errors = (aggregate.errors || [])
+      .map(err => `<p class="text-sm text-error-600">${Utils.escapeHTML(err.instance_name)}: ${Utils.escapeHTML(err.error)}</p>`)
+      .join('');
 
-            <div class="form-group">
-              <label class="form-label">Market Data</label>
-              <label class="inline-flex items-center gap-2">
-                <input type="checkbox" name="market_data_enabled" class="form-checkbox">
-                <span>Use this instance for market data</span>
-              </label>
-              <small class="form-help" style="display: block; margin-top: 0.25rem; color: var(--color-neutral-600);">
-                Enabled instances will be pooled and load-balanced for quotes/LTP/depth.
-              </small>
-            </div>
+    return `
+      <div class="grid grid-cols-4 gap-4">
+        <div class="text-center">
+          <div class="text-sm text-neutral-600 mb-1">Invested</div>
+          <div class="text-2xl font-semibold">${this.formatHoldingAmount(totals.investment)}</div>
+        </div>
+        <div class="text-center">
+          <div class="text-sm text-neutral-600 mb-1">Current Value</div>
+          <div class="text-2xl font-semibold">${this.formatHoldingAmount(totals.current_value)}</div>
+        </div>
+        <div class="text-center">
+          <div class="text-sm text-neutral-600 mb-1">Overall P&L</div>
+          <div class="text-2xl font-semibold ${Utils.getPnLColorClass(totals.pnl)}">
+            ${this.formatHoldingAmount(totals.pnl)}
+            ${totals.pnl_percent !== null && totals.pnl_percent !== undefined ? `<span class="text-sm">(${Utils.formatPercentage(totals.pnl_percent)})</span>` : ''}
+          </div>
+        </div>
+        <div class="text-center">
+          <div class="text-sm text-neutral-600 mb-1">Day Change</div>
+          <div class="text-2xl font-semibold ${Utils.getPnLColorClass(totals.day_change)}">${this.formatHoldingAmount(totals.day_change)}</div>
+        </div>
+      </div>
+      ${errors ? `<div class="mt-4">${errors}</div>` : ''}
+    `;
+  }
 
-            <div class="form-group">
-              <label class="form-label">Strategy Tag</label>
-              <input type="text" name="strategy_tag" class="form-input" value="default">
-            </div>
+  renderAggregatedHoldingsTable(holdings = []) {
+    if (holdings.length === 0) {
+      return '<p class="text-center text-neutral-600 p-4">No holdings</p>';
+    }
+
+    return `
+      <div class="table-container overflow-x-auto">
+        <table class="table">
+          <thead>
+            <tr>
+              <th>Symbol</th>
+              <th class="text-right">Quantity</th>
+              <th class="text-right">Avg Price</th>
+              <th class="text-right">LTP</th>
+              <th class="text-right">P&L</th>
+              <th class="text-right">Day Change</th>
+              <th>Instances</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${holdings.map(holding => `
+              <tr>
+                <td class="font-medium">
+                  ${Utils.escapeHTML(holding.symbol)}
+                  <div class="text-xs text-neutral-500">${Utils.escapeHTML(holding.isin || holding.exchanges.join(', '))}</div>
+                </td>
+                <td class="text-right">${holding.quantity}</td>
+                <td class="text-right">${this.formatHoldingAmount(holding.average_price)}</td>
+                <td class="text-right">${this.formatHoldingAmount(holding.ltp)}</td>
+                <td class="text-right ${Utils.getPnLColorClass(holding.pnl)}">${this.formatHoldingAmount(holding.pnl)}</td>
+                <td class="text-right ${Utils.getPnLColorClass(holding.day_change)}">${this.formatHoldingAmount(holding.day_change)}</td>
+                <td class="text-sm">
+                  ${holding.instances.map(inst => `${Utils.escapeHTML(inst.instance_name)}: ${inst.quantity}`).join('<br>')}
+                </td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      </div>
+    `;
+  }
+
+  renderInstanceHoldings(inst) {
+    const totals = inst.totals || {};
+    let body;
+    if (inst.error) {
+      body = `<p class="text-center text-error-600 p-4">${Utils.escapeHTML(inst.error)}</p>`;
+    } else if (inst.holdings.length === 0) {
+      body = '<p class="text-center text-neutral-600 p-4">No holdings</p>';
+    } else {
+      body = `
+        <div class="table-container overflow-x-auto">
+          <table class="table">
+            <thead>
+              <tr>
+                <th>Symbol</th>
+                <th class="text-right">Quantity</th>
+                <th class="text-right">Avg Price</th>
+                <th class="text-right">LTP</th>
+                <th class="text-right">P&L</th>
+                <th class="text-right">Day Change</th>
+                <th class="text-center">Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              ${inst.holdings.map(holding => `
+                <tr>
+                  <td class="font-medium">
+                    ${Utils.escapeHTML(holding.symbol)}
+                    <div class="text-xs text-neutral-500">${Utils.escapeHTML(holding.exchange)}</div>
+                  </td>
+                  <td class="text-right">${holding.quantity}</td>
+                  <td class="text-right">${this.formatHoldingAmount(holding.average_price)}</td>
+                  <td class="text-right">${this.formatHoldingAmount(holding.ltp)}</td>
+                  <td class="text-right ${Utils.getPnLColorClass(holding.pnl)}">${this.formatHoldingAmount(holding.pnl)}</td>
+                  <td class="text-right ${Utils.getPnLColorClass(holding.day_change)}">${this.formatHoldingAmount(holding.day_change)}</td>
+                  <td class="text-center">
+                    <button class="btn btn-sm btn-outline"
+                            onclick="app.showHoldingExitModal(${inst.instance_id}, '${encodeURIComponent(holding.symbol)}', '${encodeURIComponent(holding.exchange)}', ${holding.quantity})">
+                      Sell
+                    </button>
+                  </td>
+                </tr>
+              `).join('')}
+            </tbody>
+          </table>
+        </div>
+      `;
+    }
+
+    return `
+      <div class="card">
+        <div class="card-header">
+          <div>
+            <h3 class="card-title">${Utils.escapeHTML(inst.instance_name)}</h3>
+            <div class="flex gap-4 mt-1 text-sm text-neutral-600">
+              <span>Broker: <span class="font-medium">${Utils.escapeHTML(inst.broker || 'N/A')}</span></span>
+              ${inst.is_analyzer_mode ? '<span class="badge badge-outline">Analyzer</span>' : ''}
+              <span>Holdings: <span class="font-medium">${inst.holdings.length}</span></span>
+              <span>P&L: <span class="font-medium ${Utils.getPnLColorClass(totals.pnl)}">${this.formatHoldingAmount(totals.pnl)}</span></span>
+              <span>Day: <span class="font-medium ${Utils.getPnLColorClass(totals.day_change)}">${this.formatHoldingAmount(totals.day_change)}</span></span>
+              ${inst.stale ? '<span class="text-warning">Stale data</span>' : ''}
+            </div>
+          </div>
+        </div>
+        <div class="p-4">${body}</div>
+      </div>
+    `;
+  }
+
+  formatHoldingAmount(value) {
+    return value === null || value === undefined ? '-' : Utils.formatCurrency(value);
+  }
+
+  async toggleHoldingsAnalyzer(includeAnalyzer) {
+    this.holdingsIncludeAnalyzer = includeAnalyzer;
+    await this.refreshCurrentView();
+  }
+
+  /**
+   * Sell a delivery holding (CNC quick order)
+   */
+  showHoldingExitModal(instanceId, encodedSymbol, encodedExchange, heldQuantity) {
+    const symbol = decodeURIComponent(encodedSymbol || '');
+    const exchange = decodeURIComponent(encodedExchange || '');
+    const instance = this.instances.find(inst => inst.id === instanceId);
+
+    const modal = document.createElement('div');
+    modal.className = 'modal-overlay';
+    modal.innerHTML = `
+      <div class="modal-content">
+        <div class="modal-header">
+          <h3>Sell ${Utils.escapeHTML(symbol)} (CNC)</h3>
+        </div>
+        <div class="modal-body">
+          <p class="text-sm text-neutral-600 mb-4">
+            ${Utils.escapeHTML(instance?.name || `Instance ${instanceId}`)} holds ${heldQuantity} ${Utils.escapeHTML(exchange)}:${Utils.escapeHTML(symbol)}
+          </p>
+          <form id="holding-exit-form">
+            <input type="hidden" name="instanceId" value="${instanceId}">
+            <input type="hidden" name="symbol" value="${Utils.escapeHTML(symbol)}">
+            <input type="hidden" name="exchange" value="${Utils.escapeHTML(exchange)}">
+            <div class="form-group">
+              <label class="form-label">Quantity</label>
+              <input type="number" name="quantity" class="form-input" min="1" max="${heldQuantity}" step="1" value="${heldQuantity}" required>
+            </div>
+            <div class="form-group">
+              <label class="form-label">Order Type</label>
+              <select name="orderType" class="form-input">
+                <option value="MARKET">MARKET</option>
+                <option value="LIMIT">LIMIT</option>
+              </select>
+            </div>
+            <div class="form-group">
+              <label class="form-label">Limit Price</label>
+              <input type="number" name="price" class="form-input" step="0.05" placeholder="Only for LIMIT">
+            </div>
+          </form>
+        </div>
+        <div class="modal-footer">
+          <button class="btn btn-secondary" onclick="this.closest('.modal-overlay').remove()">
+            Cancel
+          </button>
+          <button class="btn btn-error" onclick="app.submitHoldingExit(this)">
+            Sell
+          </button>
+        </div>
+      </div>
+    `;
+
+    document.body.appendChild(modal);
+
+    modal.addEventListener('click', (e) => {
+      if (e.target === modal) {
+        modal.remove();
+      }
+    });
+  }
+
+  async submitHoldingExit(button) {
+    const form = document.getElementById('holding-exit-form');
+    const data = Object.fromEntries(new FormData(form).entries());
+
+    button.disabled = true;
+    try {
+      const response = await api.exitHolding(parseInt(data.instanceId, 10), {
+        symbol: data.symbol,
+        exchange: data.exchange,
+        quantity: parseInt(data.quantity, 10),
+        orderType: data.orderType,
+        price: data.orderType === 'LIMIT' ? parseFloat(data.price) : 0,
+      });
+      Utils.showToast(response.message || `Sell order submitted for ${data.symbol}`, 'success');
+      form.closest('.modal-overlay').remove();
+      await this.refreshCurrentView();
+    } catch (error) {
+      button.disabled = false;
+      Utils.showToast(`Failed to sell ${data.symbol}: ${error.message}`, 'error');
+    }
+  }
+
+  /**
+   * Render Schedules View (time-based quick orders and square-offs)
+   */
+  async renderSchedulesView() {
+    const contentArea = document.getElementById('content-area');
+
+    try {
+      const [schedulesResponse, watchlistsResponse, instancesResponse] = await Promise.all([
+        api.getSchedules(),
+        api.getWatchlists(),
+        api.getInstances(),
+      ]);
+      const schedules = schedulesResponse.data || [];
+      this.scheduleSessions = schedulesResponse.sessions || [];
+      this.watchlists = watchlistsResponse.data;
+      this.instances = instancesResponse.data;
+
+      contentArea.innerHTML = `
+        <div class="card">
+          <div class="card-header items-center justify-between">
+            <div>
+              <h3 class="card-title">Schedules</h3>
+              <p class="text-sm text-neutral-600">Quick orders and square-offs at an IST time or session start. Times are IST.</p>
+            </div>
+            <button class="btn btn-primary btn-sm" onclick="app.showAddScheduleModal()">Add Schedule</button>
+          </div>
+          <div class="p-4">${this.renderSchedulesTable(schedules)}</div>
+        </div>
+      `;
+    } catch (error) {
+      contentArea.innerHTML = `
+        <div class="card">
+          <p class="text-center text-error-600">Failed to load schedules: ${Utils.escapeHTML(error.message)}</p>
+        </div>
+      `;
+    }
+  }
+
+  renderSchedulesTable(schedules = []) {
+    if (schedules.length === 0) {
+      return '<p class="text-center text-neutral-600 p-4">No schedules yet</p>';
+    }
+
+    const dayNames = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+    const describeWhen = (schedule) => {
+      const time = schedule.trigger_type === 'TIME'
+        ? schedule.time_ist
+        : `${schedule.session_label || 'Every session'} start${schedule.offset_minutes ? ` +${schedule.offset_minutes}m` : ''}`;
+      const days = schedule.run_date || schedule.days_of_week.map(day => dayNames[day]).join(', ');
+      return `${Utils.escapeHTML(time)}<div class="text-xs text-neutral-500">${Utils.escapeHTML(days)}</div>`;
+    };
+    const describeWhat = (schedule) => {
+      if (schedule.schedule_type === 'SQUARE_OFF') {
+        const scope = schedule.instance_name || schedule.watchlist_name || '-';
+        return `Square off ${Utils.escapeHTML(schedule.product)}<div class="text-xs text-neutral-500">${Utils.escapeHTML(scope)}</div>`;
+      }
+      const leg = schedule.trade_mode === 'OPTIONS' ? ` ${schedule.options_leg || ''}` : '';
+      return `${Utils.escapeHTML(schedule.action)} ${Utils.escapeHTML(schedule.symbol || '')}${Utils.escapeHTML(leg)}
+        <div class="text-xs text-neutral-500">${Utils.escapeHTML(schedule.trade_mode)} · qty ${schedule.quantity || 'symbol default'}${schedule.instance_name ? ` · ${Utils.escapeHTML(schedule.instance_name)}` : ''}</div>`;
+    };
+
+    return `
+      <div class="table-container overflow-x-auto">
+        <table class="table">
+          <thead>
+            <tr>
+              <th>Name</th>
+              <th>What</th>
+              <th>When (IST)</th>
+              <th>Next Run</th>
+              <th>Last Run</th>
+              <th class="text-center">Enabled</th>
+              <th class="text-center">Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${schedules.map(schedule => `
+              <tr>
+                <td class="font-medium">
+                  ${Utils.escapeHTML(schedule.name)}
+                  ${schedule.dry_run ? '<span class="badge badge-outline">Dry run</span>' : ''}
+                </td>
+                <td>${describeWhat(schedule)}</td>
+                <td>${describeWhen(schedule)}</td>
+                <td>${schedule.next_run ? Utils.escapeHTML(schedule.next_run) : '-'}</td>
+                <td>
+                  ${schedule.last_status ? Utils.escapeHTML(schedule.last_status) : '-'}
+                  ${schedule.last_run_at ? `<div class="text-xs text-neutral-500">${Utils.escapeHTML(Utils.formatDateTime(schedule.last_run_at))}</div>` : ''}
+                </td>
+                <td class="text-center">
+                  <input type="checkbox" class="form-checkbox" ${schedule.is_enabled ? 'checked' : ''}
+                         onchange="app.toggleSchedule(${schedule.id}, this.checked)">
+                </td>
+                <td class="text-center whitespace-nowrap">
+                  <button class="btn btn-sm btn-outline" onclick="app.showScheduleRuns(${schedule.id})">History</button>
+                  <button class="btn btn-sm btn-outline" onclick="app.runScheduleNow(${schedule.id})">Run now</button>
+                  <button class="btn btn-sm btn-error" onclick="app.deleteSchedule(${schedule.id})">Delete</button>
+                </td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      </div>
+    `;
+  }
+
+  /**
+   * Create a schedule (quick order or square-off)
+   */
+  showAddScheduleModal() {
+    const sessions = this.scheduleSessions || [];
+    const dayNames = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+    const actions = [
+      'BUY', 'SELL', 'SHORT', 'COVER', 'EXIT',
+      'BUY_CE', 'SELL_CE', 'BUY_PE', 'SELL_PE', 'EXIT_ALL',
+      'REDUCE_CE', 'REDUCE_PE', 'INCREASE_CE', 'INCREASE_PE', 'CLOSE_ALL_CE', 'CLOSE_ALL_PE',
+    ];
+
+    const modal = document.createElement('div');
+    modal.className = 'modal-overlay';
+    modal.innerHTML = `
+      <div class="modal-content">
+        <div class="modal-header">
+          <h3>Add Schedule</h3>
+        </div>
+        <div class="modal-body">
+          <form id="schedule-form" class="space-y-3">
+            <div class="form-group">
+              <label class="form-label">Name</label>
+              <input type="text" name="name" class="form-input" maxlength="100" required>
+            </div>
+            <div class="grid gap-2 sm:grid-cols-2">
+              <div class="form-group">
+                <label class="form-label">Type</label>
+                <select name="scheduleType" class="form-select" onchange="app.updateScheduleForm()">
+                  <option value="ORDER">Quick order</option>
+                  <option value="SQUARE_OFF">Square-off</option>
+                </select>
+              </div>
+              <div class="form-group">
+                <label class="form-label">Trigger</label>
+                <select name="triggerType" class="form-select" onchange="app.updateScheduleForm()">
+                  <option value="TIME">At IST time</option>
+                  <option value="SESSION_START">At session start</option>
+                </select>
+              </div>
+            </div>
+            <div class="form-group" data-schedule-trigger="TIME">
+              <label class="form-label">Time (IST)</label>
+              <input type="time" name="timeIst" class="form-input" value="15:15">
+            </div>
+            <div class="grid gap-2 sm:grid-cols-2" data-schedule-trigger="SESSION_START">
+              <div class="form-group">
+                <label class="form-label">Session</label>
+                <select name="sessionLabel" class="form-select">
+                  <option value="">Every session</option>
+                  ${sessions.map(session => `
+                    <option value="${Utils.escapeHTML(session.label)}">${Utils.escapeHTML(session.label)} (${Utils.escapeHTML(session.start)})</option>
+                  `).join('')}
+                </select>
+              </div>
+              <div class="form-group">
+                <label class="form-label">Minutes after start</label>
+                <input type="number" name="offsetMinutes" class="form-input" min="0" max="240" step="1" value="0">
+              </div>
+            </div>
+            <div class="form-group">
+              <label class="form-label">Days</label>
+              <div class="flex flex-wrap gap-3">
+                ${dayNames.map((day, index) => `
+                  <label class="inline-flex items-center gap-1 text-sm">
+                    <input type="checkbox" name="daysOfWeek" value="${index}" ${index >= 1 && index <= 5 ? 'checked' : ''}>
+                    ${day}
+                  </label>
+                `).join('')}
+              </div>
+            </div>
+            <div class="form-group">
+              <label class="form-label">Only on date (optional)</label>
+              <input type="date" name="runDate" class="form-input">
+            </div>
+            <div class="form-group">
+              <label class="form-label">Watchlist</label>
+              <select name="watchlistId" class="form-select" onchange="app.loadScheduleSymbols(this.value)">
+                <option value="">Select watchlist</option>
+                ${this.watchlists.map(wl => `<option value="${wl.id}">${Utils.escapeHTML(wl.name)}</option>`).join('')}
+              </select>
+            </div>
+            <div class="form-group" data-schedule-type="ORDER">
+              <label class="form-label">Symbol</label>
+              <select name="symbolId" class="form-select">
+                <option value="">Select a watchlist first</option>
+              </select>
+            </div>
+            <div class="form-group">
+              <label class="form-label">Instance</label>
+              <select name="instanceId" class="form-select">
+                <option value="">All instances of the watchlist</option>
+                ${this.instances.map(inst => `<option value="${inst.id}">${Utils.escapeHTML(inst.name)}</option>`).join('')}
+              </select>
+            </div>
+            <div class="grid gap-2 sm:grid-cols-3" data-schedule-type="ORDER">
+              <div class="form-group">
+                <label class="form-label">Action</label>
+                <select name="action" class="form-select">
+                  ${actions.map(action => `<option value="${action}">${action}</option>`).join('')}
+                </select>
+              </div>
+              <div class="form-group">
+                <label class="form-label">Quantity</label>
+                <input type="number" name="quantity" class="form-input" min="1" step="1" placeholder="Symbol default">
+              </div>
+              <div class="form-group">
+                <label class="form-label">Options leg</label>
+                <select name="optionsLeg" class="form-select">
+                  <option value="">Symbol default</option>
+                  ${['ITM3', 'ITM2', 'ITM1', 'ATM', 'OTM1', 'OTM2', 'OTM3'].map(leg => `<option value="${leg}">${leg}</option>`).join('')}
+                </select>
+              </div>
+            </div>
+            <div class="grid gap-2 sm:grid-cols-2">
+              <div class="form-group" data-schedule-type="ORDER">
+                <label class="form-label">Trade mode (direct actions)</label>
+                <select name="tradeMode" class="form-select">
+                  <option value="">From symbol</option>
+                  <option value="EQUITY">Equity</option>
+                  <option value="FUTURES">Futures</option>
+                </select>
+              </div>
+              <div class="form-group">
+                <label class="form-label">Product</label>
+                <select name="product" class="form-select">
+                  <option value="">Default (symbol / MIS)</option>
+                  <option value="MIS">MIS</option>
+                  <option value="NRML">NRML</option>
+                  <option value="CNC">CNC</option>
+                </select>
+              </div>
+            </div>
+            <label class="inline-flex items-center gap-2 text-sm">
+              <input type="checkbox" name="dryRun">
+              <span>Dry run (resolve only, place nothing)</span>
+            </label>
+          </form>
+        </div>
+        <div class="modal-footer">
+          <button class="btn btn-secondary" onclick="this.closest('.modal-overlay').remove()">
+            Cancel
+          </button>
+          <button class="btn btn-primary" onclick="app.submitSchedule(this)">
+            Save
+          </button>
+        </div>
+      </div>
+    `;
+
+    document.body.appendChild(modal);
+    this.updateScheduleForm();
+
+    modal.addEventListener('click', (e) => {
+      if (e.target === modal) {
+        modal.remove();
+      }
+    });
+  }
+
+  /**
+   * Show the fields that apply to the selected schedule type and trigger
+   */
+  updateScheduleForm() {
+    const form = document.getElementById('schedule-form');
+    if (!form) return;
+
+    form.querySelectorAll('[data-schedule-type]').forEach((el) => {
+      el.style.display = el.dataset.scheduleType === form.scheduleType.value ? '' : 'none';
+    });
+    form.querySelectorAll('[data-schedule-trigger]').forEach((el) => {
+      el.style.display = el.dataset.scheduleTrigger === form.triggerType.value ? '' : 'none';
+    });
+  }
+
+  async loadScheduleSymbols(watchlistId) {
+    const select = document.querySelector('#schedule-form select[name="symbolId"]');
+    if (!select) return;
+
+    if (!watchlistId) {
+      select.innerHTML = '<option value="">Select a watchlist first</option>';
+      return;
+    }
+
+    try {
+      const response = await api.getWatchlistSymbols(watchlistId);
+      select.innerHTML = (response.data || []).map(symbol => `
+        <option value="${symbol.id}">${Utils.escapeHTML(symbol.exchange)}:${Utils.escapeHTML(symbol.symbol)}</option>
+      `).join('') || '<option value="">No symbols in this watchlist</option>';
+    } catch (error) {
+      Utils.showToast(`Failed to load symbols: ${error.message}`, 'error');
+    }
+  }
+
+  async submitSchedule(button) {
+    const form = document.getElementById('schedule-form');
+    const data = Object.fromEntries(new FormData(form).entries());
+    const isOrder = data.scheduleType === 'ORDER';
+
+    const payload = {
+      name: data.name,
+      scheduleType: data.scheduleType,
+      triggerType: data.triggerType,
+      daysOfWeek: Array.from(form.querySelectorAll('input[name="daysOfWeek"]:checked')).map(el => parseInt(el.value, 10)),
+      runDate: data.runDate || null,
+      instanceId: data.instanceId ? parseInt(data.instanceId, 10) : null,
+      product: data.product || null,
+      dryRun: form.dryRun.checked,
+    };
+
+    if (data.triggerType === 'TIME') {
+      payload.timeIst = data.timeIst;
+    } else {
+      payload.sessionLabel = data.sessionLabel || null;
+      payload.offsetMinutes = parseInt(data.offsetMinutes, 10) || 0;
+    }
+
+    if (isOrder) {
+      Object.assign(payload, {
+        symbolId: data.symbolId ? parseInt(data.symbolId, 10) : null,
+        action: data.action,
+        quantity: data.quantity ? parseInt(data.quantity, 10) : null,
+        optionsLeg: data.optionsLeg || null,
+        tradeMode: data.tradeMode || null,
+      });
+    } else {
+      payload.watchlistId = data.watchlistId ? parseInt(data.watchlistId, 10) : null;
+    }
+
+    button.disabled = true;
+    try {
+      await api.createSchedule(payload);
+      Utils.showToast(`Schedule ${data.name} created`, 'success');
+      form.closest('.modal-overlay').remove();
+      await this.refreshCurrentView();
+    } catch (error) {
+      button.disabled = false;
+      Utils.showToast(`Failed to create schedule: ${error.message}`, 'error');
+    }
+  }
+
+  async toggleSchedule(scheduleId, enabled) {
+    try {
+      await api.updateSchedule(scheduleId, { isEnabled: enabled });
+      Utils.showToast(`Schedule ${enabled ? 'enabled' : 'disabled'}`, 'success');
+      await this.refreshCurrentView();
+    } catch (error) {
+      Utils.showToast(error.message, 'error');
+      await this.refreshCurrentView();
+    }
+  }
+
+  async runScheduleNow(scheduleId) {
+    const confirmed = await Utils.confirm(
+      'Run this schedule now? Orders are placed (or positions closed) immediately.',
+      'Run Schedule'
+    );
+
+    if (!confirmed) return;
+
+    try {
+      const response = await api.runSchedule(scheduleId);
+      const run = response.data || {};
+      Utils.showToast(`${run.status || 'done'}: ${response.message}`, run.status === 'failed' ? 'error' : 'success');
+      await this.refreshCurrentView();
+    } catch (error) {
+      Utils.showToast(error.message, 'error');
+    }
+  }
+
+  async deleteSchedule(scheduleId) {
+    const confirmed = await Utils.confirm(
+      'Delete this schedule and its run history?',
+      'Delete Schedule'
+    );
+
+    if (!confirmed) return;
+
+    try {
+      await api.deleteSchedule(scheduleId);
+      Utils.showToast('Schedule deleted', 'success');
+      await this.refreshCurrentView();
+    } catch (error) {
+      Utils.showToast(error.message, 'error');
+    }
+  }
+
+  async showScheduleRuns(scheduleId) {
+    try {
+      const response = await api.getScheduleRuns(scheduleId);
+      const runs = response.data || [];
+
+      const modal = document.createElement('div');
+      modal.className = 'modal-overlay';
+      modal.innerHTML = `
+        <div class="modal-content">
+          <div class="modal-header">
+            <h3>Run History</h3>
+          </div>
+          <div class="modal-body">
+            ${runs.length === 0 ? '<p class="text-center text-neutral-600">No runs yet</p>' : `
+              <div class="table-container overflow-x-auto">
+                <table class="table">
+                  <thead>
+                    <tr>
+                      <th>Run</th>
+                      <th>Status</th>
+                      <th>Message</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    ${runs.map(run => `
+                      <tr>
+                        <td class="whitespace-nowrap">${Utils.escapeHTML(run.run_key.startsWith('manual|') ? `Manual (${Utils.formatDateTime(run.started_at)})` : run.run_key.replace('|', ' '))}</td>
+                        <td>${Utils.escapeHTML(run.status)}</td>
+                        <td class="text-sm">${Utils.escapeHTML(run.message || '')}</td>
+                      </tr>
+                    `).join('')}
+                  </tbody>
+                </table>
+              </div>
+            `}
+          </div>
+          <div class="modal-footer">
+            <button class="btn btn-secondary" onclick="this.closest('.modal-overlay').remove()">
+              Close
+            </button>
+          </div>
+        </div>
+      `;
+
+      document.body.appendChild(modal);
+      modal.addEventListener('click', (e) => {
+        if (e.target === modal) {
+          modal.remove();
+        }
+      });
+    } catch (error) {
+      Utils.showToast(`Failed to load run history: ${error.message}`, 'error');
+    }
+  }
+
+  /**
+   * Render Triggers View (quick orders fired when LTP crosses a price)
+   */
+  async renderTriggersView() {
+    const contentArea = document.getElementById('content-area');
+
+    try {
+      const [triggersResponse, watchlistsResponse, instancesResponse] = await Promise.all([
+        api.getTriggers(),
+        api.getWatchlists(),
+        api.getInstances(),
+      ]);
+      this.watchlists = watchlistsResponse.data;
+      this.instances = instancesResponse.data;
+
+      contentArea.innerHTML = `
+        <div class="card">
+          <div class="card-header items-center justify-between">
+            <div>
+              <h3 class="card-title">Price Triggers</h3>
+              <p class="text-sm text-neutral-600">Run a quick order once when a symbol's LTP crosses above or below a price.</p>
+            </div>
+            <button class="btn btn-primary btn-sm" onclick="app.showAddTriggerModal()">Add Trigger</button>
+          </div>
+          <div class="p-4">${this.renderTriggersTable(triggersResponse.data || [])}</div>
+        </div>
+      `;
+    } catch (error) {
+      contentArea.innerHTML = `
+        <div class="card">
+          <p class="text-center text-error-600">Failed to load triggers: ${Utils.escapeHTML(error.message)}</p>
+        </div>
+      `;
+    }
+  }
+
+  renderTriggersTable(triggers = []) {
+    if (triggers.length === 0) {
+      return '<p class="text-center text-neutral-600 p-4">No triggers yet</p>';
+    }
+
+    const statusClass = {
+      active: 'badge-success',
+      firing: 'badge-warning',
+      triggered: 'badge-info',
+      failed: 'badge-error',
+      cancelled: 'badge-outline',
+    };
+    const instanceNames = (ids) => {
+      if (!ids) return 'All watchlist instances';
+      return ids.map(id => this.instances.find(inst => inst.id === id)?.name || `#${id}`).join(', ');
+    };
+
+    return `
+      <div class="table-container overflow-x-auto">
+        <table class="table">
+          <thead>
+            <tr>
+              <th>Name</th>
+              <th>When</th>
+              <th>Then</th>
+              <th>LTP</th>
+              <th>Status</th>
+              <th class="text-center">Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${triggers.map(trigger => `
+              <tr>
+                <td class="font-medium">
+                  ${Utils.escapeHTML(trigger.name)}
+                  ${trigger.dry_run ? '<span class="badge badge-outline">Dry run</span>' : ''}
+                </td>
+                <td>
+                  ${Utils.escapeHTML(trigger.exchange)}:${Utils.escapeHTML(trigger.symbol)}
+                  <div class="text-xs text-neutral-500">${trigger.condition === 'CROSS_ABOVE' ? 'crosses above' : 'crosses below'} ${Utils.formatNumber(trigger.trigger_price)}</div>
+                </td>
+                <td>
+                  ${Utils.escapeHTML(trigger.action)}${trigger.trade_mode === 'OPTIONS' && trigger.options_leg ? ` ${Utils.escapeHTML(trigger.options_leg)}` : ''}
+                  <div class="text-xs text-neutral-500">${Utils.escapeHTML(trigger.trade_mode)} · qty ${trigger.quantity || 'symbol default'} · ${Utils.escapeHTML(instanceNames(trigger.instance_ids))}</div>
+                </td>
+                <td class="whitespace-nowrap">
+                  ${trigger.status === 'active'
+                    ? (trigger.last_ltp ?? trigger.reference_ltp) !== null ? Utils.formatNumber(trigger.last_ltp ?? trigger.reference_ltp) : '-'
+                    : trigger.triggered_ltp !== null ? Utils.formatNumber(trigger.triggered_ltp) : '-'}
+                  <div class="text-xs text-neutral-500">at creation ${trigger.reference_ltp !== null ? Utils.formatNumber(trigger.reference_ltp) : '-'}</div>
+                </td>
+                <td>
+                  <span class="badge ${statusClass[trigger.status] || 'badge-outline'}">${Utils.escapeHTML(trigger.status)}</span>
+                  ${trigger.message ? `<div class="text-xs text-neutral-500">${Utils.escapeHTML(trigger.message)}</div>` : ''}
+                  ${trigger.triggered_at ? `<div class="text-xs text-neutral-500">${Utils.escapeHTML(Utils.formatDateTime(trigger.triggered_at))}</div>` : ''}
+                </td>
+                <td class="text-center whitespace-nowrap">
+                  ${trigger.status === 'active' ? `<button class="btn btn-sm btn-outline" onclick="app.cancelTrigger(${trigger.id})">Cancel</button>` : ''}
+                  <button class="btn btn-sm btn-error" onclick="app.deleteTrigger(${trigger.id})">Delete</button>
+                </td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      </div>
+    `;
+  }
+
+  /**
+   * Create a price trigger
+   */
+  showAddTriggerModal() {
+    const actions = [
+      'BUY', 'SELL', 'SHORT', 'COVER', 'EXIT',
+      'BUY_CE', 'SELL_CE', 'BUY_PE', 'SELL_PE', 'EXIT_ALL',
+      'REDUCE_CE', 'REDUCE_PE', 'INCREASE_CE', 'INCREASE_PE', 'CLOSE_ALL_CE', 'CLOSE_ALL_PE',
+    ];
+
+    const modal = document.createElement('div');
+    modal.className = 'modal-overlay';
+    modal.innerHTML = `
+      <div class="modal-content">
+        <div class="modal-header">
+          <h3>Add Price Trigger</h3>
+        </div>
+        <div class="modal-body">
+          <form id="trigger-form" class="space-y-3">
+            <div class="form-group">
+              <label class="form-label">Name (optional)</label>
+              <input type="text" name="name" class="form-input" maxlength="100">
+            </div>
+            <div class="grid gap-2 sm:grid-cols-2">
+              <div class="form-group">
+                <label class="form-label">Watchlist</label>
+                <select name="watchlistId" class="form-select" onchange="app.loadTriggerSymbols(this.value)">
+                  <option value="">Select watchlist</option>
+                  ${this.watchlists.map(wl => `<option value="${wl.id}">${Utils.escapeHTML(wl.name)}</option>`).join('')}
+                </select>
+              </div>
+              <div class="form-group">
+                <label class="form-label">Symbol</label>
+                <select name="symbolId" class="form-select">
+                  <option value="">Select a watchlist first</option>
+                </select>
+              </div>
+            </div>
+            <div class="grid gap-2 sm:grid-cols-2">
+              <div class="form-group">
+                <label class="form-label">When LTP</label>
+                <select name="condition" class="form-select">
+                  <option value="CROSS_ABOVE">Crosses above</option>
+                  <option value="CROSS_BELOW">Crosses below</option>
+                </select>
+              </div>
+              <div class="form-group">
+                <label class="form-label">Price</label>
+                <input type="number" name="triggerPrice" class="form-input" min="0" step="0.05" required>
+              </div>
+            </div>
+            <div class="grid gap-2 sm:grid-cols-3">
+              <div class="form-group">
+                <label class="form-label">Action</label>
+                <select name="action" class="form-select">
+                  ${actions.map(action => `<option value="${action}">${action}</option>`).join('')}
+                </select>
+              </div>
+              <div class="form-group">
+                <label class="form-label">Quantity</label>
+                <input type="number" name="quantity" class="form-input" min="1" step="1" placeholder="Symbol default">
+              </div>
+              <div class="form-group">
+                <label class="form-label">Options leg</label>
+                <select name="optionsLeg" class="form-select">
+                  <option value="">Symbol default</option>
+                  ${['ITM3', 'ITM2', 'ITM1', 'ATM', 'OTM1', 'OTM2', 'OTM3'].map(leg => `<option value="${leg}">${leg}</option>`).join('')}
+                </select>
+              </div>
+            </div>
+            <div class="grid gap-2 sm:grid-cols-2">
+              <div class="form-group">
+                <label class="form-label">Trade mode (direct actions)</label>
+                <select name="tradeMode" class="form-select">
+                  <option value="">From symbol</option>
+                  <option value="EQUITY">Equity</option>
+                  <option value="FUTURES">Futures</option>
+                </select>
+              </div>
+              <div class="form-group">
+                <label class="form-label">Product</label>
+                <select name="product" class="form-select">
+                  <option value="">Default (symbol / MIS)</option>
+                  <option value="MIS">MIS</option>
+                  <option value="NRML">NRML</option>
+                  <option value="CNC">CNC</option>
+                </select>
+              </div>
+            </div>
+            <div class="form-group">
+              <label class="form-label">Instances (none checked = all instances of the watchlist)</label>
+              <div class="flex flex-wrap gap-3">
+                ${this.instances.map(inst => `
+                  <label class="inline-flex items-center gap-1 text-sm">
+                    <input type="checkbox" name="instanceIds" value="${inst.id}">
+                    ${Utils.escapeHTML(inst.name)}
+                  </label>
+                `).join('')}
+              </div>
+            </div>
+            <label class="inline-flex items-center gap-2 text-sm">
+              <input type="checkbox" name="dryRun">
+              <span>Dry run (resolve only, place nothing)</span>
+            </label>
+          </form>
+        </div>
+        <div class="modal-footer">
+          <button class="btn btn-secondary" onclick="this.closest('.modal-overlay').remove()">
+            Cancel
+          </button>
+          <button class="btn btn-primary" onclick="app.submitTrigger(this)">
+            Save
+          </button>
+        </div>
+      </div>
+    `;
+
+    document.body.appendChild(modal);
+
+    modal.addEventListener('click', (e) => {
+      if (e.target === modal) {
+        modal.remove();
+      }
+    });
+  }
+
+  async loadTriggerSymbols(watchlistId) {
+    const select = document.querySelector('#trigger-form select[name="symbolId"]');
+    if (!select) return;
+
+    if (!watchlistId) {
+      select.innerHTML = '<option value="">Select a watchlist first</option>';
+      return;
+    }
+
+    try {
+      const response = await api.getWatchlistSymbols(watchlistId);
+      select.innerHTML = (response.data || []).map(symbol => `
+        <option value="${symbol.id}">${Utils.escapeHTML(symbol.exchange)}:${Utils.escapeHTML(symbol.symbol)}</option>
+      `).join('') || '<option value="">No symbols in this watchlist</option>';
+    } catch (error) {
+      Utils.showToast(`Failed to load symbols: ${error.message}`, 'error');
+    }
+  }
+
+  async submitTrigger(button) {
+    const form = document.getElementById('trigger-form');
+    const data = Object.fromEntries(new FormData(form).entries());
+
+    const payload = {
+      name: data.name || null,
+      symbolId: data.symbolId ? parseInt(data.symbolId, 10) : null,
+      condition: data.condition,
+      triggerPrice: parseFloat(data.triggerPrice),
+      action: data.action,
+      quantity: data.quantity ? parseInt(data.quantity, 10) : null,
+      optionsLeg: data.optionsLeg || null,
+      tradeMode: data.tradeMode || null,
+      product: data.product || null,
+      instanceIds: Array.from(form.querySelectorAll('input[name="instanceIds"]:checked')).map(el => parseInt(el.value, 10)),
+      dryRun: form.dryRun.checked,
+    };
+
+    button.disabled = true;
+    try {
+      const response = await api.createTrigger(payload);
+      Utils.showToast(`Trigger ${response.data.name} armed`, 'success');
+      form.closest('.modal-overlay').remove();
+      await this.refreshCurrentView();
+    } catch (error) {
+      button.disabled = false;
+      Utils.showToast(`Failed to create trigger: ${error.message}`, 'error');
+    }
+  }
+
+  async cancelTrigger(triggerId) {
+    const confirmed = await Utils.confirm(
+      'Cancel this trigger? It will no longer fire.',
+      'Cancel Trigger'
+    );
+
+    if (!confirmed) return;
+
+    try {
+      await api.cancelTrigger(triggerId);
+      Utils.showToast('Trigger cancelled', 'success');
+      await this.refreshCurrentView();
+    } catch (error) {
+      Utils.showToast(error.message, 'error');
+    }
+  }
+
+  async deleteTrigger(triggerId) {
+    const confirmed = await Utils.confirm(
+      'Delete this trigger?',
+      'Delete Trigger'
+    );
+
+    if (!confirmed) return;
+
+    try {
+      await api.deleteTrigger(triggerId);
+      Utils.showToast('Trigger deleted', 'success');
+      await this.refreshCurrentView();
+    } catch (error) {
+      Utils.showToast(error.message, 'error');
+    }
+  }
+
+  /**
+   * Show add instance modal
+   */
+  showAddInstanceModal() {
+    const modal = document.createElement('div');
+    modal.className = 'modal-overlay symbol-search-modal';
+    modal.innerHTML = `
+      <div class="modal-content">
+        <div class="modal-header">
+          <h3>Add Instance</h3>
+        </div>
+        <div class="modal-body">
+          <form id="add-instance-form">
+            <div class="form-group">
+              <label class="form-label">Instance Name *</label>
+              <input type="text" name="name" class="form-input" required>
+            </div>
+
+            <div class="form-group">
+              <label class="form-label">Host URL *</label>
+              <input type="url" name="host_url" id="instance-host-url" class="form-input"
+                     placeholder="http://localhost:5000" required>
+            </div>
+
+            <div class="form-group">
+              <label class="form-label">API Key *</label>
+              <input type="text" name="api_key" id="instance-api-key" class="form-input" required>
+            </div>
+
+            <div class="form-group">
+              <label class="form-label">Broker (auto-detected)</label>
+              <div style="display: flex; gap: 0.5rem; align-items: center;">
+                <input type="text" name="broker" id="instance-broker" class="form-input" readonly
+                       placeholder="Click 'Test Connection' to detect">
+                <button type="button" class="btn btn-secondary btn-sm"
+                        onclick="app.testInstanceConnection()">
+                  Test Connection
+                </button>
+              </div>
+              <small id="connection-status" class="form-help" style="display: block; margin-top: 0.25rem;"></small>
+            </div>
+
+            <div class="form-group">
+              <label class="form-label">Verify API Key</label>
+              <button type="button" class="btn btn-secondary btn-sm" style="width: 100%;"
+                      onclick="app.testInstanceApiKey()">
+                Test API Key with Funds Endpoint
+              </button>
+              <small id="apikey-status" class="form-help" style="display: block; margin-top: 0.25rem;"></small>
+            </div>
+
+            <div class="form-group">
+              <label class="form-label">Market Data</label>
+              <label class="inline-flex items-center gap-2">
+                <input type="checkbox" name="market_data_enabled" class="form-checkbox">
+                <span>Use this instance for market data</span>
+              </label>
+              <small class="form-help" style="display: block; margin-top: 0.25rem; color: var(--color-neutral-600);">
+                Enabled instances will be pooled and load-balanced for quotes/LTP/depth.
+              </small>
+            </div>
+
+            <div class="form-group">
+              <label class="form-label">Strategy Tag</label>
+              <input type="text" name="strategy_tag" class="form-input" value="default">
+            </div>
 
             <div class="form-group">
               <label class="form-label">Session Target Profit</label>
@@ -2966,6 +4463,34 @@ class DashboardApp {
                 ${autoExitFieldsHtml}
               </div>
             </div>
+            <div class="border rounded-lg bg-neutral-50 p-4 space-y-3">
+              <label class="flex items-center gap-3 cursor-pointer">
+                <input type="checkbox" name="chase_enabled" ${symbolData.chase_enabled ? 'checked' : ''}>
+                <div>
+                  <p class="text-sm font-semibold text-neutral-600">Chase unfilled LIMIT orders</p>
+                  <p class="text-xs text-neutral-500">Reprice open LIMIT quick orders toward the LTP until the slippage budget is spent.</p>
+                </div>
+              </label>
+              <div class="grid gap-2 sm:grid-cols-3">
+                <div class="form-group">
+                  <label class="form-label">Every (seconds)</label>
+                  <input type="number" name="chase_interval_seconds" class="form-input" min="2" step="1"
+                         value="${Utils.escapeHTML(String(symbolData.chase_interval_seconds ?? 5))}">
+                </div>
+                <div class="form-group">
+                  <label class="form-label">Max slippage (%)</label>
+                  <input type="number" name="chase_max_slippage_percent" class="form-input" min="0" max="20" step="0.1"
+                         value="${Utils.escapeHTML(String(symbolData.chase_max_slippage_percent ?? 1))}">
+                </div>
+                <div class="form-group">
+                  <label class="form-label">Then</label>
+                  <select name="chase_on_exhausted" class="form-select">
+                    <option value="MARKET" ${symbolData.chase_on_exhausted !== 'CANCEL' ? 'selected' : ''}>Convert to MARKET</option>
+                    <option value="CANCEL" ${symbolData.chase_on_exhausted === 'CANCEL' ? 'selected' : ''}>Cancel order</option>
+                  </select>
+                </div>
+              </div>
+            </div>
           </form>
         </div>
         <div class="modal-footer">
@@ -3077,6 +4602,10 @@ class DashboardApp {
         tradable_options: tradableOptions,
         underlying_symbol: underlyingSymbol,
         ...autoExitData,
+        chase_enabled: form.chase_enabled.checked,
+        chase_interval_seconds: parseInt(form.chase_interval_seconds.value, 10) || 5,
+        chase_max_slippage_percent: readAutoExitValue('chase_max_slippage_percent') ?? 1,
+        chase_on_exhausted: form.chase_on_exhausted.value,
       };
 
       if (context.mode === 'edit' && context.symbolId) {
@@ -3259,6 +4788,59 @@ class DashboardApp {
     }
   }
 
+  /**
+   * Open the inline editor for a pending order
+   */
+  startOrderEdit(instanceId, orderId) {
+    this.editingOrder = { instanceId, orderId };
+    this.renderOrdersPanel(this.orderbookPayload);
+  }
+
+  cancelOrderEdit() {
+    this.editingOrder = null;
+    this.renderOrdersPanel(this.orderbookPayload);
+  }
+
+  /**
+   * Modify order from the inline editor
+   */
+  async saveOrderEdit(instanceId, orderId, fieldPrefix) {
+    const readField = (suffix) => {
+      const input = document.getElementById(`${fieldPrefix}-${suffix}`);
+      return input && input.value !== '' ? input.value : undefined;
+    };
+    const applyToGroup = !!document.getElementById(`${fieldPrefix}-group`)?.checked;
+
+    // Sibling orders and split slices keep their own quantities
+    const qtyInput = document.getElementById(`${fieldPrefix}-qty`);
+    if (applyToGroup && qtyInput && qtyInput.value !== qtyInput.defaultValue) {
+      Utils.showToast('Quantity can only be changed per order - untick "apply to all instances"', 'warning');
+      return;
+    }
+
+    try {
+      const response = await api.modifyOrder(orderId, {
+        instanceId,
+        price: readField('price'),
+        trigger_price: readField('trigger'),
+        quantity: applyToGroup ? undefined : readField('qty'),
+        applyToGroup,
+      });
+
+      const summary = response.data?.summary;
+      if (summary && summary.failed > 0) {
+        Utils.showToast(response.message, 'warning');
+      } else {
+        Utils.showToast(response.message || 'Order modified', 'success');
+      }
+
+      this.editingOrder = null;
+      await this.loadOrders(this.currentOrderFilter);
+    } catch (error) {
+      Utils.showToast('Failed to modify order: ' + error.message, 'error');
+    }
+  }
+
   async cancelAllOrders(instanceId) {
     const confirmed = await Utils.confirm(
       'Cancel all pending/open orders for this instance?',
@@ -3763,6 +5345,23 @@ class DashboardApp {
                 </small>
               </div>
 
+              <div class="form-group">
+                <label class="form-label">Streaming (WebSocket)</label>
+                <select name="websocket_role" class="form-input">
+                  ${['none', 'primary', 'secondary'].map(role => `
+                    <option value="${role}" ${(instance.websocket_role || 'none') === role ? 'selected' : ''}>
+                      ${role.charAt(0).toUpperCase() + role.slice(1)}
+                    </option>
+                  `).join('')}
+                </select>
+                <input type="text" name="websocket_url" class="form-input" style="margin-top: 0.5rem;"
+                       placeholder="ws://127.0.0.1:8765"
+                       value="${Utils.escapeHTML(instance.websocket_url || '')}">
+                <small class="form-help" style="display: block; margin-top: 0.25rem; color: var(--color-neutral-600);">
+                  The primary (or secondary) streaming instance pushes live ticks; REST polling is used when the stream drops.
+                </small>
+              </div>
+
               <div class="form-group">
                 <label class="form-label">Strategy Tag</label>
                 <input type="text" name="strategy_tag" class="form-input"
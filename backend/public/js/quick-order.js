@@ -22,6 +22,13 @@ class QuickOrderHandler {
     this.optionPreviewRequestIds = new Map(); // symbolId -> latest request token
     this.futuresPreviewTimers = new Map();
     this.futuresPreviewRequestIds = new Map();
+    this.inflightIntents = new Map(); // order payload -> intent_id while the request is in flight
+    this.selectedOrderTypes = new Map(); // symbolId -> 'MARKET' | 'LIMIT' | 'SMART_LIMIT'
+    this.limitPrices = new Map(); // symbolId -> LIMIT price
+    this.limitPricings = new Map(); // symbolId -> 'MID' | 'BID' | 'ASK' | 'TICKS'
+    this.limitTicks = new Map(); // symbolId -> ticks through the spread (TICKS pricing)
+    this.depthTimers = new Map(); // symbolId -> interval id
+    this.depthRequestIds = new Map(); // symbolId -> latest request token
   }
 
   /**
@@ -47,6 +54,7 @@ class QuickOrderHandler {
         this.expandedRows.delete(rowKey);
         this.stopOptionPreviewPolling(symbolId);
         this.stopFuturesPreviewPolling(symbolId);
+        this.stopDepthPolling(symbolId);
       } else {
         // Expand
         expansionRow.style.display = 'table-row';
@@ -187,6 +195,11 @@ class QuickOrderHandler {
         operatingMode: this.operatingModes.get(symbolId),
         strikePolicy: this.strikePolicies.get(symbolId),
         writerGuard: this.writerGuards.get(symbolId),
+        orderType: this.selectedOrderTypes.get(symbolId) || 'MARKET',
+        limitPricing: this.limitPricings.get(symbolId) || 'MID',
+        limitTicks: this.limitTicks.get(symbolId) || 1,
+        limitPrice: this.limitPrices.get(symbolId) || '',
+        showDepth: this.hasMarketDepth(symbolType, exchange),
       });
 
       if (tradeMode === 'OPTIONS' && capabilities.options) {
@@ -199,6 +212,9 @@ class QuickOrderHandler {
       } else {
         this.stopFuturesPreviewPolling(symbolId);
       }
+      if (this.hasMarketDepth(symbolType, exchange)) {
+        this.startDepthPolling(symbolId, exchange, symbol);
+      }
 
       contentDiv.dataset.loaded = 'true';
     } catch (error) {
@@ -223,7 +239,7 @@ class QuickOrderHandler {
   /**
    * Render trading controls UI
    */
-  renderTradingControls({ watchlistId, symbolId, symbol, exchange, symbolType, tradeMode, capabilities = {}, availableModes = [], optionsLeg, quantity, expiries, selectedExpiry, selectedProduct, operatingMode, strikePolicy, writerGuard }) {
+  renderTradingControls({ watchlistId, symbolId, symbol, exchange, symbolType, tradeMode, capabilities = {}, availableModes = [], optionsLeg, quantity, expiries, selectedExpiry, selectedProduct, operatingMode, strikePolicy, writerGuard, orderType = 'MARKET', limitPricing = 'MID', limitTicks = 1, limitPrice = '', showDepth = false }) {
     const showOptionsLeg = tradeMode === 'OPTIONS' && capabilities.options;
     const showExpirySelector =
       (tradeMode === 'FUTURES' && capabilities.futures) ||
@@ -395,6 +411,60 @@ class QuickOrderHandler {
            </select>`
     );
 
+    const orderTypeField = renderField(
+      'Order Type',
+      'Limit sends your price (chased toward the LTP when the symbol has chasing enabled). Smart limit prices each order off live market depth (bid, ask, mid or N ticks through the spread) and reprices it a few times while unfilled.',
+      `<div class="flex gap-2">
+        <select class="form-select"
+                data-symbol-id="${symbolId}"
+                onchange="quickOrder.selectOrderType(${symbolId}, this.value)">
+          <option value="MARKET" ${orderType === 'MARKET' ? 'selected' : ''}>Market</option>
+          <option value="LIMIT" ${orderType === 'LIMIT' ? 'selected' : ''}>Limit</option>
+          <option value="SMART_LIMIT" ${orderType === 'SMART_LIMIT' ? 'selected' : ''}>Smart Limit</option>
+        </select>
+        ${orderType === 'LIMIT' ? `
+          <input type="number"
+                 class="input-quantity"
+                 value="${limitPrice}"
+                 min="0"
+                 step="0.05"
+                 placeholder="Price"
+                 onchange="quickOrder.updateLimitPrice(${symbolId}, this.value)"
+                 title="Limit price sent to every instance">
+        ` : ''}
+        ${orderType === 'SMART_LIMIT' ? `
+          <select class="form-select"
+                  data-symbol-id="${symbolId}"
+                  onchange="quickOrder.selectLimitPricing(${symbolId}, this.value)">
+            <option value="MID" ${limitPricing === 'MID' ? 'selected' : ''}>Mid</option>
+            <option value="BID" ${limitPricing === 'BID' ? 'selected' : ''}>Best Bid</option>
+            <option value="ASK" ${limitPricing === 'ASK' ? 'selected' : ''}>Best Ask</option>
+            <option value="TICKS" ${limitPricing === 'TICKS' ? 'selected' : ''}>Ticks through spread</option>
+          </select>
+          ${limitPricing === 'TICKS' ? `
+            <input type="number"
+                   class="input-quantity"
+                   value="${limitTicks}"
+                   min="0"
+                   step="1"
+                   onchange="quickOrder.updateLimitTicks(${symbolId}, this.value)"
+                   title="Ticks above the best bid (buys) or below the best ask (sells)">
+          ` : ''}
+        ` : ''}
+      </div>`
+    );
+
+    const depthBlock = showDepth
+      ? `
+        <div
+          class="depth-ladder-card border border-base-300 rounded-xl p-3 bg-base-100/80"
+          id="depth-ladder-${symbolId}"
+          aria-live="polite">
+          <p class="text-sm text-neutral-500">Loading market depth…</p>
+        </div>
+      `
+      : '';
+
     const futuresPreviewBlock = tradeMode === 'FUTURES' && capabilities.futures
       ? `
         <div
@@ -427,7 +497,9 @@ class QuickOrderHandler {
           ${operatingModeField}
           ${strikePolicyField}
           ${quantityField}
+          ${orderTypeField}
         </div>
+        ${depthBlock}
         ${futuresPreviewBlock}
         ${optionPreviewBlock}
         <div class="quick-order-actions">
@@ -774,6 +846,37 @@ class QuickOrderHandler {
     this.triggerFuturesPreviewRefresh(symbolId);
   }
 
+  /**
+   * Select MARKET or SMART_LIMIT order type
+   */
+  selectOrderType(symbolId, orderType) {
+    this.selectedOrderTypes.set(symbolId, ['LIMIT', 'SMART_LIMIT'].includes(orderType) ? orderType : 'MARKET');
+    this.reloadExpansionContent(symbolId);
+  }
+
+  /**
+   * Select how smart limit orders are priced from depth
+   */
+  selectLimitPricing(symbolId, pricing) {
+    this.limitPricings.set(symbolId, pricing);
+    this.reloadExpansionContent(symbolId);
+  }
+
+  /**
+   * Update the price for LIMIT orders
+   */
+  updateLimitPrice(symbolId, value) {
+    const price = parseFloat(value);
+    this.limitPrices.set(symbolId, Number.isFinite(price) && price > 0 ? price : null);
+  }
+
+  /**
+   * Update ticks through the spread for TICKS pricing
+   */
+  updateLimitTicks(symbolId, value) {
+    this.limitTicks.set(symbolId, Math.max(0, parseInt(value, 10) || 0));
+  }
+
   /**
    * Update quantity
    */
@@ -972,6 +1075,112 @@ class QuickOrderHandler {
     `;
   }
 
+  /**
+   * Depth is only published for tradable instruments, not index values
+   */
+  hasMarketDepth(symbolType, exchange) {
+    return symbolType !== 'INDEX' && !(exchange || '').toUpperCase().endsWith('_INDEX');
+  }
+
+  startDepthPolling(symbolId, exchange, symbol) {
+    this.stopDepthPolling(symbolId);
+    const execute = () => this.refreshDepth(symbolId, exchange, symbol);
+    execute();
+    const intervalId = setInterval(execute, 5000);
+    this.depthTimers.set(symbolId, intervalId);
+  }
+
+  stopDepthPolling(symbolId) {
+    if (this.depthTimers.has(symbolId)) {
+      clearInterval(this.depthTimers.get(symbolId));
+      this.depthTimers.delete(symbolId);
+    }
+    this.depthRequestIds.delete(symbolId);
+  }
+
+  stopAllDepthPolling() {
+    this.depthTimers.forEach(intervalId => clearInterval(intervalId));
+    this.depthTimers.clear();
+    this.depthRequestIds.clear();
+  }
+
+  async refreshDepth(symbolId, exchange, symbol) {
+    const container = document.getElementById(`depth-ladder-${symbolId}`);
+    if (!container) {
+      this.stopDepthPolling(symbolId);
+      return;
+    }
+
+    const requestId = (this.depthRequestIds.get(symbolId) || 0) + 1;
+    this.depthRequestIds.set(symbolId, requestId);
+
+    try {
+      const response = await api.getMarketDepth(exchange, symbol);
+      if (this.depthRequestIds.get(symbolId) !== requestId) {
+        return;
+      }
+      this.renderDepthLadder(symbolId, response?.data || response);
+    } catch (error) {
+      if (this.depthRequestIds.get(symbolId) !== requestId) {
+        return;
+      }
+      const message = error?.message || 'Failed to load market depth';
+      container.innerHTML = `<p class="text-sm text-error">${Utils.escapeHTML(message)}</p>`;
+    }
+  }
+
+  renderDepthLadder(symbolId, depth) {
+    const container = document.getElementById(`depth-ladder-${symbolId}`);
+    if (!container) {
+      return;
+    }
+
+    if (!depth || (depth.bids.length === 0 && depth.asks.length === 0)) {
+      container.innerHTML = '<p class="text-sm text-neutral-500">No market depth available.</p>';
+      return;
+    }
+
+    const levels = Math.max(depth.bids.length, depth.asks.length);
+    const maxQty = Math.max(1, ...depth.bids.map(l => l.quantity), ...depth.asks.map(l => l.quantity));
+    const cell = (level, side) => {
+      if (!level) {
+        return '<td class="text-neutral-400">—</td><td></td>';
+      }
+      const width = Math.round((level.quantity / maxQty) * 100);
+      const barColor = side === 'bid' ? 'rgba(34,197,94,0.15)' : 'rgba(239,68,68,0.15)';
+      const bar = `background: linear-gradient(${side === 'bid' ? 'to left' : 'to right'}, ${barColor} ${width}%, transparent ${width}%);`;
+      const priceClass = side === 'bid' ? 'text-profit' : 'text-loss';
+      return side === 'bid'
+        ? `<td class="text-right font-mono" style="${bar}">${Utils.formatNumber(level.quantity, 0)}</td><td class="text-right font-mono ${priceClass}">${Utils.formatNumber(level.price)}</td>`
+        : `<td class="font-mono ${priceClass}">${Utils.formatNumber(level.price)}</td><td class="font-mono" style="${bar}">${Utils.formatNumber(level.quantity, 0)}</td>`;
+    };
+
+    const rows = Array.from({ length: levels }, (_, i) => `
+      <tr>${cell(depth.bids[i], 'bid')}${cell(depth.asks[i], 'ask')}</tr>
+    `).join('');
+
+    const spread = depth.spread != null ? Utils.formatNumber(depth.spread) : '—';
+    const spreadTicks = depth.spread != null && depth.tick_size
+      ? ` (${Math.round(depth.spread / depth.tick_size)} ticks)`
+      : '';
+
+    container.innerHTML = `
+      <div class="flex items-center justify-between gap-4 flex-wrap text-xs text-neutral-600 mb-2">
+        <span class="font-semibold text-base-content">Depth • ${Utils.escapeHTML(depth.symbol)}</span>
+        <span>Spread ${spread}${spreadTicks} • Tick ${depth.tick_size ?? '—'} • LTP ${depth.ltp != null ? Utils.formatNumber(depth.ltp) : '—'}</span>
+      </div>
+      <table class="table table-xs w-full text-xs">
+        <thead>
+          <tr>
+            <th class="text-right">Bid Qty</th><th class="text-right">Bid</th>
+            <th>Ask</th><th>Ask Qty</th>
+          </tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+    `;
+  }
+
   triggerFuturesPreviewRefresh(symbolId) {
     const container = document.getElementById(`futures-preview-${symbolId}`);
     if (!container) {
@@ -1260,10 +1469,21 @@ class QuickOrderHandler {
     return expiry;
   }
 
+  /**
+   * Idempotency key for one order intent
+   */
+  generateIntentId() {
+    if (window.crypto?.randomUUID) {
+      return window.crypto.randomUUID();
+    }
+    return `qo-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+  }
+
   /**
    * Place quick order
    */
   async placeOrder(watchlistId, symbolId, action) {
+    let intentKey = null;
     try {
       const symbolRow = document.querySelector(`tr[data-symbol-id="${symbolId}"]`);
       if (!symbolRow) {
@@ -1281,6 +1501,7 @@ class QuickOrderHandler {
     const strikePolicy = this.strikePolicies.get(symbolId) || 'FLOAT_OFS';
     const stepLots = this.stepLots.get(symbolId) || quantity;
     const selectedProduct = this.selectedProducts.get(symbolId) || 'MIS';
+    const orderType = this.selectedOrderTypes.get(symbolId) || 'MARKET';
 
       console.log('[QuickOrder] placeOrder - Settings retrieved:', {
         symbolId,
@@ -1309,6 +1530,24 @@ class QuickOrderHandler {
         product: selectedProduct,
       };
 
+      if (orderType === 'LIMIT') {
+        const limitPrice = this.limitPrices.get(symbolId);
+        if (!limitPrice) {
+          Utils.showToast('Enter a limit price', 'error');
+          return;
+        }
+        orderData.orderType = orderType;
+        orderData.price = limitPrice;
+      }
+
+      if (orderType === 'SMART_LIMIT') {
+        orderData.orderType = orderType;
+        orderData.limitPricing = this.limitPricings.get(symbolId) || 'MID';
+        if (orderData.limitPricing === 'TICKS') {
+          orderData.limitTicks = this.limitTicks.get(symbolId) ?? 1;
+        }
+      }
+
       if ((tradeMode === 'FUTURES' || tradeMode === 'OPTIONS') && selectedExpiry) {
         orderData.expiry = this.normalizeExpiryDate(selectedExpiry);
         console.log(`[QuickOrder] Expiry for order: raw="${selectedExpiry}" normalized="${orderData.expiry}"`);
@@ -1346,17 +1585,38 @@ class QuickOrderHandler {
         btn.classList.add('loading');
       });
 
+      // Same order while the first is still in flight (double-click, retry) reuses its
+      // intent_id so the server places it only once
+      intentKey = JSON.stringify(orderData);
+      if (!this.inflightIntents.has(intentKey)) {
+        this.inflightIntents.set(intentKey, this.generateIntentId());
+      }
+      orderData.intent_id = this.inflightIntents.get(intentKey);
+
       const response = await api.placeQuickOrder(orderData);
 
       if (response.data.summary) {
-        const { successful, failed, total } = response.data.summary;
+        const {
+          successful,
+          failed,
+          total,
+          margin_skipped: marginSkipped = 0,
+          margin_warnings: marginWarnings = 0,
+          cancelled_orders: cancelledOrders = 0,
+        } = response.data.summary;
+        let summaryNote = marginSkipped > 0
+          ? ` (${marginSkipped} skipped: insufficient margin)`
+          : marginWarnings > 0 ? ` (${marginWarnings} low on margin)` : '';
+        if (cancelledOrders > 0) {
+          summaryNote += ` - ${cancelledOrders} pending order(s) cancelled first`;
+        }
         if (successful > 0) {
           Utils.showToast(
-            `Order placed: ${successful}/${total} successful`,
-            failed > 0 ? 'warning' : 'success'
+            `Order placed: ${successful}/${total} successful${summaryNote}`,
+            failed > 0 || marginWarnings > 0 ? 'warning' : 'success'
           );
         } else {
-          Utils.showToast('All orders failed', 'error');
+          Utils.showToast(`All orders failed${summaryNote}`, 'error');
         }
       } else {
         Utils.showToast('Order placed successfully', 'success');
@@ -1381,9 +1641,17 @@ class QuickOrderHandler {
         });
       }
     } catch (error) {
+      if (error.statusCode === 409) {
+        // Duplicate intent_id - the original request owns the order
+        Utils.showToast(`Duplicate order ignored: ${error.message}`, 'info');
+        return;
+      }
       console.error('Quick order failed:', error);
       Utils.showToast(`Order failed: ${error.message}`, 'error');
     } finally {
+      if (intentKey) {
+        this.inflightIntents.delete(intentKey);
+      }
       const actionButtons = document.querySelectorAll(`#expansion-content-${symbolId} .btn-quick-action`);
       actionButtons.forEach(btn => {
         btn.disabled = false;
@@ -1,6 +1,6 @@
 /**
  * Settings Handler
- * Handles settings view including application settings, Telegram linking, and monitor status
+ * Handles settings view including application settings, users & access, API tokens, Telegram linking, and monitor status
  */
 
 class SettingsHandler {
@@ -10,6 +10,8 @@ class SettingsHandler {
     this.settings = {};
     this.activeCategory = 'server';
     this.isSaving = false;
+    this.usersAccess = null;
+    this.apiTokens = null;
   }
 
   /**
@@ -29,6 +31,8 @@ class SettingsHandler {
       this.telegramStatus = telegramStatus;
       this.categories = categories;
       this.settings = allSettings;
+      this.usersAccess = this.isAdmin() ? await this.fetchUsersAccess() : null;
+      this.apiTokens = await this.fetchApiTokens();
 
       contentArea.innerHTML = `
         <div class="space-y-6">
@@ -43,6 +47,34 @@ class SettingsHandler {
               </div>
             </div>
 
+            ${this.usersAccess ? `
+            <!-- Users & Access Section (admin only) -->
+            <div class="card">
+              <div class="card-header">
+                <h3 class="card-title">👥 Users & Access</h3>
+                <p class="text-sm text-neutral-600 mt-1">
+                  Viewers are read-only. Traders place orders on granted instances and on the instances of granted watchlists. Admins manage everything.
+                </p>
+              </div>
+              <div class="p-6" id="users-access-content">
+                ${this.renderUsersSection()}
+              </div>
+            </div>
+            ` : ''}
+
+            <!-- API Tokens Section -->
+            <div class="card">
+              <div class="card-header">
+                <h3 class="card-title">🔑 API Tokens</h3>
+                <p class="text-sm text-neutral-600 mt-1">
+                  Personal tokens let scripts call the API as you (send <code>Authorization: Bearer &lt;token&gt;</code>), limited to the scopes you pick.
+                </p>
+              </div>
+              <div class="p-6" id="api-tokens-content">
+                ${this.renderApiTokensSection()}
+              </div>
+            </div>
+
             <!-- Instruments Cache Section -->
             <div class="card">
               <div class="card-header">
@@ -603,6 +635,360 @@ class SettingsHandler {
     `;
   }
 
+  /**
+   * Whether the signed-in user is an admin
+   */
+  isAdmin() {
+    return window.app?.currentUser?.role === 'admin';
+  }
+
+  /**
+   * Fetch users with grants plus the instances and watchlists they can be granted
+   */
+  async fetchUsersAccess() {
+    try {
+      const [usersResponse, instancesResponse, watchlistsResponse] = await Promise.all([
+        fetch('/api/v1/users'),
+        fetch('/api/v1/instances'),
+        fetch('/api/v1/watchlists'),
+      ]);
+      if (!usersResponse.ok) throw new Error('Failed to fetch users');
+
+      const users = await usersResponse.json();
+      const instances = instancesResponse.ok ? (await instancesResponse.json()).data : [];
+      const watchlists = watchlistsResponse.ok ? (await watchlistsResponse.json()).data : [];
+
+      return {
+        users: users.data,
+        roles: users.roles || ['viewer', 'trader', 'admin'],
+        instances: instances || [],
+        watchlists: watchlists || [],
+      };
+    } catch (error) {
+      console.error('[Settings] Error fetching users:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Render users & access section
+   */
+  renderUsersSection() {
+    const { users, roles, instances, watchlists } = this.usersAccess;
+    const currentUserId = window.app?.currentUser?.id;
+
+    const roleOptions = (selected) => roles.map(role => `
+      <option value="${role}" ${role === selected ? 'selected' : ''}>${role}</option>
+    `).join('');
+
+    const grantList = (userId, kind, items, grantedIds) => items.length === 0
+      ? '<p class="text-xs text-neutral-500">None configured</p>'
+      : items.map(item => `
+        <label class="flex items-center gap-2 text-sm">
+          <input type="checkbox" name="user-${userId}-${kind}" value="${item.id}"
+                 ${grantedIds.includes(item.id) ? 'checked' : ''}>
+          ${Utils.escapeHTML(item.name)}
+        </label>
+      `).join('');
+
+    return `
+      <div class="space-y-4">
+        ${users.map(user => `
+          <div class="p-4 bg-neutral-50 rounded-lg border border-neutral-200 space-y-3">
+            <div class="flex items-center justify-between gap-4">
+              <div>
+                <p class="font-medium text-neutral-800">${Utils.escapeHTML(user.email)}</p>
+                <p class="text-xs text-neutral-500">${user.id === currentUserId ? 'You • ' : ''}Added ${this.formatDate(user.created_at)}</p>
+              </div>
+              <div class="flex items-center gap-2">
+                <select id="user-${user.id}-role" class="form-select">${roleOptions(user.role)}</select>
+                <button class="btn btn-primary btn-sm" onclick="settings.saveUserAccess(${user.id})">Save</button>
+                ${user.id === currentUserId ? '' : `
+                  <button class="btn btn-error btn-sm" onclick="settings.deleteUser(${user.id})">Delete</button>
+                `}
+              </div>
+            </div>
+            ${user.role === 'trader' ? `
+              <div class="grid grid-cols-2 gap-4">
+                <div class="space-y-1">
+                  <h4 class="text-sm font-semibold text-neutral-700">Instances</h4>
+                  ${grantList(user.id, 'instances', instances, user.instance_ids)}
+                </div>
+                <div class="space-y-1">
+                  <h4 class="text-sm font-semibold text-neutral-700">Watchlists</h4>
+                  ${grantList(user.id, 'watchlists', watchlists, user.watchlist_ids)}
+                </div>
+              </div>
+            ` : ''}
+          </div>
+        `).join('')}
+
+        <div class="flex items-center gap-2">
+          <input type="email" id="new-user-email" class="form-input flex-1" placeholder="new.user@example.com">
+          <select id="new-user-role" class="form-select">${roleOptions('viewer')}</select>
+          <button class="btn btn-secondary" onclick="settings.createUser()">Add User</button>
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Re-render users & access section
+   */
+  async refreshUsersAccess() {
+    this.usersAccess = await this.fetchUsersAccess();
+    const container = document.getElementById('users-access-content');
+    if (container && this.usersAccess) {
+      container.innerHTML = this.renderUsersSection();
+    }
+  }
+
+  /**
+   * Send a JSON API request and surface its error message
+   */
+  async requestJson(url, method, body) {
+    const response = await fetch(url, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.message || `Request failed (${response.status})`);
+    }
+    return data;
+  }
+
+  /**
+   * Save a user's role and grants
+   */
+  async saveUserAccess(userId) {
+    const checked = (kind) => Array.from(
+      document.querySelectorAll(`input[name="user-${userId}-${kind}"]:checked`)
+    ).map(input => parseInt(input.value, 10));
+
+    const payload = { role: document.getElementById(`user-${userId}-role`).value };
+    // Grant checkboxes are only rendered for traders
+    if (document.querySelector(`input[name^="user-${userId}-"]`)) {
+      payload.instanceIds = checked('instances');
+      payload.watchlistIds = checked('watchlists');
+    }
+
+    try {
+      await this.requestJson(`/api/v1/users/${userId}`, 'PUT', payload);
+      Utils.showToast('User access updated', 'success');
+      await this.refreshUsersAccess();
+    } catch (error) {
+      console.error('[Settings] Error updating user:', error);
+      Utils.showToast(`Failed to update user: ${error.message}`, 'error');
+    }
+  }
+
+  /**
+   * Pre-register a user
+   */
+  async createUser() {
+    const email = document.getElementById('new-user-email').value.trim();
+    const role = document.getElementById('new-user-role').value;
+
+    if (!email) {
+      Utils.showToast('Enter an email address', 'warning');
+      return;
+    }
+
+    try {
+      await this.requestJson('/api/v1/users', 'POST', { email, role });
+      Utils.showToast(`User ${email} added`, 'success');
+      await this.refreshUsersAccess();
+    } catch (error) {
+      console.error('[Settings] Error creating user:', error);
+      Utils.showToast(`Failed to add user: ${error.message}`, 'error');
+    }
+  }
+
+  /**
+   * Delete a user
+   */
+  async deleteUser(userId) {
+    if (!confirm('Are you sure you want to delete this user? They will lose access immediately.')) {
+      return;
+    }
+
+    try {
+      await this.requestJson(`/api/v1/users/${userId}`, 'DELETE');
+      Utils.showToast('User deleted', 'success');
+      await this.refreshUsersAccess();
+    } catch (error) {
+      console.error('[Settings] Error deleting user:', error);
+      Utils.showToast(`Failed to delete user: ${error.message}`, 'error');
+    }
+  }
+
+  /**
+   * Fetch the current user's API tokens and the available scopes
+   */
+  async fetchApiTokens() {
+    try {
+      const response = await fetch('/api/v1/tokens');
+      if (!response.ok) throw new Error('Failed to fetch API tokens');
+      const data = await response.json();
+      return { tokens: data.data, scopes: data.scopes || [] };
+    } catch (error) {
+      console.error('[Settings] Error fetching API tokens:', error);
+      return { tokens: [], scopes: [] };
+    }
+  }
+
+  /**
+   * Render API tokens section
+   */
+  renderApiTokensSection() {
+    const { tokens, scopes } = this.apiTokens || { tokens: [], scopes: [] };
+
+    const statusClass = {
+      active: 'text-success',
+      expired: 'text-warning',
+      revoked: 'text-neutral-500',
+    };
+
+    return `
+      <div class="space-y-4">
+        ${tokens.length === 0 ? '<p class="text-sm text-neutral-600">No API tokens yet.</p>' : `
+          <table class="w-full text-sm">
+            <thead>
+              <tr class="text-left text-neutral-600">
+                <th class="py-2">Name</th>
+                <th>Token</th>
+                <th>Scopes</th>
+                <th>Last used</th>
+                <th>Expires</th>
+                <th>Status</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              ${tokens.map(token => `
+                <tr class="border-t border-neutral-200">
+                  <td class="py-2">${Utils.escapeHTML(token.name)}</td>
+                  <td><code>${Utils.escapeHTML(token.token_prefix)}…</code></td>
+                  <td>${token.scopes.map(scope => Utils.escapeHTML(scope)).join(', ')}</td>
+                  <td>${token.last_used_at ? this.formatDate(token.last_used_at) : 'Never'}</td>
+                  <td>${token.expires_at ? this.formatDate(token.expires_at) : 'Never'}</td>
+                  <td class="${statusClass[token.status] || ''}">${token.status}</td>
+                  <td class="text-right">
+                    ${token.status === 'active' ? `
+                      <button class="btn btn-error btn-sm" onclick="settings.revokeApiToken(${token.id})">Revoke</button>
+                    ` : ''}
+                  </td>
+                </tr>
+              `).join('')}
+            </tbody>
+          </table>
+        `}
+
+        <div id="api-token-created" class="hidden p-4 bg-success-50 rounded-lg border border-success-200">
+          <p class="font-medium text-success-700">Copy this token now - it will not be shown again.</p>
+          <div class="flex items-center gap-2 mt-2">
+            <code id="api-token-value" class="text-sm font-mono break-all flex-1"></code>
+            <button class="btn btn-secondary btn-sm" onclick="settings.copyApiToken()">📋 Copy</button>
+          </div>
+        </div>
+
+        <div class="p-4 bg-neutral-50 rounded-lg border border-neutral-200 space-y-3">
+          <h4 class="font-semibold text-neutral-700">New token</h4>
+          <div class="flex items-center gap-2">
+            <input type="text" id="api-token-name" class="form-input flex-1" placeholder="Token name (e.g. signal-runner)">
+            <input type="number" id="api-token-expiry" class="form-input" style="width: 10rem;" min="1" placeholder="Expires in days">
+          </div>
+          <div class="flex flex-wrap gap-4">
+            ${scopes.map(({ scope, description }) => `
+              <label class="flex items-center gap-2 text-sm" title="${Utils.escapeHTML(description)}">
+                <input type="checkbox" name="api-token-scope" value="${Utils.escapeHTML(scope)}">
+                ${Utils.escapeHTML(scope)}
+              </label>
+            `).join('')}
+          </div>
+          <button class="btn btn-primary" onclick="settings.createApiToken()">Create Token</button>
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Re-render API tokens section
+   */
+  async refreshApiTokens() {
+    this.apiTokens = await this.fetchApiTokens();
+    const container = document.getElementById('api-tokens-content');
+    if (container) {
+      container.innerHTML = this.renderApiTokensSection();
+    }
+  }
+
+  /**
+   * Create an API token and show it once
+   */
+  async createApiToken() {
+    const name = document.getElementById('api-token-name').value.trim();
+    const expiresInDays = document.getElementById('api-token-expiry').value;
+    const scopes = Array.from(document.querySelectorAll('input[name="api-token-scope"]:checked'))
+      .map(input => input.value);
+
+    if (!name) {
+      Utils.showToast('Enter a token name', 'warning');
+      return;
+    }
+    if (scopes.length === 0) {
+      Utils.showToast('Select at least one scope', 'warning');
+      return;
+    }
+
+    try {
+      const data = await this.requestJson('/api/v1/tokens', 'POST', {
+        name,
+        scopes,
+        expiresInDays: expiresInDays || undefined,
+      });
+
+      await this.refreshApiTokens();
+      document.getElementById('api-token-value').textContent = data.data.token;
+      document.getElementById('api-token-created').classList.remove('hidden');
+      Utils.showToast('API token created', 'success');
+    } catch (error) {
+      console.error('[Settings] Error creating API token:', error);
+      Utils.showToast(`Failed to create token: ${error.message}`, 'error');
+    }
+  }
+
+  /**
+   * Copy the newly created API token
+   */
+  copyApiToken() {
+    const token = document.getElementById('api-token-value')?.textContent;
+    if (token) {
+      navigator.clipboard.writeText(token);
+      Utils.showToast('Token copied to clipboard!', 'success');
+    }
+  }
+
+  /**
+   * Revoke an API token
+   */
+  async revokeApiToken(tokenId) {
+    if (!confirm('Revoke this token? Scripts using it will stop working immediately.')) {
+      return;
+    }
+
+    try {
+      await this.requestJson(`/api/v1/tokens/${tokenId}`, 'DELETE');
+      Utils.showToast('API token revoked', 'success');
+      await this.refreshApiTokens();
+    } catch (error) {
+      console.error('[Settings] Error revoking API token:', error);
+      Utils.showToast(`Failed to revoke token: ${error.message}`, 'error');
+    }
+  }
+
   /**
    * Render Telegram section
    */
@@ -0,0 +1,90 @@
+#!/usr/bin/env node
+
+/**
+ * Rotate the secrets master key
+ * Re-wraps the data key of every encrypted instance API key and sensitive setting
+ * with the current SECRETS_MASTER_KEY, and encrypts any values still in plaintext.
+ *
+ * Usage:
+ *   SECRETS_MASTER_KEY=<new> SECRETS_PREVIOUS_MASTER_KEYS=<old> npm run secrets:rotate
+ *   npm run secrets:rotate -- --dry-run
+ *
+ * Generate a key with: openssl rand -base64 32
+ * Keep the old key in SECRETS_PREVIOUS_MASTER_KEYS until this has run everywhere.
+ */
+
+import db from '../src/core/database.js';
+import secrets from '../src/core/secrets.js';
+
+const dryRun = process.argv.includes('--dry-run');
+
+const TARGETS = [
+  {
+    label: 'instance API keys',
+    select: 'SELECT id AS ref, api_key AS value FROM instances',
+    update: 'UPDATE instances SET api_key = ? WHERE id = ?',
+  },
+  {
+    label: 'sensitive settings',
+    select: 'SELECT key AS ref, value FROM application_settings WHERE is_sensitive = 1',
+    update: 'UPDATE application_settings SET value = ?, updated_at = CURRENT_TIMESTAMP WHERE key = ?',
+  },
+];
+
+async function rotateSecrets() {
+  if (!secrets.isConfigured()) {
+    console.error('❌ SECRETS_MASTER_KEY is not set');
+    process.exit(1);
+  }
+
+  console.log(`Rotating secrets to master key ${secrets.getKeyId()}${dryRun ? ' (dry run)' : ''}\n`);
+
+  await db.connect();
+
+  try {
+    await db.run('BEGIN TRANSACTION');
+
+    for (const target of TARGETS) {
+      const rows = await db.all(target.select);
+      const counts = { rewrapped: 0, encrypted: 0, unchanged: 0 };
+
+      for (const row of rows) {
+        if (!row.value) {
+          counts.unchanged++;
+          continue;
+        }
+
+        const wasEncrypted = secrets.isEncrypted(row.value);
+        const next = secrets.rewrap(row.value);
+
+        if (next === row.value) {
+          counts.unchanged++;
+          continue;
+        }
+
+        // Never write a value that does not round-trip to the same plaintext
+        if (secrets.decrypt(next) !== secrets.decrypt(row.value)) {
+          throw new Error(`Verification failed for ${target.label} ${row.ref}`);
+        }
+
+        await db.run(target.update, [next, row.ref]);
+        counts[wasEncrypted ? 'rewrapped' : 'encrypted']++;
+      }
+
+      console.log(
+        `✅ ${target.label}: ${counts.rewrapped} re-wrapped, ${counts.encrypted} encrypted, ${counts.unchanged} unchanged`
+      );
+    }
+
+    await db.run(dryRun ? 'ROLLBACK' : 'COMMIT');
+    console.log(dryRun ? '\nDry run - no changes written' : '\n✅ Rotation complete');
+  } catch (error) {
+    await db.run('ROLLBACK');
+    console.error(`\n❌ Rotation failed, no changes written: ${error.message}`);
+    process.exitCode = 1;
+  } finally {
+    await db.close();
+  }
+}
+
+rotateSecrets();
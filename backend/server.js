@@ -3,6 +3,7 @@
  * Complete rebuild with clean architecture
  */
 
+import http from 'http';
 import express from 'express';
 import helmet from 'helmet';
 import cors from 'cors';
@@ -13,12 +14,19 @@ import { log } from './src/core/logger.js';
 import db from './src/core/database.js';
 import pollingService from './src/services/polling.service.js';
 import marketDataFeedService from './src/services/market-data-feed.service.js';
+import marketDataStreamService from './src/services/market-data-stream.service.js';
 import autoExitService from './src/services/auto-exit.service.js';
 // Order monitor service removed - no longer needed after target/stoploss removal
 // import orderMonitorService from './src/services/order-monitor.service.js';
 import telegramService from './src/services/telegram.service.js';
 import openalgoClient from './src/integrations/openalgo/client.js';
 import settingsService from './src/services/settings.service.js';
+import realtimeService from './src/services/realtime.service.js';
+import userService from './src/services/user.service.js';
+import smartLimitService from './src/services/smart-limit.service.js';
+import orderChaserService from './src/services/order-chaser.service.js';
+import schedulerService from './src/services/scheduler.service.js';
+import priceTriggerService from './src/services/price-trigger.service.js';
 
 // Middleware
 import { configureSession, configurePassport, requireAuth, optionalAuth } from './src/middleware/auth.js';
@@ -39,9 +47,17 @@ async function startBackgroundServices() {
   });
   log.info('Market data feed service started');
 
+  await marketDataStreamService.start();
+
   await autoExitService.start();
   log.info('Auto exit service started');
 
+  await orderChaserService.start();
+
+  schedulerService.start();
+
+  await priceTriggerService.start();
+
   await pollingService.start();
   log.info('Polling service started');
 
@@ -53,8 +69,12 @@ async function startBackgroundServices() {
 
 function stopBackgroundServices() {
   try {
+    marketDataStreamService.stop && marketDataStreamService.stop();
     marketDataFeedService.stop && marketDataFeedService.stop();
     pollingService.stop && pollingService.stop();
+    orderChaserService.stop && orderChaserService.stop();
+    schedulerService.stop && schedulerService.stop();
+    priceTriggerService.stop && priceTriggerService.stop();
     telegramService.stopPolling && telegramService.stopPolling();
   } catch (err) {
     log.warn('Error stopping background services', { error: err.message });
@@ -93,8 +113,9 @@ app.use(bodyParserErrorHandler);
 // Request logging
 app.use(requestLogger);
 
-// Session
-app.use(configureSession());
+// Session (shared with Socket.IO handshake authentication)
+const sessionMiddleware = configureSession();
+app.use(sessionMiddleware);
 
 // Passport authentication
 app.use(configurePassport());
@@ -143,6 +164,7 @@ app.get('/api/user', requireAuth, (req, res) => {
       id: req.user.id,
       email: req.user.email,
       is_admin: req.user.is_admin,
+      role: userService.getRole(req.user),
     },
   });
 });
@@ -181,13 +203,16 @@ async function startServer() {
       }
     });
 
+    // Telegram alerts for auto-exits, session cutoffs, rejections and health (event bus)
+    telegramService.subscribeToEvents();
+
     // Ensure test user exists in development
     if (config.env === 'development' && !config.auth.googleClientId) {
       const testUser = await db.get('SELECT * FROM users WHERE id = 1');
       if (!testUser) {
         await db.run(
-          'INSERT INTO users (id, email, is_admin) VALUES (1, ?, 1)',
-          ['test@example.com']
+          'INSERT INTO users (id, email, is_admin, role) VALUES (1, ?, 1, ?)',
+          ['test@example.com', 'admin']
         );
         log.info('Test user created');
       }
@@ -201,8 +226,11 @@ async function startServer() {
       await startBackgroundServices();
     }
 
-    // Start HTTP server
-    app.listen(config.port, () => {
+    // Start HTTP server with Socket.IO push channel attached
+    const httpServer = http.createServer(app);
+    realtimeService.attach(httpServer, { sessionMiddleware });
+
+    httpServer.listen(config.port, () => {
       log.info('Server started', {
         port: config.port,
         env: config.env,
@@ -237,6 +265,7 @@ async function startServer() {
       console.log(`║    - Market Data:       Every ${(config.polling.marketDataInterval / 1000).toString()}s (when active) ║`.padEnd(62) + '║');
       console.log('║    - Health Checks:     Every 5m                           ║');
       console.log('║    - Telegram Polling:  Every 2s                           ║');
+      console.log('║    - Realtime Push:     Socket.IO /socket.io               ║');
       console.log('║                                                            ║');
       console.log('╚════════════════════════════════════════════════════════════╝');
       console.log('');
@@ -268,10 +297,26 @@ async function shutdown() {
     // orderMonitorService.stop();
     // log.info('Order monitor service stopped');
 
+    // Stop market data streaming
+    marketDataStreamService.stop();
+
+    // Drop pending smart-limit reprices; stop chasing (active chases resume on start)
+    smartLimitService.stop();
+    orderChaserService.stop();
+
+    // Stop the scheduler (schedules are persisted and resume on start)
+    schedulerService.stop();
+
+    // Stop evaluating price triggers (active triggers are persisted and resume on start)
+    priceTriggerService.stop();
+
     // Stop polling service
     pollingService.stop();
     log.info('Polling service stopped');
 
+    // Close realtime sockets
+    await realtimeService.close();
+
     // Close database
     await db.close();
     log.info('Database closed');
@@ -29,7 +29,7 @@ async function getSetting(key, defaultValue = undefined, required = false) {
     // Check cache
     const now = Date.now();
     if (!settingsCache || (now - cacheTimestamp) > CACHE_DURATION) {
-      settingsCache = await settingsService.getAllSettings();
+      settingsCache = await settingsService.getAllSettings({ includeSecrets: true });
       cacheTimestamp = now;
     }
 
@@ -206,12 +206,31 @@ class Config {
       monitorIntervalMs: getEnvInt('AUTO_EXIT_MONITOR_INTERVAL_MS', 5000),
     };
 
+    this.orders = {
+      marginCheck: getEnv('ORDER_MARGIN_CHECK', 'skip'),
+      freezeSlicing: getEnvBool('ORDER_FREEZE_SLICING', true),
+      intentWindowSeconds: getEnvInt('ORDER_INTENT_WINDOW_SECONDS', 600),
+      smartLimit: {
+        pricing: getEnv('ORDER_SMART_LIMIT_PRICING', 'MID'),
+        ticks: getEnvInt('ORDER_SMART_LIMIT_TICKS', 1),
+        maxReprices: getEnvInt('ORDER_SMART_LIMIT_MAX_REPRICES', 3),
+        repriceIntervalMs: getEnvInt('ORDER_SMART_LIMIT_REPRICE_INTERVAL_MS', 5000),
+      },
+    };
+
+    this.pnl = {
+      snapshotRetentionDays: getEnvInt('PNL_SNAPSHOT_RETENTION_DAYS', 90),
+    };
+
     this.marketDataFeed = {
       quoteTtlMs: getEnvInt('MARKET_DATA_QUOTE_TTL_MS', 2500),
       positionTtlMs: getEnvInt('MARKET_DATA_POSITION_TTL_MS', 8000),
       fundsTtlMs: getEnvInt('MARKET_DATA_FUNDS_TTL_MS', 20000),
       orderbookTtlMs: getEnvInt('MARKET_DATA_ORDERBOOK_TTL_MS', 5000),
       tradebookTtlMs: getEnvInt('MARKET_DATA_TRADEBOOK_TTL_MS', 5000),
+      holdingsTtlMs: getEnvInt('MARKET_DATA_HOLDINGS_TTL_MS', 30000),
+      streamEnabled: getEnvBool('MARKET_DATA_STREAM_ENABLED', true),
+      streamResyncMs: getEnvInt('MARKET_DATA_STREAM_RESYNC_MS', 60000),
     };
 
     this.openalgo = {
@@ -278,7 +297,18 @@ class Config {
       this.marketDataFeed.fundsTtlMs = await getSettingInt('market_data_feed.funds_ttl_ms', this.marketDataFeed.fundsTtlMs);
       this.marketDataFeed.orderbookTtlMs = await getSettingInt('market_data_feed.orderbook_ttl_ms', this.marketDataFeed.orderbookTtlMs);
       this.marketDataFeed.tradebookTtlMs = await getSettingInt('market_data_feed.tradebook_ttl_ms', this.marketDataFeed.tradebookTtlMs);
+      this.marketDataFeed.holdingsTtlMs = await getSettingInt('market_data_feed.holdings_ttl_ms', this.marketDataFeed.holdingsTtlMs);
+      this.marketDataFeed.streamEnabled = await getSettingBool('market_data_feed.stream_enabled', this.marketDataFeed.streamEnabled);
+      this.marketDataFeed.streamResyncMs = await getSettingInt('market_data_feed.stream_resync_ms', this.marketDataFeed.streamResyncMs);
       this.autoExit.monitorIntervalMs = await getSettingInt('auto_exit.monitor_interval_ms', this.autoExit.monitorIntervalMs);
+      this.orders.marginCheck = await getSetting('orders.margin_check', this.orders.marginCheck);
+      this.orders.freezeSlicing = await getSettingBool('orders.freeze_slicing', this.orders.freezeSlicing);
+      this.orders.intentWindowSeconds = await getSettingInt('orders.intent_window_seconds', this.orders.intentWindowSeconds);
+      this.orders.smartLimit.pricing = await getSetting('orders.smart_limit.pricing', this.orders.smartLimit.pricing);
+      this.orders.smartLimit.ticks = await getSettingInt('orders.smart_limit.ticks', this.orders.smartLimit.ticks);
+      this.orders.smartLimit.maxReprices = await getSettingInt('orders.smart_limit.max_reprices', this.orders.smartLimit.maxReprices);
+      this.orders.smartLimit.repriceIntervalMs = await getSettingInt('orders.smart_limit.reprice_interval_ms', this.orders.smartLimit.repriceIntervalMs);
+      this.pnl.snapshotRetentionDays = await getSettingInt('pnl.snapshot_retention_days', this.pnl.snapshotRetentionDays);
 
       this.openalgo.requestTimeout = await getSettingInt('openalgo.request_timeout_ms', this.openalgo.requestTimeout);
       this.openalgo.critical.maxRetries = await getSettingInt('openalgo.critical.max_retries', this.openalgo.critical.maxRetries);
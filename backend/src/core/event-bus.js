@@ -0,0 +1,84 @@
+/**
+ * Event Bus
+ * In-process pub/sub for domain events, so services that detect something
+ * (auto-exit, session cutoff, broker rejection, ...) do not need to know who
+ * reacts to it (Telegram alerts today).
+ *
+ * Subscribers run after the publisher's current call stack and their errors are
+ * logged, so a failing subscriber never breaks trading or polling code.
+ */
+
+import EventEmitter from 'events';
+import { log } from './logger.js';
+
+/**
+ * Event types and their payloads
+ * - AUTO_EXIT:            { instance_id, instance_name, symbol, exchange, side, quantity, entry_price, exit_price, pnl, trade_mode, reason, success, error }
+ * - SESSION_CUTOFF:       { instance_id, instance_name, session, session_pnl, reason, switched_to_analyzer }
+ * - ORDER_REJECTED:       { instance_id, instance_name, symbol, exchange, action, quantity, order_id, message, source }
+ * - INSTANCE_UNHEALTHY:   { instance_id, instance_name, previous_status, error }
+ * - MARKET_DATA_FALLBACK: { instance_id, instance_name, from, to, reason }
+ */
+export const EVENT_TYPES = {
+  AUTO_EXIT: 'auto_exit',
+  SESSION_CUTOFF: 'session_cutoff',
+  ORDER_REJECTED: 'order_rejected',
+  INSTANCE_UNHEALTHY: 'instance_unhealthy',
+  MARKET_DATA_FALLBACK: 'market_data_fallback',
+};
+
+const KNOWN_TYPES = new Set(Object.values(EVENT_TYPES));
+
+class EventBus {
+  constructor() {
+    this.emitter = new EventEmitter();
+    this.emitter.setMaxListeners(50);
+  }
+
+  /**
+   * Publish an event (never throws)
+   * @param {string} type - One of EVENT_TYPES
+   * @param {Object} payload - Event data
+   * @returns {Object|null} - The published event ({ type, timestamp, ...payload })
+   */
+  publish(type, payload = {}) {
+    if (!KNOWN_TYPES.has(type)) {
+      log.warn('Ignoring unknown event type', { type });
+      return null;
+    }
+
+    const event = { type, timestamp: new Date().toISOString(), ...payload };
+    log.debug('Event published', { type, instance_id: payload.instance_id });
+    this.emitter.emit(type, event);
+    return event;
+  }
+
+  /**
+   * Subscribe to one or more event types
+   * @param {string|Array<string>} types - EVENT_TYPES value(s)
+   * @param {Function} handler - (event) => void | Promise<void>
+   * @returns {Function} - Unsubscribe
+   */
+  subscribe(types, handler) {
+    const list = Array.isArray(types) ? types : [types];
+    const unknown = list.filter(type => !KNOWN_TYPES.has(type));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown event type(s): ${unknown.join(', ')}`);
+    }
+
+    const listener = (event) => {
+      setImmediate(() => {
+        Promise.resolve()
+          .then(() => handler(event))
+          .catch(error => log.error('Event subscriber failed', error, { type: event.type }));
+      });
+    };
+
+    list.forEach(type => this.emitter.on(type, listener));
+    return () => list.forEach(type => this.emitter.off(type, listener));
+  }
+}
+
+// Export singleton instance
+export default new EventBus();
+export { EventBus };
@@ -71,6 +71,18 @@ const logger = winston.createLogger({
   ],
 });
 
+/**
+ * Strip credentials from a request URL before it is logged
+ * (signal webhook URLs carry their secret token in the path)
+ * @param {string} url - Request URL or path
+ * @returns {string}
+ */
+export function redactUrl(url) {
+  return typeof url === 'string'
+    ? url.replace(/(\/signals\/)sig_[^/?#]+/g, '$1sig_[REDACTED]')
+    : url;
+}
+
 /**
  * Helper methods for structured logging
  */
@@ -120,7 +132,7 @@ export const log = {
   http: (req, res, duration) => {
     logger.info('HTTP Request', {
       method: req.method,
-      url: req.url,
+      url: redactUrl(req.url),
       status: res.statusCode,
       duration: `${duration}ms`,
       ip: req.ip,
@@ -0,0 +1,237 @@
+/**
+ * Secrets (envelope encryption at rest)
+ * Instance API keys and sensitive settings are stored encrypted in SQLite.
+ *
+ * Each value gets its own random data key (AES-256-GCM); the data key is
+ * wrapped with the master key from SECRETS_MASTER_KEY. Stored format:
+ *   enc:v1:<master key id>:<wrapped data key>:<ciphertext>   (base64 parts)
+ *
+ * Rotation only re-wraps data keys: set the new key in SECRETS_MASTER_KEY, the
+ * old one(s) in SECRETS_PREVIOUS_MASTER_KEYS, then run `npm run secrets:rotate`.
+ * Values without the enc: prefix are treated as legacy plaintext.
+ */
+
+import crypto from 'crypto';
+import { config as loadEnv } from 'dotenv';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { log } from './logger.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Migrations and scripts import this without config.js, so load .env here too
+loadEnv({ path: join(__dirname, '../../.env') });
+
+const PREFIX = 'enc:v1:';
+const ALGORITHM = 'aes-256-gcm';
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+const KEY_BYTES = 32;
+
+/**
+ * Parse a master key: 32 bytes as base64 or hex, otherwise derived from the passphrase
+ * @param {string} value - Key material from the environment
+ * @returns {Buffer}
+ */
+function parseMasterKey(value) {
+  const text = value.trim();
+
+  if (/^[0-9a-f]{64}$/i.test(text)) {
+    return Buffer.from(text, 'hex');
+  }
+
+  if (/^[A-Za-z0-9+/]{43}=?$/.test(text)) {
+    return Buffer.from(text, 'base64');
+  }
+
+  return crypto.scryptSync(text, 'simplifyed-secrets-v1', KEY_BYTES);
+}
+
+/**
+ * Stable short identifier of a master key (stored with each value)
+ * @param {Buffer} key - Master key
+ * @returns {string}
+ */
+function keyIdOf(key) {
+  return crypto.createHash('sha256').update(key).digest('hex').slice(0, 8);
+}
+
+function seal(key, plaintext) {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64');
+}
+
+function open(key, sealed) {
+  const buffer = Buffer.from(sealed, 'base64');
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, buffer.subarray(0, IV_BYTES));
+  decipher.setAuthTag(buffer.subarray(IV_BYTES, IV_BYTES + TAG_BYTES));
+  return Buffer.concat([decipher.update(buffer.subarray(IV_BYTES + TAG_BYTES)), decipher.final()]);
+}
+
+class SecretsManager {
+  constructor() {
+    this.keys = null;
+    this.currentKeyId = null;
+    this.warnedUnconfigured = false;
+  }
+
+  /**
+   * Load master keys from the environment (lazily, after dotenv has run)
+   * @private
+   */
+  _loadKeys() {
+    if (this.keys) return;
+
+    this.keys = new Map();
+    this.currentKeyId = null;
+
+    const current = process.env.SECRETS_MASTER_KEY;
+    if (current && current.trim()) {
+      const key = parseMasterKey(current);
+      this.currentKeyId = keyIdOf(key);
+      this.keys.set(this.currentKeyId, key);
+    }
+
+    for (const value of (process.env.SECRETS_PREVIOUS_MASTER_KEYS || '').split(',')) {
+      if (!value.trim()) continue;
+      const key = parseMasterKey(value);
+      const id = keyIdOf(key);
+      if (!this.keys.has(id)) {
+        this.keys.set(id, key);
+      }
+    }
+  }
+
+  /**
+   * Re-read keys from the environment (rotation command, tests)
+   */
+  reload() {
+    this.keys = null;
+    this._loadKeys();
+  }
+
+  /**
+   * Whether a master key is configured
+   * @returns {boolean}
+   */
+  isConfigured() {
+    this._loadKeys();
+    return this.currentKeyId !== null;
+  }
+
+  /**
+   * ID of the current master key (null when not configured)
+   * @returns {string|null}
+   */
+  getKeyId() {
+    this._loadKeys();
+    return this.currentKeyId;
+  }
+
+  /**
+   * Whether a stored value is encrypted
+   * @param {*} value - Stored value
+   * @returns {boolean}
+   */
+  isEncrypted(value) {
+    return typeof value === 'string' && value.startsWith(PREFIX);
+  }
+
+  /**
+   * Master key ID an encrypted value is wrapped with
+   * @param {string} value - Stored value
+   * @returns {string|null}
+   */
+  keyIdOf(value) {
+    return this.isEncrypted(value) ? value.slice(PREFIX.length).split(':')[0] : null;
+  }
+
+  /**
+   * Encrypt a secret for storage. Already-encrypted and empty values are returned
+   * unchanged; without a master key the plaintext is stored (with a warning).
+   * @param {string} plaintext - Secret
+   * @returns {string} - Stored value
+   */
+  encrypt(plaintext) {
+    if (plaintext === null || plaintext === undefined || plaintext === '' || this.isEncrypted(plaintext)) {
+      return plaintext;
+    }
+
+    if (!this.isConfigured()) {
+      if (!this.warnedUnconfigured) {
+        log.warn('SECRETS_MASTER_KEY is not set - secrets are stored in plaintext');
+        this.warnedUnconfigured = true;
+      }
+      return plaintext;
+    }
+
+    const dataKey = crypto.randomBytes(KEY_BYTES);
+    const wrappedKey = seal(this.keys.get(this.currentKeyId), dataKey);
+    const ciphertext = seal(dataKey, Buffer.from(String(plaintext), 'utf8'));
+
+    return `${PREFIX}${this.currentKeyId}:${wrappedKey}:${ciphertext}`;
+  }
+
+  /**
+   * Decrypt a stored value (legacy plaintext is returned unchanged)
+   * @param {string} value - Stored value
+   * @returns {string} - Plaintext
+   */
+  decrypt(value) {
+    if (!this.isEncrypted(value)) {
+      return value;
+    }
+
+    const [keyId, wrappedKey, ciphertext] = value.slice(PREFIX.length).split(':');
+    const dataKey = open(this._getMasterKey(keyId), wrappedKey);
+    return open(dataKey, ciphertext).toString('utf8');
+  }
+
+  /**
+   * Re-wrap a value's data key with the current master key (plaintext is encrypted).
+   * The ciphertext itself is not re-encrypted.
+   * @param {string} value - Stored value
+   * @returns {string} - Stored value under the current master key
+   */
+  rewrap(value) {
+    if (!this.isEncrypted(value)) {
+      return this.encrypt(value);
+    }
+
+    if (!this.isConfigured()) {
+      throw new Error('SECRETS_MASTER_KEY is required to rotate secrets');
+    }
+
+    const [keyId, wrappedKey, ciphertext] = value.slice(PREFIX.length).split(':');
+    if (keyId === this.currentKeyId) {
+      return value;
+    }
+
+    const dataKey = open(this._getMasterKey(keyId), wrappedKey);
+    const rewrapped = seal(this.keys.get(this.currentKeyId), dataKey);
+
+    return `${PREFIX}${this.currentKeyId}:${rewrapped}:${ciphertext}`;
+  }
+
+  /**
+   * @private
+   */
+  _getMasterKey(keyId) {
+    this._loadKeys();
+    const key = this.keys.get(keyId);
+    if (!key) {
+      throw new Error(
+        `Cannot decrypt secret: master key ${keyId} is not configured ` +
+          '(set SECRETS_MASTER_KEY or SECRETS_PREVIOUS_MASTER_KEYS)'
+      );
+    }
+    return key;
+  }
+}
+
+// Export singleton instance
+export default new SecretsManager();
+export { SecretsManager };
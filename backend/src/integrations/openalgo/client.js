@@ -9,6 +9,7 @@ import { log } from '../../core/logger.js';
 import { OpenAlgoError } from '../../core/errors.js';
 import config from '../../core/config.js';
 import { maskApiKey } from '../../utils/sanitizers.js';
+import secrets from '../../core/secrets.js';
 import settingsService from '../../services/settings.service.js';
 
 function sleep(ms) {
@@ -430,13 +431,16 @@ class OpenAlgoClient extends EventEmitter {
    * @returns {Promise<Object>} - API response
    */
   async request(instance, endpoint, data = {}, method = 'POST', options = {}) {
-    const { host_url, api_key } = instance;
+    const { host_url } = instance;
     const { isCritical = false, skipRateLimit = false } = options;
 
-    if (!host_url || !api_key) {
+    if (!host_url || !instance.api_key) {
       throw new OpenAlgoError('Instance host_url and api_key are required', endpoint);
     }
 
+    // api_key is stored encrypted; the plaintext only lives for this request
+    const api_key = this._decryptApiKey(instance, endpoint);
+
     const url = `${host_url}/api/v1/${endpoint}`;
     const payload = { ...data, apikey: api_key };
     const maskedPayload = { ...data, apikey: maskApiKey(api_key) };
@@ -694,6 +698,19 @@ class OpenAlgoClient extends EventEmitter {
     });
   }
 
+  /**
+   * Decrypt an instance's stored API key
+   * @private
+   */
+  _decryptApiKey(instance, endpoint) {
+    try {
+      return secrets.decrypt(instance.api_key);
+    } catch (error) {
+      log.error('Failed to decrypt instance API key', error, { instance: instance.name || instance.id });
+      throw new OpenAlgoError(`Cannot decrypt API key for instance ${instance.name || instance.id}: ${error.message}`, endpoint);
+    }
+  }
+
   _instanceKey(instance) {
     return instance.id || instance.instance_id || instance.host_url || instance.name || 'unknown';
   }
@@ -1583,12 +1600,14 @@ class OpenAlgoClient extends EventEmitter {
    * @returns {Promise<Array>} - Array of instrument objects with symbol, name, exchange, token, lotsize, instrumenttype, etc.
    */
   async getInstruments(instance, exchange = null) {
-    const { host_url, api_key } = instance;
+    const { host_url } = instance;
 
-    if (!host_url || !api_key) {
+    if (!host_url || !instance.api_key) {
       throw new OpenAlgoError('Instance host_url and api_key are required', 'instruments');
     }
 
+    const api_key = this._decryptApiKey(instance, 'instruments');
+
     // Build query parameters
     const params = new URLSearchParams({
       apikey: api_key,
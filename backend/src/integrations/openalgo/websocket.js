@@ -0,0 +1,282 @@
+/**
+ * OpenAlgo WebSocket Streaming Client
+ * Maintains a single authenticated connection to an OpenAlgo websocket server and
+ * emits normalized market data ticks.
+ *
+ * Protocol (OpenAlgo websocket proxy):
+ * - -> { action: 'authenticate', api_key }
+ * - <- { type: 'auth', status: 'success' | 'error', message }
+ * - -> { action: 'subscribe' | 'unsubscribe', symbols: [{ exchange, symbol }], mode }
+ * - <- { type: 'market_data', mode, topic, data: { symbol, exchange, ltp, ... } }
+ *
+ * Events: 'connected', 'disconnected', 'tick', 'error'
+ */
+
+import { EventEmitter } from 'events';
+import WebSocket from 'ws';
+import { log } from '../../core/logger.js';
+import secrets from '../../core/secrets.js';
+
+export const STREAM_MODES = {
+  LTP: 1,
+  QUOTE: 2,
+  DEPTH: 3,
+};
+
+const DEFAULT_OPTIONS = {
+  mode: STREAM_MODES.QUOTE,
+  authTimeoutMs: 10000,
+  reconnectBaseMs: 1000,
+  reconnectMaxMs: 30000,
+  heartbeatMs: 30000,
+};
+
+class OpenAlgoStreamClient extends EventEmitter {
+  /**
+   * @param {Object} options - Client options
+   * @param {string} options.url - Websocket URL (ws:// or wss://)
+   * @param {string} options.apiKey - OpenAlgo API key (stored form; decrypted when authenticating)
+   * @param {number} [options.mode] - Subscription mode (STREAM_MODES)
+   * @param {Function} [options.WebSocketImpl] - WebSocket constructor (defaults to `ws`)
+   */
+  constructor(options = {}) {
+    super();
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.WebSocketImpl = options.WebSocketImpl || WebSocket;
+    this.socket = null;
+    this.authenticated = false;
+    this.shouldReconnect = false;
+    this.reconnectAttempts = 0;
+    this.reconnectTimer = null;
+    this.authTimer = null;
+    this.heartbeatTimer = null;
+    this.isAlive = false;
+    this.subscriptions = new Map(); // key: EXCHANGE|SYMBOL -> { exchange, symbol }
+  }
+
+  /**
+   * Open the connection and keep it alive until disconnect() is called
+   */
+  connect() {
+    if (!this.options.url || !this.options.apiKey) {
+      throw new Error('Websocket URL and API key are required');
+    }
+    this.shouldReconnect = true;
+    this._open();
+  }
+
+  /**
+   * Close the connection and stop reconnecting
+   */
+  disconnect() {
+    this.shouldReconnect = false;
+    this._clearTimers();
+    if (this.socket) {
+      this.socket.removeAllListeners();
+      this.socket.on('error', () => {});
+      this.socket.close();
+      this.socket = null;
+    }
+    if (this.authenticated) {
+      this.authenticated = false;
+      this.emit('disconnected', { reason: 'closed' });
+    }
+  }
+
+  isConnected() {
+    return this.authenticated && this.socket?.readyState === this.WebSocketImpl.OPEN;
+  }
+
+  /**
+   * Replace the subscription set, sending only the difference to the server
+   * @param {Array} symbols - Array of { exchange, symbol }
+   * @returns {{ added: number, removed: number }}
+   */
+  setSubscriptions(symbols = []) {
+    const next = new Map();
+    symbols.forEach((s) => {
+      if (!s?.exchange || !s?.symbol) return;
+      next.set(this._key(s.exchange, s.symbol), { exchange: s.exchange, symbol: s.symbol });
+    });
+
+    const added = [...next.entries()].filter(([key]) => !this.subscriptions.has(key)).map(([, s]) => s);
+    const removed = [...this.subscriptions.entries()].filter(([key]) => !next.has(key)).map(([, s]) => s);
+
+    this.subscriptions = next;
+
+    if (this.isConnected()) {
+      if (removed.length > 0) this._send({ action: 'unsubscribe', symbols: removed, mode: this.options.mode });
+      if (added.length > 0) this._send({ action: 'subscribe', symbols: added, mode: this.options.mode });
+    }
+
+    return { added: added.length, removed: removed.length };
+  }
+
+  _open() {
+    this._clearTimers();
+
+    const socket = new this.WebSocketImpl(this.options.url);
+    this.socket = socket;
+
+    socket.on('open', () => {
+      let apiKey;
+      try {
+        apiKey = secrets.decrypt(this.options.apiKey);
+      } catch (error) {
+        log.error('Failed to decrypt websocket API key', error, { url: this.options.url });
+        socket.terminate();
+        return;
+      }
+
+      this._send({ action: 'authenticate', api_key: apiKey });
+      this.authTimer = setTimeout(() => {
+        log.warn('OpenAlgo websocket authentication timed out', { url: this.options.url });
+        socket.terminate();
+      }, this.options.authTimeoutMs);
+    });
+
+    socket.on('message', (raw) => this._handleMessage(raw));
+
+    socket.on('pong', () => {
+      this.isAlive = true;
+    });
+
+    socket.on('error', (error) => {
+      log.warn('OpenAlgo websocket error', { url: this.options.url, error: error.message });
+      this.emit('error', error);
+    });
+
+    socket.on('close', (code) => {
+      const wasAuthenticated = this.authenticated;
+      this.authenticated = false;
+      this._clearTimers();
+      if (this.socket === socket) {
+        this.socket = null;
+      }
+      if (wasAuthenticated) {
+        this.emit('disconnected', { reason: 'socket_closed', code });
+      }
+      this._scheduleReconnect();
+    });
+  }
+
+  _handleMessage(raw) {
+    let message;
+    try {
+      message = JSON.parse(raw.toString());
+    } catch (error) {
+      log.debug('Ignoring non-JSON websocket message');
+      return;
+    }
+
+    if (message.type === 'auth') {
+      clearTimeout(this.authTimer);
+      this.authTimer = null;
+      if (message.status === 'success') {
+        this.authenticated = true;
+        this.reconnectAttempts = 0;
+        this._startHeartbeat();
+        if (this.subscriptions.size > 0) {
+          this._send({ action: 'subscribe', symbols: [...this.subscriptions.values()], mode: this.options.mode });
+        }
+        log.info('OpenAlgo websocket authenticated', {
+          url: this.options.url,
+          subscriptions: this.subscriptions.size,
+        });
+        this.emit('connected');
+      } else {
+        log.warn('OpenAlgo websocket authentication failed', { url: this.options.url, message: message.message });
+        this.emit('error', new Error(message.message || 'Websocket authentication failed'));
+        this.socket?.close();
+      }
+      return;
+    }
+
+    if (message.type === 'market_data') {
+      const tick = this._normalizeTick(message);
+      if (tick) {
+        this.emit('tick', tick);
+      }
+      return;
+    }
+
+    if (message.type === 'error' || message.status === 'error') {
+      log.warn('OpenAlgo websocket reported error', { url: this.options.url, message: message.message });
+    }
+  }
+
+  _normalizeTick(message) {
+    const data = message.data || {};
+    let { symbol, exchange } = data;
+
+    // Some servers only include the topic (SYMBOL.EXCHANGE)
+    if ((!symbol || !exchange) && typeof message.topic === 'string') {
+      const idx = message.topic.lastIndexOf('.');
+      if (idx > 0) {
+        symbol = symbol || message.topic.slice(0, idx);
+        exchange = exchange || message.topic.slice(idx + 1);
+      }
+    }
+
+    const ltp = parseFloat(data.ltp ?? data.last_price);
+    if (!symbol || !exchange || Number.isNaN(ltp)) {
+      return null;
+    }
+
+    return { ...data, symbol, exchange, ltp };
+  }
+
+  _startHeartbeat() {
+    if (!this.options.heartbeatMs) return;
+    this.isAlive = true;
+    this.heartbeatTimer = setInterval(() => {
+      if (!this.socket) return;
+      if (!this.isAlive) {
+        log.warn('OpenAlgo websocket heartbeat missed, reconnecting', { url: this.options.url });
+        this.socket.terminate();
+        return;
+      }
+      this.isAlive = false;
+      this.socket.ping();
+    }, this.options.heartbeatMs);
+  }
+
+  _scheduleReconnect() {
+    if (!this.shouldReconnect || this.reconnectTimer) return;
+
+    const delay = Math.min(
+      this.options.reconnectBaseMs * 2 ** this.reconnectAttempts,
+      this.options.reconnectMaxMs
+    );
+    this.reconnectAttempts += 1;
+
+    log.debug('Scheduling OpenAlgo websocket reconnect', { url: this.options.url, delay_ms: delay });
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      if (this.shouldReconnect) {
+        this._open();
+      }
+    }, delay);
+  }
+
+  _send(payload) {
+    if (this.socket?.readyState !== this.WebSocketImpl.OPEN) return;
+    this.socket.send(JSON.stringify(payload));
+  }
+
+  _clearTimers() {
+    clearTimeout(this.authTimer);
+    clearTimeout(this.reconnectTimer);
+    clearInterval(this.heartbeatTimer);
+    this.authTimer = null;
+    this.reconnectTimer = null;
+    this.heartbeatTimer = null;
+  }
+
+  _key(exchange, symbol) {
+    return `${String(exchange).toUpperCase()}|${String(symbol).toUpperCase()}`;
+  }
+}
+
+export default OpenAlgoStreamClient;
+export { OpenAlgoStreamClient };
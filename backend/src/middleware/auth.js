@@ -10,35 +10,27 @@ import db from '../core/database.js';
 import { config } from '../core/config.js';
 import { log } from '../core/logger.js';
 import { UnauthorizedError, ForbiddenError } from '../core/errors.js';
+import userService from '../services/user.service.js';
+import apiTokenService from '../services/api-token.service.js';
+import { SqliteSessionStore } from './session-store.js';
 
 /**
  * Configure session middleware
- *
- * WARNING: Currently uses in-memory session store for development.
- * For production deployments:
- * - Sessions will be lost on server restart
- * - Multi-instance deployments will have inconsistent sessions
- *
- * Production alternatives:
- * - connect-sqlite3 for single-instance deployments
- * - connect-redis for multi-instance deployments
- * - @quixo3/prisma-session-store for existing Prisma setups
+ * Sessions are stored in the SQLite database (sessions table), so sign-ins
+ * survive restarts. Multi-instance deployments would need a shared store.
  */
 export function configureSession() {
-  // TODO: Implement persistent session store for production
-  // Use environment variable to select store type
-  if (config.env === 'production') {
-    log.warn('Using in-memory session store in production - sessions will not persist across restarts');
-  }
+  const maxAge = 24 * 60 * 60 * 1000; // 24 hours
 
   return session({
     secret: config.session.secret,
+    store: new SqliteSessionStore({ ttlMs: maxAge }),
     resave: false,
     saveUninitialized: false,
     cookie: {
       httpOnly: true,
       secure: config.env === 'production',
-      maxAge: 24 * 60 * 60 * 1000, // 24 hours
+      maxAge,
     },
   });
 }
@@ -75,8 +67,8 @@ export function configurePassport() {
             if (!user) {
               // Create new user
               const result = await db.run(
-                'INSERT INTO users (email, is_admin) VALUES (?, ?)',
-                [email, 0] // New users are not admin by default
+                'INSERT INTO users (email, is_admin, role) VALUES (?, ?, ?)',
+                [email, 0, 'viewer'] // New users are read-only until an admin grants access
               );
 
               user = await db.get('SELECT * FROM users WHERE id = ?', [
@@ -118,15 +110,22 @@ export function configurePassport() {
 
 /**
  * Middleware to require authentication
+ * Accepts a session (Google OAuth) or a personal API token (Authorization: Bearer)
  * In test mode, creates a test user
  */
 export function requireAuth(req, res, next) {
+  // API tokens act as their user, limited to the routes their scopes cover
+  if (apiTokenService.isTokenHeader(req.headers.authorization)) {
+    return authenticateApiToken(req, next);
+  }
+
   // Test mode: Allow all requests with test user
   if (config.env === 'development' && !config.auth.googleClientId) {
     req.user = {
       id: 1,
       email: 'test@example.com',
       is_admin: 1,
+      role: 'admin',
     };
     return next();
   }
@@ -138,6 +137,30 @@ export function requireAuth(req, res, next) {
   throw new UnauthorizedError('Authentication required');
 }
 
+/**
+ * Resolve a bearer API token and check its scopes against the request
+ * @private
+ */
+async function authenticateApiToken(req, next) {
+  try {
+    const { user, token } = await apiTokenService.authenticate(req.headers.authorization);
+
+    const [path] = req.originalUrl.split('?');
+    const apiPath = path.startsWith('/api/v1/') ? path.slice('/api/v1'.length) : null;
+
+    if (!apiPath || !apiTokenService.isAllowed(token, req.method, apiPath)) {
+      log.warn('API token used outside its scopes', { token: token.id, method: req.method, path });
+      throw new ForbiddenError(`API token is not scoped for ${req.method} ${path}`);
+    }
+
+    req.user = user;
+    req.apiToken = token;
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
 /**
  * Middleware to require admin access
  */
@@ -151,13 +174,66 @@ export function requireAdmin(req, res, next) {
     throw new UnauthorizedError('Authentication required');
   }
 
-  if (!req.user.is_admin) {
+  if (!userService.hasRole(req.user, 'admin')) {
     throw new ForbiddenError('Admin access required');
   }
 
   next();
 }
 
+/**
+ * Middleware factory: require at least the given role (viewer < trader < admin)
+ * @param {string} minRole - Minimum role
+ */
+export function requireRole(minRole) {
+  return (req, res, next) => {
+    if (!req.user) {
+      throw new UnauthorizedError('Authentication required');
+    }
+
+    if (!userService.hasRole(req.user, minRole)) {
+      throw new ForbiddenError(`${minRole} role required`);
+    }
+
+    next();
+  };
+}
+
+/**
+ * Middleware factory: reads for any signed-in user, writes (POST/PUT/PATCH/DELETE)
+ * need at least the given role
+ * @param {string} minRole - Minimum role for writes
+ */
+export function requireRoleForWrites(minRole) {
+  const requireWriteRole = requireRole(minRole);
+
+  return (req, res, next) => {
+    if (req.method === 'GET' || req.method === 'HEAD' || req.method === 'OPTIONS') {
+      return next();
+    }
+    return requireWriteRole(req, res, next);
+  };
+}
+
+/**
+ * Middleware factory: the user must have trading access to every instance the
+ * request acts on (admins always do; see userService.getAccessibleInstanceIds)
+ * @param {Function} getInstanceIds - async (req) => instance ID or array of IDs
+ */
+export function requireInstanceAccess(getInstanceIds) {
+  return async (req, res, next) => {
+    try {
+      const ids = await getInstanceIds(req);
+      const list = (Array.isArray(ids) ? ids : [ids])
+        .filter(id => id !== undefined && id !== null && id !== '');
+      await userService.assertInstanceAccess(req.user, list);
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
 /**
  * Optional auth middleware
  * Attaches user if authenticated, but doesn't require it
@@ -169,6 +245,7 @@ export function optionalAuth(req, res, next) {
       id: 1,
       email: 'test@example.com',
       is_admin: 1,
+      role: 'admin',
     };
   }
 
@@ -180,5 +257,8 @@ export default {
   configurePassport,
   requireAuth,
   requireAdmin,
+  requireRole,
+  requireRoleForWrites,
+  requireInstanceAccess,
   optionalAuth,
 };
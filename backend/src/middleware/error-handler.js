@@ -3,7 +3,7 @@
  * Handles all errors and sends consistent error responses
  */
 
-import { log } from '../core/logger.js';
+import { log, redactUrl } from '../core/logger.js';
 import {
   AppError,
   BadRequestError,
@@ -30,21 +30,21 @@ export function errorHandler(err, req, res, next) {
   if (err instanceof AppError) {
     if (err.statusCode >= 500) {
       log.error('Server error', err, {
-        path: req.path,
+        path: redactUrl(req.path),
         method: req.method,
         statusCode: err.statusCode,
       });
     } else {
       log.warn('Client error', {
         message: err.message,
-        path: req.path,
+        path: redactUrl(req.path),
         method: req.method,
         statusCode: err.statusCode,
       });
     }
   } else {
     log.error('Unexpected error', err, {
-      path: req.path,
+      path: redactUrl(req.path),
       method: req.method,
     });
   }
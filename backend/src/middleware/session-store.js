@@ -0,0 +1,104 @@
+/**
+ * SQLite Session Store
+ * express-session store backed by the sessions table, so sign-ins survive restarts
+ */
+
+import session from 'express-session';
+import db from '../core/database.js';
+import { log } from '../core/logger.js';
+
+const DEFAULT_TTL_MS = 24 * 60 * 60 * 1000;
+const PRUNE_INTERVAL_MS = 15 * 60 * 1000;
+
+export class SqliteSessionStore extends session.Store {
+  /**
+   * @param {Object} options
+   * @param {number} options.ttlMs - Lifetime for sessions without a cookie expiry
+   * @param {number} options.pruneIntervalMs - How often expired rows are deleted (0 disables)
+   */
+  constructor(options = {}) {
+    super();
+    this.ttlMs = options.ttlMs || DEFAULT_TTL_MS;
+
+    const pruneIntervalMs = options.pruneIntervalMs ?? PRUNE_INTERVAL_MS;
+    if (pruneIntervalMs > 0) {
+      this.pruneTimer = setInterval(() => this.prune(), pruneIntervalMs);
+      this.pruneTimer.unref();
+    }
+  }
+
+  get(sid, callback) {
+    db.get('SELECT sess, expires_at FROM sessions WHERE sid = ?', [sid])
+      .then(row => {
+        if (!row) return callback(null, null);
+
+        if (row.expires_at <= Date.now()) {
+          return this.destroy(sid, () => callback(null, null));
+        }
+
+        callback(null, JSON.parse(row.sess));
+      })
+      .catch(callback);
+  }
+
+  set(sid, sess, callback = () => {}) {
+    db.run(
+      `INSERT INTO sessions (sid, sess, expires_at) VALUES (?, ?, ?)
+       ON CONFLICT(sid) DO UPDATE SET sess = excluded.sess, expires_at = excluded.expires_at`,
+      [sid, JSON.stringify(sess), this._expiresAt(sess)]
+    )
+      .then(() => callback(null))
+      .catch(callback);
+  }
+
+  touch(sid, sess, callback = () => {}) {
+    db.run('UPDATE sessions SET expires_at = ? WHERE sid = ?', [this._expiresAt(sess), sid])
+      .then(() => callback(null))
+      .catch(callback);
+  }
+
+  destroy(sid, callback = () => {}) {
+    db.run('DELETE FROM sessions WHERE sid = ?', [sid])
+      .then(() => callback(null))
+      .catch(callback);
+  }
+
+  length(callback) {
+    db.get('SELECT COUNT(*) AS count FROM sessions WHERE expires_at > ?', [Date.now()])
+      .then(row => callback(null, row.count))
+      .catch(callback);
+  }
+
+  clear(callback = () => {}) {
+    db.run('DELETE FROM sessions')
+      .then(() => callback(null))
+      .catch(callback);
+  }
+
+  /**
+   * Delete expired sessions
+   * @returns {Promise<number>} - Rows removed
+   */
+  async prune() {
+    try {
+      const result = await db.run('DELETE FROM sessions WHERE expires_at <= ?', [Date.now()]);
+      if (result.changes > 0) {
+        log.debug('Pruned expired sessions', { count: result.changes });
+      }
+      return result.changes;
+    } catch (error) {
+      log.warn('Failed to prune sessions', { error: error.message });
+      return 0;
+    }
+  }
+
+  /**
+   * @private
+   */
+  _expiresAt(sess) {
+    const expires = sess?.cookie?.expires ? new Date(sess.cookie.expires).getTime() : NaN;
+    return Number.isFinite(expires) ? expires : Date.now() + this.ttlMs;
+  }
+}
+
+export default SqliteSessionStore;
@@ -0,0 +1,141 @@
+/**
+ * Backtest Routes
+ * API endpoints for replaying auto-exit rules against OHLC history
+ */
+
+import express from 'express';
+import multer from 'multer';
+import backtestService from '../../services/backtest.service.js';
+import { log } from '../../core/logger.js';
+import { ValidationError } from '../../core/errors.js';
+import { requireInstanceAccess } from '../../middleware/auth.js';
+
+const router = express.Router();
+
+const requireInstanceGrant = requireInstanceAccess(req => req.body?.instanceId);
+
+// Uploaded / posted bars cost nothing and stay open to every role. OpenAlgo history is
+// fetched with an instance's API key and quota, so it needs the trader role and a grant
+// on instanceId (runs after multer so multipart fields are in req.body)
+function requireHistoryAccess(req, res, next) {
+  const { csv, bars } = req.body || {};
+  if (req.file || csv || Array.isArray(bars)) {
+    return next();
+  }
+  return requireInstanceGrant(req, res, next);
+}
+
+// Optional CSV upload of bars (memory storage)
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 20 * 1024 * 1024, // 20MB max file size
+  },
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype === 'text/csv' || file.originalname.endsWith('.csv')) {
+      cb(null, true);
+    } else {
+      cb(new ValidationError('Only CSV files are allowed'));
+    }
+  }
+});
+
+/**
+ * POST /api/v1/backtest
+ * Replay a watchlist symbol's target / stoploss / trailing stoploss config against OHLC bars
+ *
+ * Bars come from (first match wins):
+ * - multipart "file" upload or "csv" body field: timestamp,open,high,low,close[,volume]
+ * - "bars" body field: [{ timestamp, open, high, low, close }]
+ * - OpenAlgo history: "interval", "startDate", "endDate" (optional "instanceId") - trader role,
+ *   plus a grant on instanceId when given (otherwise the market data instance is used)
+ *
+ * Other fields:
+ * {
+ *   "symbolId": 123 (required - watchlist symbol whose thresholds are replayed),
+ *   "side": "LONG" | "SHORT" (optional, default LONG),
+ *   "entryMode": "REENTER" | "DAILY" (optional, default REENTER),
+ *   "mode": "direct" | "futures" | "options" (optional - which threshold set to use),
+ *   "quantity": 75 (optional - units per trade, defaults to the symbol's lot size),
+ *   "overrides": { "targetPoints": 40, "stoplossPoints": 20, "trailingPoints": 15, "trailingActivationPoints": 10 }
+ * }
+ */
+router.post('/', upload.single('file'), requireHistoryAccess, async (req, res, next) => {
+  try {
+    const {
+      symbolId,
+      csv,
+      bars,
+      instanceId,
+      interval,
+      startDate,
+      endDate,
+      side,
+      entryMode,
+      mode,
+      quantity,
+    } = req.body;
+
+    const parsedSymbolId = parseInt(symbolId, 10);
+    if (isNaN(parsedSymbolId) || parsedSymbolId <= 0) {
+      throw new ValidationError('symbolId must be a positive integer');
+    }
+
+    let parsedInstanceId;
+    if (instanceId !== undefined && instanceId !== '') {
+      parsedInstanceId = parseInt(instanceId, 10);
+      if (isNaN(parsedInstanceId) || parsedInstanceId <= 0) {
+        throw new ValidationError('instanceId must be a positive integer');
+      }
+    }
+
+    // Multipart fields arrive as strings
+    let overrides = req.body.overrides || {};
+    if (typeof overrides === 'string') {
+      try {
+        overrides = JSON.parse(overrides);
+      } catch {
+        throw new ValidationError('overrides must be a JSON object');
+      }
+    }
+
+    if (bars !== undefined && !Array.isArray(bars)) {
+      throw new ValidationError('bars must be an array');
+    }
+
+    log.info('Backtest requested', {
+      symbolId: parsedSymbolId,
+      file: req.file?.originalname,
+      interval,
+      startDate,
+      endDate,
+      side,
+      entryMode,
+      user: req.user?.email,
+    });
+
+    const result = await backtestService.runBacktest({
+      symbolId: parsedSymbolId,
+      csv: req.file ? req.file.buffer.toString('utf-8') : csv,
+      bars,
+      instanceId: parsedInstanceId,
+      interval,
+      startDate,
+      endDate,
+      side: side ? String(side).toUpperCase() : undefined,
+      entryMode: entryMode ? String(entryMode).toUpperCase() : undefined,
+      mode: mode ? String(mode).toLowerCase() : undefined,
+      quantity,
+      overrides,
+    });
+
+    res.json({
+      status: 'success',
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
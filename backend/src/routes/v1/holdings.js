@@ -0,0 +1,110 @@
+/**
+ * Holdings Routes
+ * CNC delivery holdings per instance and aggregated across instances
+ */
+
+import express from 'express';
+import holdingsService from '../../services/holdings.service.js';
+import instanceService from '../../services/instance.service.js';
+import quickOrderService from '../../services/quick-order.service.js';
+import { log } from '../../core/logger.js';
+import { requireInstanceAccess } from '../../middleware/auth.js';
+
+const router = express.Router();
+
+// Trading access to the instance in the :instanceId param
+const requireParamInstanceAccess = requireInstanceAccess(req => parseInt(req.params.instanceId, 10));
+
+/**
+ * GET /api/v1/holdings
+ * Holdings from all active instances with per-instance and overall totals
+ * Query params: force=true to bypass the holdings cache
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const holdings = await holdingsService.getAllHoldings({ force: req.query.force === 'true' });
+
+    res.json({
+      status: 'success',
+      data: holdings,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/v1/holdings/aggregate
+ * Holdings summed per ISIN (or symbol) across instances
+ * Query params: includeAnalyzer=true to include analyzer-mode instances, force=true
+ * NOTE: Must be before /:instanceId to avoid capturing "aggregate" as instanceId
+ */
+router.get('/aggregate', async (req, res, next) => {
+  try {
+    const holdings = await holdingsService.getAggregatedHoldings({
+      force: req.query.force === 'true',
+      includeAnalyzer: req.query.includeAnalyzer === 'true',
+    });
+
+    res.json({
+      status: 'success',
+      data: holdings,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/v1/holdings/:instanceId
+ * Holdings for one instance
+ */
+router.get('/:instanceId', async (req, res, next) => {
+  try {
+    const instanceId = parseInt(req.params.instanceId, 10);
+    const holdings = await holdingsService.getInstanceHoldings(instanceId, { force: req.query.force === 'true' });
+
+    res.json({
+      status: 'success',
+      data: holdings,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/v1/holdings/:instanceId/exit
+ * Sell a delivery holding with a CNC quick order
+ * Body: { symbol, exchange, quantity (optional - defaults to the full holding), orderType: MARKET|LIMIT, price }
+ */
+router.post('/:instanceId/exit', requireParamInstanceAccess, async (req, res, next) => {
+  try {
+    const instanceId = parseInt(req.params.instanceId, 10);
+    const instance = await instanceService.getInstanceById(instanceId);
+
+    const { symbol, exchange, quantity, orderType, price } = req.body;
+    const result = await quickOrderService.exitHolding(instance, { symbol, exchange }, {
+      quantity,
+      orderType,
+      price,
+    });
+
+    log.info('Holding exit submitted via API', {
+      instance_id: instanceId,
+      symbol: result.symbol,
+      quantity: result.quantity,
+      by: req.user?.email,
+    });
+
+    res.json({
+      status: 'success',
+      message: `Sell order submitted for ${result.quantity} ${result.symbol}`,
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -8,6 +8,7 @@ import instanceRoutes from './instances.js';
 import watchlistRoutes from './watchlists.js';
 import orderRoutes from './orders.js';
 import positionRoutes from './positions.js';
+import holdingsRoutes from './holdings.js';
 import symbolRoutes from './symbols.js';
 import instrumentsRoutes from './instruments.js';
 import pollingRoutes from './polling.js';
@@ -17,26 +18,19 @@ import monitorRoutes from './monitor.js';
 import settingsRoutes from './settings.js';
 import optionChainRoutes from './option-chain.js';
 import tradeRoutes from './trades.js';
+import strategyRoutes from './strategies.js';
+import backtestRoutes from './backtest.js';
+import pnlRoutes from './pnl.js';
+import userRoutes from './users.js';
+import tokenRoutes from './tokens.js';
+import signalRoutes, { signalWebhookRouter } from './signals.js';
+import scheduleRoutes from './schedules.js';
+import triggerRoutes from './triggers.js';
 import { getAppReadyStatus } from '../../middleware/instruments-refresh.middleware.js';
+import { requireAuth, requireAdmin, requireRoleForWrites } from '../../middleware/auth.js';
 
 const router = express.Router();
 
-// Mount route modules
-router.use('/instances', instanceRoutes);
-router.use('/watchlists', watchlistRoutes);
-router.use('/orders', orderRoutes);
-router.use('/positions', positionRoutes);
-router.use('/symbols', symbolRoutes);
-router.use('/instruments', instrumentsRoutes);
-router.use('/polling', pollingRoutes);
-router.use('/quickorders', quickOrderRoutes);
-router.use('/dashboard', dashboardRoutes);
-// Telegram routes disabled temporarily
-router.use('/monitor', monitorRoutes);
-router.use('/settings', settingsRoutes);
-router.use('/option-chain', optionChainRoutes);
-router.use('/trades', tradeRoutes);
-
 // Health check endpoint
 router.get('/health', (req, res) => {
   res.json({
@@ -70,4 +64,38 @@ router.get('/ready', (req, res) => {
   });
 });
 
+// Signal webhooks authenticate with the secret token in the URL (TradingView and
+// similar services cannot send auth headers)
+router.use('/signals', signalWebhookRouter);
+
+// Everything below requires a signed-in user (session, or an API token scoped to
+// the route). Reads are open to every role; writes need the role noted per module,
+// and routes that act on an instance also check the user's instance / watchlist grants.
+router.use(requireAuth);
+
+// Mount route modules
+router.use('/instances', requireRoleForWrites('trader'), instanceRoutes);
+router.use('/watchlists', requireRoleForWrites('admin'), watchlistRoutes);
+router.use('/orders', requireRoleForWrites('trader'), orderRoutes);
+router.use('/positions', requireRoleForWrites('trader'), positionRoutes);
+router.use('/holdings', requireRoleForWrites('trader'), holdingsRoutes);
+router.use('/symbols', symbolRoutes);
+router.use('/instruments', requireRoleForWrites('admin'), instrumentsRoutes);
+router.use('/polling', requireRoleForWrites('admin'), pollingRoutes);
+router.use('/quickorders', requireRoleForWrites('trader'), quickOrderRoutes);
+router.use('/dashboard', dashboardRoutes);
+// Telegram routes disabled temporarily
+router.use('/monitor', monitorRoutes);
+router.use('/settings', requireRoleForWrites('admin'), settingsRoutes);
+router.use('/option-chain', optionChainRoutes);
+router.use('/trades', requireRoleForWrites('trader'), tradeRoutes);
+router.use('/strategies', requireRoleForWrites('trader'), strategyRoutes);
+router.use('/backtest', backtestRoutes);
+router.use('/pnl', pnlRoutes);
+router.use('/users', requireAdmin, userRoutes);
+router.use('/tokens', tokenRoutes);
+router.use('/signals', requireRoleForWrites('trader'), signalRoutes);
+router.use('/schedules', requireRoleForWrites('trader'), scheduleRoutes);
+router.use('/triggers', requireRoleForWrites('trader'), triggerRoutes);
+
 export default router;
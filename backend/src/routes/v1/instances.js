@@ -7,6 +7,8 @@ import express from 'express';
 import instanceService from '../../services/instance.service.js';
 import pollingService from '../../services/polling.service.js';
 import marketDataInstanceService from '../../services/market-data-instance.service.js';
+import userService from '../../services/user.service.js';
+import { requireAdmin, requireInstanceAccess } from '../../middleware/auth.js';
 import { log } from '../../core/logger.js';
 import {
   NotFoundError,
@@ -17,6 +19,9 @@ import { parseBooleanSafe } from '../../utils/sanitizers.js';
 
 const router = express.Router();
 
+// Trading access to the instance in the :id param
+const requireIdAccess = requireInstanceAccess(req => parseInt(req.params.id, 10));
+
 /**
  * GET /api/v1/instances
  * Get all instances with optional filters
@@ -41,7 +46,7 @@ router.get('/', async (req, res, next) => {
 
     res.json({
       status: 'success',
-      data: instances,
+      data: instances.map(instance => userService.redactInstance(instance, req.user)),
       count: instances.length,
     });
   } catch (error) {
@@ -60,7 +65,10 @@ router.get('/admin/instances', async (req, res, next) => {
 
     res.json({
       status: 'success',
-      data: adminInstances,
+      data: {
+        primary: userService.redactInstance(adminInstances.primary, req.user),
+        secondary: userService.redactInstance(adminInstances.secondary, req.user),
+      },
     });
   } catch (error) {
     next(error);
@@ -79,7 +87,7 @@ router.get('/market-data/instance', async (req, res, next) => {
 
     res.json({
       status: 'success',
-      data: instance,
+      data: userService.redactInstance(instance, req.user),
     });
   } catch (error) {
     next(error);
@@ -97,7 +105,7 @@ router.get('/market-data/all', async (req, res, next) => {
 
     res.json({
       status: 'success',
-      data: instances,
+      data: instances.map(instance => userService.redactInstance(instance, req.user)),
       count: instances.length,
     });
   } catch (error) {
@@ -116,7 +124,7 @@ router.get('/:id', async (req, res, next) => {
 
     res.json({
       status: 'success',
-      data: instance,
+      data: userService.redactInstance(instance, req.user),
     });
   } catch (error) {
     next(error);
@@ -127,7 +135,7 @@ router.get('/:id', async (req, res, next) => {
  * POST /api/v1/instances
  * Create new instance
  */
-router.post('/', async (req, res, next) => {
+router.post('/', requireAdmin, async (req, res, next) => {
   try {
     const instance = await instanceService.createInstance(req.body);
 
@@ -145,7 +153,7 @@ router.post('/', async (req, res, next) => {
  * PUT /api/v1/instances/:id
  * Update instance
  */
-router.put('/:id', async (req, res, next) => {
+router.put('/:id', requireAdmin, async (req, res, next) => {
   try {
     const id = parseInt(req.params.id, 10);
     const instance = await instanceService.updateInstance(id, req.body);
@@ -164,7 +172,7 @@ router.put('/:id', async (req, res, next) => {
  * DELETE /api/v1/instances/:id
  * Delete instance
  */
-router.delete('/:id', async (req, res, next) => {
+router.delete('/:id', requireAdmin, async (req, res, next) => {
   try {
     const id = parseInt(req.params.id, 10);
     await instanceService.deleteInstance(id);
@@ -183,7 +191,7 @@ router.delete('/:id', async (req, res, next) => {
  * Test connection to OpenAlgo instance (ping endpoint)
  * NOTE: Must be before /:id routes
  */
-router.post('/test/connection', async (req, res, next) => {
+router.post('/test/connection', requireAdmin, async (req, res, next) => {
   try {
     const { host_url, api_key } = req.body;
 
@@ -191,6 +199,8 @@ router.post('/test/connection', async (req, res, next) => {
       throw new ValidationError('host_url and api_key are required');
     }
 
+    await instanceService.assertStoredApiKeyHost({ host_url, api_key });
+
     const result = await instanceService.testConnection({ host_url, api_key });
 
     res.json({
@@ -208,7 +218,7 @@ router.post('/test/connection', async (req, res, next) => {
  * Test API key validity (funds endpoint)
  * NOTE: Must be before /:id routes
  */
-router.post('/test/apikey', async (req, res, next) => {
+router.post('/test/apikey', requireAdmin, async (req, res, next) => {
   try {
     const { host_url, api_key } = req.body;
 
@@ -216,6 +226,8 @@ router.post('/test/apikey', async (req, res, next) => {
       throw new ValidationError('host_url and api_key are required');
     }
 
+    await instanceService.assertStoredApiKeyHost({ host_url, api_key });
+
     const result = await instanceService.testApiKey({ host_url, api_key });
 
     res.json({
@@ -233,7 +245,7 @@ router.post('/test/apikey', async (req, res, next) => {
  * Bulk update instances (set active/inactive or analyzer mode)
  * NOTE: Must be before /:id routes
  */
-router.post('/bulk-update', async (req, res, next) => {
+router.post('/bulk-update', requireAdmin, async (req, res, next) => {
   try {
     const { instance_ids, is_active, is_analyzer_mode } = req.body;
 
@@ -323,7 +335,7 @@ router.post('/bulk-update', async (req, res, next) => {
  * POST /api/v1/instances/:id/refresh
  * Manually refresh instance data (bypasses cron)
  */
-router.post('/:id/refresh', async (req, res, next) => {
+router.post('/:id/refresh', requireIdAccess, async (req, res, next) => {
   try {
     const id = parseInt(req.params.id, 10);
     const instance = await pollingService.refreshInstance(id);
@@ -331,7 +343,7 @@ router.post('/:id/refresh', async (req, res, next) => {
     res.json({
       status: 'success',
       message: 'Instance refreshed successfully',
-      data: instance,
+      data: userService.redactInstance(instance, req.user),
     });
   } catch (error) {
     next(error);
@@ -342,7 +354,7 @@ router.post('/:id/refresh', async (req, res, next) => {
  * POST /api/v1/instances/:id/health
  * Update health status
  */
-router.post('/:id/health', async (req, res, next) => {
+router.post('/:id/health', requireIdAccess, async (req, res, next) => {
   try {
     const id = parseInt(req.params.id, 10);
     const instance = await instanceService.updateHealthStatus(id);
@@ -350,7 +362,7 @@ router.post('/:id/health', async (req, res, next) => {
     res.json({
       status: 'success',
       message: 'Health status updated',
-      data: instance,
+      data: userService.redactInstance(instance, req.user),
     });
   } catch (error) {
     next(error);
@@ -361,7 +373,7 @@ router.post('/:id/health', async (req, res, next) => {
  * POST /api/v1/instances/:id/pnl
  * Update P&L data
  */
-router.post('/:id/pnl', async (req, res, next) => {
+router.post('/:id/pnl', requireIdAccess, async (req, res, next) => {
   try {
     const id = parseInt(req.params.id, 10);
     const instance = await instanceService.updatePnLData(id);
@@ -369,7 +381,7 @@ router.post('/:id/pnl', async (req, res, next) => {
     res.json({
       status: 'success',
       message: 'P&L data updated',
-      data: instance,
+      data: userService.redactInstance(instance, req.user),
     });
   } catch (error) {
     next(error);
@@ -380,7 +392,7 @@ router.post('/:id/pnl', async (req, res, next) => {
  * POST /api/v1/instances/:id/analyzer/toggle
  * Toggle analyzer mode with Safe-Switch workflow
  */
-router.post('/:id/analyzer/toggle', async (req, res, next) => {
+router.post('/:id/analyzer/toggle', requireAdmin, async (req, res, next) => {
   try {
     const id = parseInt(req.params.id, 10);
     const { mode } = req.body;
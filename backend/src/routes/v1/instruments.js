@@ -7,7 +7,7 @@ import express from 'express';
 import multer from 'multer';
 import instrumentsService, { SUPPORTED_EXCHANGES } from '../../services/instruments.service.js';
 import { log } from '../../core/logger.js';
-import { ValidationError } from '../../core/errors.js';
+import { NotFoundError, ValidationError } from '../../core/errors.js';
 import { sanitizeString } from '../../utils/sanitizers.js';
 
 const router = express.Router();
@@ -206,6 +206,80 @@ router.get('/needs-refresh', async (req, res, next) => {
   }
 });
 
+/**
+ * GET /api/v1/instruments/freeze-limits
+ * List freeze quantities per underlying (orders above the limit are sliced)
+ */
+router.get('/freeze-limits', async (req, res, next) => {
+  try {
+    const limits = await instrumentsService.getFreezeLimits();
+
+    res.json({
+      status: 'success',
+      data: limits
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/v1/instruments/freeze-limits
+ * Create or update the freeze quantity for an underlying
+ *
+ * Request body:
+ * {
+ *   "underlying": "NIFTY",
+ *   "exchange": "NFO",
+ *   "freezeQty": 1800 (units per order, not lots)
+ * }
+ */
+router.put('/freeze-limits', async (req, res, next) => {
+  try {
+    const { underlying, exchange, freezeQty } = req.body;
+
+    const limit = await instrumentsService.setFreezeLimit(
+      sanitizeString(underlying),
+      sanitizeString(exchange),
+      freezeQty
+    );
+
+    res.json({
+      status: 'success',
+      message: `Freeze limit for ${limit.underlying_key} set to ${limit.freeze_qty}`,
+      data: limit
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/v1/instruments/freeze-limits/:exchange/:underlying
+ * Remove the freeze quantity for an underlying
+ */
+router.delete('/freeze-limits/:exchange/:underlying', async (req, res, next) => {
+  try {
+    const { exchange, underlying } = req.params;
+
+    const removed = await instrumentsService.deleteFreezeLimit(
+      sanitizeString(underlying),
+      sanitizeString(exchange)
+    );
+
+    if (!removed) {
+      throw new NotFoundError('Freeze limit');
+    }
+
+    res.json({
+      status: 'success',
+      message: 'Freeze limit removed'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * POST /api/v1/instruments/refresh
  * Manually trigger instruments refresh
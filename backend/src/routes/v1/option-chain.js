@@ -100,10 +100,12 @@ router.get('/expiries', async (req, res) => {
 /**
  * GET /api/v1/option-chain
  * Get option chain for underlying + expiry
+ * Query params: include_greeks=true adds call_greeks/put_greeks (IV, delta, gamma, theta, vega)
+ * and spot per chain; rate overrides the risk-free rate (decimal, default 0.065)
  */
 router.get('/', async (req, res) => {
   try {
-    const { underlying, expiry, type, include_quotes, strike_window } = req.query;
+    const { underlying, expiry, type, include_quotes, strike_window, include_greeks, rate } = req.query;
 
     if (!underlying) {
       return res.status(400).json({
@@ -136,12 +138,23 @@ router.get('/', async (req, res) => {
       });
     }
 
+    const includeGreeks = include_greeks === 'true' || include_greeks === true;
+    const riskFreeRate = rate !== undefined ? parseFloat(rate) : undefined;
+
+    if (riskFreeRate !== undefined && (isNaN(riskFreeRate) || riskFreeRate < 0 || riskFreeRate > 1)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'rate must be a decimal between 0 and 1'
+      });
+    }
+
     const result = await optionChainService.getOptionChain(
       underlying,
       expiry,
       type,
       includeQuotes,
-      window
+      window,
+      { includeGreeks, rate: riskFreeRate }
     );
 
     log.info('Option chain retrieved', {
@@ -149,7 +162,8 @@ router.get('/', async (req, res) => {
       expiry,
       type: type || 'auto-detect',
       rows_count: result.rows.length,
-      has_quotes: includeQuotes
+      has_quotes: includeQuotes,
+      has_greeks: includeGreeks
     });
 
     res.json({
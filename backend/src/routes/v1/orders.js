@@ -5,8 +5,11 @@
 
 import express from 'express';
 import orderService from '../../services/order.service.js';
+import orderIntentService from '../../services/order-intent.service.js';
 import marketDataFeedService from '../../services/market-data-feed.service.js';
 import instanceService from '../../services/instance.service.js';
+import userService from '../../services/user.service.js';
+import { requireInstanceAccess } from '../../middleware/auth.js';
 import { log } from '../../core/logger.js';
 import {
   NotFoundError,
@@ -15,6 +18,12 @@ import {
 
 const router = express.Router();
 
+// Trading access checks (body instanceId, or every instanceId in a batch)
+const requireBodyInstanceAccess = requireInstanceAccess(req => req.body?.instanceId);
+const requireBatchInstanceAccess = requireInstanceAccess(req => (
+  Array.isArray(req.body?.orders) ? req.body.orders.map(order => order.instanceId) : []
+));
+
 /**
  * GET /api/v1/orders
  * Get orders with filters
@@ -97,6 +106,7 @@ router.get('/orderbook', async (req, res, next) => {
         status,
         action: side,
         price: order.price,
+        trigger_price: order.trigger_price,
         quantity: order.quantity,
         product: order.product || order.product_type,
         timestamp: order.timestamp,
@@ -168,15 +178,27 @@ router.get('/:id', async (req, res, next) => {
 /**
  * POST /api/v1/orders
  * Place order (using placesmartorder)
+ *
+ * Optional "intent_id" in the body is an idempotency key: a repeat inside
+ * orders.intent_window_seconds returns the stored order instead of placing again.
  */
-router.post('/', async (req, res, next) => {
+router.post('/', requireBodyInstanceAccess, async (req, res, next) => {
   try {
-    const order = await orderService.placeOrder(req.body);
+    const { result: order, replayed } = await orderIntentService.execute(
+      req.user?.id,
+      req.body.intent_id,
+      'order',
+      req.body,
+      () => orderService.placeOrder(req.body)
+    );
 
-    res.status(201).json({
+    res.status(replayed ? 200 : 201).json({
       status: 'success',
-      message: 'Order placed successfully',
+      message: replayed
+        ? 'Duplicate intent_id - returning the stored order (nothing re-sent)'
+        : 'Order placed successfully',
       data: order,
+      replayed,
     });
   } catch (error) {
     next(error);
@@ -186,23 +208,34 @@ router.post('/', async (req, res, next) => {
 /**
  * POST /api/v1/orders/batch
  * Place multiple orders
+ *
+ * Optional "intent_id" covers the whole batch (see POST /api/v1/orders).
  */
-router.post('/batch', async (req, res, next) => {
+router.post('/batch', requireBatchInstanceAccess, async (req, res, next) => {
   try {
-    const { orders } = req.body;
+    const { orders, intent_id: intentId } = req.body;
 
     if (!Array.isArray(orders)) {
       throw new ValidationError('orders must be an array');
     }
 
-    const results = await orderService.placeMultipleOrders(orders);
+    const { result: results, replayed } = await orderIntentService.execute(
+      req.user?.id,
+      intentId,
+      'order_batch',
+      req.body,
+      () => orderService.placeMultipleOrders(orders)
+    );
 
     const successful = results.filter(r => r.success).length;
     const failed = results.filter(r => !r.success).length;
 
-    res.status(201).json({
+    res.status(replayed ? 200 : 201).json({
       status: 'success',
-      message: `Placed ${successful} orders, ${failed} failed`,
+      message: replayed
+        ? `Duplicate intent_id - placed ${successful} orders, ${failed} failed (stored result, nothing re-sent)`
+        : `Placed ${successful} orders, ${failed} failed`,
+      replayed,
       data: {
         results,
         summary: {
@@ -217,11 +250,106 @@ router.post('/batch', async (req, res, next) => {
   }
 });
 
+/**
+ * PUT /api/v1/orders/batch
+ * Modify multiple pending LIMIT / SL orders
+ *
+ * Request body:
+ * {
+ *   "orders": [{ "instanceId": 1, "orderId": "250101000001", "price": 101.5, "trigger_price": 101, "quantity": 75 }]
+ * }
+ */
+router.put('/batch', requireBatchInstanceAccess, async (req, res, next) => {
+  try {
+    const { orders } = req.body;
+
+    if (!Array.isArray(orders) || orders.length === 0) {
+      throw new ValidationError('orders must be a non-empty array');
+    }
+
+    const result = await orderService.modifyMultipleOrders(
+      orders.map(order => ({
+        ...order,
+        instanceId: parseInt(order.instanceId, 10) || null,
+      }))
+    );
+
+    res.json({
+      status: 'success',
+      message: `Modified ${result.summary.successful} orders, ${result.summary.failed} failed`,
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/v1/orders/:id
+ * Modify a pending LIMIT / SL order by broker order ID
+ *
+ * Request body:
+ * {
+ *   "instanceId": 1 (required - instance holding the order),
+ *   "price": 101.5 (optional),
+ *   "trigger_price": 101 (optional - SL / SL-M orders),
+ *   "quantity": 75 (optional),
+ *   "applyToGroup": false (optional - also modify the same quick order on the other instances and
+ *     every split slice; price / trigger_price only, quantity is rejected)
+ * }
+ */
+router.put('/:id', requireBodyInstanceAccess, async (req, res, next) => {
+  try {
+    const { instanceId, price, trigger_price, quantity, applyToGroup } = req.body;
+    const orderId = req.params.id;
+
+    const parsedInstanceId = parseInt(instanceId, 10);
+    if (isNaN(parsedInstanceId) || parsedInstanceId <= 0) {
+      throw new ValidationError('instanceId must be a positive integer');
+    }
+
+    const changes = { price, trigger_price, quantity };
+
+    log.info('Order modification requested', {
+      instanceId: parsedInstanceId,
+      orderId,
+      changes,
+      applyToGroup: !!applyToGroup,
+      user: req.user?.email,
+    });
+
+    if (applyToGroup === true || applyToGroup === 'true') {
+      const allowedInstanceIds = await userService.getAccessibleInstanceIds(req.user);
+      const result = await orderService.modifyOrderGroup(parsedInstanceId, orderId, changes, allowedInstanceIds);
+
+      res.json({
+        status: 'success',
+        message: `Modified ${result.summary.successful} of ${result.summary.total} orders`,
+        data: result,
+      });
+      return;
+    }
+
+    const result = await orderService.modifyOrder(parsedInstanceId, orderId, changes);
+
+    res.json({
+      status: 'success',
+      message: 'Order modified successfully',
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * POST /api/v1/orders/:id/cancel
  * Cancel order
  */
-router.post('/:id/cancel', async (req, res, next) => {
+router.post('/:id/cancel', requireInstanceAccess(async (req) => {
+  const order = await orderService.getOrderById(parseInt(req.params.id, 10));
+  return order.instance_id;
+}), async (req, res, next) => {
   try {
     const id = parseInt(req.params.id, 10);
     const order = await orderService.cancelOrder(id);
@@ -240,7 +368,7 @@ router.post('/:id/cancel', async (req, res, next) => {
  * POST /api/v1/orders/cancel-all
  * Cancel all orders for an instance
  */
-router.post('/cancel-all', async (req, res, next) => {
+router.post('/cancel-all', requireBodyInstanceAccess, async (req, res, next) => {
   try {
     const { instanceId, strategy } = req.body;
 
@@ -267,7 +395,7 @@ router.post('/cancel-all', async (req, res, next) => {
  * POST /api/v1/orders/sync/:instanceId
  * Sync order status from OpenAlgo
  */
-router.post('/sync/:instanceId', async (req, res, next) => {
+router.post('/sync/:instanceId', requireInstanceAccess(req => parseInt(req.params.instanceId, 10)), async (req, res, next) => {
   try {
     const instanceId = parseInt(req.params.instanceId, 10);
     const result = await orderService.syncOrderStatus(instanceId);
@@ -0,0 +1,83 @@
+/**
+ * P&L History Routes
+ * Equity curves, drawdown and per-session results from the pnl_snapshots ledger
+ */
+
+import express from 'express';
+import pnlSnapshotService from '../../services/pnl-snapshot.service.js';
+import instanceService from '../../services/instance.service.js';
+import { ValidationError } from '../../core/errors.js';
+
+const router = express.Router();
+
+/**
+ * Parse the optional instanceId query param (404 when the instance does not exist)
+ */
+async function parseInstanceId(raw) {
+  if (raw === undefined || raw === '') {
+    return null;
+  }
+
+  const instanceId = parseInt(raw, 10);
+  if (isNaN(instanceId) || instanceId <= 0) {
+    throw new ValidationError('instanceId must be a positive integer');
+  }
+
+  await instanceService.getInstanceById(instanceId);
+  return instanceId;
+}
+
+/**
+ * GET /api/v1/pnl/equity-curve
+ * Equity curve and max drawdown for one instance (instanceId) or all instances
+ *
+ * Query: instanceId, from, to (YYYY-MM-DD, IST trading dates), interval (raw|hour|day),
+ * includeAnalyzer (true to include snapshots taken in analyzer mode)
+ */
+router.get('/equity-curve', async (req, res, next) => {
+  try {
+    const instanceId = await parseInstanceId(req.query.instanceId);
+
+    const curve = await pnlSnapshotService.getEquityCurve({
+      instanceId,
+      from: req.query.from,
+      to: req.query.to,
+      interval: req.query.interval || 'hour',
+      includeAnalyzer: req.query.includeAnalyzer === 'true',
+    });
+
+    res.json({
+      status: 'success',
+      data: curve,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/v1/pnl/sessions
+ * Per-session results (session P&L at each trading session end)
+ *
+ * Query: instanceId, from, to (YYYY-MM-DD, IST trading dates)
+ */
+router.get('/sessions', async (req, res, next) => {
+  try {
+    const instanceId = await parseInstanceId(req.query.instanceId);
+
+    const results = await pnlSnapshotService.getSessionResults({
+      instanceId,
+      from: req.query.from,
+      to: req.query.to,
+    });
+
+    res.json({
+      status: 'success',
+      data: results,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -12,9 +12,14 @@ import marketDataFeedService from '../../services/market-data-feed.service.js';
 import { log } from '../../core/logger.js';
 import { NotFoundError, ValidationError } from '../../core/errors.js';
 import quickOrderService from '../../services/quick-order.service.js';
+import greeksService from '../../services/greeks.service.js';
+import { requireInstanceAccess } from '../../middleware/auth.js';
 
 const router = express.Router();
 
+// Trading access to the instance in the :instanceId param
+const requireParamInstanceAccess = requireInstanceAccess(req => parseInt(req.params.instanceId, 10));
+
 /**
  * GET /api/v1/positions/all
  * Get positions from all active instances
@@ -58,6 +63,33 @@ router.get('/aggregate/pnl', async (req, res, next) => {
   }
 });
 
+/**
+ * GET /api/v1/positions/aggregate/greeks
+ * Get IV and Black-76 Greeks for open options positions, aggregated per instance and per underlying
+ * Query params: rate - risk-free rate as a decimal (default: 0.065)
+ * NOTE: Must be before /:instanceId routes to avoid capturing "aggregate" as instanceId
+ */
+router.get('/aggregate/greeks', async (req, res, next) => {
+  try {
+    let rate;
+    if (req.query.rate !== undefined) {
+      rate = parseFloat(req.query.rate);
+      if (isNaN(rate) || rate < 0 || rate > 1) {
+        throw new ValidationError('rate must be a decimal between 0 and 1');
+      }
+    }
+
+    const greeks = await greeksService.getPortfolioGreeks({ rate });
+
+    res.json({
+      status: 'success',
+      data: greeks,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * GET /api/v1/positions/:instanceId
  * Get positions for an instance
@@ -117,7 +149,7 @@ router.get('/:instanceId/pnl', async (req, res, next) => {
  * POST /api/v1/positions/:instanceId/close
  * Close all positions for an instance
  */
-router.post('/:instanceId/close', async (req, res, next) => {
+router.post('/:instanceId/close', requireParamInstanceAccess, async (req, res, next) => {
   try {
     const instanceId = parseInt(req.params.instanceId, 10);
     const instance = await instanceService.getInstanceById(instanceId);
@@ -141,7 +173,7 @@ router.post('/:instanceId/close', async (req, res, next) => {
  * Close a single symbol on an instance
  * Body: { symbol, exchange, tradeMode, product }
  */
-router.post('/:instanceId/close/position', async (req, res, next) => {
+router.post('/:instanceId/close/position', requireParamInstanceAccess, async (req, res, next) => {
   try {
     const instanceId = parseInt(req.params.instanceId, 10);
     const instance = await instanceService.getInstanceById(instanceId);
@@ -5,6 +5,8 @@
 
 import express from 'express';
 import quickOrderService from '../../services/quick-order.service.js';
+import orderIntentService from '../../services/order-intent.service.js';
+import userService from '../../services/user.service.js';
 import { log } from '../../core/logger.js';
 import { ValidationError } from '../../core/errors.js';
 
@@ -24,10 +26,23 @@ const router = express.Router();
  *   "expiry": "2025-11-18" (optional - for FUTURES/OPTIONS, uses nearest if not provided),
  *   "instanceId": 1 (optional - if not provided, broadcasts to all assigned instances),
  *   "product": "MIS" | "CNC" | "NRML" (optional, defaults to MIS),
+ *   "orderType": "MARKET" | "LIMIT" | "SMART_LIMIT" (optional, defaults to MARKET),
+ *   "price": 101.5 (required for LIMIT),
+ *   "limitPricing": "BID" | "ASK" | "MID" | "TICKS" (optional - SMART_LIMIT price from market depth;
+ *                    defaults to orders.smart_limit.pricing),
+ *   "limitTicks": 1 (optional - SMART_LIMIT TICKS: ticks through the spread from the passive side),
+ *   "maxReprices": 3 (optional - SMART_LIMIT: times an unfilled order is moved one tick closer to the far side),
+ *   "repriceIntervalMs": 5000 (optional - SMART_LIMIT: wait between reprices),
  *   "strategy": "quickorder" (optional),
  *   "operatingMode": "BUYER" | "WRITER" (optional - for OPTIONS mode),
  *   "strikePolicy": "FLOAT_OFS" | "ANCHOR_OFS" (optional - for OPTIONS mode),
- *   "stepLots": 1 (optional - for OPTIONS mode)
+ *   "stepLots": 1 (optional - for OPTIONS mode),
+ *   "dryRun": false (optional - resolve everything and return the orders that would be sent
+ *                    per instance without calling placesmartorder),
+ *   "marginCheck": "skip" | "warn" | "off" (optional - margin pre-check for entry orders;
+ *                    skip drops underfunded instances, warn places anyway; defaults to orders.margin_check),
+ *   "intent_id": "3f1c..." (optional - idempotency key; a repeat inside orders.intent_window_seconds
+ *                    returns the stored result instead of placing again, across every instance)
  * }
  */
 router.post('/', async (req, res, next) => {
@@ -40,11 +55,20 @@ router.post('/', async (req, res, next) => {
       quantity,
       instanceId,
       product,
+      orderType,
+      price,
+      limitPricing,
+      limitTicks,
+      maxReprices,
+      repriceIntervalMs,
       strategy,
       expiry,
       operatingMode,
       strikePolicy,
       stepLots,
+      dryRun,
+      marginCheck,
+      intent_id: intentId,
     } = req.body;
 
     // Validate required fields
@@ -107,46 +131,80 @@ router.post('/', async (req, res, next) => {
       }
     }
 
-    log.info('Placing quick order', {
+    const isDryRun = dryRun === true || dryRun === 'true';
+
+    log.info(isDryRun ? 'Simulating quick order' : 'Placing quick order', {
       symbolId: parsedSymbolId,
       action,
       tradeMode,
       optionsLeg,
       quantity,
       instanceId,
+      orderType,
       expiry,
       operatingMode,
       strikePolicy,
       stepLots,
+      intentId,
     });
 
-    // Place quick order
-    const result = await quickOrderService.placeQuickOrder({
-      symbolId: parsedSymbolId,
-      action,
-      tradeMode,
-      optionsLeg,
-      quantity: quantity ? parseInt(quantity, 10) : undefined,
-      instanceId: instanceId ? parseInt(instanceId, 10) : undefined,
-      product: product || 'MIS',
-      strategy: strategy || 'quickorder',
-      expiry: expiry || null,
-      operatingMode: operatingMode || 'BUYER',
-      strikePolicy: strikePolicy || 'FLOAT_OFS',
-      stepLots: stepLots ? parseInt(stepLots, 10) : undefined,
-    });
+    const allowedInstanceIds = await userService.getAccessibleInstanceIds(req.user);
+
+    // Place quick order (dry runs place nothing, so they skip the intent check)
+    const { result, replayed } = await orderIntentService.execute(
+      req.user?.id,
+      isDryRun ? undefined : intentId,
+      'quickorder',
+      req.body,
+      () => quickOrderService.placeQuickOrder({
+        symbolId: parsedSymbolId,
+        action,
+        tradeMode,
+        optionsLeg,
+        quantity: quantity ? parseInt(quantity, 10) : undefined,
+        instanceId: instanceId ? parseInt(instanceId, 10) : undefined,
+        product: product || 'MIS',
+        orderType: orderType || 'MARKET',
+        price: price ? parseFloat(price) : 0,
+        limitPricing,
+        limitTicks,
+        maxReprices,
+        repriceIntervalMs,
+        strategy: strategy || 'quickorder',
+        expiry: expiry || null,
+        operatingMode: operatingMode || 'BUYER',
+        strikePolicy: strikePolicy || 'FLOAT_OFS',
+        stepLots: stepLots ? parseInt(stepLots, 10) : undefined,
+        dryRun: isDryRun,
+        marginCheck: marginCheck || undefined,
+        allowedInstanceIds,
+      })
+    );
 
     // Determine overall success
     const totalOrders = result.results.length;
     const successfulOrders = result.results.filter(r => r.success).length;
     const failedOrders = totalOrders - successfulOrders;
+    const marginNote = result.summary.margin_skipped > 0
+      ? ` (${result.summary.margin_skipped} skipped for insufficient margin)`
+      : '';
+
+    let message = isDryRun
+      ? `Dry run: ${successfulOrders} instance(s) resolved, ${failedOrders} failed`
+      : `Quick order placed: ${successfulOrders} successful, ${failedOrders} failed${marginNote}`;
+    if (replayed) {
+      message = `Duplicate intent_id - ${message} (stored result, nothing re-sent)`;
+    }
 
-    res.status(201).json({
+    res.status(isDryRun || replayed ? 200 : 201).json({
       status: 'success',
-      message: `Quick order placed: ${successfulOrders} successful, ${failedOrders} failed`,
+      message,
       data: {
         ...result,
+        intent_id: intentId || null,
+        replayed,
         summary: {
+          ...result.summary,
           total: totalOrders,
           successful: successfulOrders,
           failed: failedOrders,
@@ -278,6 +336,25 @@ router.get('/', async (req, res, next) => {
   }
 });
 
+/**
+ * GET /api/v1/quickorders/trace/:transactionId
+ * Get the decision trace for a broadcast by the transaction_id returned when it was placed.
+ * Unlike /:id/trace this also resolves broadcasts that placed no order (every instance
+ * failed, was a no-op or was skipped for insufficient margin)
+ */
+router.get('/trace/:transactionId', async (req, res, next) => {
+  try {
+    const trace = await quickOrderService.getBroadcastTrace(req.params.transactionId);
+
+    res.json({
+      status: 'success',
+      data: trace,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * GET /api/v1/quickorders/:id
  * Get a specific quick order by ID
@@ -301,6 +378,31 @@ router.get('/:id', async (req, res, next) => {
   }
 });
 
+/**
+ * GET /api/v1/quickorders/:id/trace
+ * Get the decision trace (position snapshot, resolved symbol/strike, target,
+ * placesmartorder payload and broker response) per instance for a quick order's broadcast
+ * plus any order chases it started, with every reprice step
+ */
+router.get('/:id/trace', async (req, res, next) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+
+    if (isNaN(id) || id <= 0) {
+      throw new ValidationError('id must be a positive integer');
+    }
+
+    const trace = await quickOrderService.getQuickOrderTrace(id);
+
+    res.json({
+      status: 'success',
+      data: trace,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * GET /api/v1/quickorders/symbol/:symbol
  * Get quick orders for a specific symbol
@@ -0,0 +1,146 @@
+/**
+ * Schedule Routes
+ * Time-based quick orders and square-offs (see scheduler.service)
+ */
+
+import express from 'express';
+import schedulerService, { SCHEDULE_TYPES, TRIGGER_TYPES } from '../../services/scheduler.service.js';
+import instanceService from '../../services/instance.service.js';
+import { log } from '../../core/logger.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/v1/schedules
+ * List schedules with their next IST run (admins see all, others their own)
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const [schedules, sessions] = await Promise.all([
+      schedulerService.listSchedules(req.user),
+      instanceService.getTradingSessions(),
+    ]);
+
+    res.json({
+      status: 'success',
+      data: schedules,
+      schedule_types: SCHEDULE_TYPES,
+      trigger_types: TRIGGER_TYPES,
+      sessions,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/v1/schedules/:id/runs
+ * Past runs and their outcome (?limit=50)
+ */
+router.get('/:id/runs', async (req, res, next) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    const runs = await schedulerService.listRuns(id, req.user, { limit: req.query.limit });
+
+    res.json({
+      status: 'success',
+      data: runs,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/v1/schedules
+ * Create a schedule
+ *
+ * Request body:
+ * {
+ *   "name": "NIFTY entry",
+ *   "scheduleType": "ORDER" | "SQUARE_OFF",
+ *   "triggerType": "TIME" | "SESSION_START",
+ *   "timeIst": "09:20" (TIME),
+ *   "sessionLabel": "Session 1" (SESSION_START, optional - every session when omitted),
+ *   "offsetMinutes": 0 (SESSION_START - minutes after the session starts),
+ *   "daysOfWeek": [1, 2, 3, 4, 5] (0 = Sunday; ignored with runDate),
+ *   "runDate": "2026-10-20" (optional - run once on this IST date),
+ *   "symbolId": 12, "instanceId": 2 (optional), "action": "BUY_CE", "tradeMode": "EQUITY" | "FUTURES",
+ *   "quantity": 1, "optionsLeg": "ATM", "product": "MIS" (ORDER),
+ *   "instanceId" and/or "watchlistId", "product": "MIS" (SQUARE_OFF),
+ *   "dryRun": false
+ * }
+ */
+router.post('/', async (req, res, next) => {
+  try {
+    const schedule = await schedulerService.createSchedule(req.body, req.user);
+
+    log.info('Schedule created via API', { id: schedule.id, by: req.user?.email });
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Schedule created successfully',
+      data: schedule,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/v1/schedules/:id/run
+ * Run a schedule now, outside its timetable
+ */
+router.post('/:id/run', async (req, res, next) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    const run = await schedulerService.runNow(id, req.user);
+
+    res.json({
+      status: 'success',
+      message: run?.message || 'Schedule run',
+      data: run,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/v1/schedules/:id
+ * Update a schedule (omitted fields are left unchanged; "isEnabled" toggles it)
+ */
+router.put('/:id', async (req, res, next) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    const schedule = await schedulerService.updateSchedule(id, req.body, req.user);
+
+    res.json({
+      status: 'success',
+      message: 'Schedule updated successfully',
+      data: schedule,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/v1/schedules/:id
+ * Delete a schedule and its run history
+ */
+router.delete('/:id', async (req, res, next) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    await schedulerService.deleteSchedule(id, req.user);
+
+    res.json({
+      status: 'success',
+      message: 'Schedule deleted successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,169 @@
+/**
+ * Signal Routes
+ * Webhook endpoint for external alerts, and management of signal mappings
+ */
+
+import express from 'express';
+import signalService, { SIGNAL_ACTIONS } from '../../services/signal.service.js';
+import { log } from '../../core/logger.js';
+
+const router = express.Router();
+
+/**
+ * Public webhook (mounted before authentication - the URL token is the credential)
+ */
+export const signalWebhookRouter = express.Router();
+
+/**
+ * POST /api/v1/signals/:token
+ * Receive an alert and place the mapped quick order
+ *
+ * Body: JSON ({"action": "BUY", "symbol": "NIFTY", "quantity": 1, "intent_id": "..."})
+ * or text/plain ("action=SELL_CE symbol=NSE:NIFTY" or "BUY RELIANCE 5")
+ */
+signalWebhookRouter.post(
+  '/:token',
+  express.text({ type: 'text/*', limit: '16kb' }),
+  async (req, res, next) => {
+    try {
+      const outcome = await signalService.handleWebhook(req.params.token, req.body, {
+        sourceIp: req.ip,
+      });
+
+      res.status(outcome.status === 'placed' || outcome.status === 'partial' ? 201 : 200).json({
+        status: 'success',
+        message: outcome.message,
+        data: outcome,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * GET /api/v1/signals
+ * List signals (admins see all, others their own)
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const signals = await signalService.listSignals(req.user);
+
+    res.json({
+      status: 'success',
+      data: signals,
+      actions: SIGNAL_ACTIONS,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/v1/signals/:id/events
+ * Received payloads and their outcome (?limit=100)
+ */
+router.get('/:id/events', async (req, res, next) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    const events = await signalService.listEvents(id, req.user, { limit: req.query.limit });
+
+    res.json({
+      status: 'success',
+      data: events,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/v1/signals
+ * Create a signal; the webhook URL is only shown in this response
+ *
+ * Request body:
+ * {
+ *   "name": "TradingView NIFTY",
+ *   "watchlistId": 1 (required - payload symbols are looked up in this watchlist),
+ *   "symbolId": 12 (optional - pin the signal to one watchlist symbol),
+ *   "instanceId": 2 (optional - defaults to every instance assigned to the watchlist),
+ *   "allowedActions": ["BUY", "SELL", "EXIT"],
+ *   "tradeMode": "EQUITY" | "FUTURES" (optional - for direct actions; defaults from the symbol),
+ *   "quantity": 1 (optional - default when the payload has none; falls back to the symbol's qty),
+ *   "maxQuantity": 5 (optional - payloads asking for more are rejected),
+ *   "dryRun": false (optional - resolve orders without placing them)
+ * }
+ */
+router.post('/', async (req, res, next) => {
+  try {
+    const signal = await signalService.createSignal(req.body, req.user);
+
+    log.info('Signal created via API', { id: signal.id, by: req.user?.email });
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Signal created - copy the webhook URL now, it will not be shown again',
+      data: signal,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/v1/signals/:id/rotate
+ * Issue a new webhook URL (the old one stops working)
+ */
+router.post('/:id/rotate', async (req, res, next) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    const signal = await signalService.rotateToken(id, req.user);
+
+    res.json({
+      status: 'success',
+      message: 'Webhook URL rotated - copy the new URL now, it will not be shown again',
+      data: signal,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/v1/signals/:id
+ * Update a signal's mapping (omitted fields are left unchanged; "isEnabled" toggles it)
+ */
+router.put('/:id', async (req, res, next) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    const signal = await signalService.updateSignal(id, req.body, req.user);
+
+    res.json({
+      status: 'success',
+      message: 'Signal updated successfully',
+      data: signal,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/v1/signals/:id
+ * Delete a signal and its event log
+ */
+router.delete('/:id', async (req, res, next) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    await signalService.deleteSignal(id, req.user);
+
+    res.json({
+      status: 'success',
+      message: 'Signal deleted successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,180 @@
+/**
+ * Strategy Routes
+ * API endpoints for multi-leg options strategy orders (straddles, spreads, iron condors)
+ */
+
+import express from 'express';
+import strategyBuilderService from '../../services/strategy-builder.service.js';
+import userService from '../../services/user.service.js';
+import { log } from '../../core/logger.js';
+import { ValidationError } from '../../core/errors.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/v1/strategies/templates
+ * List leg templates with their default strike offsets
+ */
+router.get('/templates', (req, res, next) => {
+  try {
+    res.json({
+      status: 'success',
+      data: strategyBuilderService.getTemplates(),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/v1/strategies
+ * Place a multi-leg strategy across the watchlist's instances as one strategy group
+ *
+ * Request body:
+ * {
+ *   "symbolId": 123 (required - watchlist symbol ID of the underlying),
+ *   "template": "IRON_CONDOR" | "SHORT_STRADDLE" | ... | "CUSTOM" (required),
+ *   "legs": [{ "action": "SELL", "optionType": "CE", "strikeOffset": "OTM2", "lots": 1 }] (CUSTOM only),
+ *   "offset": "OTM2" (optional - override the template's short/body offset),
+ *   "wingOffset": "OTM4" (optional - override the template's wing offset),
+ *   "expiry": "2025-11-18" (optional - nearest expiry if not provided),
+ *   "lots": 1 (optional - lots per leg),
+ *   "instanceId": 1 (optional - if not provided, places on all assigned instances),
+ *   "onPartial": "rollback" | "flag" (optional - what to do with placed legs when a leg fails),
+ *   "dryRun": false (optional - resolve legs and positions without placing orders)
+ * }
+ */
+router.post('/', async (req, res, next) => {
+  try {
+    const {
+      symbolId,
+      template,
+      legs,
+      offset,
+      wingOffset,
+      expiry,
+      lots,
+      instanceId,
+      onPartial,
+      dryRun,
+    } = req.body;
+
+    const parsedSymbolId = parseInt(symbolId, 10);
+    if (isNaN(parsedSymbolId) || parsedSymbolId <= 0) {
+      throw new ValidationError('symbolId must be a positive integer');
+    }
+
+    if (!template) {
+      throw new ValidationError('template is required');
+    }
+
+    let parsedLots;
+    if (lots !== undefined) {
+      parsedLots = parseInt(lots, 10);
+      if (isNaN(parsedLots) || parsedLots <= 0) {
+        throw new ValidationError('lots must be a positive integer');
+      }
+    }
+
+    const isDryRun = dryRun === true || dryRun === 'true';
+
+    log.info(isDryRun ? 'Simulating strategy order' : 'Placing strategy order', {
+      symbolId: parsedSymbolId,
+      template,
+      lots: parsedLots,
+      instanceId,
+      expiry,
+      onPartial,
+      user: req.user?.email,
+    });
+
+    const result = await strategyBuilderService.placeStrategyOrder({
+      symbolId: parsedSymbolId,
+      template: String(template).toUpperCase(),
+      legs,
+      offset,
+      wingOffset,
+      expiry,
+      lots: parsedLots,
+      instanceId,
+      onPartial: onPartial || 'rollback',
+      dryRun: isDryRun,
+      allowedInstanceIds: await userService.getAccessibleInstanceIds(req.user),
+    });
+
+    res.status(isDryRun ? 200 : 201).json({
+      status: 'success',
+      message: result.message,
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/v1/strategies
+ * List strategy groups
+ *
+ * Query params:
+ * - status: Filter by group status (pending, complete, partial, rolled_back, failed)
+ * - limit: Limit results (default: 50)
+ * - offset: Offset for pagination (default: 0)
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const limit = req.query.limit ? parseInt(req.query.limit, 10) : 50;
+    const offset = req.query.offset ? parseInt(req.query.offset, 10) : 0;
+
+    if (isNaN(limit) || limit <= 0 || limit > 1000) {
+      throw new ValidationError('limit must be between 1 and 1000');
+    }
+
+    if (isNaN(offset) || offset < 0) {
+      throw new ValidationError('offset must be a non-negative integer');
+    }
+
+    const groups = await strategyBuilderService.getStrategyGroups({
+      status: req.query.status,
+      limit,
+      offset,
+    });
+
+    res.json({
+      status: 'success',
+      data: groups,
+      count: groups.length,
+      pagination: {
+        limit,
+        offset,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/v1/strategies/:id
+ * Get a strategy group with every leg per instance (order IDs, fill and rollback status)
+ */
+router.get('/:id', async (req, res, next) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+
+    if (isNaN(id) || id <= 0) {
+      throw new ValidationError('id must be a positive integer');
+    }
+
+    const group = await strategyBuilderService.getStrategyGroup(id);
+
+    res.json({
+      status: 'success',
+      data: group,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
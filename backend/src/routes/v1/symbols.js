@@ -17,6 +17,7 @@ import { ValidationError } from '../../core/errors.js';
 import { sanitizeString } from '../../utils/sanitizers.js';
 import marketDataFeedService from '../../services/market-data-feed.service.js';
 import symbolResolutionService from '../../services/symbol-resolution.service.js';
+import smartLimitService from '../../services/smart-limit.service.js';
 
 const router = express.Router();
 
@@ -190,6 +191,30 @@ router.get('/market-data/:exchange/:symbol', async (req, res, next) => {
   }
 });
 
+/**
+ * GET /api/v1/symbols/depth/:exchange/:symbol
+ * Live market depth (5 levels) from the market data pool, with the instrument tick size
+ * Query params: force=true to bypass the 1s depth cache
+ */
+router.get('/depth/:exchange/:symbol', async (req, res, next) => {
+  try {
+    const exchange = sanitizeString(req.params.exchange).toUpperCase();
+    const symbol = sanitizeString(req.params.symbol).toUpperCase();
+
+    const [depth, tickSize] = await Promise.all([
+      marketDataFeedService.getDepthSnapshot(exchange, symbol, { force: req.query.force === 'true' }),
+      smartLimitService.getTickSize(symbol, exchange),
+    ]);
+
+    res.json({
+      status: 'success',
+      data: { ...depth, tick_size: tickSize },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * GET /api/v1/symbols/expiry
  * Get expiry dates for options
@@ -78,6 +78,10 @@ router.put('/preferences', async (req, res, next) => {
       notify_on_sl,
       notify_on_tsl,
       notify_on_error,
+      notify_on_target,
+      notify_on_session_cutoff,
+      notify_on_rejection,
+      notify_on_health,
       silent_mode,
     } = req.body;
 
@@ -98,6 +102,10 @@ router.put('/preferences', async (req, res, next) => {
           notify_on_sl = COALESCE(?, notify_on_sl),
           notify_on_tsl = COALESCE(?, notify_on_tsl),
           notify_on_error = COALESCE(?, notify_on_error),
+          notify_on_target = COALESCE(?, notify_on_target),
+          notify_on_session_cutoff = COALESCE(?, notify_on_session_cutoff),
+          notify_on_rejection = COALESCE(?, notify_on_rejection),
+          notify_on_health = COALESCE(?, notify_on_health),
           silent_mode = COALESCE(?, silent_mode),
           updated_at = CURRENT_TIMESTAMP
       WHERE user_id = ?
@@ -107,6 +115,10 @@ router.put('/preferences', async (req, res, next) => {
         notify_on_sl,
         notify_on_tsl,
         notify_on_error,
+        notify_on_target,
+        notify_on_session_cutoff,
+        notify_on_rejection,
+        notify_on_health,
         silent_mode,
         userId,
       ]
@@ -0,0 +1,78 @@
+/**
+ * API Token Routes
+ * Personal API tokens for scripts (each user manages their own)
+ */
+
+import express from 'express';
+import apiTokenService, { API_TOKEN_SCOPES } from '../../services/api-token.service.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/v1/tokens
+ * List the current user's tokens and the available scopes
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const tokens = await apiTokenService.listTokens(req.user.id);
+
+    res.json({
+      status: 'success',
+      data: tokens,
+      scopes: Object.entries(API_TOKEN_SCOPES).map(([scope, definition]) => ({
+        scope,
+        description: definition.description,
+      })),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/v1/tokens
+ * Create a token. The token value is only returned in this response.
+ *
+ * Request body:
+ * {
+ *   "name": "signal-runner",
+ *   "scopes": ["quickorders", "positions:read"],
+ *   "expiresInDays": 90 (optional - never expires if omitted)
+ * }
+ *
+ * Use it as: Authorization: Bearer <token>
+ */
+router.post('/', async (req, res, next) => {
+  try {
+    const token = await apiTokenService.createToken(req.user.id, req.body);
+
+    res.status(201).json({
+      status: 'success',
+      message: 'API token created - copy it now, it will not be shown again',
+      data: token,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/v1/tokens/:id
+ * Revoke a token
+ */
+router.delete('/:id', async (req, res, next) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    const token = await apiTokenService.revokeToken(req.user.id, id);
+
+    res.json({
+      status: 'success',
+      message: 'API token revoked',
+      data: token,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -6,9 +6,40 @@
 import express from 'express';
 import marketDataFeedService from '../../services/market-data-feed.service.js';
 import instanceService from '../../services/instance.service.js';
+import tradeHistoryService, {
+  TRADE_CSV_COLUMNS,
+  PNL_CSV_COLUMNS,
+} from '../../services/trade-history.service.js';
+import { toCsv } from '../../utils/csv.js';
+import { ValidationError } from '../../core/errors.js';
 
 const router = express.Router();
 
+/**
+ * History filters from the query string
+ */
+function parseHistoryFilters(query) {
+  return {
+    instanceId: query.instanceId,
+    symbol: query.symbol,
+    exchange: query.exchange,
+    underlying: query.underlying,
+    watchlistId: query.watchlistId,
+    from: query.from,
+    to: query.to,
+    includeAnalyzer: query.includeAnalyzer,
+  };
+}
+
+/**
+ * Send rows as a CSV download
+ */
+function sendCsv(res, filename, rows, columns) {
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  res.send(toCsv(rows, columns));
+}
+
 function parseTradeTimestamp(raw) {
   if (!raw) return null;
   const value = String(raw).trim();
@@ -122,4 +153,91 @@ router.get('/tradebook', async (req, res, next) => {
   }
 });
 
+/**
+ * GET /api/v1/trades/history
+ * Stored trade history (newest first) with the realized P&L of each closing trade
+ *
+ * Query: instanceId, symbol, exchange, underlying, watchlistId, from, to (YYYY-MM-DD),
+ * includeAnalyzer, limit, offset, format=csv (all matching trades as a download)
+ */
+router.get('/history', async (req, res, next) => {
+  try {
+    const filters = parseHistoryFilters(req.query);
+
+    if (req.query.format === 'csv') {
+      const result = await tradeHistoryService.getTrades(filters, { limit: null });
+      sendCsv(res, 'trade-history.csv', result.trades, TRADE_CSV_COLUMNS);
+      return;
+    }
+
+    const result = await tradeHistoryService.getTrades(filters, {
+      limit: req.query.limit,
+      offset: req.query.offset,
+    });
+
+    res.json({
+      status: 'success',
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/v1/trades/history/pnl
+ * FIFO realized P&L over the stored history
+ *
+ * Query: history filters (see /history), groupBy (symbol|underlying|watchlist|day|instance),
+ * format=csv
+ */
+router.get('/history/pnl', async (req, res, next) => {
+  try {
+    const groupBy = req.query.groupBy || 'symbol';
+    const result = await tradeHistoryService.getRealizedPnL(parseHistoryFilters(req.query), groupBy);
+
+    if (req.query.format === 'csv') {
+      sendCsv(res, `realized-pnl-by-${groupBy}.csv`, result.groups, PNL_CSV_COLUMNS);
+      return;
+    }
+
+    res.json({
+      status: 'success',
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/v1/trades/history/sync
+ * Ingest the current tradebook now (polling also does this about once a minute)
+ *
+ * Request body: { "instanceId": 1 } (optional - all active instances when omitted)
+ */
+router.post('/history/sync', async (req, res, next) => {
+  try {
+    const { instanceId } = req.body || {};
+    let result;
+
+    if (instanceId !== undefined && instanceId !== null && instanceId !== '') {
+      const parsedInstanceId = parseInt(instanceId, 10);
+      if (isNaN(parsedInstanceId) || parsedInstanceId <= 0) {
+        throw new ValidationError('instanceId must be a positive integer');
+      }
+      result = await tradeHistoryService.ingestInstance(parsedInstanceId, { force: true });
+    } else {
+      result = await tradeHistoryService.ingestAll({ force: true });
+    }
+
+    res.json({
+      status: 'success',
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 export default router;
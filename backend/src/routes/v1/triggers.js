@@ -0,0 +1,137 @@
+/**
+ * Price Trigger Routes
+ * Conditional quick orders fired when a symbol's LTP crosses a price (see price-trigger.service)
+ */
+
+import express from 'express';
+import priceTriggerService, { TRIGGER_CONDITIONS } from '../../services/price-trigger.service.js';
+import { log } from '../../core/logger.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/v1/triggers
+ * List triggers, active first (?status=active; admins see all, others their own)
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const triggers = await priceTriggerService.listTriggers(req.user, { status: req.query.status });
+
+    res.json({
+      status: 'success',
+      data: triggers,
+      conditions: TRIGGER_CONDITIONS,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/v1/triggers/:id
+ * Get a trigger with its fired order result
+ */
+router.get('/:id', async (req, res, next) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    const trigger = await priceTriggerService.getTrigger(id, req.user);
+
+    res.json({
+      status: 'success',
+      data: trigger,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/v1/triggers
+ * Create a trigger (rejected when the LTP is already past the price)
+ *
+ * Request body:
+ * {
+ *   "name": "NIFTY breakout" (optional),
+ *   "symbolId": 12,
+ *   "condition": "CROSS_ABOVE" | "CROSS_BELOW",
+ *   "triggerPrice": 25100,
+ *   "action": "BUY_CE",
+ *   "tradeMode": "EQUITY" | "FUTURES" (ignored for options actions),
+ *   "quantity": 1, "optionsLeg": "ATM", "product": "MIS" (optional - symbol defaults),
+ *   "instanceIds": [2, 3] (optional - every watchlist instance when omitted),
+ *   "dryRun": false
+ * }
+ */
+router.post('/', async (req, res, next) => {
+  try {
+    const trigger = await priceTriggerService.createTrigger(req.body, req.user);
+
+    log.info('Price trigger created via API', { id: trigger.id, by: req.user?.email });
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Trigger created successfully',
+      data: trigger,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/v1/triggers/:id
+ * Update an active trigger (omitted fields are left unchanged)
+ */
+router.put('/:id', async (req, res, next) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    const trigger = await priceTriggerService.updateTrigger(id, req.body, req.user);
+
+    res.json({
+      status: 'success',
+      message: 'Trigger updated successfully',
+      data: trigger,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/v1/triggers/:id/cancel
+ * Cancel an active trigger (kept for history)
+ */
+router.post('/:id/cancel', async (req, res, next) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    const trigger = await priceTriggerService.cancelTrigger(id, req.user);
+
+    res.json({
+      status: 'success',
+      message: 'Trigger cancelled successfully',
+      data: trigger,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/v1/triggers/:id
+ * Delete a trigger
+ */
+router.delete('/:id', async (req, res, next) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    await priceTriggerService.deleteTrigger(id, req.user);
+
+    res.json({
+      status: 'success',
+      message: 'Trigger deleted successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,113 @@
+/**
+ * User Routes
+ * API endpoints for managing users, roles and instance/watchlist grants (admin only)
+ */
+
+import express from 'express';
+import userService, { ROLES } from '../../services/user.service.js';
+import { log } from '../../core/logger.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/v1/users
+ * List users with their roles and grants
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const users = await userService.listUsers();
+
+    res.json({
+      status: 'success',
+      data: users,
+      roles: ROLES,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/v1/users/:id
+ * Get user by ID
+ */
+router.get('/:id', async (req, res, next) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    const user = await userService.getUserById(id);
+
+    res.json({
+      status: 'success',
+      data: user,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/v1/users
+ * Pre-register a user so they get a role and grants on first sign-in
+ *
+ * Request body:
+ * {
+ *   "email": "trader@example.com",
+ *   "role": "viewer" | "trader" | "admin" (optional, defaults to viewer),
+ *   "instanceIds": [1, 2] (optional - instances a trader may trade on),
+ *   "watchlistIds": [3] (optional - grants every instance assigned to the watchlist)
+ * }
+ */
+router.post('/', async (req, res, next) => {
+  try {
+    const user = await userService.createUser(req.body);
+
+    log.info('User created via API', { id: user.id, by: req.user?.email });
+
+    res.status(201).json({
+      status: 'success',
+      message: 'User created successfully',
+      data: user,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/v1/users/:id
+ * Update role and/or grants (lists that are omitted are left unchanged)
+ */
+router.put('/:id', async (req, res, next) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    const user = await userService.updateUser(id, req.body, req.user);
+
+    res.json({
+      status: 'success',
+      message: 'User updated successfully',
+      data: user,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/v1/users/:id
+ * Delete a user
+ */
+router.delete('/:id', async (req, res, next) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    await userService.deleteUser(id, req.user);
+
+    res.json({
+      status: 'success',
+      message: 'User deleted successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,249 @@
+/**
+ * API Token Service
+ * Personal bearer tokens so scripts can call the API without OAuth cookies.
+ *
+ * A token acts as its user (role and instance grants still apply) but only on
+ * the routes its scopes cover. Only a SHA-256 hash is stored; the token itself
+ * is shown once, at creation.
+ */
+
+import crypto from 'crypto';
+import db from '../core/database.js';
+import { log } from '../core/logger.js';
+import { ValidationError, NotFoundError, UnauthorizedError } from '../core/errors.js';
+
+const TOKEN_PREFIX = 'sfa_';
+const MAX_TOKENS_PER_USER = 20;
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+const TOKEN_COLUMNS = 'id, name, token_prefix, scopes, expires_at, last_used_at, revoked_at, created_at';
+
+/**
+ * Scope -> API paths it opens (under /api/v1) and the methods allowed on them
+ */
+export const API_TOKEN_SCOPES = {
+  quickorders: {
+    description: 'Place quick orders and read quick-order history',
+    paths: ['/quickorders'],
+    methods: ['GET', 'POST'],
+  },
+  'positions:read': {
+    description: 'Read positions and holdings',
+    paths: ['/positions', '/holdings'],
+    methods: ['GET'],
+  },
+  'positions:write': {
+    description: 'Close positions and sell holdings',
+    paths: ['/positions', '/holdings'],
+    methods: ['GET', 'POST'],
+  },
+};
+
+class ApiTokenService {
+  constructor() {
+    this.lastUsedWrites = new Map();
+  }
+
+  /**
+   * Whether an Authorization header carries an API token
+   * @param {string} header - Authorization header
+   * @returns {boolean}
+   */
+  isTokenHeader(header) {
+    return typeof header === 'string' && /^Bearer\s+/i.test(header);
+  }
+
+  /**
+   * List a user's tokens (without hashes)
+   * @param {number} userId - User ID
+   * @returns {Promise<Array>}
+   */
+  async listTokens(userId) {
+    const rows = await db.all(
+      `SELECT ${TOKEN_COLUMNS}
+       FROM api_tokens WHERE user_id = ? ORDER BY created_at DESC, id DESC`,
+      [userId]
+    );
+    return rows.map(row => this._format(row));
+  }
+
+  /**
+   * Create a token
+   * @param {number} userId - Owner
+   * @param {Object} data - { name, scopes, expiresInDays }
+   * @returns {Promise<Object>} - Token record plus `token` (plaintext, shown once)
+   */
+  async createToken(userId, data = {}) {
+    const name = String(data.name || '').trim();
+    if (!name || name.length > 100) {
+      throw new ValidationError('name is required (max 100 characters)');
+    }
+
+    const scopes = this._validateScopes(data.scopes);
+
+    let expiresAt = null;
+    if (data.expiresInDays !== undefined && data.expiresInDays !== null && data.expiresInDays !== '') {
+      const days = parseInt(data.expiresInDays, 10);
+      if (isNaN(days) || days <= 0 || days > 3650) {
+        throw new ValidationError('expiresInDays must be between 1 and 3650');
+      }
+      expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString();
+    }
+
+    const active = await db.get(
+      'SELECT COUNT(*) AS count FROM api_tokens WHERE user_id = ? AND revoked_at IS NULL',
+      [userId]
+    );
+    if (active.count >= MAX_TOKENS_PER_USER) {
+      throw new ValidationError(`At most ${MAX_TOKENS_PER_USER} active tokens per user; revoke one first`);
+    }
+
+    const token = `${TOKEN_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+
+    const result = await db.run(
+      `INSERT INTO api_tokens (user_id, name, token_hash, token_prefix, scopes, expires_at)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [userId, name, this._hash(token), token.slice(0, TOKEN_PREFIX.length + 6), JSON.stringify(scopes), expiresAt]
+    );
+
+    log.info('API token created', { userId, id: result.lastID, name, scopes });
+
+    const row = await db.get(
+      `SELECT ${TOKEN_COLUMNS}
+       FROM api_tokens WHERE id = ?`,
+      [result.lastID]
+    );
+    return { ...this._format(row), token };
+  }
+
+  /**
+   * Revoke one of a user's tokens
+   * @param {number} userId - Owner
+   * @param {number} id - Token ID
+   * @returns {Promise<Object>} - Revoked token
+   */
+  async revokeToken(userId, id) {
+    const row = await db.get('SELECT id FROM api_tokens WHERE id = ? AND user_id = ?', [id, userId]);
+    if (!row) {
+      throw new NotFoundError('API token');
+    }
+
+    await db.run(
+      'UPDATE api_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE id = ? AND revoked_at IS NULL',
+      [id]
+    );
+    log.info('API token revoked', { userId, id });
+
+    const revoked = await db.get(
+      `SELECT ${TOKEN_COLUMNS}
+       FROM api_tokens WHERE id = ?`,
+      [id]
+    );
+    return this._format(revoked);
+  }
+
+  /**
+   * Resolve a bearer token to its user
+   * @param {string} header - Authorization header ("Bearer sfa_...")
+   * @returns {Promise<Object>} - { user, token: { id, name, scopes } }
+   */
+  async authenticate(header) {
+    const token = String(header).replace(/^Bearer\s+/i, '').trim();
+    if (!token.startsWith(TOKEN_PREFIX)) {
+      throw new UnauthorizedError('Invalid API token');
+    }
+
+    const row = await db.get(
+      'SELECT id, user_id, name, scopes, expires_at, revoked_at FROM api_tokens WHERE token_hash = ?',
+      [this._hash(token)]
+    );
+
+    if (!row || row.revoked_at) {
+      throw new UnauthorizedError('Invalid or revoked API token');
+    }
+    if (row.expires_at && new Date(row.expires_at).getTime() <= Date.now()) {
+      throw new UnauthorizedError('API token has expired');
+    }
+
+    const user = await db.get('SELECT * FROM users WHERE id = ?', [row.user_id]);
+    if (!user) {
+      throw new UnauthorizedError('Invalid API token');
+    }
+
+    this._recordUse(row.id);
+
+    return {
+      user,
+      token: { id: row.id, name: row.name, scopes: JSON.parse(row.scopes) },
+    };
+  }
+
+  /**
+   * Whether a token's scopes cover a request
+   * @param {Object} token - { scopes }
+   * @param {string} method - HTTP method
+   * @param {string} path - Path under /api/v1 (e.g. /quickorders)
+   * @returns {boolean}
+   */
+  isAllowed(token, method, path) {
+    return token.scopes.some(scope => {
+      const definition = API_TOKEN_SCOPES[scope];
+      return definition &&
+        definition.methods.includes(method) &&
+        definition.paths.some(prefix => path === prefix || path.startsWith(`${prefix}/`));
+    });
+  }
+
+  /**
+   * Update last_used_at (at most once a minute per token)
+   * @private
+   */
+  _recordUse(tokenId) {
+    const now = Date.now();
+    if (now - (this.lastUsedWrites.get(tokenId) || 0) < LAST_USED_RESOLUTION_MS) {
+      return;
+    }
+    this.lastUsedWrites.set(tokenId, now);
+
+    db.run('UPDATE api_tokens SET last_used_at = CURRENT_TIMESTAMP WHERE id = ?', [tokenId])
+      .catch(error => log.warn('Failed to record API token use', { id: tokenId, error: error.message }));
+  }
+
+  /**
+   * @private
+   */
+  _validateScopes(scopes) {
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      throw new ValidationError(`scopes must be a non-empty array of: ${Object.keys(API_TOKEN_SCOPES).join(', ')}`);
+    }
+
+    const unknown = scopes.filter(scope => !API_TOKEN_SCOPES[scope]);
+    if (unknown.length > 0) {
+      throw new ValidationError(`Unknown scope(s): ${unknown.join(', ')}`);
+    }
+
+    return [...new Set(scopes)];
+  }
+
+  /**
+   * @private
+   */
+  _hash(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  /**
+   * @private
+   */
+  _format(row) {
+    const expired = row.expires_at && new Date(row.expires_at).getTime() <= Date.now();
+    return {
+      ...row,
+      scopes: JSON.parse(row.scopes),
+      status: row.revoked_at ? 'revoked' : expired ? 'expired' : 'active',
+    };
+  }
+}
+
+// Export singleton instance
+export default new ApiTokenService();
+export { ApiTokenService };
@@ -10,6 +10,8 @@ import watchlistService from './watchlist.service.js';
 import marketDataFeedService from './market-data-feed.service.js';
 import quickOrderService from './quick-order.service.js';
 import riskControlsService from './risk-controls.service.js';
+import realtimeService from './realtime.service.js';
+import eventBus, { EVENT_TYPES } from '../core/event-bus.js';
 
 const TRADE_MODE_MAP = {
   direct: 'EQUITY',
@@ -151,6 +153,20 @@ class AutoExitService {
     const quantity = Math.abs(this._getPositionQuantity(position));
     const tradeMode = TRADE_MODE_MAP[mode] || 'FUTURES';
     const product = position.product || position.product_type || 'MIS';
+    const pnl = parseFloat(position.pnl ?? position.mtm);
+    const event = {
+      instance_id: instance.id,
+      instance_name: instance.name,
+      symbol: positionSymbol,
+      exchange: positionExchange,
+      side: this._getPositionQuantity(position) > 0 ? 'LONG' : 'SHORT',
+      quantity,
+      entry_price: this._extractPrice(position, ['average_price', 'avg_price', 'avgprice', 'open_price']),
+      exit_price: this._extractPrice(position, ['ltp', 'ltp_value', 'last_price', 'lastprice', 'price']),
+      pnl: Number.isFinite(pnl) ? pnl : null,
+      trade_mode: tradeMode,
+      reason,
+    };
 
     try {
       await quickOrderService.closePosition(
@@ -165,6 +181,16 @@ class AutoExitService {
         trade_mode: tradeMode,
         strategy: reason,
       });
+      realtimeService.publishAutoExit({
+        instance_id: instance.id,
+        instance_name: instance.name,
+        symbol: positionSymbol,
+        exchange: positionExchange,
+        quantity,
+        trade_mode: tradeMode,
+        reason,
+      });
+      eventBus.publish(EVENT_TYPES.AUTO_EXIT, { ...event, success: true });
     } catch (error) {
       log.warn('Auto-exit close failed', {
         instance_id: instance.id,
@@ -173,6 +199,7 @@ class AutoExitService {
         trade_mode: tradeMode,
         error: error.message,
       });
+      eventBus.publish(EVENT_TYPES.AUTO_EXIT, { ...event, success: false, error: error.message });
     }
   }
 
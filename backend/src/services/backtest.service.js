@@ -0,0 +1,517 @@
+/**
+ * Backtest Service
+ * Replays watchlist auto-exit rules (target / stoploss / trailing stoploss) against OHLC bars
+ * so thresholds can be tuned before they run live.
+ *
+ * Exits are decided by RiskControlsService.evaluateExit - the same code AutoExitService runs -
+ * on a private instance so live trailing state is never touched. Each bar is walked as
+ * open -> adverse extreme -> favourable extreme -> close, which is the pessimistic ordering
+ * when a bar spans both the stop and the target.
+ */
+
+import { log } from '../core/logger.js';
+import db from '../core/database.js';
+import openalgoClient from '../integrations/openalgo/client.js';
+import instanceService from './instance.service.js';
+import marketDataInstanceService from './market-data-instance.service.js';
+import { RiskControlsService } from './risk-controls.service.js';
+import { ValidationError, NotFoundError } from '../core/errors.js';
+import { parseFloatSafe } from '../utils/sanitizers.js';
+
+const SIDES = ['LONG', 'SHORT'];
+const ENTRY_MODES = ['REENTER', 'DAILY'];
+const MODES = ['direct', 'futures', 'options'];
+const MAX_BARS = 200000;
+const DISTRIBUTION_BUCKETS = 10;
+const IST_OFFSET_MS = 330 * 60 * 1000;
+
+class BacktestService {
+  /**
+   * Run a backtest of a watchlist symbol's auto-exit rules
+   * @param {Object} params - Backtest parameters
+   * @param {number} params.symbolId - Watchlist symbol ID (source of thresholds and symbol/exchange)
+   * @param {string} params.csv - CSV content with timestamp,open,high,low,close[,volume] columns
+   * @param {Array<Object>} params.bars - Pre-parsed bars [{ timestamp, open, high, low, close }]
+   * @param {number} params.instanceId - Instance for history fetch (market data instance if omitted)
+   * @param {string} params.interval - History interval (e.g. 5m, 15m, D) when no CSV/bars given
+   * @param {string} params.startDate - History start date (YYYY-MM-DD)
+   * @param {string} params.endDate - History end date (YYYY-MM-DD)
+   * @param {string} params.side - LONG or SHORT
+   * @param {string} params.entryMode - REENTER (re-enter on the bar after each exit) or DAILY (one trade per session, squared off at the session's last bar)
+   * @param {string} params.mode - direct, futures or options thresholds (derived from the symbol if omitted)
+   * @param {number} params.quantity - Units per trade (defaults to the symbol's lot size)
+   * @param {Object} params.overrides - { targetPoints, stoplossPoints, trailingPoints, trailingActivationPoints }
+   * @returns {Promise<Object>} Summary, per-exit-reason hit rates, P&L distribution, drawdown and trades
+   */
+  async runBacktest(params) {
+    const {
+      symbolId,
+      side = 'LONG',
+      entryMode = 'REENTER',
+      overrides = {},
+    } = params;
+
+    if (!SIDES.includes(side)) {
+      throw new ValidationError(`side must be one of: ${SIDES.join(', ')}`);
+    }
+    if (!ENTRY_MODES.includes(entryMode)) {
+      throw new ValidationError(`entryMode must be one of: ${ENTRY_MODES.join(', ')}`);
+    }
+    if (params.mode && !MODES.includes(params.mode)) {
+      throw new ValidationError(`mode must be one of: ${MODES.join(', ')}`);
+    }
+
+    const symbol = await db.get('SELECT * FROM watchlist_symbols WHERE id = ?', [symbolId]);
+    if (!symbol) {
+      throw new NotFoundError(`Symbol with ID ${symbolId} not found`);
+    }
+
+    const riskControls = new RiskControlsService();
+    const mode = params.mode || riskControls._determineMode(symbol, symbol.symbol);
+    const configEntry = this._applyOverrides(symbol, mode, overrides);
+    const thresholds = riskControls._getThresholds(configEntry, mode);
+    if (!thresholds) {
+      throw new ValidationError(
+        `No target, stoploss or trailing stoploss configured for ${symbol.symbol} (${mode})`
+      );
+    }
+
+    let source;
+    let bars;
+    if (params.csv) {
+      source = 'csv';
+      bars = this.parseCsvBars(params.csv);
+    } else if (Array.isArray(params.bars)) {
+      source = 'bars';
+      bars = this._normalizeBars(params.bars);
+    } else {
+      source = 'history';
+      bars = await this._loadHistoryBars(symbol, params);
+    }
+
+    if (bars.length < 2) {
+      throw new ValidationError('At least two OHLC bars are required for a backtest');
+    }
+
+    const quantity = parseFloatSafe(params.quantity) || symbol.lot_size || 1;
+
+    log.info('Running auto-exit backtest', {
+      symbol: symbol.symbol,
+      exchange: symbol.exchange,
+      source,
+      bars: bars.length,
+      side,
+      entryMode,
+      mode,
+      thresholds,
+    });
+
+    const trades = this._simulate(bars, {
+      riskControls,
+      configEntry,
+      thresholds,
+      mode,
+      side,
+      entryMode,
+      quantity,
+      symbol: symbol.symbol,
+    });
+
+    return {
+      symbol: symbol.symbol,
+      exchange: symbol.exchange,
+      source,
+      mode,
+      side,
+      entry_mode: entryMode,
+      quantity,
+      thresholds,
+      bars: {
+        count: bars.length,
+        from: new Date(bars[0].time).toISOString(),
+        to: new Date(bars[bars.length - 1].time).toISOString(),
+      },
+      ...this._summarize(trades),
+      trades,
+    };
+  }
+
+  /**
+   * Parse OHLC bars from CSV content
+   * Header must name timestamp (or date/time/datetime), open, high, low and close columns
+   * @param {string} csvContent - CSV text
+   * @returns {Array<Object>} Bars sorted by time
+   */
+  parseCsvBars(csvContent) {
+    const lines = String(csvContent).trim().split(/\r?\n/).filter(line => line.trim());
+    if (lines.length < 2) {
+      throw new ValidationError('CSV must have a header row and at least one bar');
+    }
+
+    const header = this._splitCsvLine(lines[0]).map(h => h.toLowerCase());
+    const findColumn = (...names) => header.findIndex(h => names.includes(h));
+    const columns = {
+      timestamp: findColumn('timestamp', 'datetime', 'date', 'time'),
+      open: findColumn('open', 'o'),
+      high: findColumn('high', 'h'),
+      low: findColumn('low', 'l'),
+      close: findColumn('close', 'c', 'ltp'),
+    };
+
+    const missing = Object.entries(columns).filter(([, index]) => index === -1).map(([name]) => name);
+    if (missing.length > 0) {
+      throw new ValidationError(`CSV is missing column(s): ${missing.join(', ')}`);
+    }
+
+    // Split date + time columns are joined when both exist
+    const timeColumn = header.indexOf('time');
+    const joinTime = columns.timestamp === header.indexOf('date') && timeColumn !== -1;
+
+    const rows = lines.slice(1).map(line => {
+      const fields = this._splitCsvLine(line);
+      return {
+        timestamp: joinTime
+          ? `${fields[columns.timestamp]} ${fields[timeColumn]}`
+          : fields[columns.timestamp],
+        open: fields[columns.open],
+        high: fields[columns.high],
+        low: fields[columns.low],
+        close: fields[columns.close],
+      };
+    });
+
+    return this._normalizeBars(rows);
+  }
+
+  /**
+   * Fetch bars through OpenAlgo history
+   * @private
+   */
+  async _loadHistoryBars(symbol, { instanceId, interval, startDate, endDate }) {
+    if (!interval || !startDate || !endDate) {
+      throw new ValidationError('interval, startDate and endDate are required when no CSV or bars are supplied');
+    }
+
+    const instance = instanceId
+      ? await instanceService.getInstanceById(instanceId)
+      : await marketDataInstanceService.getMarketDataInstance();
+
+    const history = await openalgoClient.getHistory(
+      instance,
+      symbol.symbol,
+      symbol.exchange,
+      interval,
+      startDate,
+      endDate
+    );
+
+    const rows = Array.isArray(history) ? history : history?.candles || history?.data || [];
+    return this._normalizeBars(rows);
+  }
+
+  /**
+   * Validate and sort bars; epoch seconds, epoch milliseconds and date strings are accepted
+   * @private
+   */
+  _normalizeBars(rows) {
+    if (rows.length > MAX_BARS) {
+      throw new ValidationError(`Too many bars (${rows.length}); limit is ${MAX_BARS}`);
+    }
+
+    const bars = [];
+    rows.forEach((row, index) => {
+      const time = this._parseTime(row.timestamp ?? row.time ?? row.date ?? row.datetime);
+      const bar = {
+        time,
+        open: parseFloatSafe(row.open),
+        high: parseFloatSafe(row.high),
+        low: parseFloatSafe(row.low),
+        close: parseFloatSafe(row.close),
+      };
+
+      const valid = time !== null &&
+        [bar.open, bar.high, bar.low, bar.close].every(v => Number.isFinite(v) && v > 0) &&
+        bar.high >= bar.low;
+
+      if (!valid) {
+        throw new ValidationError(`Invalid bar at row ${index + 1}`);
+      }
+      bars.push(bar);
+    });
+
+    return bars.sort((a, b) => a.time - b.time);
+  }
+
+  _parseTime(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const numeric = Number(value);
+    if (Number.isFinite(numeric)) {
+      return numeric < 1e12 ? numeric * 1000 : numeric;
+    }
+    const parsed = Date.parse(value);
+    return Number.isNaN(parsed) ? null : parsed;
+  }
+
+  _splitCsvLine(line) {
+    return line.split(',').map(field => field.trim().replace(/^"(.*)"$/, '$1'));
+  }
+
+  /**
+   * Map tuning overrides onto the mode's watchlist_symbols columns
+   * @private
+   */
+  _applyOverrides(symbol, mode, overrides) {
+    const columns = {
+      targetPoints: `target_points_${mode}`,
+      stoplossPoints: `stoploss_points_${mode}`,
+      trailingPoints: `trailing_stoploss_points_${mode}`,
+      trailingActivationPoints: `trailing_activation_points_${mode}`,
+    };
+
+    const entry = { ...symbol };
+    for (const [key, column] of Object.entries(columns)) {
+      if (overrides[key] !== undefined && overrides[key] !== null && overrides[key] !== '') {
+        entry[column] = parseFloatSafe(overrides[key]);
+      }
+    }
+    return entry;
+  }
+
+  /**
+   * Walk bars, opening a position per the entry mode and closing it on the first exit signal
+   * @private
+   */
+  _simulate(bars, context) {
+    const { entryMode } = context;
+    const trades = [];
+    let position = null;
+    let lastEntryDay = null;
+
+    for (let i = 0; i < bars.length; i++) {
+      const bar = bars[i];
+      const day = this._sessionDay(bar.time);
+      const isSessionEnd = i === bars.length - 1 || this._sessionDay(bars[i + 1].time) !== day;
+
+      if (!position) {
+        const canEnter = entryMode === 'REENTER' || lastEntryDay !== day;
+        if (!canEnter) continue;
+
+        position = {
+          key: `backtest:${trades.length}`,
+          entryIndex: i,
+          entryTime: bar.time,
+          entryPrice: bar.open,
+        };
+        lastEntryDay = day;
+      }
+
+      const exit = this._evaluateBar(bar, position, context);
+      if (exit) {
+        trades.push(this._closeTrade(position, bar, i, exit, context));
+        context.riskControls.clearTrailingState(position.key);
+        position = null;
+        continue;
+      }
+
+      if (entryMode === 'DAILY' && isSessionEnd) {
+        trades.push(this._closeTrade(position, bar, i, { reason: 'SESSION_END', price: bar.close }, context));
+        context.riskControls.clearTrailingState(position.key);
+        position = null;
+      }
+    }
+
+    if (position) {
+      const last = bars[bars.length - 1];
+      trades.push(this._closeTrade(position, last, bars.length - 1, { reason: 'END_OF_DATA', price: last.close }, context));
+    }
+
+    return trades;
+  }
+
+  /**
+   * Evaluate the intrabar price path; returns { reason, price } on the first exit signal
+   * @private
+   */
+  _evaluateBar(bar, position, context) {
+    const { riskControls, configEntry, thresholds, mode, side, symbol } = context;
+    const path = side === 'LONG'
+      ? [bar.open, bar.low, bar.high, bar.close]
+      : [bar.open, bar.high, bar.low, bar.close];
+
+    let previous = position.lastPrice ?? position.entryPrice;
+    for (const price of path) {
+      const evaluation = riskControls.evaluateExit({
+        key: position.key,
+        side,
+        currentPrice: price,
+        entryPrice: position.entryPrice,
+        configEntry,
+        symbol,
+        mode,
+      });
+
+      if (evaluation?.reason) {
+        const level = this._exitLevel(evaluation.reason, position, thresholds, context);
+        return { reason: evaluation.reason, price: this._fillPrice(level, previous, price) };
+      }
+      previous = price;
+    }
+
+    position.lastPrice = bar.close;
+    return null;
+  }
+
+  _exitLevel(reason, position, thresholds, { riskControls, side }) {
+    const direction = side === 'LONG' ? 1 : -1;
+    if (reason === 'TARGET_MET') {
+      return position.entryPrice + direction * thresholds.targetPoints;
+    }
+    if (reason === 'STOPLOSS_HIT') {
+      return position.entryPrice - direction * thresholds.stoplossPoints;
+    }
+    const state = riskControls.trailingState.get(position.key);
+    if (!state) return null;
+    return side === 'LONG'
+      ? state.highest - thresholds.trailingPoints
+      : state.lowest + thresholds.trailingPoints;
+  }
+
+  /**
+   * Fill at the trigger level when the path crossed it, otherwise at the gapped price
+   * @private
+   */
+  _fillPrice(level, previous, current) {
+    if (level === null) return current;
+    const low = Math.min(previous, current);
+    const high = Math.max(previous, current);
+    return level >= low && level <= high ? level : current;
+  }
+
+  _closeTrade(position, bar, index, exit, { side, quantity }) {
+    const direction = side === 'LONG' ? 1 : -1;
+    const points = direction * (exit.price - position.entryPrice);
+    return {
+      entry_time: new Date(position.entryTime).toISOString(),
+      entry_price: position.entryPrice,
+      exit_time: new Date(bar.time).toISOString(),
+      exit_price: exit.price,
+      reason: exit.reason,
+      bars_held: index - position.entryIndex + 1,
+      points: this._round(points),
+      pnl: this._round(points * quantity),
+    };
+  }
+
+  /**
+   * Hit rates, P&L distribution and drawdown over closed trades
+   * @private
+   */
+  _summarize(trades) {
+    const pnls = trades.map(t => t.pnl);
+    const wins = pnls.filter(p => p > 0);
+    const losses = pnls.filter(p => p < 0);
+    const grossProfit = wins.reduce((sum, p) => sum + p, 0);
+    const grossLoss = Math.abs(losses.reduce((sum, p) => sum + p, 0));
+    const totalPnl = pnls.reduce((sum, p) => sum + p, 0);
+
+    const hitRates = {};
+    for (const trade of trades) {
+      hitRates[trade.reason] = hitRates[trade.reason] || { count: 0, rate: 0, pnl: 0 };
+      hitRates[trade.reason].count += 1;
+      hitRates[trade.reason].pnl += trade.pnl;
+    }
+    for (const entry of Object.values(hitRates)) {
+      entry.rate = this._round(entry.count / trades.length);
+      entry.pnl = this._round(entry.pnl);
+    }
+
+    let equity = 0;
+    let peak = 0;
+    let maxDrawdown = 0;
+    let drawdownStart = null;
+    let maxDrawdownWindow = null;
+    const equityCurve = trades.map(trade => {
+      equity += trade.pnl;
+      if (equity > peak) {
+        peak = equity;
+        drawdownStart = trade.exit_time;
+      }
+      const drawdown = peak - equity;
+      if (drawdown > maxDrawdown) {
+        maxDrawdown = drawdown;
+        maxDrawdownWindow = { from: drawdownStart || trades[0].entry_time, to: trade.exit_time };
+      }
+      return { time: trade.exit_time, equity: this._round(equity), drawdown: this._round(drawdown) };
+    });
+
+    return {
+      summary: {
+        total_trades: trades.length,
+        wins: wins.length,
+        losses: losses.length,
+        win_rate: trades.length ? this._round(wins.length / trades.length) : 0,
+        total_pnl: this._round(totalPnl),
+        avg_pnl: trades.length ? this._round(totalPnl / trades.length) : 0,
+        avg_win: wins.length ? this._round(grossProfit / wins.length) : 0,
+        avg_loss: losses.length ? this._round(-grossLoss / losses.length) : 0,
+        profit_factor: grossLoss > 0 ? this._round(grossProfit / grossLoss) : null,
+        avg_bars_held: trades.length
+          ? this._round(trades.reduce((sum, t) => sum + t.bars_held, 0) / trades.length)
+          : 0,
+      },
+      hit_rates: hitRates,
+      pnl_distribution: this._distribution(pnls),
+      drawdown: {
+        max: this._round(maxDrawdown),
+        window: maxDrawdownWindow,
+      },
+      equity_curve: equityCurve,
+    };
+  }
+
+  _distribution(pnls) {
+    if (pnls.length === 0) {
+      return { min: 0, max: 0, percentiles: {}, buckets: [] };
+    }
+
+    const sorted = [...pnls].sort((a, b) => a - b);
+    const percentile = (p) => sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+    const min = sorted[0];
+    const max = sorted[sorted.length - 1];
+    const width = (max - min) / DISTRIBUTION_BUCKETS || 1;
+
+    const buckets = Array.from({ length: DISTRIBUTION_BUCKETS }, (_, i) => ({
+      from: this._round(min + i * width),
+      to: this._round(min + (i + 1) * width),
+      count: 0,
+    }));
+    for (const pnl of sorted) {
+      const index = Math.min(DISTRIBUTION_BUCKETS - 1, Math.floor((pnl - min) / width));
+      buckets[index].count += 1;
+    }
+
+    return {
+      min,
+      max,
+      percentiles: {
+        p10: percentile(0.1),
+        p25: percentile(0.25),
+        p50: percentile(0.5),
+        p75: percentile(0.75),
+        p90: percentile(0.9),
+      },
+      buckets: max === min ? [{ from: min, to: max, count: sorted.length }] : buckets,
+    };
+  }
+
+  _sessionDay(time) {
+    return new Date(time + IST_OFFSET_MS).toISOString().slice(0, 10);
+  }
+
+  _round(value) {
+    return Math.round(value * 100) / 100;
+  }
+}
+
+export default new BacktestService();
+export { BacktestService };
@@ -0,0 +1,448 @@
+/**
+ * Greeks Service
+ * Computes implied volatility and Black-76 Greeks for open options positions and option
+ * chain rows from cached quotes and the underlying LTP.
+ *
+ * The underlying LTP is used as the forward price. Position Greeks are per-unit Greeks
+ * multiplied by the signed net quantity, so a short straddle shows negative gamma/vega and
+ * positive theta. Theta is per calendar day, vega per 1 vol point.
+ */
+
+import db from '../core/database.js';
+import { log } from '../core/logger.js';
+import { impliedVolatility, black76Greeks } from '../utils/black76.js';
+import { parseFloatSafe, parseIntSafe } from '../utils/sanitizers.js';
+import marketDataFeedService from './market-data-feed.service.js';
+import positionsService from './positions.service.js';
+import { NSE_INDEX_UNDERLYINGS, BSE_INDEX_UNDERLYINGS } from './derivative-resolution.service.js';
+
+export const DEFAULT_RISK_FREE_RATE = 0.065;
+
+const QUOTE_MAX_AGE_MS = 15000;     // Quotes older than this are refreshed through the feed pool
+const FLOOR_VOLATILITY = 0.01;      // Used when the premium is at/below intrinsic and IV cannot be solved
+const EXPIRY_CUTOFF_UTC_HOUR = 10;  // 15:30 IST
+const EXPIRY_CUTOFF_UTC_MINUTE = 0;
+const MS_PER_YEAR = 365 * 24 * 60 * 60 * 1000;
+
+const MONTHS = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+const OPTION_SYMBOL_PATTERN = /^([A-Z0-9&-]+?)(\d{2})([A-Z]{3})(\d{2})(\d+(?:\.\d+)?)(CE|PE)$/;
+
+class GreeksService {
+  /**
+   * Greeks for every open options position across active instances
+   * @param {Object} options - Options
+   * @param {number} options.rate - Annualized risk-free rate (default: DEFAULT_RISK_FREE_RATE)
+   * @returns {Promise<Object>} Per-position Greeks with per-instance and per-underlying totals
+   */
+  async getPortfolioGreeks(options = {}) {
+    const rate = options.rate ?? DEFAULT_RISK_FREE_RATE;
+    const now = Date.now();
+
+    const portfolio = await positionsService.getAllPositions({ onlyOpen: true });
+
+    const entries = [];
+    portfolio.instances.forEach(inst => {
+      (inst.positions || []).forEach(position => {
+        entries.push({ inst, position });
+      });
+    });
+
+    const metaBySymbol = await this._getOptionMetadata(entries.map(e => e.position));
+    const optionEntries = entries.filter(e => metaBySymbol.has(this._key(e.position.exchange, e.position.symbol)));
+
+    const quotes = await this._getQuotes(
+      optionEntries.map(e => metaBySymbol.get(this._key(e.position.exchange, e.position.symbol)))
+    );
+
+    const instances = [];
+    const underlyingMap = new Map();
+    const totals = this._emptyTotals();
+
+    portfolio.instances.forEach(inst => {
+      const instanceTotals = this._emptyTotals();
+      const instanceUnderlyings = new Map();
+      const positions = [];
+
+      optionEntries
+        .filter(e => e.inst.instance_id === inst.instance_id)
+        .forEach(({ position }) => {
+          const meta = metaBySymbol.get(this._key(position.exchange, position.symbol));
+          const row = this._computePositionGreeks(position, meta, quotes, { rate, now });
+          positions.push(row);
+          if (row.error) return;
+
+          this._accumulate(instanceTotals, row);
+          this._accumulate(totals, row);
+
+          if (!instanceUnderlyings.has(row.underlying)) {
+            instanceUnderlyings.set(row.underlying, { underlying: row.underlying, ...this._emptyTotals() });
+          }
+          this._accumulate(instanceUnderlyings.get(row.underlying), row);
+
+          if (!underlyingMap.has(row.underlying)) {
+            underlyingMap.set(row.underlying, {
+              underlying: row.underlying,
+              underlying_ltp: row.underlying_ltp,
+              ...this._emptyTotals(),
+              instances: new Set(),
+            });
+          }
+          const underlyingTotals = underlyingMap.get(row.underlying);
+          this._accumulate(underlyingTotals, row);
+          underlyingTotals.instances.add(inst.instance_id);
+        });
+
+      instances.push({
+        instance_id: inst.instance_id,
+        instance_name: inst.instance_name,
+        is_analyzer_mode: inst.is_analyzer_mode,
+        totals: instanceTotals,
+        underlyings: Array.from(instanceUnderlyings.values()),
+        positions,
+        error: inst.error,
+      });
+    });
+
+    return {
+      as_of: new Date(now).toISOString(),
+      risk_free_rate: rate,
+      totals,
+      instances,
+      underlyings: Array.from(underlyingMap.values()).map(u => ({
+        ...u,
+        instances: Array.from(u.instances),
+      })),
+    };
+  }
+
+  /**
+   * Add IV and Greek columns to option chain rows (mutates and returns the chain)
+   * @param {Object} chain - Chain from OptionChainService.getOptionChain
+   * @param {Map} symbolExchanges - Trading symbol -> exchange for the chain's contracts
+   * @param {Object} options - Options
+   * @param {number} options.rate - Annualized risk-free rate
+   * @returns {Promise<Object>} Chain with spot, call_greeks and put_greeks
+   */
+  async enrichOptionChain(chain, symbolExchanges, options = {}) {
+    const rate = options.rate ?? DEFAULT_RISK_FREE_RATE;
+    const now = Date.now();
+
+    const metas = [];
+    chain.rows.forEach(row => {
+      [['CE', row.call_symbol], ['PE', row.put_symbol]].forEach(([optionType, symbol]) => {
+        if (!symbol) return;
+        const exchange = symbolExchanges.get(symbol);
+        metas.push({
+          symbol,
+          exchange,
+          underlying: chain.underlying,
+          expiry: chain.expiry,
+          strike: row.strike,
+          option_type: optionType,
+          underlying_ref: this._getUnderlyingRef(chain.underlying, exchange),
+        });
+      });
+    });
+
+    const quotes = await this._getQuotes(metas);
+    const metaBySymbol = new Map(metas.map(m => [m.symbol, m]));
+    const underlyingRef = metas[0]?.underlying_ref;
+
+    chain.spot = underlyingRef ? this._getLtp(quotes, underlyingRef.exchange, underlyingRef.symbol) : null;
+    chain.has_greeks = true;
+    chain.risk_free_rate = rate;
+
+    chain.rows.forEach(row => {
+      [['call', row.call_symbol], ['put', row.put_symbol]].forEach(([side, symbol]) => {
+        if (!symbol) return;
+        const meta = metaBySymbol.get(symbol);
+        const ltp = this._getLtp(quotes, meta.exchange, meta.symbol);
+        const result = this._computeUnitGreeks(meta, ltp, chain.spot, { rate, now });
+        row[`${side}_ltp`] = ltp;
+        row[`${side}_greeks`] = result.error
+          ? { error: result.error }
+          : {
+            iv: result.iv,
+            iv_estimated: result.iv_estimated,
+            delta: result.delta,
+            gamma: result.gamma,
+            theta: result.theta,
+            vega: result.vega,
+          };
+      });
+    });
+
+    return chain;
+  }
+
+  _computePositionGreeks(position, meta, quotes, { rate, now }) {
+    const quantity = parseIntSafe(
+      position.quantity ?? position.netqty ?? position.net_quantity ?? position.netQty ?? 0,
+      0
+    );
+    const optionLtp = this._getLtp(quotes, meta.exchange, meta.symbol) ||
+      parseFloatSafe(position.ltp ?? position.last_price, 0) || null;
+    const underlyingLtp = meta.underlying_ref
+      ? this._getLtp(quotes, meta.underlying_ref.exchange, meta.underlying_ref.symbol)
+      : null;
+
+    const unit = this._computeUnitGreeks(meta, optionLtp, underlyingLtp, { rate, now });
+
+    const row = {
+      symbol: meta.symbol,
+      exchange: meta.exchange,
+      underlying: meta.underlying,
+      expiry: meta.expiry,
+      strike: meta.strike,
+      option_type: meta.option_type,
+      product: position.product || null,
+      quantity,
+      ltp: optionLtp,
+      underlying_ltp: underlyingLtp,
+      time_to_expiry_days: unit.time_to_expiry_days ?? null,
+    };
+
+    if (unit.error) {
+      return { ...row, error: unit.error };
+    }
+
+    return {
+      ...row,
+      iv: unit.iv,
+      iv_estimated: unit.iv_estimated,
+      delta: unit.delta,
+      gamma: unit.gamma,
+      theta: unit.theta,
+      vega: unit.vega,
+      position_delta: unit.delta * quantity,
+      position_gamma: unit.gamma * quantity,
+      position_theta: unit.theta * quantity,
+      position_vega: unit.vega * quantity,
+      error: null,
+    };
+  }
+
+  _computeUnitGreeks(meta, optionLtp, underlyingLtp, { rate, now }) {
+    if (!meta.underlying_ref) {
+      return { error: `Underlying quote not supported for ${meta.exchange}` };
+    }
+    if (!underlyingLtp) {
+      return { error: `No LTP for underlying ${meta.underlying}` };
+    }
+    if (!optionLtp) {
+      return { error: `No LTP for ${meta.symbol}` };
+    }
+
+    const expiryMs = this._getExpiryTimestamp(meta.expiry);
+    if (!expiryMs) {
+      return { error: `Unrecognized expiry ${meta.expiry}` };
+    }
+
+    const timeToExpiry = (expiryMs - now) / MS_PER_YEAR;
+    const timeToExpiryDays = Math.round((timeToExpiry * 365) * 100) / 100;
+    if (timeToExpiry <= 0) {
+      return { error: 'Contract expired', time_to_expiry_days: 0 };
+    }
+
+    const inputs = {
+      forward: underlyingLtp,
+      strike: meta.strike,
+      timeToExpiry,
+      rate,
+      optionType: meta.option_type,
+    };
+
+    let iv = impliedVolatility({ ...inputs, price: optionLtp });
+    let ivEstimated = false;
+    if (iv === null) {
+      // Premium at/below intrinsic (deep ITM or stale quote): Greeks at a floor vol still give a usable delta
+      iv = FLOOR_VOLATILITY;
+      ivEstimated = true;
+    }
+
+    const greeks = black76Greeks({ ...inputs, volatility: iv });
+    if (!greeks) {
+      return { error: 'Unable to compute Greeks', time_to_expiry_days: timeToExpiryDays };
+    }
+
+    return {
+      iv,
+      iv_estimated: ivEstimated,
+      delta: greeks.delta,
+      gamma: greeks.gamma,
+      theta: greeks.theta,
+      vega: greeks.vega,
+      time_to_expiry_days: timeToExpiryDays,
+      error: null,
+    };
+  }
+
+  /**
+   * Resolve strike/expiry/type for option positions from the instruments table,
+   * falling back to parsing the OpenAlgo symbol format (NIFTY28NOV2424000CE)
+   * @private
+   * @returns {Promise<Map>} EXCHANGE|SYMBOL -> metadata (non-option positions are omitted)
+   */
+  async _getOptionMetadata(positions = []) {
+    const result = new Map();
+    const candidates = positions.filter(p => p?.symbol && /(CE|PE)$/i.test(p.symbol));
+    if (candidates.length === 0) return result;
+
+    const symbols = [...new Set(candidates.map(p => String(p.symbol).toUpperCase()))];
+    const placeholders = symbols.map(() => '?').join(', ');
+
+    let instruments = [];
+    try {
+      instruments = await db.all(
+        `SELECT symbol, exchange, name, strike, expiry, instrumenttype
+         FROM instruments
+         WHERE instrumenttype IN ('CE', 'PE') AND symbol IN (${placeholders})`,
+        symbols
+      );
+    } catch (error) {
+      log.warn('Failed to load instruments for Greeks', { error: error.message });
+    }
+
+    const instrumentMap = new Map(instruments.map(i => [this._key(i.exchange, i.symbol), i]));
+
+    candidates.forEach(position => {
+      const key = this._key(position.exchange, position.symbol);
+      if (result.has(key)) return;
+
+      const instrument = instrumentMap.get(key);
+      const parsed = instrument
+        ? {
+          underlying: instrument.name,
+          strike: parseFloatSafe(instrument.strike, 0),
+          expiry: instrument.expiry,
+          option_type: instrument.instrumenttype,
+        }
+        : this._parseOptionSymbol(position.symbol);
+
+      if (!parsed || !parsed.strike) return;
+
+      result.set(key, {
+        symbol: position.symbol,
+        exchange: position.exchange,
+        ...parsed,
+        underlying_ref: this._getUnderlyingRef(parsed.underlying, position.exchange),
+      });
+    });
+
+    return result;
+  }
+
+  _parseOptionSymbol(symbol = '') {
+    const match = String(symbol).toUpperCase().match(OPTION_SYMBOL_PATTERN);
+    if (!match) return null;
+    const [, underlying, day, month, year, strike, optionType] = match;
+    return {
+      underlying,
+      strike: parseFloat(strike),
+      expiry: `${day}-${month}-${year}`,
+      option_type: optionType,
+    };
+  }
+
+  /**
+   * Map an option's underlying to the symbol/exchange whose LTP is used as the forward
+   * @private
+   */
+  _getUnderlyingRef(underlying, optionExchange) {
+    const name = String(underlying || '').toUpperCase();
+    if (!name) return null;
+    if (NSE_INDEX_UNDERLYINGS.has(name)) return { exchange: 'NSE_INDEX', symbol: name };
+    if (BSE_INDEX_UNDERLYINGS.has(name)) return { exchange: 'BSE_INDEX', symbol: name };
+
+    const exchange = String(optionExchange || '').toUpperCase();
+    if (exchange === 'NFO') return { exchange: 'NSE', symbol: name };
+    if (exchange === 'BFO') return { exchange: 'BSE', symbol: name };
+    return null;
+  }
+
+  async _getQuotes(metas = []) {
+    const requests = [];
+    metas.forEach(meta => {
+      if (meta.exchange && meta.symbol) {
+        requests.push({ exchange: meta.exchange, symbol: meta.symbol });
+      }
+      if (meta.underlying_ref) {
+        requests.push(meta.underlying_ref);
+      }
+    });
+
+    const quotes = new Map();
+    if (requests.length === 0) return quotes;
+
+    try {
+      const fetched = await marketDataFeedService.fetchQuotesForSymbols(requests, { ttlMs: QUOTE_MAX_AGE_MS });
+      fetched.forEach(q => {
+        if (q?.symbol) {
+          quotes.set(this._key(q.exchange, q.symbol), q);
+        }
+      });
+    } catch (error) {
+      log.warn('Failed to fetch quotes for Greeks', { error: error.message });
+    }
+
+    return quotes;
+  }
+
+  _getLtp(quotes, exchange, symbol) {
+    const quote = quotes.get(this._key(exchange, symbol));
+    const ltp = parseFloatSafe(quote?.ltp ?? quote?.last_price, 0);
+    return ltp > 0 ? ltp : null;
+  }
+
+  /**
+   * Expiry cutoff (15:30 IST) as epoch ms
+   * Accepts DD-MMM-YY, DD-MMM-YYYY and YYYY-MM-DD
+   * @private
+   */
+  _getExpiryTimestamp(expiry) {
+    if (!expiry) return null;
+    const value = String(expiry).trim().toUpperCase();
+
+    let year;
+    let monthIndex;
+    let day;
+
+    const iso = value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    const short = value.match(/^(\d{1,2})-([A-Z]{3})-(\d{2}|\d{4})$/);
+
+    if (iso) {
+      year = parseInt(iso[1], 10);
+      monthIndex = parseInt(iso[2], 10) - 1;
+      day = parseInt(iso[3], 10);
+    } else if (short) {
+      day = parseInt(short[1], 10);
+      monthIndex = MONTHS.indexOf(short[2]);
+      year = parseInt(short[3], 10);
+      if (year < 100) year += 2000;
+    } else {
+      return null;
+    }
+
+    if (monthIndex < 0) return null;
+    return Date.UTC(year, monthIndex, day, EXPIRY_CUTOFF_UTC_HOUR, EXPIRY_CUTOFF_UTC_MINUTE);
+  }
+
+  _emptyTotals() {
+    return { positions: 0, delta: 0, gamma: 0, theta: 0, vega: 0 };
+  }
+
+  _accumulate(totals, row) {
+    totals.positions += 1;
+    totals.delta += row.position_delta;
+    totals.gamma += row.position_gamma;
+    totals.theta += row.position_theta;
+    totals.vega += row.position_vega;
+  }
+
+  _key(exchange = '', symbol = '') {
+    return `${String(exchange).toUpperCase()}|${String(symbol).toUpperCase()}`;
+  }
+}
+
+export default new GreeksService();
+export { GreeksService };
@@ -0,0 +1,321 @@
+/**
+ * Holdings Service
+ * CNC delivery holdings per instance and summed across instances.
+ *
+ * Brokers report holdings with different fields (OpenAlgo's own format only has
+ * quantity, pnl and pnlpercent), so every row is normalized and gaps are filled
+ * from quotes: LTP and previous close come from the shared quote cache, the
+ * average price is derived from LTP and P&L when the broker omits it.
+ */
+
+import db from '../core/database.js';
+import log from '../core/logger.js';
+import { NotFoundError } from '../core/errors.js';
+import { parseFloatSafe, parseIntSafe } from '../utils/sanitizers.js';
+import marketDataFeedService from './market-data-feed.service.js';
+
+class HoldingsService {
+  /**
+   * Holdings for every active instance
+   * @param {Object} options - Options
+   * @param {boolean} options.force - Bypass the holdings cache
+   * @returns {Promise<Object>} - { instances: [...], totals }
+   */
+  async getAllHoldings({ force = false } = {}) {
+    const instances = await db.all('SELECT * FROM instances WHERE is_active = 1 ORDER BY name ASC');
+    const results = await Promise.all(instances.map(instance => this._loadInstance(instance, { force })));
+
+    const instancesData = await this._withQuotes(results);
+    return {
+      instances: instancesData,
+      totals: this._sumTotals(instancesData.filter(inst => !inst.error).map(inst => inst.totals)),
+    };
+  }
+
+  /**
+   * Holdings for one instance
+   * @param {number} instanceId - Instance ID
+   * @param {Object} options - Options
+   * @param {boolean} options.force - Bypass the holdings cache
+   * @returns {Promise<Object>} - { instance_id, instance_name, holdings, totals, ... }
+   */
+  async getInstanceHoldings(instanceId, { force = false } = {}) {
+    const instance = await db.get('SELECT * FROM instances WHERE id = ?', [instanceId]);
+    if (!instance) {
+      throw new NotFoundError('Instance');
+    }
+
+    const [result] = await this._withQuotes([await this._loadInstance(instance, { force })]);
+    return result;
+  }
+
+  /**
+   * Holdings summed per ISIN (or symbol when the broker has no ISIN) across instances
+   * Analyzer-mode instances hold sandbox stock and are left out unless asked for.
+   * @param {Object} options - Options
+   * @param {boolean} options.force - Bypass the holdings cache
+   * @param {boolean} options.includeAnalyzer - Include analyzer-mode instances
+   * @returns {Promise<Object>} - { holdings: [...], totals, instances_included, errors }
+   */
+  async getAggregatedHoldings({ force = false, includeAnalyzer = false } = {}) {
+    const { instances } = await this.getAllHoldings({ force });
+    const included = instances.filter(inst => !inst.error && (includeAnalyzer || !inst.is_analyzer_mode));
+
+    const groups = new Map();
+    for (const inst of included) {
+      for (const holding of inst.holdings) {
+        const key = holding.isin || holding.symbol;
+        if (!groups.has(key)) {
+          groups.set(key, {
+            key,
+            isin: holding.isin,
+            symbol: holding.symbol,
+            exchanges: new Set(),
+            ltp: holding.ltp,
+            prev_close: holding.prev_close,
+            positions: [],
+          });
+        }
+
+        const group = groups.get(key);
+        group.exchanges.add(holding.exchange);
+        group.ltp = group.ltp ?? holding.ltp;
+        group.prev_close = group.prev_close ?? holding.prev_close;
+        group.positions.push({ instance: inst, holding });
+      }
+    }
+
+    const holdings = Array.from(groups.values())
+      .map(group => this._summarizeGroup(group))
+      .sort((a, b) => (b.current_value ?? 0) - (a.current_value ?? 0));
+
+    return {
+      holdings,
+      totals: this._sumTotals(holdings),
+      instances_included: included.map(inst => ({ instance_id: inst.instance_id, instance_name: inst.instance_name })),
+      errors: instances
+        .filter(inst => inst.error)
+        .map(inst => ({ instance_id: inst.instance_id, instance_name: inst.instance_name, error: inst.error })),
+    };
+  }
+
+  /**
+   * Held quantity of a symbol on an instance (for exits)
+   * @param {Object} instance - Instance
+   * @param {string} symbol - Trading symbol
+   * @param {string} exchange - Exchange
+   * @returns {Promise<number>} - Quantity (0 when not held)
+   */
+  async getHeldQuantity(instance, symbol, exchange) {
+    const snapshot = await marketDataFeedService.getHoldingsSnapshot(instance.id, { force: true });
+    const match = (snapshot.data || [])
+      .map(row => this._normalize(row))
+      .find(holding => holding.symbol === String(symbol).toUpperCase() &&
+        holding.exchange === String(exchange).toUpperCase());
+    return match ? match.quantity : 0;
+  }
+
+  /**
+   * @private
+   */
+  async _loadInstance(instance, { force }) {
+    const base = {
+      instance_id: instance.id,
+      instance_name: instance.name,
+      broker: instance.broker,
+      is_analyzer_mode: !!instance.is_analyzer_mode,
+    };
+
+    try {
+      const snapshot = await marketDataFeedService.getHoldingsSnapshot(instance.id, { force });
+      return {
+        ...base,
+        holdings: (snapshot.data || []).map(row => this._normalize(row)).filter(holding => holding.quantity !== 0),
+        fetched_at: snapshot.fetchedAt,
+        stale: !!snapshot.stale,
+        error: null,
+      };
+    } catch (error) {
+      log.warn('Failed to fetch holdings from instance', {
+        instance_id: instance.id,
+        instance_name: instance.name,
+        error: error.message,
+      });
+      return { ...base, holdings: [], fetched_at: null, stale: false, error: error.message };
+    }
+  }
+
+  /**
+   * Fill LTP / previous close from quotes, derive missing values and per-instance totals
+   * @private
+   */
+  async _withQuotes(results) {
+    const needQuotes = results
+      .flatMap(inst => inst.holdings)
+      .filter(holding => holding.ltp === null || holding.prev_close === null)
+      .map(holding => ({ exchange: holding.exchange, symbol: holding.symbol }));
+
+    const quotes = new Map();
+    if (needQuotes.length > 0) {
+      try {
+        const fetched = await marketDataFeedService.fetchQuotesForSymbols(needQuotes);
+        fetched.forEach(quote => quotes.set(`${quote.exchange}|${quote.symbol}`.toUpperCase(), quote));
+      } catch (error) {
+        log.warn('Failed to fetch quotes for holdings', { error: error.message });
+      }
+    }
+
+    return results.map(inst => {
+      const holdings = inst.holdings.map(holding => {
+        const quote = quotes.get(`${holding.exchange}|${holding.symbol}`);
+        return this._derive({
+          ...holding,
+          ltp: holding.ltp ?? this._positive(quote?.ltp),
+          prev_close: holding.prev_close ?? this._positive(quote?.prev_close),
+        });
+      });
+      return { ...inst, holdings, totals: this._sumTotals(holdings) };
+    });
+  }
+
+  /**
+   * Map a broker holding row to one shape
+   * @private
+   */
+  _normalize(row) {
+    const pick = (...keys) => {
+      const key = keys.find(k => row[k] !== undefined && row[k] !== null && row[k] !== '');
+      return key ? row[key] : null;
+    };
+    const number = value => (value === null ? null : parseFloatSafe(value, null));
+
+    return {
+      symbol: String(pick('symbol', 'tradingsymbol') || '').toUpperCase(),
+      exchange: String(pick('exchange') || 'NSE').toUpperCase(),
+      isin: pick('isin', 'ISIN') ? String(pick('isin', 'ISIN')).toUpperCase() : null,
+      product: String(pick('product') || 'CNC').toUpperCase(),
+      quantity: parseIntSafe(pick('quantity', 'holdingquantity', 'qty', 'netqty'), 0),
+      average_price: this._positive(number(pick('averageprice', 'average_price', 'avgprice', 'avg_price'))),
+      ltp: this._positive(number(pick('ltp', 'last_price', 'lastprice'))),
+      prev_close: this._positive(number(pick('close', 'prev_close', 'close_price', 'previous_close'))),
+      pnl: number(pick('pnl', 'profitandloss')),
+    };
+  }
+
+  /**
+   * Derive average price / P&L / values / day change from whatever is known
+   * @private
+   */
+  _derive(holding) {
+    const { quantity, ltp } = holding;
+    let { average_price: averagePrice, pnl } = holding;
+
+    if (averagePrice === null && ltp !== null && pnl !== null && quantity) {
+      averagePrice = this._round(ltp - pnl / quantity);
+    }
+    if (pnl === null && ltp !== null && averagePrice !== null) {
+      pnl = this._round((ltp - averagePrice) * quantity);
+    }
+
+    const investment = averagePrice !== null ? this._round(averagePrice * quantity) : null;
+    const currentValue = ltp !== null ? this._round(ltp * quantity) : null;
+    const dayChange = ltp !== null && holding.prev_close !== null
+      ? this._round((ltp - holding.prev_close) * quantity)
+      : null;
+
+    return {
+      ...holding,
+      average_price: averagePrice,
+      pnl,
+      pnl_percent: pnl !== null && investment ? this._round((pnl / investment) * 100) : null,
+      investment,
+      current_value: currentValue,
+      day_change: dayChange,
+      day_change_percent: dayChange !== null ? this._round(((ltp - holding.prev_close) / holding.prev_close) * 100) : null,
+    };
+  }
+
+  /**
+   * @private
+   */
+  _summarizeGroup(group) {
+    const quantity = group.positions.reduce((sum, { holding }) => sum + holding.quantity, 0);
+    const investment = this._sumKnown(group.positions.map(({ holding }) => holding.investment));
+    const pnl = this._sumKnown(group.positions.map(({ holding }) => holding.pnl));
+    const dayChange = this._sumKnown(group.positions.map(({ holding }) => holding.day_change));
+    const currentValue = group.ltp !== null ? this._round(group.ltp * quantity) : null;
+
+    return {
+      key: group.key,
+      isin: group.isin,
+      symbol: group.symbol,
+      exchanges: Array.from(group.exchanges),
+      quantity,
+      average_price: investment !== null && quantity ? this._round(investment / quantity) : null,
+      ltp: group.ltp,
+      prev_close: group.prev_close,
+      investment,
+      current_value: currentValue,
+      pnl,
+      pnl_percent: pnl !== null && investment ? this._round((pnl / investment) * 100) : null,
+      day_change: dayChange,
+      day_change_percent: dayChange !== null && group.prev_close
+        ? this._round(((group.ltp - group.prev_close) / group.prev_close) * 100)
+        : null,
+      instances: group.positions.map(({ instance, holding }) => ({
+        instance_id: instance.instance_id,
+        instance_name: instance.instance_name,
+        symbol: holding.symbol,
+        exchange: holding.exchange,
+        quantity: holding.quantity,
+        average_price: holding.average_price,
+        pnl: holding.pnl,
+        day_change: holding.day_change,
+      })),
+    };
+  }
+
+  /**
+   * @private
+   */
+  _sumTotals(rows) {
+    const investment = this._sumKnown(rows.map(row => row.investment));
+    const pnl = this._sumKnown(rows.map(row => row.pnl));
+    return {
+      count: rows.reduce((sum, row) => sum + (row.count ?? 1), 0),
+      investment,
+      current_value: this._sumKnown(rows.map(row => row.current_value)),
+      pnl,
+      pnl_percent: pnl !== null && investment ? this._round((pnl / investment) * 100) : null,
+      day_change: this._sumKnown(rows.map(row => row.day_change)),
+    };
+  }
+
+  /**
+   * Sum of the known values (null when none are known)
+   * @private
+   */
+  _sumKnown(values) {
+    const known = values.filter(value => value !== null && value !== undefined);
+    return known.length > 0 ? this._round(known.reduce((sum, value) => sum + value, 0)) : null;
+  }
+
+  /**
+   * @private
+   */
+  _positive(value) {
+    const parsed = parseFloat(value);
+    return Number.isFinite(parsed) && parsed > 0 ? parsed : null;
+  }
+
+  /**
+   * @private
+   */
+  _round(value) {
+    return Math.round(value * 100) / 100;
+  }
+}
+
+// Export singleton instance
+export default new HoldingsService();
+export { HoldingsService };
@@ -4,6 +4,7 @@
  */
 
 import db from '../core/database.js';
+import secrets from '../core/secrets.js';
 import { log } from '../core/logger.js';
 import openalgoClient from '../integrations/openalgo/client.js';
 import {
@@ -20,6 +21,8 @@ import {
   parseBooleanSafe,
 } from '../utils/sanitizers.js';
 import settingsService from './settings.service.js';
+import pnlSnapshotService from './pnl-snapshot.service.js';
+import eventBus, { EVENT_TYPES } from '../core/event-bus.js';
 
 class InstanceService {
   /**
@@ -111,6 +114,9 @@ class InstanceService {
       // Auto-populate broker from ping response
       normalized.broker = connectionTest.broker;
 
+      // Stored encrypted at rest
+      normalized.api_key = secrets.encrypt(normalized.api_key);
+
       // Create instance
       const result = await db.run(
         `INSERT INTO instances (
@@ -184,6 +190,10 @@ class InstanceService {
         }
       }
 
+      if (normalized.api_key !== undefined) {
+        normalized.api_key = secrets.encrypt(normalized.api_key);
+      }
+
       // Build update query
       const fields = [];
       const values = [];
@@ -342,6 +352,7 @@ class InstanceService {
       const instance = await this.getInstanceById(id);
 
       let healthStatus = 'unknown';
+      let healthError = null;
       let analyzerMode = instance.is_analyzer_mode;
 
       try {
@@ -364,6 +375,7 @@ class InstanceService {
         }
       } catch (error) {
         healthStatus = 'unhealthy';
+        healthError = error.message;
         log.warn('Health check failed', { id, error: error.message });
       }
 
@@ -377,6 +389,16 @@ class InstanceService {
         [healthStatus, analyzerMode ? 1 : 0, id]
       );
 
+      // Notify once per transition, not on every failed ping
+      if (healthStatus === 'unhealthy' && instance.health_status !== 'unhealthy') {
+        eventBus.publish(EVENT_TYPES.INSTANCE_UNHEALTHY, {
+          instance_id: id,
+          instance_name: instance.name,
+          previous_status: instance.health_status,
+          error: healthError,
+        });
+      }
+
       return await this.getInstanceById(id);
     } catch (error) {
       log.error('Failed to update health status', error, { id });
@@ -427,7 +449,7 @@ class InstanceService {
         // Session-aware tracking (IST)
         const istNow = this._nowInIST();
         const todayIst = this._formatDateIST(istNow);
-        const sessions = await this._getTradingSessions();
+        const sessions = await this.getTradingSessions();
         const currentSession = this._findCurrentSession(istNow, sessions);
 
         let sessionBaseline = instance.session_baseline_total_pnl;
@@ -436,6 +458,7 @@ class InstanceService {
         let lastLiveTotalPnl = instance.last_live_total_pnl;
         let lastLiveTotalPnlAt = instance.last_live_total_pnl_at;
         let cutoffReason = null;
+        let sessionStarted = false;
 
         if (!instance.is_analyzer_mode) {
           lastLiveTotalPnl = totalPnl;
@@ -450,6 +473,7 @@ class InstanceService {
             sessionBaseline = totalPnl;
             sessionBaselineAt = sessionKey;
             sessionPnl = 0;
+            sessionStarted = true;
           } else {
             sessionPnl = totalPnl - sessionBaseline;
           }
@@ -471,14 +495,25 @@ class InstanceService {
               reason: cutoffReason,
             });
             // fire-and-forget safe toggle; errors logged but do not throw to keep polling running
+            let switchedToAnalyzer = true;
             try {
               await this.toggleAnalyzerMode(id, true);
             } catch (toggleError) {
+              switchedToAnalyzer = false;
               log.error('Failed to toggle analyzer after cutoff', {
                 id,
                 error: toggleError.message,
               });
             }
+
+            eventBus.publish(EVENT_TYPES.SESSION_CUTOFF, {
+              instance_id: id,
+              instance_name: instance.name,
+              session: sessionLabel,
+              session_pnl: sessionPnl,
+              reason: cutoffReason,
+              switched_to_analyzer: switchedToAnalyzer,
+            });
           }
         }
 
@@ -517,6 +552,24 @@ class InstanceService {
           ]
         );
 
+        // Ledger writes must never break polling
+        try {
+          await pnlSnapshotService.recordPoll(instance, {
+            tradingDate: todayIst,
+            sessionKey: currentSession ? `${todayIst}|${currentSession.label || 'Session'}` : null,
+            sessionLabel: currentSession ? currentSession.label || 'Session' : null,
+            sessionStarted,
+            currentBalance,
+            realizedPnl,
+            unrealizedPnl,
+            totalPnl,
+            sessionPnl,
+            isAnalyzerMode: !!instance.is_analyzer_mode,
+          });
+        } catch (snapshotError) {
+          log.error('Failed to record P&L snapshot', snapshotError, { id });
+        }
+
         log.info('P&L updated', {
           id,
           balance: currentBalance,
@@ -618,6 +671,29 @@ class InstanceService {
     }
   }
 
+  /**
+   * Reject an encrypted (stored) API key sent for a host it does not belong to,
+   * so the edit form can round-trip the stored value without it being replayable
+   * against an arbitrary URL
+   * @param {Object} credentials - { host_url, api_key }
+   * @returns {Promise<void>}
+   */
+  async assertStoredApiKeyHost(credentials) {
+    const { host_url, api_key } = credentials;
+    if (!secrets.isEncrypted(api_key)) {
+      return;
+    }
+
+    const instance = await db.get(
+      'SELECT id FROM instances WHERE api_key = ? AND host_url = ?',
+      [api_key, normalizeUrl(host_url)]
+    );
+
+    if (!instance) {
+      throw new ValidationError('Enter the plaintext API key to test a new host');
+    }
+  }
+
   /**
    * Test connection to OpenAlgo instance (using ping endpoint)
    * @param {Object} credentials - { host_url, api_key }
@@ -811,7 +887,11 @@ class InstanceService {
     });
   }
 
-  async _getTradingSessions() {
+  /**
+   * Trading session windows in IST (trading_sessions setting, with the built-in defaults as fallback)
+   * @returns {Promise<Array<Object>>} - [{ label, start: 'HH:MM', end: 'HH:MM' }]
+   */
+  async getTradingSessions() {
     const fallback = [
       { label: 'Session 1', start: '09:00', end: '11:30' },
       { label: 'Session 2', start: '12:30', end: '15:10' },
@@ -909,6 +989,28 @@ class InstanceService {
       }
     }
 
+    // Websocket streaming role/URL (see market-data-stream.service.js)
+    if (data.websocket_role !== undefined) {
+      const validRoles = ['none', 'primary', 'secondary'];
+      const role = String(data.websocket_role).toLowerCase();
+      if (validRoles.includes(role)) {
+        normalized.websocket_role = role;
+      } else {
+        errors.push({ field: 'websocket_role', message: 'Websocket role must be none, primary or secondary' });
+      }
+    }
+
+    if (data.websocket_url !== undefined) {
+      const wsUrl = sanitizeString(data.websocket_url || '');
+      if (!wsUrl) {
+        normalized.websocket_url = null;
+      } else if (/^wss?:\/\/.+/i.test(wsUrl)) {
+        normalized.websocket_url = wsUrl;
+      } else {
+        errors.push({ field: 'websocket_url', message: 'Websocket URL must start with ws:// or wss://' });
+      }
+    }
+
     // Market data enabled (new flag)
     if (data.market_data_enabled !== undefined) {
       normalized.market_data_enabled = parseBooleanSafe(data.market_data_enabled, false) ? 1 : 0;
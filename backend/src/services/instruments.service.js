@@ -445,6 +445,133 @@ class InstrumentsService {
     }
   }
 
+  /**
+   * Get the underlying key for a traded symbol
+   * NIFTY for NIFTY28OCT2524000CE; cash symbols are their own underlying.
+   *
+   * @param {string} symbol - Trading symbol
+   * @param {string} exchange - Exchange code
+   * @returns {Promise<string|null>} - Underlying key
+   */
+  async getUnderlyingKey(symbol, exchange) {
+    if (!symbol) return null;
+
+    const upperExchange = (exchange || '').toUpperCase();
+    const instrument = upperExchange ? await this.getInstrument(symbol, upperExchange) : null;
+    if (instrument?.underlying_key) {
+      return instrument.underlying_key;
+    }
+
+    const isDerivativeExchange = ['NFO', 'BFO', 'MCX', 'CDS'].includes(upperExchange);
+    return isDerivativeExchange
+      ? this._deriveUnderlyingKey({ symbol, instrumenttype: 'OPT' })
+      : symbol.toUpperCase();
+  }
+
+  /**
+   * Get the exchange freeze quantity (max units per order) for a traded symbol
+   * Looks up the symbol's underlying in instrument_freeze_limits
+   *
+   * @param {string} symbol - Trading symbol (e.g., NIFTY28OCT2524000CE)
+   * @param {string} exchange - Exchange code (e.g., NFO)
+   * @returns {Promise<number|null>} - Freeze quantity, or null if the underlying has no limit
+   */
+  async getFreezeQuantity(symbol, exchange) {
+    if (!symbol || !exchange) return null;
+
+    try {
+      const limits = await this._loadFreezeLimits();
+      const upperExchange = exchange.toUpperCase();
+
+      const instrument = await this.getInstrument(symbol, upperExchange);
+      const underlyingKey = instrument?.underlying_key
+        || this._deriveUnderlyingKey({ symbol, instrumenttype: 'OPT' });
+
+      if (!underlyingKey) return null;
+      return limits.get(`${upperExchange}:${underlyingKey.toUpperCase()}`) || null;
+    } catch (error) {
+      log.warn('Failed to resolve freeze quantity', { symbol, exchange, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * List configured freeze-quantity limits
+   * @returns {Promise<Array>} - [{ underlying_key, exchange, freeze_qty, updated_at }]
+   */
+  async getFreezeLimits() {
+    return db.all(
+      `SELECT underlying_key, exchange, freeze_qty, updated_at
+       FROM instrument_freeze_limits
+       ORDER BY exchange, underlying_key`
+    );
+  }
+
+  /**
+   * Create or update the freeze quantity for an underlying
+   *
+   * @param {string} underlyingKey - Underlying (e.g., NIFTY)
+   * @param {string} exchange - Derivative exchange (e.g., NFO)
+   * @param {number} freezeQty - Max units per order
+   * @returns {Promise<Object>} - Saved limit
+   */
+  async setFreezeLimit(underlyingKey, exchange, freezeQty) {
+    const key = (underlyingKey || '').toUpperCase().replace(/\s+/g, '');
+    const upperExchange = (exchange || '').toUpperCase();
+    const qty = parseInt(freezeQty, 10);
+
+    if (!key) {
+      throw new ValidationError('underlying is required');
+    }
+    if (!SUPPORTED_EXCHANGES.includes(upperExchange)) {
+      throw new ValidationError(`Invalid exchange. Supported exchanges: ${SUPPORTED_EXCHANGES.join(', ')}`);
+    }
+    if (isNaN(qty) || qty <= 0) {
+      throw new ValidationError('freezeQty must be a positive integer');
+    }
+
+    await db.run(
+      `INSERT INTO instrument_freeze_limits (underlying_key, exchange, freeze_qty)
+       VALUES (?, ?, ?)
+       ON CONFLICT(underlying_key, exchange)
+       DO UPDATE SET freeze_qty = excluded.freeze_qty, updated_at = CURRENT_TIMESTAMP`,
+      [key, upperExchange, qty]
+    );
+    this.freezeLimitsCache = null;
+
+    log.info('Freeze limit saved', { underlying: key, exchange: upperExchange, freeze_qty: qty });
+    return { underlying_key: key, exchange: upperExchange, freeze_qty: qty };
+  }
+
+  /**
+   * Remove the freeze quantity for an underlying (orders are no longer sliced)
+   * @returns {Promise<boolean>} - true if a limit was removed
+   */
+  async deleteFreezeLimit(underlyingKey, exchange) {
+    const result = await db.run(
+      'DELETE FROM instrument_freeze_limits WHERE underlying_key = ? AND exchange = ?',
+      [(underlyingKey || '').toUpperCase(), (exchange || '').toUpperCase()]
+    );
+    this.freezeLimitsCache = null;
+    return result.changes > 0;
+  }
+
+  /**
+   * Load freeze limits into memory (small table, read on every order)
+   * @private
+   */
+  async _loadFreezeLimits() {
+    if (this.freezeLimitsCache) {
+      return this.freezeLimitsCache;
+    }
+
+    const rows = await this.getFreezeLimits();
+    this.freezeLimitsCache = new Map(
+      rows.map(row => [`${row.exchange}:${row.underlying_key}`, row.freeze_qty])
+    );
+    return this.freezeLimitsCache;
+  }
+
   /**
    * Build option chain for a symbol
    * Returns all available strikes for given expiry
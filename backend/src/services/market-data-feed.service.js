@@ -17,6 +17,7 @@ import watchlistService from './watchlist.service.js';
 import openalgoClient from '../integrations/openalgo/client.js';
 import config from '../core/config.js';
 import { log } from '../core/logger.js';
+import { OpenAlgoError } from '../core/errors.js';
 
 const DEFAULT_QUOTE_INTERVAL = 5000;               // 5 seconds for quote refresh
 const DEFAULT_POSITION_INTERVAL_IDLE = 30000;      // 30 seconds when no open positions
@@ -26,6 +27,7 @@ const DEFAULT_FUNDS_INTERVAL = 30 * 60 * 1000;     // 30 minutes for funds refre
 // TTL configurations
 const TTL_DISPLAY = 5000;      // 5s TTL for watchlist display (relaxed)
 const TTL_ORDER_CRITICAL = 2000; // 2s TTL for order-critical operations (aggressive)
+const TTL_DEPTH = 1000;          // 1s TTL for market depth (order pricing + depth ladder)
 
 class MarketDataFeedService extends EventEmitter {
   constructor() {
@@ -53,10 +55,14 @@ class MarketDataFeedService extends EventEmitter {
     this.FUNDS_TTL_MS = config.marketDataFeed.fundsTtlMs;
     this.ORDERBOOK_TTL_MS = config.marketDataFeed.orderbookTtlMs;
     this.TRADEBOOK_TTL_MS = config.marketDataFeed.tradebookTtlMs;
+    this.HOLDINGS_TTL_MS = config.marketDataFeed.holdingsTtlMs;
     this.orderbookCache = new Map();
     this.orderbookRefreshTimestamps = new Map();
     this.tradebookCache = new Map();
     this.tradebookRefreshTimestamps = new Map();
+    this.holdingsCache = new Map();
+    this.holdingsRefreshTimestamps = new Map();
+    this.depthCache = new Map(); // key: EXCHANGE|SYMBOL -> { data, fetchedAt }
 
     // Unified symbol quote cache (consolidated from separate SYMBOL_QUOTE_TTL_MS)
     // TTL is now configurable per-call via ttlMs parameter
@@ -65,6 +71,11 @@ class MarketDataFeedService extends EventEmitter {
     // Track whether there are open positions for dynamic refresh interval
     this.hasOpenPositions = false;
     this.positionIntervalHandle = null;
+
+    // Websocket streaming state (see market-data-stream.service.js)
+    // Scheduled REST quote polling is skipped while a stream is authenticated
+    this.streamingActive = false;
+    this.streamingInstanceId = null;
   }
 
   async start(config = {}) {
@@ -108,6 +119,13 @@ class MarketDataFeedService extends EventEmitter {
    * Quotes (per market-data instance)
    */
   async refreshQuotes({ force = false } = {}) {
+    if (!force && this.streamingActive) {
+      log.debug('Skipping REST quote refresh - streaming feed active', {
+        streamingInstanceId: this.streamingInstanceId,
+      });
+      return;
+    }
+
     const now = Date.now();
     if (!force && now - this.lastQuoteRefreshAt < this.QUOTE_TTL_MS) {
       log.debug('Skipping quote refresh - TTL not expired', {
@@ -195,6 +213,54 @@ class MarketDataFeedService extends EventEmitter {
     this.emit('quotes:update', { instanceId, data: snapshot.data });
   }
 
+  /**
+   * Merge streamed ticks into the quote caches
+   * Ticks may only carry a subset of quote fields (e.g. LTP mode), so they are merged
+   * over the last known quote for the symbol instead of replacing it
+   * @param {number} instanceId - Streaming instance ID
+   * @param {Array} ticks - Array of { exchange, symbol, ltp, ... }
+   */
+  applyStreamQuotes(instanceId, ticks = []) {
+    const now = Date.now();
+    const merged = [];
+
+    ticks.forEach((tick) => {
+      if (!tick?.symbol) return;
+      const key = this._symbolKey(tick.exchange, tick.symbol);
+      const previous = this.symbolQuoteCache.get(key)?.quote || {};
+      const quote = { ...previous, ...tick };
+      this.symbolQuoteCache.set(key, { quote, fetchedAt: now });
+      merged.push(quote);
+    });
+
+    if (merged.length === 0) return;
+
+    const snapshot = this.quoteCache.get(instanceId);
+    const byKey = new Map((snapshot?.data || []).map(q => [this._symbolKey(q.exchange, q.symbol), q]));
+    merged.forEach(q => byKey.set(this._symbolKey(q.exchange, q.symbol), q));
+    this.quoteCache.set(instanceId, { data: Array.from(byKey.values()), fetchedAt: now, source: 'stream' });
+
+    this.emit('quotes:update', { instanceId, data: merged, source: 'stream' });
+  }
+
+  /**
+   * Toggle streaming state
+   * @param {boolean} active - Whether a websocket stream is authenticated and delivering ticks
+   * @param {Object} options - Options
+   * @param {number} options.instanceId - Streaming instance ID
+   */
+  setStreamingState(active, { instanceId = null } = {}) {
+    const changed = this.streamingActive !== !!active;
+    this.streamingActive = !!active;
+    this.streamingInstanceId = active ? instanceId : null;
+    if (changed) {
+      log.info(active ? 'Quote streaming active, pausing REST quote polling' : 'Quote streaming inactive, using REST quote polling', {
+        instanceId,
+      });
+      this.emit('streaming:state', { active: this.streamingActive, instanceId: this.streamingInstanceId });
+    }
+  }
+
   /**
    * Retrieve cached quotes for symbols if fresh, and return missing symbols
    * @param {Array} symbols - Array of {exchange, symbol}
@@ -635,6 +701,116 @@ class MarketDataFeedService extends EventEmitter {
     this.tradebookCache.delete(instanceId);
   }
 
+  /**
+   * Holdings (CNC delivery) per trading instance, fetched on demand with a TTL
+   * On failure the last snapshot is returned flagged stale; without one the error is thrown.
+   * @param {number} instanceId - Instance ID
+   * @param {Object} options - Options
+   * @param {boolean} options.force - Bypass the TTL
+   * @returns {Promise<Object>} - { data, fetchedAt, stale?, error? }
+   */
+  async getHoldingsSnapshot(instanceId, { force = false } = {}) {
+    const now = Date.now();
+    const last = this.holdingsRefreshTimestamps.get(instanceId);
+    const cache = this.holdingsCache.get(instanceId);
+
+    if (!force && cache && last && now - last < this.HOLDINGS_TTL_MS) {
+      return cache;
+    }
+
+    try {
+      const instance = await instanceService.getInstanceById(instanceId);
+      const holdings = await openalgoClient.getHoldings(instance);
+      const snapshot = { data: Array.isArray(holdings) ? holdings : [], fetchedAt: Date.now() };
+      this.holdingsCache.set(instanceId, snapshot);
+      this.holdingsRefreshTimestamps.set(instanceId, now);
+      return snapshot;
+    } catch (error) {
+      log.warn('Failed to refresh holdings for instance', { instanceId, error: error.message });
+      if (cache) {
+        return { ...cache, stale: true, error: error.message };
+      }
+      throw error;
+    }
+  }
+
+  invalidateHoldings(instanceId) {
+    this.holdingsCache.delete(instanceId);
+    this.holdingsRefreshTimestamps.delete(instanceId);
+  }
+
+  /**
+   * Market depth (5-level order book) for a symbol from the market data pool
+   * Tries each healthy market data instance until one answers.
+   * @param {string} exchange - Exchange code
+   * @param {string} symbol - Trading symbol
+   * @param {Object} options - Options
+   * @param {boolean} options.force - Bypass the 1s depth cache
+   * @returns {Promise<Object>} - { exchange, symbol, bids, asks, best_bid, best_ask, spread, ltp, ..., fetchedAt }
+   */
+  async getDepthSnapshot(exchange, symbol, { force = false } = {}) {
+    const key = this._symbolKey(exchange, symbol);
+    const cache = this.depthCache.get(key);
+
+    if (!force && cache && Date.now() - cache.fetchedAt < TTL_DEPTH) {
+      return cache;
+    }
+
+    const pool = await marketDataInstanceService.getMarketDataPool();
+    if (pool.length === 0) {
+      throw new OpenAlgoError('No market data instances available for depth', 'depth', 503);
+    }
+
+    let lastError = null;
+    for (const inst of pool) {
+      try {
+        const depth = await openalgoClient.getDepth(inst, exchange.toUpperCase(), symbol.toUpperCase());
+        const snapshot = {
+          ...this._normalizeDepth(exchange, symbol, depth),
+          source_instance: inst.name,
+          fetchedAt: Date.now(),
+        };
+        this.depthCache.set(key, snapshot);
+        return snapshot;
+      } catch (error) {
+        lastError = error;
+        log.warn('Depth fetch failed', { instance: inst.name, exchange, symbol, error: error.message });
+      }
+    }
+
+    throw new OpenAlgoError(`Failed to fetch depth for ${symbol}: ${lastError?.message}`, 'depth');
+  }
+
+  _normalizeDepth(exchange, symbol, depth = {}) {
+    const levels = rows => (Array.isArray(rows) ? rows : [])
+      .map(row => ({
+        price: Number(row.price) || 0,
+        quantity: Number(row.quantity) || 0,
+        orders: row.orders !== undefined ? Number(row.orders) || 0 : null,
+      }))
+      .filter(level => level.price > 0);
+
+    const bids = levels(depth?.bids).sort((a, b) => b.price - a.price);
+    const asks = levels(depth?.asks).sort((a, b) => a.price - b.price);
+    const bestBid = bids[0]?.price ?? null;
+    const bestAsk = asks[0]?.price ?? null;
+
+    return {
+      exchange: exchange.toUpperCase(),
+      symbol: symbol.toUpperCase(),
+      bids,
+      asks,
+      best_bid: bestBid,
+      best_ask: bestAsk,
+      spread: bestBid !== null && bestAsk !== null ? Math.round((bestAsk - bestBid) * 100) / 100 : null,
+      ltp: Number(depth?.ltp) || null,
+      ltq: Number(depth?.ltq) || null,
+      volume: Number(depth?.volume) || null,
+      total_buy_qty: Number(depth?.totalbuyqty) || null,
+      total_sell_qty: Number(depth?.totalsellqty) || null,
+    };
+  }
+
   _getCircuitKey(instanceId, feed) {
     return `${instanceId}:${feed}`;
   }
@@ -725,7 +901,7 @@ class MarketDataFeedService extends EventEmitter {
    * @param {Array} options.feeds - Specific feeds to invalidate (default: all)
    */
   async invalidateInstanceCaches(instanceId, options = {}) {
-    const { refresh = false, feeds = ['positions', 'funds', 'orderbook', 'tradebook'] } = options;
+    const { refresh = false, feeds = ['positions', 'funds', 'orderbook', 'tradebook', 'holdings'] } = options;
 
     log.debug('Invalidating instance caches', { instanceId, feeds, refresh });
 
@@ -757,6 +933,10 @@ class MarketDataFeedService extends EventEmitter {
       this.tradebookRefreshTimestamps.delete(instanceId);
     }
 
+    if (feeds.includes('holdings')) {
+      this.invalidateHoldings(instanceId);
+    }
+
     // Wait for refresh operations if requested
     if (refresh && invalidationPromises.length > 0) {
       await Promise.allSettled(invalidationPromises);
@@ -0,0 +1,196 @@
+/**
+ * Market Data Stream Service
+ * Streams LTP/quote ticks from the instance tagged with a websocket role and writes them
+ * into MarketDataFeedService's symbol quote cache.
+ *
+ * While the stream is authenticated, MarketDataFeedService skips its scheduled REST quote
+ * polling. When the socket drops, REST polling resumes immediately until the stream reconnects.
+ */
+
+import db from '../core/database.js';
+import config from '../core/config.js';
+import { log } from '../core/logger.js';
+import eventBus, { EVENT_TYPES } from '../core/event-bus.js';
+import marketDataFeedService from './market-data-feed.service.js';
+import OpenAlgoStreamClient from '../integrations/openalgo/websocket.js';
+
+const DEFAULT_RESYNC_INTERVAL = 60000; // Re-read tracked symbols / stream instance every minute
+const DEFAULT_FLUSH_INTERVAL = 500;    // Batch ticks before pushing them into the feed cache
+
+class MarketDataStreamService {
+  constructor() {
+    this.client = null;
+    this.instance = null;
+    this.isRunning = false;
+    this.resyncTimer = null;
+    this.flushTimer = null;
+    this.pendingTicks = new Map(); // key: EXCHANGE|SYMBOL -> tick
+    this.lastTickAt = null;
+    this.clientFactory = (options) => new OpenAlgoStreamClient(options);
+  }
+
+  /**
+   * Start streaming
+   * @param {Object} options - Options
+   * @param {number} options.resyncInterval - Subscription/instance resync interval in ms
+   * @param {number} options.flushInterval - Tick batching interval in ms
+   * @param {Function} options.clientFactory - Factory returning an OpenAlgoStreamClient-compatible object
+   */
+  async start(options = {}) {
+    if (this.isRunning) return;
+
+    if (!config.marketDataFeed.streamEnabled) {
+      log.info('Market data streaming disabled, using REST quote polling');
+      return;
+    }
+
+    this.isRunning = true;
+    if (options.clientFactory) {
+      this.clientFactory = options.clientFactory;
+    }
+
+    const resyncInterval = options.resyncInterval ?? config.marketDataFeed.streamResyncMs ?? DEFAULT_RESYNC_INTERVAL;
+    const flushInterval = options.flushInterval ?? DEFAULT_FLUSH_INTERVAL;
+
+    await this.resync();
+
+    this.resyncTimer = setInterval(() => this.resync(), resyncInterval);
+    this.flushTimer = setInterval(() => this._flushTicks(), flushInterval);
+
+    log.info('MarketDataStreamService started', { resyncInterval, flushInterval });
+  }
+
+  stop() {
+    clearInterval(this.resyncTimer);
+    clearInterval(this.flushTimer);
+    this.resyncTimer = null;
+    this.flushTimer = null;
+    this._closeClient();
+    this.pendingTicks.clear();
+    this.isRunning = false;
+  }
+
+  /**
+   * Ensure the client points at the current websocket instance and is subscribed
+   * to the current global symbol list
+   */
+  async resync() {
+    try {
+      const instance = await this._getStreamInstance();
+
+      if (!instance) {
+        if (this.client) {
+          log.info('No websocket instance configured anymore, stopping stream');
+          this._closeClient();
+        }
+        return;
+      }
+
+      const changed = !this.instance ||
+        this.instance.id !== instance.id ||
+        this.instance.websocket_url !== instance.websocket_url ||
+        this.instance.api_key !== instance.api_key;
+
+      if (changed) {
+        this._closeClient();
+        this._openClient(instance);
+      }
+
+      const symbols = await marketDataFeedService._buildGlobalSymbolList();
+      const { added, removed } = this.client.setSubscriptions(symbols);
+      if (added > 0 || removed > 0) {
+        log.debug('Stream subscriptions updated', { added, removed, total: symbols.length });
+      }
+    } catch (error) {
+      log.warn('Market data stream resync failed', { error: error.message });
+    }
+  }
+
+  getStatus() {
+    return {
+      is_running: this.isRunning,
+      connected: !!this.client?.isConnected(),
+      instance_id: this.instance?.id || null,
+      instance_name: this.instance?.name || null,
+      websocket_url: this.instance?.websocket_url || null,
+      subscriptions: this.client?.subscriptions.size || 0,
+      last_tick_at: this.lastTickAt,
+    };
+  }
+
+  _openClient(instance) {
+    this.instance = instance;
+    this.client = this.clientFactory({
+      url: instance.websocket_url,
+      apiKey: instance.api_key,
+    });
+
+    this.client.on('connected', () => {
+      marketDataFeedService.setStreamingState(true, { instanceId: instance.id });
+    });
+
+    this.client.on('disconnected', ({ reason } = {}) => {
+      log.warn('Market data stream disconnected, falling back to REST quotes', {
+        instance: instance.name,
+        reason,
+      });
+      marketDataFeedService.setStreamingState(false);
+      marketDataFeedService.refreshQuotes({ force: true });
+      eventBus.publish(EVENT_TYPES.MARKET_DATA_FALLBACK, {
+        instance_id: instance.id,
+        instance_name: instance.name,
+        from: 'websocket',
+        to: 'rest_polling',
+        reason: reason || 'disconnected',
+      });
+    });
+
+    this.client.on('tick', (tick) => {
+      this.pendingTicks.set(`${tick.exchange}|${tick.symbol}`.toUpperCase(), tick);
+    });
+
+    this.client.on('error', () => {
+      // Logged by the client; reconnects are handled there as well
+    });
+
+    log.info('Connecting market data stream', {
+      instance: instance.name,
+      websocket_role: instance.websocket_role,
+    });
+    this.client.connect();
+  }
+
+  _closeClient() {
+    if (this.client) {
+      this.client.removeAllListeners();
+      this.client.disconnect();
+      this.client = null;
+    }
+    if (this.instance) {
+      marketDataFeedService.setStreamingState(false);
+    }
+    this.instance = null;
+  }
+
+  _flushTicks() {
+    if (this.pendingTicks.size === 0 || !this.instance) return;
+    const ticks = Array.from(this.pendingTicks.values());
+    this.pendingTicks.clear();
+    this.lastTickAt = Date.now();
+    marketDataFeedService.applyStreamQuotes(this.instance.id, ticks);
+  }
+
+  async _getStreamInstance() {
+    return db.get(
+      `SELECT * FROM instances
+       WHERE is_active = 1
+         AND websocket_role IN ('primary', 'secondary')
+         AND websocket_url IS NOT NULL AND websocket_url != ''
+       ORDER BY CASE websocket_role WHEN 'primary' THEN 0 ELSE 1 END, id
+       LIMIT 1`
+    );
+  }
+}
+
+export default new MarketDataStreamService();
+export { MarketDataStreamService };
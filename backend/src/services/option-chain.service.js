@@ -6,6 +6,7 @@
 import db from '../core/database.js';
 import { log } from '../core/logger.js';
 import { ValidationError } from '../core/errors.js';
+import greeksService from './greeks.service.js';
 
 class OptionChainService {
   /**
@@ -114,9 +115,12 @@ class OptionChainService {
    * @param {string} type - Optional type: 'index' or 'stock'
    * @param {boolean} includeQuotes - Whether to include quotes
    * @param {number} strikeWindow - Optional window around ATM
+   * @param {Object} options - Options
+   * @param {boolean} options.includeGreeks - Add IV/delta/gamma/theta/vega columns per side
+   * @param {number} options.rate - Risk-free rate used for Greeks
    * @returns {Promise<Object>} - Option chain
    */
-  async getOptionChain(underlying, expiry, type = null, includeQuotes = false, strikeWindow = null) {
+  async getOptionChain(underlying, expiry, type = null, includeQuotes = false, strikeWindow = null, options = {}) {
     try {
       // Determine if it's an index or stock
       const indexCheck = await db.get(`
@@ -146,7 +150,7 @@ class OptionChainService {
       }
 
       // Get all CE and PE for this underlying + expiry
-      const options = await db.all(`
+      const contracts = await db.all(`
         SELECT symbol, name, strike, lotsize, instrumenttype, exchange
         FROM instruments
         WHERE exchange IN (${isIndex ? "'NFO'" : "'BFO', 'NFO'"})
@@ -159,8 +163,10 @@ class OptionChainService {
 
       // Pivot into chain rows
       const strikesMap = new Map();
+      const symbolExchanges = new Map();
 
-      for (const option of options) {
+      for (const option of contracts) {
+        symbolExchanges.set(option.symbol, option.exchange);
         const strike = option.strike;
         if (!strikesMap.has(strike)) {
           strikesMap.set(strike, {
@@ -188,7 +194,7 @@ class OptionChainService {
       // TODO: Implement ATM calculation and strike window filtering
       // This requires getting the underlying spot price
 
-      return {
+      const chain = {
         underlying,
         type: isIndex ? 'index' : 'stock',
         exchange: isIndex ? 'NFO' : 'BFO,NFO',
@@ -196,6 +202,12 @@ class OptionChainService {
         has_quotes: includeQuotes,
         rows
       };
+
+      if (options.includeGreeks) {
+        await greeksService.enrichOptionChain(chain, symbolExchanges, { rate: options.rate });
+      }
+
+      return chain;
     } catch (error) {
       if (error instanceof ValidationError) {
         throw error;
@@ -12,6 +12,8 @@ import marketDataInstanceService from './market-data-instance.service.js';
 import { NotFoundError, ValidationError } from '../core/errors.js';
 import { parseFloatSafe } from '../utils/sanitizers.js';
 
+const MAX_STRIKE_OFFSET = 10; // ITM10 / OTM10
+
 class OptionsResolutionService {
   /**
    * Convert expiry date from YYYY-MM-DD to DD-MMM-YY format (OpenAlgo format)
@@ -69,7 +71,7 @@ class OptionsResolutionService {
    * @param {string} params.exchange - Exchange (NFO, BSE)
    * @param {string} params.expiry - Expiry date (YYYY-MM-DD or DD-MMM-YY)
    * @param {string} params.optionType - CE or PE
-   * @param {string} params.strikeOffset - ITM3, ITM2, ITM1, ATM, OTM1, OTM2, OTM3
+   * @param {string} params.strikeOffset - ATM or ITM1..ITM10 / OTM1..OTM10
    * @param {number} params.ltp - Current LTP of underlying
    * @param {Object} params.instance - OpenAlgo instance for fetching data
    * @returns {Promise<Object>} Resolved option symbol with details
@@ -102,9 +104,8 @@ class OptionsResolutionService {
       throw new ValidationError('optionType must be CE or PE');
     }
 
-    const validOffsets = ['ITM3', 'ITM2', 'ITM1', 'ATM', 'OTM1', 'OTM2', 'OTM3'];
-    if (!validOffsets.includes(strikeOffset)) {
-      throw new ValidationError(`strikeOffset must be one of: ${validOffsets.join(', ')}`);
+    if (this._parseStrikeOffset(strikeOffset, optionType) === null) {
+      throw new ValidationError('strikeOffset must be ATM or ITM1-ITM10 / OTM1-OTM10');
     }
 
     log.debug('Resolving option symbol', {
@@ -576,23 +577,32 @@ class OptionsResolutionService {
     const atmStrike = this._findATMStrike(ltp, strikes);
 
     // Calculate offset based on strikeOffset parameter
-    const offsetMap = {
-      ITM3: optionType === 'CE' ? -3 : 3,
-      ITM2: optionType === 'CE' ? -2 : 2,
-      ITM1: optionType === 'CE' ? -1 : 1,
-      ATM: 0,
-      OTM1: optionType === 'CE' ? 1 : -1,
-      OTM2: optionType === 'CE' ? 2 : -2,
-      OTM3: optionType === 'CE' ? 3 : -3,
-    };
-
-    const offset = offsetMap[strikeOffset];
+    const offset = this._parseStrikeOffset(strikeOffset, optionType);
     const targetStrike = atmStrike + (offset * strikeStep);
 
     // Find the closest available strike
     return this._findClosestStrike(targetStrike, strikes);
   }
 
+  /**
+   * Convert a strike offset (ATM, ITMn, OTMn) into a signed number of strike steps
+   * Calls move up the chain for OTM, puts move down
+   * @private
+   * @returns {number|null} Signed step count, or null when the offset is invalid
+   */
+  _parseStrikeOffset(strikeOffset, optionType) {
+    if (strikeOffset === 'ATM') return 0;
+
+    const match = /^(ITM|OTM)(\d{1,2})$/.exec(strikeOffset || '');
+    if (!match) return null;
+
+    const steps = parseInt(match[2], 10);
+    if (steps < 1 || steps > MAX_STRIKE_OFFSET) return null;
+
+    const direction = match[1] === 'OTM' ? 1 : -1;
+    return optionType === 'CE' ? direction * steps : -direction * steps;
+  }
+
   /**
    * Find ATM strike (closest to LTP)
    * @private
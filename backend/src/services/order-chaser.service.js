@@ -0,0 +1,463 @@
+/**
+ * Order Chaser Service
+ * Chases unfilled LIMIT orders placed by quick orders: every few seconds the
+ * order is looked up in the order book snapshot cache and, while still open,
+ * modified toward the current LTP. The move is capped by the symbol's slippage
+ * budget (a % of the original limit price); once the cap is reached and the
+ * market is still beyond it, the order is converted to MARKET or cancelled.
+ *
+ * Chasing is opt-in per watchlist symbol (watchlist_symbols.chase_*). Every
+ * step is written to order_chase_steps; active chases are reloaded on start.
+ */
+
+import db from '../core/database.js';
+import { log } from '../core/logger.js';
+import { OpenAlgoError } from '../core/errors.js';
+import { parseFloatSafe, parseIntSafe } from '../utils/sanitizers.js';
+import openalgoClient from '../integrations/openalgo/client.js';
+import instanceService from './instance.service.js';
+import marketDataFeedService from './market-data-feed.service.js';
+import smartLimitService from './smart-limit.service.js';
+
+export const CHASE_EXHAUSTED_ACTIONS = ['MARKET', 'CANCEL'];
+
+const TICK_INTERVAL_MS = 1000;
+const MIN_CHASE_INTERVAL_SECONDS = 2;
+const MAX_MISSING_CHECKS = 3;     // Order absent from the book this many times in a row -> stop
+const MAX_CONSECUTIVE_ERRORS = 3; // Failed checks in a row -> give up
+const PENDING_ORDER_STATUSES = ['open', 'pending', 'trigger pending'];
+const CLOSED_ORDER_STATUSES = ['rejected', 'cancelled', 'canceled'];
+
+class OrderChaserService {
+  constructor() {
+    this.chases = new Map(); // chase id -> { row, dueAt, missing, errors }
+    this.interval = null;
+    this.isTicking = false;
+  }
+
+  /**
+   * Reload active chases and start the check loop
+   */
+  async start() {
+    if (this.interval) return;
+
+    const rows = await db.all(`SELECT * FROM order_chases WHERE status = 'active'`);
+    rows.forEach(row => this._schedule(row, Date.now()));
+
+    this.interval = setInterval(() => this._tick(), TICK_INTERVAL_MS);
+    this.interval.unref?.();
+    log.info('Order chaser started', { active_chases: rows.length });
+  }
+
+  /**
+   * Stop the check loop (active chases stay in the database and resume on start)
+   */
+  stop() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+    this.chases.clear();
+  }
+
+  /**
+   * Start chasing freshly placed LIMIT orders when their watchlist symbol has chasing enabled
+   * Never throws - a chase that cannot be set up must not fail the order that was placed.
+   * @param {Object} params - Placement details
+   * @param {Object} params.instance - Instance the orders were placed on
+   * @param {Object} params.payload - LIMIT payload that was sent
+   * @param {Array<Object>} params.orders - [{ orderid, quantity }] (one per split slice)
+   * @param {number} params.symbolId - Watchlist symbol ID (chase settings)
+   * @param {string} params.transactionId - Quick order broadcast transaction (links the chase to its quick order)
+   * @returns {Promise<Array<number>>} - Created chase IDs
+   */
+  async track({ instance, payload, orders, symbolId, transactionId = null }) {
+    try {
+      if (!symbolId || String(payload.pricetype).toUpperCase() !== 'LIMIT') {
+        return [];
+      }
+
+      const settings = await db.get(
+        `SELECT chase_enabled, chase_interval_seconds, chase_max_slippage_percent, chase_on_exhausted
+         FROM watchlist_symbols WHERE id = ?`,
+        [symbolId]
+      );
+      if (!settings?.chase_enabled) {
+        return [];
+      }
+
+      const action = String(payload.action).toUpperCase();
+      const initialPrice = parseFloatSafe(payload.price, 0);
+      if (initialPrice <= 0) {
+        return [];
+      }
+
+      const tickSize = await smartLimitService.getTickSize(payload.symbol, payload.exchange);
+      const slippage = Math.max(0, parseFloatSafe(settings.chase_max_slippage_percent, 1)) / 100;
+      // Round the budget inward so the cap itself never exceeds it
+      const limitPrice = action === 'BUY'
+        ? smartLimitService.roundToTick(initialPrice * (1 + slippage), tickSize, 'down')
+        : smartLimitService.roundToTick(initialPrice * (1 - slippage), tickSize, 'up');
+      const intervalSeconds = Math.max(
+        MIN_CHASE_INTERVAL_SECONDS,
+        parseIntSafe(settings.chase_interval_seconds, 5)
+      );
+      const onExhausted = CHASE_EXHAUSTED_ACTIONS.includes(settings.chase_on_exhausted)
+        ? settings.chase_on_exhausted
+        : 'MARKET';
+
+      const ids = [];
+      for (const order of orders.filter(o => o.orderid)) {
+        const result = await db.run(
+          `INSERT INTO order_chases (
+            instance_id, symbol_id, transaction_id, order_id, strategy, exchange, symbol,
+            action, product, quantity, tick_size, initial_price, current_price, limit_price,
+            interval_seconds, on_exhausted
+          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [
+            instance.id,
+            symbolId,
+            transactionId,
+            String(order.orderid),
+            payload.strategy,
+            payload.exchange,
+            payload.symbol,
+            action,
+            payload.product,
+            parseIntSafe(order.quantity, parseIntSafe(payload.quantity, 0)),
+            tickSize,
+            initialPrice,
+            initialPrice,
+            limitPrice,
+            intervalSeconds,
+            onExhausted,
+          ]
+        );
+
+        const row = await db.get('SELECT * FROM order_chases WHERE id = ?', [result.lastID]);
+        this._schedule(row, Date.now() + intervalSeconds * 1000);
+        ids.push(row.id);
+      }
+
+      log.info('Chasing LIMIT order', {
+        instance_id: instance.id,
+        symbol: payload.symbol,
+        action,
+        order_ids: orders.map(o => o.orderid),
+        initial_price: initialPrice,
+        limit_price: limitPrice,
+        on_exhausted: onExhausted,
+      });
+      return ids;
+    } catch (error) {
+      log.error('Failed to start order chase', error, {
+        instance_id: instance?.id,
+        symbol: payload?.symbol,
+      });
+      return [];
+    }
+  }
+
+  /**
+   * Attach a persisted quick order to the chases its placement started
+   */
+  async linkQuickOrder({ transactionId, instanceId, symbol, quickOrderId }) {
+    if (!transactionId) return 0;
+
+    const result = await db.run(
+      `UPDATE order_chases
+       SET quick_order_id = ?
+       WHERE transaction_id = ? AND instance_id = ? AND symbol = ? AND quick_order_id IS NULL`,
+      [quickOrderId, transactionId, instanceId, symbol]
+    );
+    return result.changes;
+  }
+
+  /**
+   * Chases (with their steps) for a quick order
+   * @param {number} quickOrderId - Quick order ID
+   * @returns {Promise<Array<Object>>} - Chases, each with steps: [...]
+   */
+  async getChasesForQuickOrder(quickOrderId) {
+    const chases = await db.all(
+      'SELECT * FROM order_chases WHERE quick_order_id = ? ORDER BY id',
+      [quickOrderId]
+    );
+    if (chases.length === 0) return [];
+
+    const steps = await db.all(
+      `SELECT * FROM order_chase_steps
+       WHERE chase_id IN (${chases.map(() => '?').join(', ')})
+       ORDER BY id`,
+      chases.map(chase => chase.id)
+    );
+
+    return chases.map(chase => ({
+      ...chase,
+      steps: steps.filter(step => step.chase_id === chase.id),
+    }));
+  }
+
+  /**
+   * @private
+   */
+  _schedule(row, dueAt) {
+    const existing = this.chases.get(row.id);
+    this.chases.set(row.id, {
+      row,
+      dueAt,
+      missing: existing?.missing || 0,
+      errors: existing?.errors || 0,
+    });
+  }
+
+  /**
+   * Check every due chase - one order book lookup per instance
+   * @private
+   */
+  async _tick() {
+    if (this.isTicking) return;
+    this.isTicking = true;
+
+    try {
+      const now = Date.now();
+      const byInstance = new Map();
+      for (const chase of this.chases.values()) {
+        if (chase.dueAt > now) continue;
+        const list = byInstance.get(chase.row.instance_id) || [];
+        list.push(chase);
+        byInstance.set(chase.row.instance_id, list);
+      }
+
+      for (const [instanceId, due] of byInstance) {
+        await this._checkInstance(instanceId, due);
+      }
+    } catch (error) {
+      log.error('Order chaser tick failed', error);
+    } finally {
+      this.isTicking = false;
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _checkInstance(instanceId, due) {
+    let instance;
+    let orders;
+    try {
+      instance = await instanceService.getInstanceById(instanceId);
+      const snapshot = await marketDataFeedService.getOrderbookSnapshot(instanceId);
+      if (!snapshot) {
+        throw new Error('Order book unavailable');
+      }
+      const data = snapshot.data || {};
+      orders = Array.isArray(data) ? data : data.orders || data.data || [];
+    } catch (error) {
+      for (const chase of due) {
+        await this._recordError(chase, error);
+      }
+      return;
+    }
+
+    for (const chase of due) {
+      try {
+        await this._step(instance, chase, orders);
+        chase.errors = 0;
+      } catch (error) {
+        await this._recordError(chase, error);
+      }
+    }
+  }
+
+  /**
+   * One check of one chased order
+   * @private
+   */
+  async _step(instance, chase, orders) {
+    const { row } = chase;
+    const order = orders.find(o => String(o.orderid || o.order_id) === row.order_id);
+    const status = String(order?.order_status || order?.status || '').toLowerCase();
+
+    if (!order) {
+      chase.missing += 1;
+      if (chase.missing >= MAX_MISSING_CHECKS) {
+        await this._finish(chase, 'closed', 'closed', 'Order not found in order book');
+        return;
+      }
+      this._reschedule(chase);
+      return;
+    }
+    chase.missing = 0;
+
+    if (status === 'complete') {
+      await this._finish(chase, 'filled', 'filled', `Filled at or near ${row.current_price}`);
+      return;
+    }
+    if (CLOSED_ORDER_STATUSES.includes(status) || !PENDING_ORDER_STATUSES.includes(status)) {
+      await this._finish(chase, 'closed', 'closed', `Order ${status || 'closed'} outside the chaser`);
+      return;
+    }
+
+    const ltp = await this._getLtp(row);
+    if (!ltp) {
+      this._reschedule(chase);
+      return;
+    }
+
+    const isBuy = row.action === 'BUY';
+    const target = smartLimitService.roundToTick(ltp, row.tick_size, isBuy ? 'up' : 'down');
+    // Only ever move toward the market, never past the slippage budget
+    const nextPrice = isBuy
+      ? Math.min(Math.max(row.current_price, target), row.limit_price)
+      : Math.max(Math.min(row.current_price, target), row.limit_price);
+
+    if (nextPrice !== row.current_price) {
+      await this._modify(instance, row, { pricetype: 'LIMIT', price: nextPrice });
+      await this._logStep(row.id, 'reprice', row.current_price, nextPrice, ltp, null);
+      await db.run(
+        `UPDATE order_chases
+         SET current_price = ?, reprice_count = reprice_count + 1, updated_at = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [nextPrice, row.id]
+      );
+      log.info('Chased order repriced', {
+        chase_id: row.id,
+        instance_id: row.instance_id,
+        order_id: row.order_id,
+        from: row.current_price,
+        to: nextPrice,
+        ltp,
+      });
+      row.current_price = nextPrice;
+      row.reprice_count += 1;
+      this._reschedule(chase);
+      return;
+    }
+
+    const budgetSpent = row.current_price === row.limit_price &&
+      (isBuy ? ltp > row.limit_price : ltp < row.limit_price);
+    if (!budgetSpent) {
+      // Resting at or through the LTP - give the queue time
+      this._reschedule(chase);
+      return;
+    }
+
+    if (row.on_exhausted === 'CANCEL') {
+      await openalgoClient.cancelOrder(instance, row.order_id, row.strategy);
+      marketDataFeedService.invalidateOrderbook(instance.id);
+      await this._finish(chase, 'cancelled', 'cancel', 'Slippage budget spent - order cancelled', ltp);
+      return;
+    }
+
+    await this._modify(instance, row, { pricetype: 'MARKET', price: 0 });
+    await this._finish(chase, 'converted', 'convert_market', 'Slippage budget spent - converted to MARKET', ltp);
+  }
+
+  /**
+   * @private
+   */
+  async _modify(instance, row, { pricetype, price }) {
+    const response = await openalgoClient.modifyOrder(instance, {
+      strategy: row.strategy,
+      exchange: row.exchange,
+      symbol: row.symbol,
+      orderid: row.order_id,
+      action: row.action,
+      product: row.product,
+      pricetype,
+      price: String(price),
+      quantity: String(row.quantity),
+      disclosed_quantity: '0',
+      trigger_price: '0',
+    });
+    marketDataFeedService.invalidateOrderbook(instance.id);
+
+    if (response.status && response.status !== 'success') {
+      throw new OpenAlgoError(`modifyorder returned ${response.status}`, 'modifyorder');
+    }
+    return response;
+  }
+
+  /**
+   * @private
+   */
+  async _getLtp(row) {
+    const [quote] = await marketDataFeedService.fetchQuotesForSymbols(
+      [{ exchange: row.exchange, symbol: row.symbol }],
+      { orderCritical: true }
+    );
+    const ltp = parseFloatSafe(quote?.ltp, null);
+    return ltp && ltp > 0 ? ltp : null;
+  }
+
+  /**
+   * @private
+   */
+  _reschedule(chase) {
+    chase.dueAt = Date.now() + chase.row.interval_seconds * 1000;
+  }
+
+  /**
+   * @private
+   */
+  async _finish(chase, status, stepType, message, ltp = null) {
+    const { row } = chase;
+    this.chases.delete(row.id);
+
+    const toPrice = stepType === 'convert_market' ? null : row.current_price;
+    await this._logStep(row.id, stepType, row.current_price, toPrice, ltp, message);
+    await db.run(
+      `UPDATE order_chases SET status = ?, message = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [status, message, row.id]
+    );
+
+    log.info('Order chase finished', {
+      chase_id: row.id,
+      instance_id: row.instance_id,
+      order_id: row.order_id,
+      status,
+      reprices: row.reprice_count,
+      message,
+    });
+  }
+
+  /**
+   * @private
+   */
+  async _recordError(chase, error) {
+    chase.errors += 1;
+    log.warn('Order chase check failed', {
+      chase_id: chase.row.id,
+      order_id: chase.row.order_id,
+      attempt: chase.errors,
+      error: error.message,
+    });
+
+    try {
+      if (chase.errors >= MAX_CONSECUTIVE_ERRORS) {
+        await this._finish(chase, 'failed', 'error', `Gave up after ${chase.errors} failed checks: ${error.message}`);
+        return;
+      }
+      await this._logStep(chase.row.id, 'error', chase.row.current_price, null, null, error.message);
+    } catch (logError) {
+      log.error('Failed to record order chase error', logError, { chase_id: chase.row.id });
+    }
+    this._reschedule(chase);
+  }
+
+  /**
+   * @private
+   */
+  async _logStep(chaseId, stepType, fromPrice, toPrice, ltp, message) {
+    await db.run(
+      `INSERT INTO order_chase_steps (chase_id, step_type, from_price, to_price, ltp, message)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [chaseId, stepType, fromPrice ?? null, toPrice ?? null, ltp ?? null, message || null]
+    );
+  }
+}
+
+// Export singleton instance
+export default new OrderChaserService();
+export { OrderChaserService };
@@ -0,0 +1,187 @@
+/**
+ * Order Intent Service
+ * Server-side idempotency keys (intent_id) for order placement requests.
+ * The first request with an intent_id runs; repeats inside the window get the
+ * stored result back instead of placing again (Options Mode guide §12).
+ * Intent IDs are scoped to the user that sent them.
+ */
+
+import crypto from 'crypto';
+import db from '../core/database.js';
+import { log } from '../core/logger.js';
+import config from '../core/config.js';
+import { ConflictError, ValidationError } from '../core/errors.js';
+
+const INTENT_ID_PATTERN = /^[A-Za-z0-9_.:-]{1,128}$/;
+
+class OrderIntentService {
+  /**
+   * Run a handler at most once per (user, intent_id)
+   * One intent covers the whole request, so a broadcast to many instances is
+   * de-duplicated as a unit.
+   *
+   * @param {number} userId - User the request runs as (intent IDs are per user)
+   * @param {string|undefined} intentId - Client-supplied idempotency key (no key = no de-dupe)
+   * @param {string} scope - Request kind (quickorder, order, order_batch)
+   * @param {Object} request - Request body, hashed to reject a reused key with a different order
+   * @param {Function} handler - async () => result (must be JSON-serializable)
+   * @returns {Promise<{ result: Object, replayed: boolean }>}
+   */
+  async execute(userId, intentId, scope, request, handler) {
+    if (intentId === undefined || intentId === null || intentId === '') {
+      return { result: await handler(), replayed: false };
+    }
+
+    const key = this.validateIntentId(intentId);
+    const requestHash = this._hashRequest(scope, request);
+
+    const owner = this._normalizeUserId(userId);
+    const claimed = await this._claim(owner, key, scope, requestHash);
+    if (!claimed) {
+      return { result: await this._replay(owner, key, scope, requestHash), replayed: true };
+    }
+
+    let result;
+    try {
+      result = await handler();
+    } catch (error) {
+      // Thrown errors happen before any order goes out (validation, lookups);
+      // per-instance failures come back inside the result. Release so a retry can run.
+      await db.run('DELETE FROM order_intents WHERE user_id = ? AND intent_id = ?', [owner, key]);
+      throw error;
+    }
+
+    try {
+      await db.run(
+        `UPDATE order_intents
+         SET status = 'completed', response = ?, completed_at = CURRENT_TIMESTAMP
+         WHERE user_id = ? AND intent_id = ?`,
+        [JSON.stringify(result ?? null), owner, key]
+      );
+    } catch (error) {
+      // The orders are placed; keep the in_progress claim so repeats are still refused
+      log.error('Failed to store order intent result', error, { user_id: owner, intent_id: key, scope });
+    }
+
+    return { result, replayed: false };
+  }
+
+  /**
+   * Validate and normalize a client intent_id
+   * @param {*} intentId - Raw value from the request
+   * @returns {string} - Trimmed intent_id
+   */
+  validateIntentId(intentId) {
+    const key = String(intentId).trim();
+    if (!INTENT_ID_PATTERN.test(key)) {
+      throw new ValidationError('intent_id must be 1-128 characters of letters, digits, "_", "-", "." or ":"');
+    }
+    return key;
+  }
+
+  /**
+   * Insert the intent row; false when the user already took this intent_id inside the window
+   * @private
+   */
+  async _claim(userId, key, scope, requestHash) {
+    const windowModifier = `-${this._getWindowSeconds()} seconds`;
+
+    // Expired intents no longer block (and keep the table small)
+    await db.run(
+      `DELETE FROM order_intents WHERE created_at < datetime('now', ?)`,
+      [windowModifier]
+    );
+
+    const result = await db.run(
+      `INSERT OR IGNORE INTO order_intents (user_id, intent_id, scope, request_hash, status)
+       VALUES (?, ?, ?, ?, 'in_progress')`,
+      [userId, key, scope, requestHash]
+    );
+
+    return result.changes === 1;
+  }
+
+  /**
+   * Stored result for a repeated intent_id
+   * @private
+   */
+  async _replay(userId, key, scope, requestHash) {
+    const existing = await db.get(
+      'SELECT * FROM order_intents WHERE user_id = ? AND intent_id = ?',
+      [userId, key]
+    );
+
+    if (!existing) {
+      // Released between the claim and this read (first attempt threw) - ask the client to retry
+      throw new ConflictError(`intent_id ${key} was not completed, retry the request`);
+    }
+
+    if (existing.scope !== scope || existing.request_hash !== requestHash) {
+      throw new ConflictError(`intent_id ${key} was already used for a different order request`);
+    }
+
+    if (existing.status !== 'completed') {
+      throw new ConflictError(`intent_id ${key} is still being processed`);
+    }
+
+    log.info('Duplicate order intent - returning stored result', {
+      user_id: userId,
+      intent_id: key,
+      scope,
+      created_at: existing.created_at,
+    });
+
+    try {
+      return JSON.parse(existing.response);
+    } catch (error) {
+      return existing.response;
+    }
+  }
+
+  /**
+   * @private
+   */
+  _normalizeUserId(userId) {
+    const id = parseInt(userId, 10);
+    if (!Number.isInteger(id) || id <= 0) {
+      throw new ValidationError('intent_id requires an authenticated user');
+    }
+    return id;
+  }
+
+  /**
+   * @private
+   */
+  _getWindowSeconds() {
+    const seconds = parseInt(config.orders?.intentWindowSeconds, 10);
+    return Number.isFinite(seconds) && seconds > 0 ? seconds : 600;
+  }
+
+  /**
+   * Stable hash of the request (key order independent)
+   * @private
+   */
+  _hashRequest(scope, request) {
+    const stable = (value) => {
+      if (Array.isArray(value)) {
+        return value.map(stable);
+      }
+      if (value && typeof value === 'object') {
+        return Object.keys(value).sort().reduce((acc, k) => {
+          if (k !== 'intent_id') acc[k] = stable(value[k]);
+          return acc;
+        }, {});
+      }
+      return value;
+    };
+
+    return crypto
+      .createHash('sha256')
+      .update(`${scope}:${JSON.stringify(stable(request ?? null))}`)
+      .digest('hex');
+  }
+}
+
+// Export singleton instance
+export default new OrderIntentService();
+export { OrderIntentService };
@@ -1,6 +1,6 @@
 /**
  * Order Payload Factory
- * Builds normalized payloads for OpenAlgo placesmartorder calls.
+ * Builds normalized payloads for OpenAlgo placesmartorder / splitorder calls.
  */
 
 function basePayload({ strategy = 'default', exchange, symbol, action, quantity, position_size, product, pricetype = 'MARKET', price = 0, trigger_price = 0 }) {
@@ -42,9 +42,23 @@ export function buildExitOrder(params) {
   });
 }
 
+/**
+ * splitorder payload from a smart order payload: the smart order's quantity is the
+ * position delta, which splitorder places as chunks of at most splitsize.
+ */
+export function buildSplitOrder(smartPayload, splitsize) {
+  const { position_size, ...payload } = smartPayload;
+  return {
+    ...payload,
+    quantity: String(smartPayload.quantity),
+    splitsize: String(splitsize),
+  };
+}
+
 export default {
   buildEquityOrder,
   buildFuturesOrder,
   buildOptionsOrder,
   buildExitOrder,
+  buildSplitOrder,
 };
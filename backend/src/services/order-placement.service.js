@@ -1,10 +1,11 @@
 /**
  * Order Placement Service
- * Centralizes OpenAlgo placesmartorder calls with structured logging/context.
+ * Centralizes OpenAlgo placesmartorder / splitorder calls with structured logging/context.
  */
 
 import openalgoClient from '../integrations/openalgo/client.js';
 import { log } from '../core/logger.js';
+import eventBus, { EVENT_TYPES } from '../core/event-bus.js';
 
 class OrderPlacementService {
   /**
@@ -29,7 +30,13 @@ class OrderPlacementService {
 
     log.info('[OrderPlacement] Dispatching placesmartorder', logContext);
 
-    const response = await openalgoClient.placeSmartOrder(instance, payload);
+    let response;
+    try {
+      response = await openalgoClient.placeSmartOrder(instance, payload);
+    } catch (error) {
+      this._publishRejection(instance, payload, error.message, 'placesmartorder');
+      throw error;
+    }
 
     log.info('[OrderPlacement] placesmartorder response', {
       ...logContext,
@@ -40,6 +47,76 @@ class OrderPlacementService {
 
     return response;
   }
+
+  /**
+   * Place a split order (quantity sliced into splitsize chunks) via OpenAlgo.
+   * @param {Object} instance - Instance config
+   * @param {Object} payload - splitorder payload (see orderPayloadFactory.buildSplitOrder)
+   * @param {Object} context - Optional metadata for log tracing
+   * @returns {Promise<Object>} OpenAlgo response ({ results: [{ orderid, quantity, status }] })
+   */
+  async placeSplitOrder(instance, payload, context = {}) {
+    const logContext = {
+      instance_id: instance?.id,
+      instance_name: instance?.name,
+      ...context,
+      resolved_symbol: payload?.symbol,
+      exchange: payload?.exchange,
+      action: payload?.action,
+      product: payload?.product,
+      quantity: payload?.quantity,
+      splitsize: payload?.splitsize,
+    };
+
+    log.info('[OrderPlacement] Dispatching splitorder', logContext);
+
+    let response;
+    try {
+      response = await openalgoClient.placeSplitOrder(instance, payload);
+    } catch (error) {
+      this._publishRejection(instance, payload, error.message, 'splitorder');
+      throw error;
+    }
+
+    log.info('[OrderPlacement] splitorder response', {
+      ...logContext,
+      status: response?.status,
+      slices: Array.isArray(response?.results) ? response.results.length : undefined,
+    });
+
+    const failedSlices = Array.isArray(response?.results)
+      ? response.results.filter(slice => slice?.status === 'error')
+      : [];
+    if (failedSlices.length > 0) {
+      const failedQuantity = failedSlices.reduce((sum, slice) => sum + (Number(slice.quantity) || 0), 0);
+      this._publishRejection(
+        instance,
+        { ...payload, quantity: failedQuantity || payload?.quantity },
+        `${failedSlices.length} of ${response.results.length} slices rejected: ${failedSlices[0].message || 'no reason given'}`,
+        'splitorder'
+      );
+    }
+
+    return response;
+  }
+
+  /**
+   * Announce a broker rejection on the event bus
+   * @private
+   */
+  _publishRejection(instance, payload, message, source) {
+    eventBus.publish(EVENT_TYPES.ORDER_REJECTED, {
+      instance_id: instance?.id,
+      instance_name: instance?.name,
+      symbol: payload?.symbol,
+      exchange: payload?.exchange,
+      action: payload?.action,
+      quantity: payload?.quantity,
+      order_id: null,
+      message,
+      source,
+    });
+  }
 }
 
 const orderPlacementService = new OrderPlacementService();
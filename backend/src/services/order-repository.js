@@ -1,6 +1,6 @@
 /**
  * Order Repository
- * Data access helpers for watchlist_orders and quick_orders.
+ * Data access helpers for watchlist_orders, quick_orders and order_decisions.
  */
 
 import db from '../core/database.js';
@@ -62,8 +62,8 @@ class OrderRepository {
         watchlist_id, symbol_id, instance_id, underlying, symbol, exchange,
         action, trade_mode, options_leg, quantity, product, order_type,
         price, trigger_price, resolved_symbol, strike_price, option_type,
-        expiry_date, status, order_id, message, created_at, updated_at
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)`,
+        expiry_date, status, order_id, message, transaction_id, metadata, created_at, updated_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)`,
       [
         params.watchlist_id,
         params.symbol_id,
@@ -86,12 +86,96 @@ class OrderRepository {
         params.status,
         params.order_id,
         params.message,
+        params.transaction_id || null,
+        params.metadata ? JSON.stringify(params.metadata) : null,
       ]
     );
 
     log.debug('Quick order persisted', { id: result.lastID, order_id: params.order_id });
     return result.lastID;
   }
+
+  async insertOrderDecision(params) {
+    const toJson = (value) => (value === undefined || value === null ? null : JSON.stringify(value));
+
+    const result = await db.run(
+      `INSERT INTO order_decisions (
+        transaction_id, quick_order_id, instance_id, symbol_id,
+        strategy, requested_action, trade_mode, request_type,
+        position_source, position_snapshot, current_position, target_position, lot_size,
+        resolved_symbol, exchange, strike, option_type, expiry,
+        payload, broker_response, status, message, retry_attempt
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        params.transaction_id,
+        params.quick_order_id || null,
+        params.instance_id || null,
+        params.symbol_id || null,
+        params.strategy,
+        params.requested_action,
+        params.trade_mode || null,
+        params.request_type || null,
+        params.position_source || null,
+        toJson(params.position_snapshot),
+        params.current_position ?? null,
+        params.target_position ?? null,
+        params.lot_size ?? null,
+        params.resolved_symbol || null,
+        params.exchange || null,
+        params.strike ?? null,
+        params.option_type || null,
+        params.expiry || null,
+        toJson(params.payload),
+        toJson(params.broker_response),
+        params.status,
+        params.message || null,
+        params.retry_attempt || 0,
+      ]
+    );
+
+    return result.lastID;
+  }
+
+  /**
+   * Attach a persisted quick order to the decisions that produced it
+   */
+  async linkOrderDecisions({ transactionId, instanceId, symbol, quickOrderId }) {
+    const result = await db.run(
+      `UPDATE order_decisions
+       SET quick_order_id = ?
+       WHERE transaction_id = ? AND instance_id = ? AND resolved_symbol = ?
+         AND quick_order_id IS NULL`,
+      [quickOrderId, transactionId, instanceId, symbol]
+    );
+    return result.changes;
+  }
+
+  async getOrderDecisionsByTransaction(transactionId) {
+    const rows = await db.all(
+      `SELECT d.*, i.name AS instance_name
+       FROM order_decisions d
+       LEFT JOIN instances i ON i.id = d.instance_id
+       WHERE d.transaction_id = ?
+       ORDER BY d.instance_id, d.id`,
+      [transactionId]
+    );
+
+    const parseJson = (value) => {
+      if (!value) return null;
+      try {
+        return JSON.parse(value);
+      } catch (error) {
+        return value;
+      }
+    };
+
+    return rows.map(row => ({
+      ...row,
+      position_snapshot: parseJson(row.position_snapshot),
+      payload: parseJson(row.payload),
+      broker_response: parseJson(row.broker_response),
+    }));
+  }
 }
 
 const orderRepository = new OrderRepository();
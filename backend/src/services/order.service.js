@@ -9,6 +9,7 @@ import openalgoClient from '../integrations/openalgo/client.js';
 import orderPlacementService from './order-placement.service.js';
 import orderPayloadFactory from './order-payload.factory.js';
 import orderRepository from './order-repository.js';
+import marketDataFeedService from './market-data-feed.service.js';
 import {
   NotFoundError,
   ValidationError,
@@ -22,6 +23,9 @@ import {
   parseIntSafe,
 } from '../utils/sanitizers.js';
 
+const MODIFIABLE_ORDER_STATUSES = ['open', 'pending', 'trigger pending'];
+const MODIFIABLE_PRICE_TYPES = ['LIMIT', 'SL', 'SL-M'];
+
 class OrderService {
   /**
    * Place order using placesmartorder (position-aware)
@@ -263,6 +267,254 @@ class OrderService {
     }
   }
 
+  /**
+   * Modify a pending LIMIT / SL order in place (keeps queue priority, unlike cancel + re-place)
+   * @param {number} instanceId - Instance ID
+   * @param {string} orderId - Broker order ID
+   * @param {Object} changes - { price, trigger_price, quantity } (omitted fields keep their current value)
+   * @returns {Promise<Object>} - Modify result with before/after values
+   */
+  async modifyOrder(instanceId, orderId, changes = {}) {
+    try {
+      const instance = await db.get('SELECT * FROM instances WHERE id = ?', [
+        instanceId,
+      ]);
+
+      if (!instance) {
+        throw new NotFoundError('Instance');
+      }
+
+      const normalizedChanges = this._normalizeModifyChanges(changes);
+
+      const orderbook = await openalgoClient.getOrderBook(instance);
+      const orders = Array.isArray(orderbook) ? orderbook : orderbook?.orders || [];
+      const brokerOrder = orders.find(
+        o => String(o.orderid || o.order_id) === String(orderId)
+      );
+
+      if (!brokerOrder) {
+        throw new NotFoundError('Order');
+      }
+
+      const status = (brokerOrder.order_status || brokerOrder.status || '').toLowerCase();
+      if (!MODIFIABLE_ORDER_STATUSES.includes(status)) {
+        throw new ValidationError(`Cannot modify order with status: ${status || 'unknown'}`);
+      }
+
+      const pricetype = (brokerOrder.pricetype || brokerOrder.order_type || '').toUpperCase();
+      if (!MODIFIABLE_PRICE_TYPES.includes(pricetype)) {
+        throw new ValidationError(`Cannot modify ${pricetype || 'unknown'} orders (only LIMIT, SL, SL-M)`);
+      }
+
+      const before = {
+        price: parseFloatSafe(brokerOrder.price, 0),
+        trigger_price: parseFloatSafe(brokerOrder.trigger_price, 0),
+        quantity: parseIntSafe(brokerOrder.quantity, 0),
+      };
+      const after = { ...before, ...normalizedChanges };
+
+      if (pricetype !== 'SL-M' && after.price <= 0) {
+        throw new ValidationError(`${pricetype} orders require a positive price`);
+      }
+
+      if ((pricetype === 'SL' || pricetype === 'SL-M') && after.trigger_price <= 0) {
+        throw new ValidationError(`${pricetype} orders require a positive trigger_price`);
+      }
+
+      const orderData = {
+        strategy: brokerOrder.strategy || instance.strategy_tag || 'default',
+        exchange: brokerOrder.exchange,
+        symbol: brokerOrder.symbol,
+        action: (brokerOrder.action || '').toUpperCase(),
+        product: brokerOrder.product,
+        pricetype,
+        quantity: String(after.quantity),
+        price: String(pricetype === 'SL-M' ? 0 : after.price),
+        trigger_price: String(after.trigger_price),
+        disclosed_quantity: String(parseIntSafe(brokerOrder.disclosed_quantity, 0)),
+        orderid: String(orderId),
+      };
+
+      log.info('Modifying order', {
+        instance_id: instance.id,
+        order_id: orderId,
+        symbol: orderData.symbol,
+        before,
+        after,
+      });
+
+      const response = await openalgoClient.modifyOrder(instance, orderData);
+
+      await db.run(
+        `UPDATE watchlist_orders
+         SET price = ?, trigger_price = ?, quantity = ?, updated_at = CURRENT_TIMESTAMP
+         WHERE instance_id = ? AND order_id = ?`,
+        [after.price, after.trigger_price, after.quantity, instance.id, String(orderId)]
+      );
+
+      marketDataFeedService.invalidateOrderbook(instance.id);
+
+      return {
+        instance_id: instance.id,
+        instance_name: instance.name,
+        order_id: response.orderid || String(orderId),
+        symbol: orderData.symbol,
+        exchange: orderData.exchange,
+        pricetype,
+        before,
+        after,
+      };
+    } catch (error) {
+      if (
+        error instanceof NotFoundError ||
+        error instanceof ValidationError
+      ) {
+        throw error;
+      }
+      log.error('Failed to modify order', error, { instanceId, orderId });
+      throw error;
+    }
+  }
+
+  /**
+   * Modify an order and its siblings on the other instances that got the same quick order
+   * Only price / trigger_price apply to a group: siblings and split slices have their own
+   * quantities. Every slice of a split order (metadata.split.slices) is modified.
+   * @param {number} instanceId - Instance ID of the edited order
+   * @param {string} orderId - Broker order ID of the edited order (any slice)
+   * @param {Object} changes - { price, trigger_price }
+   * @param {Set<number>|null} allowedInstanceIds - Instances the caller may trade on (null = all);
+   *   siblings elsewhere are left untouched
+   * @returns {Promise<Object>} - { results, summary }
+   * @throws {ValidationError} When a quantity change is requested
+   */
+  async modifyOrderGroup(instanceId, orderId, changes = {}, allowedInstanceIds = null) {
+    if (changes.quantity !== undefined && changes.quantity !== null && changes.quantity !== '') {
+      throw new ValidationError('quantity cannot be applied to a group - modify each order on its own');
+    }
+    const groupChanges = { price: changes.price, trigger_price: changes.trigger_price };
+
+    const targets = [{ instanceId, orderId: String(orderId) }];
+    const origin = await this._findQuickOrderForBrokerOrder(instanceId, orderId);
+
+    if (origin) {
+      const rows = await db.all(
+        `SELECT instance_id, order_id, metadata FROM quick_orders
+         WHERE transaction_id = ? AND symbol = ? AND order_id IS NOT NULL
+         ORDER BY instance_id, id`,
+        [origin.transaction_id, origin.symbol]
+      );
+
+      const seen = new Set([`${instanceId}|${orderId}`]);
+      rows
+        .filter(row => !allowedInstanceIds || allowedInstanceIds.has(row.instance_id))
+        .forEach(row => {
+          this._quickOrderBrokerIds(row).forEach(id => {
+            const key = `${row.instance_id}|${id}`;
+            if (seen.has(key)) return;
+            seen.add(key);
+            targets.push({ instanceId: row.instance_id, orderId: id });
+          });
+        });
+    }
+
+    const { results, summary } = await this.modifyMultipleOrders(
+      targets.map(target => ({ ...target, ...groupChanges }))
+    );
+
+    return {
+      transaction_id: origin?.transaction_id || null,
+      results,
+      summary,
+    };
+  }
+
+  /**
+   * Quick order that placed a broker order, matched on its order_id or one of its split slices
+   * @private
+   */
+  async _findQuickOrderForBrokerOrder(instanceId, orderId) {
+    const direct = await db.get(
+      `SELECT transaction_id, symbol FROM quick_orders
+       WHERE instance_id = ? AND order_id = ? AND transaction_id IS NOT NULL
+       ORDER BY id DESC LIMIT 1`,
+      [instanceId, String(orderId)]
+    );
+    if (direct) {
+      return direct;
+    }
+
+    // Later slices of a split order are only stored in the metadata
+    const candidates = await db.all(
+      `SELECT transaction_id, symbol, instance_id, order_id, metadata FROM quick_orders
+       WHERE instance_id = ? AND transaction_id IS NOT NULL AND metadata LIKE ?
+       ORDER BY id DESC LIMIT 20`,
+      [instanceId, `%${String(orderId)}%`]
+    );
+    return candidates.find(row => this._quickOrderBrokerIds(row).includes(String(orderId))) || null;
+  }
+
+  /**
+   * Broker order IDs behind a quick_orders row (every placed slice of a split order)
+   * @private
+   */
+  _quickOrderBrokerIds(row) {
+    const ids = row.order_id ? [String(row.order_id)] : [];
+
+    let metadata = null;
+    try {
+      metadata = row.metadata ? JSON.parse(row.metadata) : null;
+    } catch {
+      metadata = null;
+    }
+
+    const slices = Array.isArray(metadata?.split?.slices) ? metadata.split.slices : [];
+    slices
+      .filter(slice => slice.orderid && slice.status !== 'error')
+      .forEach(slice => {
+        if (!ids.includes(String(slice.orderid))) ids.push(String(slice.orderid));
+      });
+    return ids;
+  }
+
+  /**
+   * Modify multiple orders, one broker call per order
+   * @param {Array} modifications - [{ instanceId, orderId, price, trigger_price, quantity }]
+   * @returns {Promise<Object>} - { results, summary }
+   */
+  async modifyMultipleOrders(modifications) {
+    const results = [];
+
+    for (const modification of modifications) {
+      const { instanceId, orderId, ...changes } = modification;
+      try {
+        if (!instanceId || !orderId) {
+          throw new ValidationError('instanceId and orderId are required');
+        }
+        const result = await this.modifyOrder(instanceId, orderId, changes);
+        results.push({ success: true, ...result });
+      } catch (error) {
+        results.push({
+          success: false,
+          instance_id: instanceId,
+          order_id: orderId,
+          error: error.message,
+        });
+      }
+    }
+
+    const successful = results.filter(r => r.success).length;
+
+    return {
+      results,
+      summary: {
+        total: modifications.length,
+        successful,
+        failed: results.length - successful,
+      },
+    };
+  }
+
   /**
    * Cancel all orders for an instance
    * @param {number} instanceId - Instance ID
@@ -502,6 +754,52 @@ class OrderService {
     return statusMap[normalized] || 'pending';
   }
 
+  /**
+   * Validate the editable fields of a modify request
+   * @private
+   */
+  _normalizeModifyChanges(changes) {
+    const normalized = {};
+    const errors = [];
+
+    if (changes.price !== undefined && changes.price !== null && changes.price !== '') {
+      const price = parseFloatSafe(changes.price, null);
+      if (price === null || price <= 0) {
+        errors.push({ field: 'price', message: 'Price must be positive' });
+      } else {
+        normalized.price = price;
+      }
+    }
+
+    if (changes.trigger_price !== undefined && changes.trigger_price !== null && changes.trigger_price !== '') {
+      const triggerPrice = parseFloatSafe(changes.trigger_price, null);
+      if (triggerPrice === null || triggerPrice <= 0) {
+        errors.push({ field: 'trigger_price', message: 'Trigger price must be positive' });
+      } else {
+        normalized.trigger_price = triggerPrice;
+      }
+    }
+
+    if (changes.quantity !== undefined && changes.quantity !== null && changes.quantity !== '') {
+      const quantity = parseIntSafe(changes.quantity, null);
+      if (quantity === null || quantity <= 0) {
+        errors.push({ field: 'quantity', message: 'Quantity must be positive' });
+      } else {
+        normalized.quantity = quantity;
+      }
+    }
+
+    if (errors.length > 0) {
+      throw new ValidationError('Order modification failed', errors);
+    }
+
+    if (Object.keys(normalized).length === 0) {
+      throw new ValidationError('At least one of price, trigger_price or quantity is required');
+    }
+
+    return normalized;
+  }
+
   /**
    * Normalize and validate order data
    * @private
@@ -0,0 +1,444 @@
+/**
+ * P&L Snapshot Service
+ * Time-series ledger of instance P&L. instance.service overwrites the P&L columns on
+ * instances every poll; this keeps each poll plus the trading session start/end rows
+ * and builds equity curves, drawdown and per-session results from them.
+ */
+
+import db from '../core/database.js';
+import { log } from '../core/logger.js';
+import config from '../core/config.js';
+import { ValidationError } from '../core/errors.js';
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const CURVE_INTERVALS = ['raw', 'hour', 'day'];
+const DEFAULT_RANGE_DAYS = 30;
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+class PnLSnapshotService {
+  constructor() {
+    this.lastPruneAt = 0;
+  }
+
+  /**
+   * Record the snapshots for one P&L poll
+   * Writes the poll row, a session_end row for the session the instance was last
+   * tracking once it is over, and a session_start row when a new session baseline is set.
+   *
+   * @param {Object} previous - instances row before this poll
+   * @param {Object} current - Values written by this poll
+   * @param {string} current.tradingDate - IST date (YYYY-MM-DD)
+   * @param {string|null} current.sessionKey - Active session key (date|label), null outside sessions
+   * @param {string|null} current.sessionLabel - Active session label
+   * @param {boolean} current.sessionStarted - True when this poll set a new session baseline
+   * @returns {Promise<void>}
+   */
+  async recordPoll(previous, current) {
+    const previousKey = previous.session_baseline_at;
+
+    if (previousKey && previousKey !== current.sessionKey) {
+      await this._recordSessionEnd(previous, previousKey);
+    }
+
+    if (current.sessionStarted && current.sessionKey) {
+      await this._insertSnapshot(previous.id, 'session_start', current, current.sessionKey);
+    }
+
+    await this._insertSnapshot(previous.id, 'poll', current, current.sessionKey);
+
+    await this._pruneIfDue();
+  }
+
+  /**
+   * Equity curve for one instance or all instances (summed)
+   * Broker realized P&L resets every trading day, so equity is the sum of earlier
+   * days' closing total_pnl plus the current total_pnl, starting at 0 on `from`.
+   *
+   * @param {Object} options
+   * @param {number} [options.instanceId] - Instance ID (omit for the aggregate curve)
+   * @param {string} [options.from] - Start trading date (YYYY-MM-DD, default 30 days ago)
+   * @param {string} [options.to] - End trading date (YYYY-MM-DD, default today)
+   * @param {string} [options.interval] - raw | hour | day (default hour)
+   * @param {boolean} [options.includeAnalyzer] - Include snapshots taken in analyzer mode
+   * @returns {Promise<Object>} - { points, max_drawdown, summary, ... }
+   */
+  async getEquityCurve({ instanceId = null, from, to, interval = 'hour', includeAnalyzer = false } = {}) {
+    const range = this._normalizeRange(from, to);
+
+    if (!CURVE_INTERVALS.includes(interval)) {
+      throw new ValidationError(`interval must be one of: ${CURVE_INTERVALS.join(', ')}`);
+    }
+
+    const conditions = [`trading_date BETWEEN ? AND ?`, `snapshot_type != 'session_start'`];
+    const params = [range.from, range.to];
+
+    if (instanceId) {
+      conditions.push('instance_id = ?');
+      params.push(instanceId);
+    }
+
+    if (!includeAnalyzer) {
+      conditions.push('is_analyzer_mode = 0');
+    }
+
+    const rows = await db.all(
+      `SELECT instance_id, trading_date, total_pnl, captured_at
+       FROM pnl_snapshots
+       WHERE ${conditions.join(' AND ')}
+       ORDER BY captured_at ASC, id ASC`,
+      params
+    );
+
+    const rowsByInstance = new Map();
+    for (const row of rows) {
+      if (!rowsByInstance.has(row.instance_id)) {
+        rowsByInstance.set(row.instance_id, []);
+      }
+      rowsByInstance.get(row.instance_id).push(row);
+    }
+
+    const seriesByInstance = new Map();
+    for (const [id, instanceRows] of rowsByInstance) {
+      seriesByInstance.set(id, this._bucket(this._toEquitySeries(instanceRows), interval));
+    }
+
+    const points = instanceId
+      ? (seriesByInstance.get(instanceId) || [])
+      : this._sumSeries([...seriesByInstance.values()]);
+
+    const withDrawdown = this._applyDrawdown(points);
+
+    return {
+      instance_id: instanceId,
+      from: range.from,
+      to: range.to,
+      interval,
+      include_analyzer: includeAnalyzer,
+      instances: [...seriesByInstance.keys()],
+      points: withDrawdown.points,
+      max_drawdown: withDrawdown.maxDrawdown,
+      summary: {
+        start_equity: points.length ? points[0].equity : 0,
+        end_equity: points.length ? points[points.length - 1].equity : 0,
+        peak_equity: withDrawdown.peak,
+        net_change: points.length
+          ? this._round(points[points.length - 1].equity - points[0].equity)
+          : 0,
+      },
+    };
+  }
+
+  /**
+   * Per-session results from session_end snapshots
+   * @param {Object} options
+   * @param {number} [options.instanceId] - Instance ID (omit for all instances)
+   * @param {string} [options.from] - Start trading date (YYYY-MM-DD, default 30 days ago)
+   * @param {string} [options.to] - End trading date (YYYY-MM-DD, default today)
+   * @returns {Promise<Object>} - { sessions, summary }
+   */
+  async getSessionResults({ instanceId = null, from, to } = {}) {
+    const range = this._normalizeRange(from, to);
+    const params = [range.from, range.to];
+    let instanceFilter = '';
+
+    if (instanceId) {
+      instanceFilter = 'AND s.instance_id = ?';
+      params.push(instanceId);
+    }
+
+    const rows = await db.all(
+      `SELECT s.instance_id, i.name AS instance_name, s.trading_date, s.session_key,
+              s.session_label, s.session_pnl, s.total_pnl, s.is_analyzer_mode, s.captured_at
+       FROM pnl_snapshots s
+       LEFT JOIN instances i ON i.id = s.instance_id
+       WHERE s.snapshot_type = 'session_end'
+         AND s.trading_date BETWEEN ? AND ?
+         ${instanceFilter}
+       ORDER BY s.trading_date ASC, s.captured_at ASC`,
+      params
+    );
+
+    const sessions = new Map();
+    for (const row of rows) {
+      if (!sessions.has(row.session_key)) {
+        sessions.set(row.session_key, {
+          session_key: row.session_key,
+          trading_date: row.trading_date,
+          session_label: row.session_label,
+          session_pnl: 0,
+          instances: [],
+        });
+      }
+
+      const session = sessions.get(row.session_key);
+      const sessionPnl = parseFloat(row.session_pnl || 0);
+      session.session_pnl = this._round(session.session_pnl + sessionPnl);
+      session.instances.push({
+        instance_id: row.instance_id,
+        instance_name: row.instance_name,
+        session_pnl: this._round(sessionPnl),
+        total_pnl: this._round(parseFloat(row.total_pnl || 0)),
+        is_analyzer_mode: !!row.is_analyzer_mode,
+        ended_at: this._toIsoTimestamp(row.captured_at),
+      });
+    }
+
+    const results = [...sessions.values()];
+    const pnls = results.map(s => s.session_pnl);
+
+    return {
+      instance_id: instanceId,
+      from: range.from,
+      to: range.to,
+      sessions: results,
+      summary: {
+        total_sessions: results.length,
+        winning_sessions: pnls.filter(p => p > 0).length,
+        losing_sessions: pnls.filter(p => p < 0).length,
+        net_pnl: this._round(pnls.reduce((sum, p) => sum + p, 0)),
+        best_session: pnls.length ? Math.max(...pnls) : null,
+        worst_session: pnls.length ? Math.min(...pnls) : null,
+      },
+    };
+  }
+
+  /**
+   * Close the session the instance was tracking (once per session key)
+   * Uses the previous row: it holds the last in-session values.
+   * @private
+   */
+  async _recordSessionEnd(previous, sessionKey) {
+    const existing = await db.get(
+      `SELECT id FROM pnl_snapshots
+       WHERE instance_id = ? AND session_key = ? AND snapshot_type = 'session_end'
+       LIMIT 1`,
+      [previous.id, sessionKey]
+    );
+
+    if (existing) {
+      return;
+    }
+
+    const [tradingDate, ...labelParts] = sessionKey.split('|');
+
+    await this._insertSnapshot(previous.id, 'session_end', {
+      tradingDate,
+      sessionLabel: labelParts.join('|') || null,
+      currentBalance: previous.current_balance,
+      realizedPnl: previous.realized_pnl,
+      unrealizedPnl: previous.unrealized_pnl,
+      totalPnl: previous.total_pnl,
+      sessionPnl: previous.session_pnl,
+      isAnalyzerMode: previous.is_analyzer_mode,
+    }, sessionKey);
+
+    log.info('P&L session closed', {
+      instance_id: previous.id,
+      session_key: sessionKey,
+      session_pnl: previous.session_pnl,
+    });
+  }
+
+  /**
+   * @private
+   */
+  async _insertSnapshot(instanceId, snapshotType, values, sessionKey) {
+    await db.run(
+      `INSERT INTO pnl_snapshots (
+        instance_id, snapshot_type, trading_date, session_key, session_label,
+        current_balance, realized_pnl, unrealized_pnl, total_pnl, session_pnl, is_analyzer_mode
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        instanceId,
+        snapshotType,
+        values.tradingDate,
+        sessionKey || null,
+        values.sessionLabel || null,
+        values.currentBalance ?? 0,
+        values.realizedPnl ?? 0,
+        values.unrealizedPnl ?? 0,
+        values.totalPnl ?? 0,
+        values.sessionPnl ?? null,
+        values.isAnalyzerMode ? 1 : 0,
+      ]
+    );
+  }
+
+  /**
+   * Drop poll rows past pnl.snapshot_retention_days (at most once an hour)
+   * @private
+   */
+  async _pruneIfDue() {
+    const now = Date.now();
+    if (now - this.lastPruneAt < PRUNE_INTERVAL_MS) {
+      return;
+    }
+    this.lastPruneAt = now;
+
+    const days = parseInt(config.pnl?.snapshotRetentionDays, 10);
+    if (!Number.isFinite(days) || days <= 0) {
+      return;
+    }
+
+    const result = await db.run(
+      `DELETE FROM pnl_snapshots
+       WHERE snapshot_type = 'poll' AND captured_at < datetime('now', ?)`,
+      [`-${days} days`]
+    );
+
+    if (result.changes > 0) {
+      log.info('Pruned old P&L snapshots', { deleted: result.changes, retention_days: days });
+    }
+  }
+
+  /**
+   * Running equity for one instance's rows (ordered by time)
+   * @private
+   */
+  _toEquitySeries(rows) {
+    const series = [];
+    let carried = 0;
+    let currentDate = null;
+    let lastTotal = 0;
+
+    for (const row of rows) {
+      if (currentDate !== null && row.trading_date !== currentDate) {
+        carried += lastTotal;
+      }
+      currentDate = row.trading_date;
+      lastTotal = parseFloat(row.total_pnl || 0);
+
+      series.push({
+        time: this._toIsoTimestamp(row.captured_at),
+        trading_date: row.trading_date,
+        equity: this._round(carried + lastTotal),
+      });
+    }
+
+    return series;
+  }
+
+  /**
+   * Keep the last point of each hour / day bucket
+   * Each point carries its bucket key so instance series line up when summed.
+   * @private
+   */
+  _bucket(series, interval) {
+    const buckets = new Map();
+    for (const point of series) {
+      let key = point.time;
+      if (interval === 'day') {
+        key = point.trading_date;
+      } else if (interval === 'hour') {
+        key = String(point.time).slice(0, 13);
+      }
+      buckets.set(key, { ...point, bucket: key });
+    }
+    return [...buckets.values()];
+  }
+
+  /**
+   * Sum instance series bucket by bucket, carrying each instance's last equity forward
+   * @private
+   */
+  _sumSeries(seriesList) {
+    const timeline = [...new Set(seriesList.flatMap(series => series.map(p => p.bucket)))].sort();
+    const cursors = seriesList.map(() => ({ index: 0, equity: 0 }));
+
+    return timeline.map(bucket => {
+      let equity = 0;
+      let time = null;
+      let tradingDate = null;
+
+      seriesList.forEach((series, i) => {
+        const cursor = cursors[i];
+        while (cursor.index < series.length && series[cursor.index].bucket <= bucket) {
+          const point = series[cursor.index];
+          cursor.equity = point.equity;
+          if (point.bucket === bucket && (time === null || point.time > time)) {
+            time = point.time;
+            tradingDate = point.trading_date;
+          }
+          cursor.index += 1;
+        }
+        equity += cursor.equity;
+      });
+
+      return { time, trading_date: tradingDate, bucket, equity: this._round(equity) };
+    });
+  }
+
+  /**
+   * Drawdown per point and the maximum peak-to-trough drop
+   * @private
+   */
+  _applyDrawdown(points) {
+    let peak = points.length ? points[0].equity : 0;
+    let peakTime = points.length ? points[0].time : null;
+    let maxDrawdown = { amount: 0, from: null, to: null, peak_equity: null, trough_equity: null };
+
+    const withDrawdown = points.map(point => {
+      if (point.equity > peak) {
+        peak = point.equity;
+        peakTime = point.time;
+      }
+      const drawdown = this._round(peak - point.equity);
+      if (drawdown > maxDrawdown.amount) {
+        maxDrawdown = {
+          amount: drawdown,
+          from: peakTime,
+          to: point.time,
+          peak_equity: peak,
+          trough_equity: point.equity,
+        };
+      }
+      return { ...point, drawdown };
+    });
+
+    return { points: withDrawdown, maxDrawdown, peak: this._round(peak) };
+  }
+
+  /**
+   * Validate from/to trading dates (defaults to the last 30 days)
+   * @private
+   */
+  _normalizeRange(from, to) {
+    const today = new Date().toLocaleDateString('en-CA', { timeZone: 'Asia/Kolkata' });
+    const defaultFrom = new Date(Date.now() - DEFAULT_RANGE_DAYS * 24 * 60 * 60 * 1000)
+      .toLocaleDateString('en-CA', { timeZone: 'Asia/Kolkata' });
+
+    const range = { from: from || defaultFrom, to: to || today };
+
+    for (const [field, value] of Object.entries(range)) {
+      if (!DATE_PATTERN.test(value)) {
+        throw new ValidationError(`${field} must be a date in YYYY-MM-DD format`);
+      }
+    }
+
+    if (range.from > range.to) {
+      throw new ValidationError('from must be on or before to');
+    }
+
+    return range;
+  }
+
+  /**
+   * SQLite CURRENT_TIMESTAMP (UTC, no zone) to ISO 8601
+   * @private
+   */
+  _toIsoTimestamp(value) {
+    if (!value) return null;
+    return `${String(value).replace(' ', 'T')}Z`;
+  }
+
+  /**
+   * @private
+   */
+  _round(value) {
+    return Math.round(value * 100) / 100;
+  }
+}
+
+// Export singleton instance
+export default new PnLSnapshotService();
+export { PnLSnapshotService };
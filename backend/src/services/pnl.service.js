@@ -64,70 +64,59 @@ class PnLService {
       }, 0);
     }
 
-    // Otherwise, calculate using FIFO matching
-    const buyQueue = [];
-    const sellQueue = [];
-    let realizedPnL = 0;
-
-    // Sort trades by time
+    // Otherwise, calculate using FIFO matching (sorted by time)
     const sortedTrades = [...trades].sort((a, b) => {
       const timeA = new Date(a.time || a.timestamp || 0).getTime();
       const timeB = new Date(b.time || b.timestamp || 0).getTime();
       return timeA - timeB;
     });
 
-    // Process trades
-    for (const trade of sortedTrades) {
-      const side = (trade.side || trade.transaction_type || '').toUpperCase();
-      const quantity = parseFloatSafe(trade.quantity || trade.qty, 0);
-      const price = parseFloatSafe(trade.price || trade.average_price, 0);
+    return this.matchTradesFifo(sortedTrades).realized;
+  }
 
-      if (quantity <= 0 || price <= 0) continue;
+  /**
+   * FIFO-match one symbol's trades
+   * A trade first closes the oldest open lots on the other side; any quantity left
+   * over (a flip) opens a new lot.
+   *
+   * @param {Array} trades - Trades in time order (side/action, quantity, price/average_price)
+   * @returns {Object} - { matches: [{ open, close, quantity, pnl }], openLots: [{ trade, side, quantity, price }], realized }
+   */
+  matchTradesFifo(trades) {
+    const openLots = [];
+    const matches = [];
+    let realized = 0;
 
-      if (side === 'BUY') {
-        // Check if we have pending sells to match
-        while (sellQueue.length > 0 && quantity > 0) {
-          const sell = sellQueue[0];
-          const matchQty = Math.min(quantity, sell.quantity);
+    for (const trade of trades) {
+      const side = (trade.side || trade.action || trade.transaction_type || '').toUpperCase();
+      const price = parseFloatSafe(trade.price || trade.average_price, 0);
+      let remaining = parseFloatSafe(trade.quantity || trade.qty, 0);
 
-          // Calculate P&L for matched quantity
-          realizedPnL += matchQty * (sell.price - price);
+      if ((side !== 'BUY' && side !== 'SELL') || remaining <= 0 || price <= 0) continue;
 
-          // Update quantities
-          sell.quantity -= matchQty;
-          if (sell.quantity <= 0) {
-            sellQueue.shift();
-          }
-        }
+      while (remaining > 0 && openLots.length > 0 && openLots[0].side !== side) {
+        const lot = openLots[0];
+        const matchQty = Math.min(remaining, lot.quantity);
+        const pnl = lot.side === 'BUY'
+          ? matchQty * (price - lot.price)
+          : matchQty * (lot.price - price);
 
-        // If quantity remains, add to buy queue
-        if (quantity > 0) {
-          buyQueue.push({ quantity, price });
-        }
-      } else if (side === 'SELL') {
-        // Check if we have pending buys to match
-        while (buyQueue.length > 0 && quantity > 0) {
-          const buy = buyQueue[0];
-          const matchQty = Math.min(quantity, buy.quantity);
-
-          // Calculate P&L for matched quantity
-          realizedPnL += matchQty * (price - buy.price);
-
-          // Update quantities
-          buy.quantity -= matchQty;
-          if (buy.quantity <= 0) {
-            buyQueue.shift();
-          }
-        }
+        matches.push({ open: lot.trade, close: trade, quantity: matchQty, pnl });
+        realized += pnl;
 
-        // If quantity remains, add to sell queue
-        if (quantity > 0) {
-          sellQueue.push({ quantity, price });
+        lot.quantity -= matchQty;
+        remaining -= matchQty;
+        if (lot.quantity <= 0) {
+          openLots.shift();
         }
       }
+
+      if (remaining > 0) {
+        openLots.push({ trade, side, quantity: remaining, price });
+      }
     }
 
-    return realizedPnL;
+    return { matches, openLots, realized };
   }
 
   /**
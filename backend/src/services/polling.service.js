@@ -11,6 +11,7 @@ import pnlService from './pnl.service.js';
 import orderService from './order.service.js';
 import openalgoClient from '../integrations/openalgo/client.js';
 import marketDataFeedService from './market-data-feed.service.js';
+import tradeHistoryService from './trade-history.service.js';
 import { parseFloatSafe } from '../utils/sanitizers.js';
 
 class PollingService {
@@ -150,6 +151,13 @@ class PollingService {
       // Sync order status
       await orderService.syncOrderStatus(instanceId);
 
+      // Persist new tradebook rows (throttled to once a minute per instance)
+      try {
+        await tradeHistoryService.ingestInstance(instanceId);
+      } catch (ingestError) {
+        log.warn('Trade ingestion failed', { instance_id: instanceId, error: ingestError.message });
+      }
+
       // Get updated instance
       const updated = await instanceService.getInstanceById(instanceId);
 
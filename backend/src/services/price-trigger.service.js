@@ -0,0 +1,574 @@
+/**
+ * Price Trigger Service
+ * Central GTT-style conditional orders: "when LTP of a watchlist symbol crosses
+ * above / below P, run quick-order action A on instances I".
+ *
+ * Triggers are evaluated on every quote update from marketDataFeedService (REST
+ * refresh and websocket ticks). A trigger fires when the LTP moves from one side of
+ * the price to the other: the previous LTP (the LTP at creation until the first
+ * update) must be below P and the new one at or above it for CROSS_ABOVE, and the
+ * reverse for CROSS_BELOW. A cross that happened while the server was down fires on
+ * the first quote after restart.
+ *
+ * Each trigger fires once: it is claimed with a conditional UPDATE (active -> firing)
+ * before the order is sent, then ends as triggered or failed. A trigger left in
+ * firing by a crash is marked failed on start and never re-sent.
+ * Orders run with the grants of the user who created the trigger.
+ */
+
+import db from '../core/database.js';
+import { log } from '../core/logger.js';
+import { ValidationError, NotFoundError, ConflictError } from '../core/errors.js';
+import { parseFloatSafe } from '../utils/sanitizers.js';
+import quickOrderService from './quick-order.service.js';
+import marketDataFeedService from './market-data-feed.service.js';
+import userService from './user.service.js';
+import { SIGNAL_ACTIONS, OPTIONS_ACTIONS } from './signal.service.js';
+
+export const TRIGGER_CONDITIONS = ['CROSS_ABOVE', 'CROSS_BELOW'];
+export const TRIGGER_STATUSES = ['active', 'firing', 'triggered', 'failed', 'cancelled'];
+
+const OPTIONS_LEGS = ['ITM3', 'ITM2', 'ITM1', 'ATM', 'OTM1', 'OTM2', 'OTM3'];
+const PRODUCTS = ['MIS', 'NRML', 'CNC'];
+
+class PriceTriggerService {
+  constructor() {
+    this.active = new Map();  // EXCHANGE|SYMBOL -> Map(trigger id -> row)
+    this.lastLtp = new Map(); // trigger id -> last LTP seen
+    this.listener = null;
+  }
+
+  /**
+   * Load active triggers and start evaluating quote updates
+   */
+  async start() {
+    if (this.listener) return;
+
+    const interrupted = await db.run(
+      `UPDATE price_triggers
+       SET status = 'failed', message = 'Interrupted while firing (server stopped) - not re-sent',
+           updated_at = CURRENT_TIMESTAMP
+       WHERE status = 'firing'`
+    );
+    if (interrupted.changes > 0) {
+      log.warn('Price triggers interrupted while firing marked failed', { count: interrupted.changes });
+    }
+
+    await this._reload();
+
+    this.listener = ({ data }) => {
+      this._evaluate(data).catch(error => log.error('Price trigger evaluation failed', error));
+    };
+    marketDataFeedService.on('quotes:update', this.listener);
+
+    log.info('Price trigger service started', { active_triggers: this.lastLtp.size });
+  }
+
+  /**
+   * Stop evaluating quotes (active triggers stay in the database)
+   */
+  stop() {
+    if (this.listener) {
+      marketDataFeedService.off('quotes:update', this.listener);
+      this.listener = null;
+    }
+    this.active.clear();
+    this.lastLtp.clear();
+  }
+
+  /**
+   * List triggers (admins see every trigger, others their own)
+   * @param {Object} user - Authenticated user
+   * @param {Object} filters - { status }
+   * @returns {Promise<Array>}
+   */
+  async listTriggers(user, { status } = {}) {
+    const isAdmin = userService.hasRole(user, 'admin');
+    const conditions = [];
+    const params = [];
+
+    if (!isAdmin) {
+      conditions.push('created_by = ?');
+      params.push(user.id);
+    }
+    if (status) {
+      if (!TRIGGER_STATUSES.includes(status)) {
+        throw new ValidationError(`status must be one of: ${TRIGGER_STATUSES.join(', ')}`);
+      }
+      conditions.push('status = ?');
+      params.push(status);
+    }
+
+    const rows = await db.all(
+      `SELECT * FROM price_triggers
+       ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+       ORDER BY CASE status WHEN 'active' THEN 0 ELSE 1 END, created_at DESC, id DESC`,
+      params
+    );
+    return rows.map(row => this._format(row));
+  }
+
+  /**
+   * Get a trigger the user can see
+   * @param {number} id - Trigger ID
+   * @param {Object} user - Authenticated user
+   * @returns {Promise<Object>}
+   */
+  async getTrigger(id, user) {
+    const row = await db.get('SELECT * FROM price_triggers WHERE id = ?', [id]);
+    if (!row || (!userService.hasRole(user, 'admin') && row.created_by !== user.id)) {
+      throw new NotFoundError('Trigger');
+    }
+    return this._format(row);
+  }
+
+  /**
+   * Create a trigger
+   * @param {Object} data - { name?, symbolId, condition, triggerPrice, action, tradeMode?, quantity?,
+   *                          optionsLeg?, product?, instanceIds?, dryRun? }
+   * @param {Object} user - Creator (the order runs with this user's grants)
+   * @returns {Promise<Object>}
+   * @throws {ValidationError} When the LTP is already past the trigger price
+   */
+  async createTrigger(data, user) {
+    const fields = await this._validate(data, null, user);
+
+    const result = await db.run(
+      `INSERT INTO price_triggers (
+        name, symbol_id, exchange, symbol, condition, trigger_price, reference_ltp, action, trade_mode,
+        quantity, options_leg, product, instance_ids, dry_run, created_by
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [...this._columnValues(fields), user.id]
+    );
+
+    log.info('Price trigger created', {
+      id: result.lastID,
+      symbol: fields.symbol,
+      condition: fields.condition,
+      trigger_price: fields.trigger_price,
+      action: fields.action,
+      by: user.email,
+    });
+
+    await this._reload();
+    return this.getTrigger(result.lastID, user);
+  }
+
+  /**
+   * Update an active trigger (omitted fields are left unchanged)
+   * @param {number} id - Trigger ID
+   * @param {Object} data - Same fields as createTrigger
+   * @param {Object} user - Authenticated user
+   * @returns {Promise<Object>}
+   * @throws {ConflictError} When the trigger is no longer active
+   */
+  async updateTrigger(id, data, user) {
+    const existing = await this.getTrigger(id, user);
+    if (existing.status !== 'active') {
+      throw new ConflictError(`Trigger is ${existing.status} and can no longer be changed`);
+    }
+
+    const fields = await this._validate(data, existing, user);
+    const result = await db.run(
+      `UPDATE price_triggers SET
+        name = ?, symbol_id = ?, exchange = ?, symbol = ?, condition = ?, trigger_price = ?,
+        reference_ltp = ?, action = ?, trade_mode = ?, quantity = ?, options_leg = ?, product = ?,
+        instance_ids = ?, dry_run = ?, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ? AND status = 'active'`,
+      [...this._columnValues(fields), id]
+    );
+    if (result.changes === 0) {
+      throw new ConflictError('Trigger fired while it was being updated');
+    }
+
+    log.info('Price trigger updated', { id, by: user.email });
+
+    this.lastLtp.delete(id);
+    await this._reload();
+    return this.getTrigger(id, user);
+  }
+
+  /**
+   * Cancel an active trigger
+   * @param {number} id - Trigger ID
+   * @param {Object} user - Authenticated user
+   * @returns {Promise<Object>}
+   * @throws {ConflictError} When the trigger is no longer active
+   */
+  async cancelTrigger(id, user) {
+    await this.getTrigger(id, user);
+
+    const result = await db.run(
+      `UPDATE price_triggers SET status = 'cancelled', message = ?, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ? AND status = 'active'`,
+      [`Cancelled by ${user.email}`, id]
+    );
+    if (result.changes === 0) {
+      throw new ConflictError('Only active triggers can be cancelled');
+    }
+
+    log.info('Price trigger cancelled', { id, by: user.email });
+
+    this._unindex(id);
+    return this.getTrigger(id, user);
+  }
+
+  /**
+   * Delete a trigger (active triggers stop being watched)
+   * @param {number} id - Trigger ID
+   * @param {Object} user - Authenticated user
+   * @returns {Promise<Object>} - Deleted trigger
+   */
+  async deleteTrigger(id, user) {
+    const trigger = await this.getTrigger(id, user);
+    if (trigger.status === 'firing') {
+      throw new ConflictError('Trigger is firing - try again in a moment');
+    }
+
+    await db.run('DELETE FROM price_triggers WHERE id = ?', [id]);
+    this._unindex(id);
+
+    log.info('Price trigger deleted', { id, by: user.email });
+    return trigger;
+  }
+
+  /**
+   * Check updated quotes against the active triggers on their symbols
+   * @private
+   */
+  async _evaluate(quotes = []) {
+    if (this.active.size === 0) return;
+
+    const fired = [];
+    for (const quote of quotes) {
+      const triggers = this.active.get(this._key(quote?.exchange, quote?.symbol));
+      const ltp = parseFloatSafe(quote?.ltp, 0);
+      if (!triggers || ltp <= 0) continue;
+
+      for (const row of triggers.values()) {
+        const previous = this.lastLtp.has(row.id) ? this.lastLtp.get(row.id) : row.reference_ltp;
+        this.lastLtp.set(row.id, ltp);
+        if (previous === null || previous === undefined) continue;
+
+        const crossed = row.condition === 'CROSS_ABOVE'
+          ? previous < row.trigger_price && ltp >= row.trigger_price
+          : previous > row.trigger_price && ltp <= row.trigger_price;
+        if (crossed) {
+          this._unindex(row.id);
+          fired.push({ row, ltp, previous });
+        }
+      }
+    }
+
+    for (const { row, ltp, previous } of fired) {
+      await this._fire(row, ltp, previous);
+    }
+  }
+
+  /**
+   * Claim the trigger and place its quick order
+   * @private
+   */
+  async _fire(row, ltp, previous) {
+    const claim = await db.run(
+      `UPDATE price_triggers
+       SET status = 'firing', triggered_at = CURRENT_TIMESTAMP, triggered_ltp = ?, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ? AND status = 'active'`,
+      [ltp, row.id]
+    );
+    if (claim.changes === 0) return;
+
+    log.info('Price trigger fired', {
+      id: row.id,
+      symbol: row.symbol,
+      condition: row.condition,
+      trigger_price: row.trigger_price,
+      previous_ltp: previous,
+      ltp,
+      action: row.action,
+    });
+
+    let status;
+    let message;
+    let result = null;
+    try {
+      result = await this._placeOrder(row);
+      const total = result.results.length;
+      const successful = result.results.filter(r => r.success).length;
+
+      status = successful > 0 ? 'triggered' : 'failed';
+      message = row.dry_run
+        ? `Dry run at LTP ${ltp}: ${successful}/${total} instance(s) resolved`
+        : `Fired at LTP ${ltp}: ${successful}/${total} instance(s) placed`;
+    } catch (error) {
+      status = 'failed';
+      message = `Fired at LTP ${ltp}: ${error.message}`;
+      log.error('Price trigger order failed', error, { id: row.id, symbol: row.symbol });
+    }
+
+    await db.run(
+      `UPDATE price_triggers SET status = ?, message = ?, result = ?, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [status, message, result ? JSON.stringify(result) : null, row.id]
+    );
+  }
+
+  /**
+   * @private
+   */
+  async _placeOrder(row) {
+    const symbol = await db.get('SELECT * FROM watchlist_symbols WHERE id = ?', [row.symbol_id]);
+    if (!symbol) {
+      throw new NotFoundError('Watchlist symbol');
+    }
+
+    const creator = await db.get('SELECT * FROM users WHERE id = ?', [row.created_by]);
+    const granted = await userService.getAccessibleInstanceIds(creator);
+    const instanceIds = row.instance_ids ? JSON.parse(row.instance_ids) : null;
+
+    // Pinned instances narrow the creator's grants; one instance is placed directly
+    let allowedInstanceIds = granted;
+    if (instanceIds) {
+      allowedInstanceIds = new Set(instanceIds.filter(id => !granted || granted.has(id)));
+    }
+
+    return quickOrderService.placeQuickOrder({
+      symbolId: symbol.id,
+      instanceId: instanceIds?.length === 1 ? instanceIds[0] : undefined,
+      action: row.action,
+      tradeMode: row.trade_mode,
+      quantity: row.quantity || symbol.qty_value || 1,
+      product: row.product || symbol.product_type || 'MIS',
+      optionsLeg: row.trade_mode === 'OPTIONS' ? row.options_leg || symbol.options_strike_selection || 'ATM' : null,
+      operatingMode: symbol.operating_mode || 'BUYER',
+      strikePolicy: symbol.strike_policy || 'FLOAT_OFS',
+      stepLots: symbol.step_lots || 1,
+      dryRun: !!row.dry_run,
+      allowedInstanceIds,
+    });
+  }
+
+  /**
+   * Rebuild the symbol index from the active triggers in the database
+   * @private
+   */
+  async _reload() {
+    const rows = await db.all(`SELECT * FROM price_triggers WHERE status = 'active'`);
+
+    this.active.clear();
+    rows.forEach(row => {
+      const key = this._key(row.exchange, row.symbol);
+      if (!this.active.has(key)) this.active.set(key, new Map());
+      this.active.get(key).set(row.id, row);
+    });
+
+    const activeIds = new Set(rows.map(row => row.id));
+    for (const id of this.lastLtp.keys()) {
+      if (!activeIds.has(id)) this.lastLtp.delete(id);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _unindex(id) {
+    for (const [key, triggers] of this.active) {
+      triggers.delete(id);
+      if (triggers.size === 0) this.active.delete(key);
+    }
+    this.lastLtp.delete(id);
+  }
+
+  /**
+   * @private
+   */
+  _key(exchange, symbol) {
+    return `${exchange}|${symbol}`.toUpperCase();
+  }
+
+  /**
+   * Validate create/update input, merged over the existing trigger
+   * @private
+   */
+  async _validate(data = {}, existing, user) {
+    const pick = (key, column) => (data[key] !== undefined ? data[key] : existing?.[column]);
+
+    const symbolId = Number(pick('symbolId', 'symbol_id'));
+    if (!Number.isInteger(symbolId) || symbolId <= 0) {
+      throw new ValidationError('symbolId is required');
+    }
+    const symbol = await db.get('SELECT * FROM watchlist_symbols WHERE id = ?', [symbolId]);
+    if (!symbol) {
+      throw new ValidationError(`Watchlist symbol ${symbolId} not found`);
+    }
+
+    const condition = String(pick('condition', 'condition') || '').toUpperCase();
+    if (!TRIGGER_CONDITIONS.includes(condition)) {
+      throw new ValidationError(`condition must be one of: ${TRIGGER_CONDITIONS.join(', ')}`);
+    }
+
+    const triggerPrice = Number(pick('triggerPrice', 'trigger_price'));
+    if (!Number.isFinite(triggerPrice) || triggerPrice <= 0) {
+      throw new ValidationError('triggerPrice must be a positive number');
+    }
+
+    const action = String(pick('action', 'action') || '').toUpperCase();
+    if (!SIGNAL_ACTIONS.includes(action)) {
+      throw new ValidationError(`action must be one of: ${SIGNAL_ACTIONS.join(', ')}`);
+    }
+
+    let tradeMode = pick('tradeMode', 'trade_mode') || null;
+    if (OPTIONS_ACTIONS.includes(action)) {
+      tradeMode = 'OPTIONS';
+    } else if (tradeMode && !['EQUITY', 'FUTURES'].includes(tradeMode)) {
+      throw new ValidationError('tradeMode must be EQUITY or FUTURES (options actions always trade options)');
+    } else if (!tradeMode || tradeMode === 'OPTIONS') {
+      tradeMode = symbol.symbol_type === 'FUTURES' || (symbol.tradable_futures && !symbol.tradable_equity)
+        ? 'FUTURES'
+        : 'EQUITY';
+    }
+
+    const quantityValue = pick('quantity', 'quantity');
+    const quantity = quantityValue === undefined || quantityValue === null || quantityValue === ''
+      ? null
+      : Number(quantityValue);
+    if (quantity !== null && (!Number.isInteger(quantity) || quantity <= 0)) {
+      throw new ValidationError('quantity must be a positive integer');
+    }
+
+    const optionsLegValue = pick('optionsLeg', 'options_leg');
+    const optionsLeg = tradeMode === 'OPTIONS' && optionsLegValue ? String(optionsLegValue).toUpperCase() : null;
+    if (optionsLeg && !OPTIONS_LEGS.includes(optionsLeg)) {
+      throw new ValidationError(`optionsLeg must be one of: ${OPTIONS_LEGS.join(', ')}`);
+    }
+
+    const productValue = pick('product', 'product');
+    const product = productValue ? String(productValue).toUpperCase() : null;
+    if (product && !PRODUCTS.includes(product)) {
+      throw new ValidationError(`product must be one of: ${PRODUCTS.join(', ')}`);
+    }
+
+    const instanceIds = await this._validateInstances(pick('instanceIds', 'instance_ids'), symbol, user);
+    const referenceLtp = await this._validateAgainstLtp(symbol, condition, triggerPrice);
+
+    return {
+      name: String(pick('name', 'name') || `${symbol.symbol} ${condition === 'CROSS_ABOVE' ? '>=' : '<='} ${triggerPrice}`).trim().slice(0, 100),
+      symbol_id: symbolId,
+      exchange: symbol.exchange,
+      symbol: symbol.symbol,
+      condition,
+      trigger_price: triggerPrice,
+      reference_ltp: referenceLtp,
+      action,
+      trade_mode: tradeMode,
+      quantity,
+      options_leg: optionsLeg,
+      product,
+      instance_ids: instanceIds,
+      dry_run: !!pick('dryRun', 'dry_run'),
+    };
+  }
+
+  /**
+   * Instances to place on (null = every instance assigned to the watchlist)
+   * @private
+   */
+  async _validateInstances(value, symbol, user) {
+    if (value === undefined || value === null || (Array.isArray(value) && value.length === 0)) {
+      return null;
+    }
+    if (!Array.isArray(value)) {
+      throw new ValidationError('instanceIds must be an array of instance IDs');
+    }
+
+    const ids = [...new Set(value.map(Number))];
+    if (ids.some(id => !Number.isInteger(id) || id <= 0)) {
+      throw new ValidationError('instanceIds must be positive integers');
+    }
+
+    const assigned = await db.all(
+      `SELECT instance_id FROM watchlist_instances
+       WHERE watchlist_id = ? AND instance_id IN (${ids.map(() => '?').join(', ')})`,
+      [symbol.watchlist_id, ...ids]
+    );
+    const assignedIds = new Set(assigned.map(row => row.instance_id));
+    const missing = ids.filter(id => !assignedIds.has(id));
+    if (missing.length > 0) {
+      throw new ValidationError(`Instance(s) ${missing.join(', ')} not assigned to the symbol's watchlist`);
+    }
+
+    await userService.assertInstanceAccess(user, ids);
+    return ids;
+  }
+
+  /**
+   * Current LTP as the crossing reference; rejects a trigger that is already met
+   * @private
+   * @returns {Promise<number|null>} - LTP, or null when no quote is available yet
+   */
+  async _validateAgainstLtp(symbol, condition, triggerPrice) {
+    let ltp = null;
+    try {
+      const quotes = await marketDataFeedService.fetchQuotesForSymbols([
+        { exchange: symbol.exchange, symbol: symbol.symbol },
+      ]);
+      const quote = quotes.find(q => this._key(q.exchange, q.symbol) === this._key(symbol.exchange, symbol.symbol));
+      ltp = parseFloatSafe(quote?.ltp, 0) || null;
+    } catch (error) {
+      log.warn('No quote for new price trigger - arming on the first update', {
+        symbol: symbol.symbol,
+        error: error.message,
+      });
+    }
+
+    if (ltp !== null) {
+      if (condition === 'CROSS_ABOVE' && ltp >= triggerPrice) {
+        throw new ValidationError(`LTP ${ltp} is already at or above ${triggerPrice}`);
+      }
+      if (condition === 'CROSS_BELOW' && ltp <= triggerPrice) {
+        throw new ValidationError(`LTP ${ltp} is already at or below ${triggerPrice}`);
+      }
+    }
+    return ltp;
+  }
+
+  /**
+   * Column values in INSERT / UPDATE order
+   * @private
+   */
+  _columnValues(fields) {
+    return [
+      fields.name,
+      fields.symbol_id,
+      fields.exchange,
+      fields.symbol,
+      fields.condition,
+      fields.trigger_price,
+      fields.reference_ltp,
+      fields.action,
+      fields.trade_mode,
+      fields.quantity,
+      fields.options_leg,
+      fields.product,
+      fields.instance_ids ? JSON.stringify(fields.instance_ids) : null,
+      fields.dry_run ? 1 : 0,
+    ];
+  }
+
+  /**
+   * @private
+   */
+  _format(row) {
+    return {
+      ...row,
+      instance_ids: row.instance_ids ? JSON.parse(row.instance_ids) : null,
+      dry_run: !!row.dry_run,
+      result: row.result ? JSON.parse(row.result) : null,
+      last_ltp: this.lastLtp.get(row.id) ?? null,
+    };
+  }
+}
+
+// Export singleton instance
+export default new PriceTriggerService();
+export { PriceTriggerService };
@@ -15,9 +15,22 @@ import derivativeResolutionService, { NSE_INDEX_UNDERLYINGS, BSE_INDEX_UNDERLYIN
 import orderPlacementService from './order-placement.service.js';
 import orderPayloadFactory from './order-payload.factory.js';
 import orderRepository from './order-repository.js';
-import { ValidationError, NotFoundError } from '../core/errors.js';
+import { ValidationError, NotFoundError, OpenAlgoError, ForbiddenError } from '../core/errors.js';
 import { parseFloatSafe, parseIntSafe } from '../utils/sanitizers.js';
 import instrumentsService from './instruments.service.js';
+import realtimeService from './realtime.service.js';
+import holdingsService from './holdings.service.js';
+import smartLimitService from './smart-limit.service.js';
+import orderChaserService from './order-chaser.service.js';
+import config from '../core/config.js';
+
+const MARGIN_CHECK_MODES = ['skip', 'warn', 'off'];
+const ORDER_TYPES = ['MARKET', 'LIMIT', 'SMART_LIMIT'];
+const PENDING_ORDER_STATUSES = ['open', 'pending', 'trigger pending'];
+const CANCEL_VERIFY_ATTEMPTS = 3;
+const CANCEL_VERIFY_DELAY_MS = 500;
+// Position sources read live from the positionbook; other sizes are re-checked before splitorder
+const LIVE_POSITION_SOURCES = ['live', 'preloaded', 'type_scope', 'holdings'];
 
 class QuickOrderService {
   constructor() {
@@ -33,9 +46,16 @@ class QuickOrderService {
    * @param {string} params.tradeMode - EQUITY, FUTURES, OPTIONS
    * @param {number} params.quantity - Quantity (in lots for F&O)
    * @param {string} params.product - MIS, CNC, NRML
-   * @param {string} params.orderType - MARKET, LIMIT
+   * @param {string} params.orderType - MARKET, LIMIT, SMART_LIMIT (priced off market depth, see smart-limit.service)
    * @param {number} params.price - Price (for LIMIT orders)
-   * @returns {Promise<Object>} Order result
+   * @param {string} params.limitPricing - SMART_LIMIT: BID, ASK, MID, TICKS (defaults to orders.smart_limit.pricing)
+   * @param {number} params.limitTicks - SMART_LIMIT: ticks through the spread for TICKS pricing
+   * @param {number} params.maxReprices - SMART_LIMIT: reprices while unfilled (0 = never)
+   * @param {number} params.repriceIntervalMs - SMART_LIMIT: wait between reprices
+   * @param {boolean} params.dryRun - Run the full pipeline but return the would-be orders instead of placing them
+   * @param {string} params.marginCheck - skip | warn | off - margin pre-check for entry orders (defaults to orders.margin_check)
+   * @param {Set<number>|null} params.allowedInstanceIds - Instances the caller may trade on (null = unrestricted)
+   * @returns {Promise<Object>} Order result (transaction_id keys the broadcast's decision trace)
    */
   async placeQuickOrder(params) {
     const {
@@ -52,9 +72,12 @@ class QuickOrderService {
       operatingMode = 'BUYER',  // Buyer or Writer mode for OPTIONS
       strikePolicy = 'FLOAT_OFS',  // FLOAT_OFS or ANCHOR_OFS for OPTIONS
       stepLots = 1,  // Step size in lots for OPTIONS
+      dryRun = false,  // Simulate only - stop before placesmartorder
+      marginCheck = config.orders?.marginCheck || 'skip',  // Pre-check margin per instance before fan-out
+      allowedInstanceIds = null,  // Role-based access: restrict the fan-out to granted instances
     } = params;
 
-    log.info('Placing quick order', {
+    log.info(dryRun ? 'Simulating quick order (dry run)' : 'Placing quick order', {
       symbolId,
       instanceId,
       action,
@@ -69,6 +92,7 @@ class QuickOrderService {
 
     // Validate inputs
     this._validateOrderParams(params);
+    const smartLimit = orderType === 'SMART_LIMIT' ? smartLimitService.resolveOptions(params) : null;
 
     // Get symbol configuration
     const symbol = await this._getSymbolConfig(symbolId);
@@ -109,19 +133,23 @@ class QuickOrderService {
     }
 
     // Get instances (single or all assigned)
-    const instances = await this._getTargetInstances(instanceId, symbol.watchlist_id);
+    const instances = await this._getTargetInstances(instanceId, symbol.watchlist_id, allowedInstanceIds);
 
     const resolvedProduct = this._resolveProductForOrder(product, tradeMode, symbol);
 
     // Determine order strategy based on action
     const strategy = this._determineOrderStrategy(action, tradeMode);
 
+    // Every instance's decisions are recorded under this ID, placed or not (see getBroadcastTrace)
+    const transactionId = `broadcast_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
     // Execute order based on strategy
     const results = await this._executeOrderStrategy(
       strategy,
       symbol,
       instances,
-      { action, tradeMode, quantity, product: resolvedProduct, orderType, price, expiry, optionsLeg, operatingMode, strikePolicy, stepLots }
+      { action, tradeMode, quantity, product: resolvedProduct, orderType, price, smartLimit, expiry, optionsLeg, operatingMode, strikePolicy, stepLots, dryRun, marginCheck },
+      transactionId
     );
 
     log.info('Quick order completed', {
@@ -132,15 +160,29 @@ class QuickOrderService {
       failed: results.filter(r => !r.success).length,
     });
 
-    return {
+    const response = {
       success: results.every(r => r.success),
+      dry_run: dryRun,
+      transaction_id: transactionId,
       results,
       summary: {
         total: results.length,
         successful: results.filter(r => r.success).length,
         failed: results.filter(r => !r.success).length,
+        margin_skipped: results.filter(r => r.margin_skipped).length,
+        margin_warnings: results.filter(r => r.margin_warning).length,
+        cancelled_orders: results.reduce((count, r) => count + (r.cancelled_orders?.length || 0), 0),
       },
     };
+
+    if (!dryRun) {
+      realtimeService.publishQuickOrderResult(
+        { symbol_id: symbolId, symbol: symbol.symbol, exchange: symbol.exchange, action, trade_mode: tradeMode },
+        response
+      );
+    }
+
+    return response;
   }
 
   /**
@@ -197,6 +239,18 @@ class QuickOrderService {
       throw new ValidationError(`Action ${action} is not valid for OPTIONS trade mode`);
     }
 
+    if (params.orderType !== undefined && !ORDER_TYPES.includes(params.orderType)) {
+      throw new ValidationError(`orderType must be one of: ${ORDER_TYPES.join(', ')}`);
+    }
+
+    if (params.orderType === 'LIMIT' && !(parseFloatSafe(params.price, 0) > 0)) {
+      throw new ValidationError('price must be greater than 0 for LIMIT orders');
+    }
+
+    if (params.marginCheck !== undefined && !MARGIN_CHECK_MODES.includes(params.marginCheck)) {
+      throw new ValidationError(`marginCheck must be one of: ${MARGIN_CHECK_MODES.join(', ')}`);
+    }
+
     // NEW: Validate that the symbol supports options trading if using OPTIONS actions
     // This check is deferred to _getSymbolConfig which has access to symbol details
   }
@@ -223,9 +277,12 @@ class QuickOrderService {
 
   /**
    * Get target instances for order execution
+   * @param {number|string} instanceId - Instance ID, or ALL/undefined for every assigned instance
+   * @param {number} watchlistId - Watchlist the symbol belongs to
+   * @param {Set<number>|null} allowedInstanceIds - Instances the caller may trade on (null = unrestricted)
    * @private
    */
-  async _getTargetInstances(instanceId, watchlistId) {
+  async _getTargetInstances(instanceId, watchlistId, allowedInstanceIds = null) {
     // If no instanceId provided or instanceId is 'ALL', broadcast to all assigned instances
     if (!instanceId || instanceId === 'ALL') {
       // Get all assigned instances (including analyzer mode instances)
@@ -240,9 +297,22 @@ class QuickOrderService {
         throw new NotFoundError('No active instances available for order placement');
       }
 
-      log.info(`Broadcasting order to ${instances.length} assigned instance(s)`);
-      return instances;
+      // Traders only broadcast to the instances they are granted
+      const permitted = allowedInstanceIds
+        ? instances.filter(instance => allowedInstanceIds.has(instance.id))
+        : instances;
+
+      if (permitted.length === 0) {
+        throw new ForbiddenError('No trading access to any instance assigned to this watchlist');
+      }
+
+      log.info(`Broadcasting order to ${permitted.length} assigned instance(s)`);
+      return permitted;
     } else {
+      if (allowedInstanceIds && !allowedInstanceIds.has(parseInt(instanceId, 10))) {
+        throw new ForbiddenError(`No trading access to instance ${instanceId}`);
+      }
+
       // Get specific instance
       const instance = await db.get(
         'SELECT * FROM instances WHERE id = ? AND is_active = 1',
@@ -302,7 +372,7 @@ class QuickOrderService {
    * - Use cached positions for CLOSE_POSITIONS strategy
    * - Enables position-aware order sizing without N sequential API calls
    */
-  async _executeOrderStrategy(strategy, symbol, instances, orderParams) {
+  async _executeOrderStrategy(strategy, symbol, instances, orderParams, transactionId) {
     const { action } = orderParams;
 
     // For OPTIONS strategy, resolve option symbol ONCE using primary market data instance
@@ -321,6 +391,16 @@ class QuickOrderService {
       });
     }
 
+    // Margin pre-check for entry orders so underfunded instances are dropped (or flagged)
+    // before the broadcast instead of being rejected by the broker mid-way
+    const marginChecks = await this._checkMarginsForBroadcast(
+      strategy,
+      symbol,
+      instances,
+      orderParams,
+      preResolvedOptionSymbol
+    );
+
     // OPTIMIZATION: Pre-fetch all instance positions in PARALLEL
     // For CLOSE_POSITIONS, use cached positions (EXIT/CLOSE don't need live position for sizing)
     // For DIRECT_ORDER and OPTIONS, fetch live positions once before processing
@@ -341,7 +421,7 @@ class QuickOrderService {
 
     // Track broadcast results for transaction logging
     const broadcastTransaction = {
-      transactionId: `broadcast_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      transactionId,
       strategy,
       action,
       symbol: symbol.symbol,
@@ -349,6 +429,7 @@ class QuickOrderService {
       startedAt: Date.now(),
       results: [],
     };
+    const baseTrace = this._createTrace(broadcastTransaction.transactionId, strategy, symbol, orderParams);
 
     const perInstanceTasks = instances.map(async (instance) => {
       const instanceResult = {
@@ -356,6 +437,29 @@ class QuickOrderService {
         instanceName: instance.name,
         startedAt: Date.now(),
       };
+      const trace = { ...baseTrace, instance_id: instance.id, decisionCount: 0, dryRunOrders: [] };
+      const margin = marginChecks.get(instance.id) || null;
+      const marginShort = margin?.status === 'insufficient';
+
+      if (marginShort && orderParams.marginCheck === 'skip') {
+        const message = `Insufficient margin: required ${margin.required}, available ${margin.available}`;
+        await this._recordDecision(trace, { status: 'failed', message });
+
+        instanceResult.success = false;
+        instanceResult.error = message;
+        instanceResult.completedAt = Date.now();
+        instanceResult.durationMs = instanceResult.completedAt - instanceResult.startedAt;
+        broadcastTransaction.results.push(instanceResult);
+
+        return {
+          success: false,
+          instance_id: instance.id,
+          instance_name: instance.name,
+          error: message,
+          margin,
+          margin_skipped: true,
+        };
+      }
 
       try {
         let result;
@@ -364,6 +468,7 @@ class QuickOrderService {
           case 'DIRECT_ORDER':
             result = await this._executeDirectOrder(instance, symbol, orderParams, {
               preloadedPositions,
+              trace,
             });
             break;
 
@@ -373,7 +478,7 @@ class QuickOrderService {
               symbol,
               orderParams,
               preResolvedOptionSymbol,
-              { preloadedPositions }
+              { preloadedPositions, trace }
             );
             break;
 
@@ -381,6 +486,7 @@ class QuickOrderService {
             // OPTIMIZATION: Close/Exit orders can use cached positions
             result = await this._closePositions(instance, symbol, orderParams, {
               useCachedPositions: true,
+              trace,
             });
             break;
 
@@ -398,6 +504,9 @@ class QuickOrderService {
           instance_id: instance.id,
           instance_name: instance.name,
           ...result,
+          ...(trace.dryRun ? { would_place: trace.dryRunOrders } : {}),
+          ...(margin ? { margin } : {}),
+          ...(marginShort ? { margin_warning: true } : {}),
         };
       } catch (error) {
         log.error('Failed to execute order on instance', error, {
@@ -405,6 +514,11 @@ class QuickOrderService {
           symbol_id: symbol.id,
         });
 
+        // Failures before placement (resolution, position fetch, no-op targets) still get a trace row
+        if (trace.decisionCount === 0) {
+          await this._recordDecision(trace, { status: 'failed', message: error.message });
+        }
+
         instanceResult.success = false;
         instanceResult.error = error.message;
         instanceResult.completedAt = Date.now();
@@ -416,6 +530,8 @@ class QuickOrderService {
           instance_id: instance.id,
           instance_name: instance.name,
           error: error.message,
+          ...(margin ? { margin } : {}),
+          ...(marginShort ? { margin_warning: true } : {}),
         };
       }
     });
@@ -441,8 +557,8 @@ class QuickOrderService {
           .map(r => ({ name: r.instanceName, error: r.error })),
       });
 
-      // For close/exit orders, retry failed instances
-      if (isCloseAction && broadcastTransaction.failureCount > 0) {
+      // For close/exit orders, retry failed instances (a dry run reports failures as-is)
+      if (isCloseAction && !orderParams.dryRun && broadcastTransaction.failureCount > 0) {
         const failedInstances = instances.filter(inst =>
           results.find(r => r.instance_id === inst.id && !r.success)
         );
@@ -455,7 +571,8 @@ class QuickOrderService {
           const retryResults = await this._retryFailedCloseOrders(
             failedInstances,
             symbol,
-            orderParams
+            orderParams,
+            baseTrace
           );
 
           // Merge retry results
@@ -481,11 +598,175 @@ class QuickOrderService {
     return results;
   }
 
+  /**
+   * Check each instance's required margin for the order against its cached available funds
+   * Only entry orders are checked; exits, reduces and covers free margin. Errors fail open
+   * (status 'unknown') so a flaky margin endpoint never blocks trading.
+   * @returns {Promise<Map<number, Object>>} instance_id -> { status, required, available, error }
+   * @private
+   */
+  async _checkMarginsForBroadcast(strategy, symbol, instances, orderParams, preResolvedOptionSymbol) {
+    const checks = new Map();
+    if (orderParams.marginCheck === 'off') {
+      return checks;
+    }
+
+    let probe;
+    try {
+      probe = await this._buildMarginProbe(strategy, symbol, instances, orderParams, preResolvedOptionSymbol);
+    } catch (error) {
+      log.warn('Skipping margin pre-check - unable to build margin request', { error: error.message });
+      return checks;
+    }
+    if (!probe) {
+      return checks;
+    }
+
+    await Promise.all(instances.map(async (instance) => {
+      try {
+        const [marginResponse, available] = await Promise.all([
+          openalgoClient.calculateMargin(instance, [probe]),
+          this._getAvailableFunds(instance),
+        ]);
+        const required = this._extractRequiredMargin(marginResponse);
+
+        if (required === null || available === null) {
+          checks.set(instance.id, {
+            status: 'unknown',
+            required,
+            available,
+            error: required === null ? 'Margin not returned' : 'Funds not available',
+          });
+          return;
+        }
+
+        checks.set(instance.id, {
+          status: required > available ? 'insufficient' : 'ok',
+          required,
+          available,
+        });
+      } catch (error) {
+        log.warn('Margin pre-check failed for instance', {
+          instance_id: instance.id,
+          instance_name: instance.name,
+          error: error.message,
+        });
+        checks.set(instance.id, { status: 'unknown', required: null, available: null, error: error.message });
+      }
+    }));
+
+    const short = instances.filter(inst => checks.get(inst.id)?.status === 'insufficient');
+    if (short.length > 0) {
+      log.warn('Instances without enough margin for order', {
+        symbol: probe.symbol,
+        action: probe.action,
+        quantity: probe.quantity,
+        mode: orderParams.marginCheck,
+        instances: short.map(inst => ({ name: inst.name, ...checks.get(inst.id) })),
+      });
+    }
+
+    return checks;
+  }
+
+  /**
+   * Build the margin request position for an entry order, or null when the order only reduces exposure
+   * Sizes by the requested lots - position-aware target sizing happens per instance later
+   * @private
+   */
+  async _buildMarginProbe(strategy, symbol, instances, orderParams, preResolvedOptionSymbol) {
+    const { action, tradeMode, quantity, product, price = 0, expiry, stepLots = 1 } = orderParams;
+    // SMART_LIMIT is priced per instance at placement - margin is probed at market
+    const orderType = orderParams.orderType === 'SMART_LIMIT' ? 'MARKET' : (orderParams.orderType || 'MARKET');
+
+    if (strategy === 'OPTIONS_WITH_RECONCILIATION') {
+      const optionActions = { BUY_CE: 'BUY', BUY_PE: 'BUY', SELL_CE: 'SELL', SELL_PE: 'SELL' };
+      if (!optionActions[action] || !preResolvedOptionSymbol) {
+        return null;
+      }
+      const optionSymbol = preResolvedOptionSymbol.optionSymbol;
+      const lotSize = optionSymbol.lot_size || symbol.lot_size || 1;
+      return {
+        symbol: optionSymbol.symbol,
+        exchange: optionSymbol.exchange || derivativeResolutionService.getDerivativeExchange(symbol.exchange),
+        action: optionActions[action],
+        quantity: String(stepLots * lotSize),
+        product,
+        pricetype: orderType,
+        price: String(price || 0),
+        trigger_price: '0',
+      };
+    }
+
+    if (strategy !== 'DIRECT_ORDER' || !['BUY', 'SHORT'].includes(action)) {
+      return null;
+    }
+
+    let marginSymbol = symbol.symbol;
+    let marginExchange = symbol.exchange;
+    let lotSize = symbol.lot_size || 1;
+
+    if (tradeMode === 'FUTURES' && expiry) {
+      const marketDataInstance = await this._getMarketDataInstance(instances);
+      const derivativeExchange = symbol.symbol_type === 'FUTURES'
+        ? symbol.exchange
+        : derivativeResolutionService.getDerivativeExchange(symbol.exchange);
+      const futuresSymbol = await derivativeResolutionService.resolveFuturesSymbol(
+        marketDataInstance,
+        derivativeResolutionService.getDerivativeUnderlying(symbol),
+        derivativeExchange,
+        expiry
+      );
+      marginSymbol = futuresSymbol.symbol;
+      marginExchange = derivativeExchange;
+      lotSize = futuresSymbol.lot_size || lotSize;
+    }
+
+    return {
+      symbol: marginSymbol,
+      exchange: marginExchange,
+      action: action === 'BUY' ? 'BUY' : 'SELL',
+      quantity: String(quantity * lotSize),
+      product,
+      pricetype: orderType,
+      price: String(price || 0),
+      trigger_price: '0',
+    };
+  }
+
+  _extractRequiredMargin(response) {
+    const data = response?.data || response || {};
+    const value = data.total_margin_required ?? data.totalMarginRequired ??
+      data.margin_required ?? data.required_margin ?? data.total;
+    return parseFloatSafe(value);
+  }
+
+  /**
+   * Available cash from the funds cache, refreshing once when the cache is empty
+   * @private
+   */
+  async _getAvailableFunds(instance) {
+    let snapshot = marketDataFeedService.getFundsSnapshot(instance.id);
+    if (!snapshot) {
+      await marketDataFeedService.refreshFundsForInstance(instance.id, { force: true });
+      snapshot = marketDataFeedService.getFundsSnapshot(instance.id);
+    }
+
+    const funds = snapshot?.data;
+    if (!funds) {
+      return null;
+    }
+
+    return parseFloatSafe(funds.availablecash) ??
+      parseFloatSafe(funds.available_cash) ??
+      parseFloatSafe(funds.availableBalance);
+  }
+
   /**
    * Retry failed close/exit orders with exponential backoff
    * @private
    */
-  async _retryFailedCloseOrders(failedInstances, symbol, orderParams, maxRetries = 2) {
+  async _retryFailedCloseOrders(failedInstances, symbol, orderParams, baseTrace = null, maxRetries = 2) {
     const results = [];
     // Create a mutable copy to track remaining instances
     let remaining = [...failedInstances];
@@ -498,9 +779,13 @@ class QuickOrderService {
       const stillFailing = [];
 
       for (const instance of remaining) {
+        const trace = baseTrace
+          ? { ...baseTrace, instance_id: instance.id, retry_attempt: attempt, decisionCount: 0 }
+          : null;
         try {
           const result = await this._closePositions(instance, symbol, orderParams, {
             useCachedPositions: false, // Use live positions for retry
+            trace,
           });
 
           results.push({
@@ -512,6 +797,9 @@ class QuickOrderService {
           });
           // Successfully retried - don't add to stillFailing
         } catch (error) {
+          if (trace && trace.decisionCount === 0) {
+            await this._recordDecision(trace, { status: 'failed', message: error.message });
+          }
           log.warn('Retry failed for close/exit order', {
             instanceId: instance.id,
             attempt,
@@ -546,10 +834,11 @@ class QuickOrderService {
    * @private
    * @param {Object} options - Options
    * @param {Map} options.preloadedPositions - Pre-fetched positions map (instanceId -> positions[])
+   * @param {Object} options.trace - Decision trace context (see _createTrace)
    */
   async _executeDirectOrder(instance, symbol, orderParams, options = {}) {
-    const { action, tradeMode, quantity, product, orderType, price, expiry } = orderParams;
-    const { preloadedPositions } = options;
+    const { action, tradeMode, quantity, product, orderType, price, expiry, dryRun = false } = orderParams;
+    const { preloadedPositions, trace = null } = options;
 
     // Determine final symbol based on trade mode
     let finalSymbol = symbol.symbol;
@@ -603,11 +892,13 @@ class QuickOrderService {
     // Get current position size (signed: positive for long, negative for short)
     // OPTIMIZATION: Use preloaded positions if available (from parallel pre-fetch)
     let rawPosition;
+    let positionSource = 'live';
     if (preloadedPositions && preloadedPositions.has(instance.id)) {
       const preloaded = preloadedPositions.get(instance.id);
       // Only use preloaded positions if fetch was successful
       if (preloaded.success) {
         rawPosition = this._extractPositionFromBook(preloaded.positions, finalSymbol, finalExchange, product);
+        positionSource = preloaded.fromCache ? 'preloaded_cache' : 'preloaded';
         log.debug('Using preloaded position', {
           instanceId: instance.id,
           symbol: finalSymbol,
@@ -678,6 +969,16 @@ class QuickOrderService {
       symbol: finalSymbol,
     });
 
+    const decision = {
+      position_source: positionSource,
+      position_snapshot: { raw_position: rawPosition, normalized_position: currentPosition, trade_quantity: tradeQuantity, product },
+      current_position: currentPosition,
+      lot_size: lotSize,
+      resolved_symbol: finalSymbol,
+      exchange: finalExchange,
+      expiry: expiry || null,
+    };
+
     // Calculate target position_size based on action
     let targetPosition;
     let algoAction;
@@ -690,6 +991,7 @@ class QuickOrderService {
         : tradeQuantity;
     } else if (action === 'SELL') {
       if (currentPosition <= 0) {
+        await this._recordDecision(trace, { ...decision, status: 'noop', message: 'No long position to reduce' });
         return {
           order_id: null,
           status: 'noop',
@@ -709,6 +1011,7 @@ class QuickOrderService {
         : -tradeQuantity;
     } else if (action === 'COVER') {
       if (currentPosition >= 0) {
+        await this._recordDecision(trace, { ...decision, status: 'noop', message: 'No short position to cover' });
         return {
           order_id: null,
           status: 'noop',
@@ -739,7 +1042,9 @@ class QuickOrderService {
 
     // Place order using placesmartorder
     const orderQuantity = Math.abs(targetPosition - currentPosition);
+    decision.target_position = targetPosition;
     if (!orderQuantity && action !== 'EXIT') {
+      await this._recordDecision(trace, { ...decision, status: 'noop', message: 'No position change required' });
       return {
         order_id: null,
         status: 'noop',
@@ -768,12 +1073,24 @@ class QuickOrderService {
       price,
     });
 
-    const orderResult = await orderPlacementService.placeSmartOrder(instance, orderPayload, {
+    const orderResult = await this._placeTracedOrder(instance, orderPayload, {
       request_type: 'DIRECT',
       trade_mode: tradeMode,
       base_symbol: symbol.symbol,
       expiry: expiry || null,
-    });
+    }, trace, decision);
+
+    if (dryRun) {
+      return {
+        order_id: null,
+        status: 'dry_run',
+        symbol: finalSymbol,
+        quantity: tradeQuantity,
+        action: algoAction,
+        current_position: currentPosition,
+        target_position: targetPosition,
+      };
+    }
 
     // Verify final position using live positionbook
     let finalPosition = null;
@@ -817,10 +1134,12 @@ class QuickOrderService {
       quantity: tradeQuantity,
       product: finalProduct,
       order_type: orderType,
-      price,
+      price: orderResult.smart_limit?.price ?? price,
       order_id: orderResult.orderid,
       status: orderResult.status,
       message: orderResult.message || 'Order placed successfully',
+      transaction_id: trace?.transaction_id,
+      metadata: this._orderMetadata(orderResult),
     });
 
     this._invalidateInstanceCaches(instance.id);
@@ -841,6 +1160,7 @@ class QuickOrderService {
    * @private
    * @param {Object} options - Options
    * @param {Map} options.preloadedPositions - Pre-fetched positions map (instanceId -> positions[])
+   * @param {Object} options.trace - Decision trace context (see _createTrace)
    */
   async _executeOptionsOrder(instance, symbol, orderParams, preResolvedOptionSymbol = null, options = {}) {
     const {
@@ -851,8 +1171,9 @@ class QuickOrderService {
       operatingMode = 'BUYER',
       strikePolicy = 'FLOAT_OFS',
       stepLots = 1,
+      dryRun = false,
     } = orderParams;
-    const { preloadedPositions } = options;
+    const { preloadedPositions, trace = null } = options;
 
     // Get writer guard from symbol configuration (optional)
     const writerGuard = symbol.writer_guard_enabled !== 0;  // Default true
@@ -920,7 +1241,7 @@ class QuickOrderService {
       strike = optionSymbol.targetStrike || optionSymbol.strike;
 
       // For ANCHOR_OFS on first add action, anchor this strike
-      if (strikePolicy === 'ANCHOR_OFS' && !anchoredStrike &&
+      if (strikePolicy === 'ANCHOR_OFS' && !anchoredStrike && !dryRun &&
           (action === 'BUY_CE' || action === 'BUY_PE' || action === 'SELL_CE' || action === 'SELL_PE')) {
         await this._manageAnchoredStrike(symbol.id, optionType, expiry, strike, true);
         log.info('Anchored strike for ANCHOR_OFS', { optionType, strike, expiry });
@@ -1052,7 +1373,7 @@ class QuickOrderService {
           position_size: order.position_size,
         });
 
-        const orderResult = await orderPlacementService.placeSmartOrder(instance, orderDataToSend, {
+        const orderResult = await this._placeTracedOrder(instance, orderDataToSend, {
           request_type: 'OPTIONS_FLOAT',
           trade_mode: 'OPTIONS',
           base_symbol: symbol.symbol,
@@ -1060,8 +1381,32 @@ class QuickOrderService {
           expiry,
           option_type: optionType,
           strike: order.strike,
+        }, trace, {
+          position_source: 'type_scope',
+          position_snapshot: allOpenPositions,
+          current_position: order.currentPosition,
+          target_position: order.position_size,
+          lot_size: lotSize,
+          resolved_symbol: order.symbol,
+          exchange: derivativeExchange,
+          strike: order.strike,
+          option_type: optionType,
+          expiry,
         });
 
+        if (dryRun) {
+          return {
+            order_id: null,
+            status: 'dry_run',
+            symbol: order.symbol,
+            strike: order.strike,
+            quantity: order.quantity,
+            action: order.action,
+            current_position: order.currentPosition,
+            target_position: order.position_size,
+          };
+        }
+
         await this._syncOptionsState(
           symbol.watchlist_id,
           symbol.id,
@@ -1088,7 +1433,7 @@ class QuickOrderService {
           quantity: order.quantity,
           product: floatProduct,
           order_type: orderType,
-          price,
+          price: orderResult.smart_limit?.price ?? price,
           resolved_symbol: optionSymbol.symbol,
           strike_price: order.strike,
           option_type: optionType,
@@ -1096,6 +1441,8 @@ class QuickOrderService {
           order_id: orderResult.orderid,
           status: orderResult.status,
           message: orderResult.message || `${operatingMode} mode: ${action} executed successfully`,
+          transaction_id: trace?.transaction_id,
+          metadata: this._orderMetadata(orderResult),
         });
 
         return {
@@ -1110,12 +1457,14 @@ class QuickOrderService {
 
       const orderResults = await Promise.all(orderPromises);
 
-      log.info('FLOAT_OFS REDUCE/INCEASE: All orders placed successfully', {
+      log.info(dryRun ? 'FLOAT_OFS REDUCE/INCREASE: Dry run orders built' : 'FLOAT_OFS REDUCE/INCEASE: All orders placed successfully', {
         action,
         orderCount: orderResults.length,
         orders: orderResults,
       });
-      this._invalidateInstanceCaches(instance.id);
+      if (!dryRun) {
+        this._invalidateInstanceCaches(instance.id);
+      }
 
       return {
         orders: orderResults,
@@ -1130,6 +1479,7 @@ class QuickOrderService {
     // For all other cases (BUY/SELL actions, ANCHOR_OFS, CLOSE_ALL in FLOAT_OFS), use legacy logic
     // Get current position
     let currentPosition;
+    let positionSource = useTypeScope ? 'type_scope' : 'live';
     if (useTypeScope) {
       // Aggregate across all strikes for this TYPE and expiry
       currentPosition = await this._getAggregatedTypePosition(
@@ -1157,6 +1507,7 @@ class QuickOrderService {
             derivativeExchange,
             product
           );
+          positionSource = preloaded.fromCache ? 'preloaded_cache' : 'preloaded';
           log.debug('Using preloaded position for options', {
             instanceId: instance.id,
             symbol: optionSymbol.symbol,
@@ -1261,7 +1612,7 @@ class QuickOrderService {
     log.info('Data being sent to OpenAlgo placesmartorder', orderDataToSend);
 
     // Place order using placesmartorder
-    const orderResult = await orderPlacementService.placeSmartOrder(instance, orderDataToSend, {
+    const orderResult = await this._placeTracedOrder(instance, orderDataToSend, {
       request_type: 'OPTIONS_STANDARD',
       trade_mode: 'OPTIONS',
       base_symbol: symbol.symbol,
@@ -1269,8 +1620,43 @@ class QuickOrderService {
       expiry,
       option_type: optionType,
       strike,
+    }, trace, {
+      position_source: positionSource,
+      position_snapshot: {
+        scope: useTypeScope ? 'TYPE' : 'LEG',
+        current_position: currentPosition,
+        step_lots: stepLots,
+        qstep: Qstep,
+        operating_mode: operatingMode,
+        strike_policy: strikePolicy,
+        writer_guard: writerGuard,
+      },
+      current_position: currentPosition,
+      target_position: targetPosition,
+      lot_size: lotSize,
+      resolved_symbol: optionSymbol.symbol,
+      exchange: derivativeExchange,
+      strike,
+      option_type: optionType,
+      expiry,
     });
 
+    if (dryRun) {
+      return {
+        order_id: null,
+        status: 'dry_run',
+        symbol: optionSymbol.symbol,
+        strike,
+        option_type: optionType,
+        quantity,
+        action: algoAction,
+        operating_mode: operatingMode,
+        strike_policy: strikePolicy,
+        current_position: currentPosition,
+        target_position: targetPosition,
+      };
+    }
+
     // Sync position to watchlist_options_state table
     await this._syncOptionsState(
       symbol.watchlist_id,
@@ -1299,7 +1685,7 @@ class QuickOrderService {
       quantity,
       product: finalProduct,
       order_type: orderType,
-      price,
+      price: orderResult.smart_limit?.price ?? price,
       resolved_symbol: optionSymbol.symbol,
       strike_price: strike,
       option_type: optionType,
@@ -1307,6 +1693,8 @@ class QuickOrderService {
       order_id: orderResult.orderid,
       status: orderResult.status,
       message: orderResult.message || `${operatingMode} mode: ${action} executed successfully`,
+      transaction_id: trace?.transaction_id,
+      metadata: this._orderMetadata(orderResult),
     });
 
     // Verify final position post-trade
@@ -1369,6 +1757,7 @@ class QuickOrderService {
    * @private
    * @param {Object} options - Options
    * @param {boolean} options.useCachedPositions - Use cached positions instead of live fetch
+   * @param {Object} options.trace - Decision trace context (see _createTrace)
    *
    * OPTIMIZATION: Close/Exit orders can use cached positions because:
    * - We're closing to position_size=0, so exact current quantity isn't critical
@@ -1376,12 +1765,14 @@ class QuickOrderService {
    * - This saves 1 API call per close order
    */
   async _closePositions(instance, symbol, orderParams, options = {}) {
-    const { action, tradeMode, product, expiry: userExpiry } = orderParams;
-    const { useCachedPositions = false } = options;
+    const { action, tradeMode, product, expiry: userExpiry, dryRun = false } = orderParams;
+    const { useCachedPositions = false, trace = null } = options;
 
     const underlying = this._getUnderlyingForClosing(symbol);
 
     let positionsToClose = [];
+    // CLOSE_ALL_* / EXIT_ALL cancel pending orders in scope before flattening
+    let cancellation = null;
 
     const closeAllTypeMap = {
       CLOSE_ALL_CE: 'CE',
@@ -1407,13 +1798,15 @@ class QuickOrderService {
         throw new ValidationError('Unable to determine expiry for close-all action');
       }
 
+      cancellation = await this._cancelPendingOrders(instance, { underlying, expiry, optionTypes: [optionType] }, { dryRun, trace });
+
       const typePositions = await this._getOpenOptionsPositions(
         instance,
         underlying,
         expiry,
         optionType,
         product,
-        { useCached: useCachedPositions }
+        { useCached: useCachedPositions && cancellation.cancelled_orders.length === 0 }
       );
 
       if (!expiry) {
@@ -1439,13 +1832,17 @@ class QuickOrderService {
         throw new ValidationError('Unable to determine expiry for EXIT_ALL');
       }
 
+      cancellation = await this._cancelPendingOrders(instance, { underlying, expiry, optionTypes: ['CE', 'PE'] }, { dryRun, trace });
+      // A cancelled order may have partly filled - read positions live in that case
+      const useCached = useCachedPositions && cancellation.cancelled_orders.length === 0;
+
       const cePositions = await this._getOpenOptionsPositions(
         instance,
         underlying,
         expiry,
         'CE',
         product,
-        { useCached: useCachedPositions }
+        { useCached }
       );
 
       const pePositions = await this._getOpenOptionsPositions(
@@ -1454,7 +1851,7 @@ class QuickOrderService {
         expiry,
         'PE',
         product,
-        { useCached: useCachedPositions }
+        { useCached }
       );
 
       positionsToClose = [...cePositions, ...pePositions];
@@ -1496,9 +1893,18 @@ class QuickOrderService {
     }
 
     if (positionsToClose.length === 0) {
+      await this._recordDecision(trace, {
+        position_source: useCachedPositions ? 'cache' : 'live',
+        position_snapshot: [],
+        current_position: 0,
+        target_position: 0,
+        status: 'noop',
+        message: 'No open positions to close',
+      });
       return {
         message: 'No open positions to close',
         closed_count: 0,
+        ...cancellation,
       };
     }
 
@@ -1521,11 +1927,18 @@ class QuickOrderService {
           pricetype: 'MARKET',
           price: 0,
         });
-        const orderResult = await orderPlacementService.placeSmartOrder(instance, orderPayload, {
+        const orderResult = await this._placeTracedOrder(instance, orderPayload, {
           request_type: 'EXIT_POSITION',
           trade_mode: orderParams.tradeMode || 'DIRECT',
           base_symbol: symbol.symbol,
           closing_symbol: position.symbol,
+        }, trace, {
+          position_source: useCachedPositions ? 'cache' : 'live',
+          position_snapshot: position,
+          current_position: position.quantity,
+          target_position: 0,
+          resolved_symbol: position.symbol,
+          exchange: position.exchange,
         });
 
         closeResults.push({
@@ -1534,8 +1947,13 @@ class QuickOrderService {
           resolved_symbol: position.symbol,
           quantity: closeQuantity,
           order_id: orderResult.orderid,
+          ...(dryRun ? { status: 'dry_run' } : {}),
         });
 
+        if (dryRun) {
+          continue;
+        }
+
         // Record order
         await this._recordQuickOrder({
           watchlist_id: symbol.watchlist_id,
@@ -1552,6 +1970,8 @@ class QuickOrderService {
           order_id: orderResult.orderid,
           status: orderResult.status,
           message: `Position closed: ${position.symbol}`,
+          transaction_id: trace?.transaction_id,
+          metadata: this._orderMetadata(orderResult),
         });
       } catch (error) {
         log.error('Failed to close position', error, { symbol: position.symbol });
@@ -1563,12 +1983,127 @@ class QuickOrderService {
       }
     }
 
+    if (dryRun) {
+      return {
+        message: `Would close ${closeResults.filter(r => r.success).length} position(s)`,
+        closed_count: 0,
+        details: closeResults,
+        ...cancellation,
+      };
+    }
+
     this._invalidateInstanceCaches(instance.id);
 
     return {
       message: `Closed ${closeResults.filter(r => r.success).length} position(s)`,
       closed_count: closeResults.filter(r => r.success).length,
       details: closeResults,
+      ...cancellation,
+    };
+  }
+
+  /**
+   * Cancel pending orders for an underlying + expiry (+ option types) and confirm
+   * none are left before the caller flattens, so a resting order cannot reopen
+   * the position afterwards (Options Mode guide: cancel-then-exit).
+   * @private
+   * @param {Object} instance - Instance
+   * @param {Object} scope - { underlying, expiry, optionTypes: ['CE', 'PE'] }
+   * @param {Object} options - { dryRun, trace }
+   * @returns {Promise<Object>} { cancelled_orders, would_cancel? }
+   * @throws {OpenAlgoError} When orders in scope are still pending after cancelling
+   */
+  async _cancelPendingOrders(instance, scope, options = {}) {
+    const { dryRun = false, trace = null } = options;
+    const { underlying, expiry, optionTypes } = scope;
+
+    const findPending = async () => {
+      const snapshot = await marketDataFeedService.getOrderbookSnapshot(instance.id, { force: true });
+      const data = snapshot?.data || {};
+      const orders = Array.isArray(data) ? data : data.orders || data.data || [];
+
+      return orders.filter(order => {
+        const status = (order.order_status || order.status || '').toLowerCase();
+        if (!PENDING_ORDER_STATUSES.includes(status)) return false;
+        return optionTypes.some(optionType =>
+          this._isOptionSymbolInScope(order.symbol, underlying, expiry, optionType)
+        );
+      });
+    };
+
+    const pending = await findPending();
+    const orderIds = pending.map(order => String(order.orderid || order.order_id));
+
+    if (pending.length === 0) {
+      return { cancelled_orders: [] };
+    }
+
+    if (dryRun) {
+      return { cancelled_orders: [], would_cancel: orderIds };
+    }
+
+    log.info('Cancelling pending orders before close', {
+      instance_id: instance.id,
+      underlying,
+      expiry,
+      option_types: optionTypes,
+      order_ids: orderIds,
+    });
+
+    const cancelled = [];
+    const failures = [];
+    for (const order of pending) {
+      const orderId = String(order.orderid || order.order_id);
+      try {
+        await openalgoClient.cancelOrder(
+          instance,
+          orderId,
+          order.strategy || instance.strategy_tag || 'default'
+        );
+        cancelled.push(orderId);
+      } catch (error) {
+        log.warn('Failed to cancel pending order before close', {
+          instance_id: instance.id,
+          order_id: orderId,
+          error: error.message,
+        });
+        failures.push({ order_id: orderId, error: error.message });
+      }
+    }
+
+    marketDataFeedService.invalidateOrderbook(instance.id);
+
+    // Cancels are acknowledged before the broker book reflects them - poll briefly
+    let stillPending = [];
+    for (let attempt = 1; attempt <= CANCEL_VERIFY_ATTEMPTS; attempt++) {
+      stillPending = await findPending();
+      if (stillPending.length === 0) break;
+      if (attempt < CANCEL_VERIFY_ATTEMPTS) {
+        await new Promise(resolve => setTimeout(resolve, CANCEL_VERIFY_DELAY_MS));
+      }
+    }
+
+    const stillPendingIds = stillPending.map(order => String(order.orderid || order.order_id));
+    const message = stillPendingIds.length > 0
+      ? `Pending orders still open after cancel: ${stillPendingIds.join(', ')} - not flattening`
+      : `Cancelled ${cancelled.length} pending order(s) before close`;
+
+    await this._recordDecision(trace, {
+      request_type: 'CANCEL_PENDING',
+      payload: { order_ids: orderIds },
+      broker_response: { cancelled, failures, still_pending: stillPendingIds },
+      expiry,
+      status: stillPendingIds.length > 0 ? 'failed' : 'placed',
+      message,
+    });
+
+    if (stillPendingIds.length > 0) {
+      throw new OpenAlgoError(message, 'cancelorder');
+    }
+
+    return {
+      cancelled_orders: cancelled,
+      ...(failures.length > 0 ? { cancel_failures: failures } : {}),
     };
   }
 
@@ -1767,7 +2302,125 @@ class QuickOrderService {
       expiry: params.expiry || null,
     };
 
-    return this._closePositions(instance, symbolPayload, orderParams);
+    const trace = {
+      ...this._createTrace(`close_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`, 'CLOSE_POSITIONS', symbolPayload, orderParams),
+      instance_id: instance.id,
+      decisionCount: 0,
+    };
+
+    return this._closePositions(instance, symbolPayload, orderParams, { trace });
+  }
+
+  /**
+   * Sell delivery holdings (CNC) on one instance
+   * Holdings are not in the positionbook, so the smart order targets the current
+   * CNC position minus the quantity sold rather than a flat position.
+   * @param {Object} instance - Instance object
+   * @param {Object} holding - { symbol, exchange }
+   * @param {Object} params - { quantity (default: all held), orderType, price }
+   * @returns {Promise<Object>} - { order_id, status, symbol, exchange, quantity, held_quantity }
+   */
+  async exitHolding(instance, holding, params = {}) {
+    const symbol = String(holding.symbol || '').toUpperCase();
+    const exchange = String(holding.exchange || '').toUpperCase();
+    if (!symbol || !exchange) {
+      throw new ValidationError('symbol and exchange are required');
+    }
+
+    const orderType = String(params.orderType || 'MARKET').toUpperCase();
+    const price = parseFloatSafe(params.price, 0);
+    if (!['MARKET', 'LIMIT'].includes(orderType)) {
+      throw new ValidationError('orderType must be MARKET or LIMIT');
+    }
+    if (orderType === 'LIMIT' && price <= 0) {
+      throw new ValidationError('price is required for LIMIT orders');
+    }
+
+    const heldQuantity = await holdingsService.getHeldQuantity(instance, symbol, exchange);
+    if (heldQuantity <= 0) {
+      throw new ValidationError(`${exchange}:${symbol} is not held on ${instance.name}`);
+    }
+
+    const quantity = params.quantity === undefined || params.quantity === null || params.quantity === ''
+      ? heldQuantity
+      : parseIntSafe(params.quantity, 0);
+    if (quantity <= 0 || quantity > heldQuantity) {
+      throw new ValidationError(`quantity must be between 1 and ${heldQuantity} (held)`);
+    }
+
+    const currentPosition = await this._getCurrentPositionSize(
+      instance,
+      symbol,
+      exchange,
+      'CNC',
+      { forceLive: true, failOnError: true }
+    );
+    const targetPosition = currentPosition - quantity;
+
+    const orderParams = { action: 'SELL', tradeMode: 'EQUITY', product: 'CNC' };
+    const trace = {
+      ...this._createTrace(`holding_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`, 'EXIT_HOLDING', { symbol, exchange }, orderParams),
+      instance_id: instance.id,
+      decisionCount: 0,
+    };
+
+    const orderPayload = orderPayloadFactory.buildEquityOrder({
+      strategy: instance.strategy_tag || 'holdings',
+      exchange,
+      symbol,
+      action: 'SELL',
+      quantity,
+      position_size: targetPosition,
+      product: 'CNC',
+      pricetype: orderType,
+      price,
+    });
+
+    const orderResult = await this._placeTracedOrder(instance, orderPayload, {
+      request_type: 'EXIT_HOLDING',
+      trade_mode: 'EQUITY',
+      base_symbol: symbol,
+    }, trace, {
+      position_source: 'holdings',
+      position_snapshot: { held_quantity: heldQuantity, cnc_position: currentPosition },
+      current_position: currentPosition,
+      target_position: targetPosition,
+      resolved_symbol: symbol,
+      exchange,
+    });
+
+    await this._recordQuickOrder({
+      watchlist_id: null,
+      symbol_id: null,
+      instance_id: instance.id,
+      underlying: symbol,
+      symbol,
+      exchange,
+      action: 'SELL',
+      trade_mode: 'EQUITY',
+      quantity,
+      product: 'CNC',
+      order_type: orderType,
+      price,
+      order_id: orderResult.orderid,
+      status: orderResult.status,
+      message: `Holding sold: ${quantity} of ${heldQuantity}`,
+      transaction_id: trace.transaction_id,
+      metadata: { source: 'holdings', ...(orderResult.split ? { split: orderResult.split } : {}) },
+    });
+
+    this._invalidateInstanceCaches(instance.id, {
+      feeds: ['positions', 'funds', 'orderbook', 'tradebook', 'holdings'],
+    });
+
+    return {
+      order_id: orderResult.orderid,
+      status: orderResult.status,
+      symbol,
+      exchange,
+      quantity,
+      held_quantity: heldQuantity,
+    };
   }
 
   /**
@@ -1791,9 +2444,6 @@ class QuickOrderService {
       } else {
         positionBook = await this._getPositionBook(instance, { forceLive: true });
       }
-      const targetUnderlying = (underlying || '').toUpperCase();
-      const canonicalTarget = targetUnderlying.replace(/[^A-Z0-9]/g, '').replace(/\d+$/, '');
-      const targetOptionType = (optionType || '').toUpperCase();
 
       const positions = positionBook
         .filter(p => {
@@ -1811,26 +2461,7 @@ class QuickOrderService {
 
           if (quantity === 0) return false;
 
-          const parsed = this._parseOptionSymbol(symbol);
-          const candidateUnderlying = parsed.underlying
-            ? parsed.underlying.toUpperCase()
-            : symbol;
-          const canonicalCandidate = candidateUnderlying
-            .replace(/[^A-Z0-9]/g, '')
-            .replace(/\d+$/, '');
-          const matchesUnderlying = canonicalCandidate === canonicalTarget;
-
-          if (!matchesUnderlying) return false;
-
-          const matchesExpiry = parsed.expiry ? parsed.expiry === expiry : true;
-          if (!matchesExpiry) return false;
-
-          const parsedType = parsed.type ? parsed.type.toUpperCase() : null;
-          const matchesType = parsedType
-            ? parsedType === targetOptionType
-            : symbol.includes(targetOptionType);
-
-          return matchesType;
+          return this._isOptionSymbolInScope(symbol, underlying, expiry, optionType);
         })
         .map(p => ({
           symbol: p.symbol,
@@ -1852,6 +2483,37 @@ class QuickOrderService {
     }
   }
 
+  /**
+   * Whether an option symbol belongs to underlying + expiry + option type
+   * @private
+   */
+  _isOptionSymbolInScope(rawSymbol, underlying, expiry, optionType) {
+    const symbol = (rawSymbol || '').toUpperCase();
+    if (!symbol) return false;
+
+    const canonicalTarget = (underlying || '').toUpperCase().replace(/[^A-Z0-9]/g, '').replace(/\d+$/, '');
+    const targetOptionType = (optionType || '').toUpperCase();
+
+    const parsed = this._parseOptionSymbol(symbol);
+    const candidateUnderlying = parsed.underlying
+      ? parsed.underlying.toUpperCase()
+      : symbol;
+    const canonicalCandidate = candidateUnderlying
+      .replace(/[^A-Z0-9]/g, '')
+      .replace(/\d+$/, '');
+    const matchesUnderlying = canonicalCandidate === canonicalTarget;
+
+    if (!matchesUnderlying) return false;
+
+    const matchesExpiry = parsed.expiry ? parsed.expiry === expiry : true;
+    if (!matchesExpiry) return false;
+
+    const parsedType = parsed.type ? parsed.type.toUpperCase() : null;
+    return parsedType
+      ? parsedType === targetOptionType
+      : symbol.includes(targetOptionType);
+  }
+
   /**
    * Get open positions for specific symbol
    * @private
@@ -2065,18 +2727,354 @@ class QuickOrderService {
    */
   async _recordQuickOrder(orderData) {
     try {
-      await orderRepository.insertQuickOrder(orderData);
+      const quickOrderId = await orderRepository.insertQuickOrder(orderData);
+
+      if (orderData.transaction_id) {
+        const link = {
+          transactionId: orderData.transaction_id,
+          instanceId: orderData.instance_id,
+          symbol: orderData.symbol,
+          quickOrderId,
+        };
+        await orderRepository.linkOrderDecisions(link);
+        await orderChaserService.linkQuickOrder(link);
+      }
 
       log.debug('Quick order recorded in database', {
+        id: quickOrderId,
         order_id: orderData.order_id,
         symbol: orderData.symbol,
       });
+      return quickOrderId;
     } catch (error) {
       log.error('Failed to record quick order', error);
       // Non-fatal - order was still placed
+      return null;
+    }
+  }
+
+  /**
+   * quick_orders metadata for a placement result (split slices, smart-limit pricing)
+   * @private
+   */
+  _orderMetadata(orderResult) {
+    const metadata = {
+      ...(orderResult.split ? { split: orderResult.split } : {}),
+      ...(orderResult.smart_limit ? { smart_limit: orderResult.smart_limit } : {}),
+    };
+    return Object.keys(metadata).length > 0 ? metadata : null;
+  }
+
+  /**
+   * Build the broadcast-level trace context shared by every instance's decisions
+   * @private
+   */
+  _createTrace(transactionId, strategy, symbol, orderParams) {
+    return {
+      transaction_id: transactionId,
+      strategy,
+      requested_action: orderParams.action,
+      trade_mode: orderParams.tradeMode,
+      symbol_id: symbol.id || null,
+      retry_attempt: 0,
+      dryRun: !!orderParams.dryRun,
+      smartLimit: orderParams.smartLimit || null,
+    };
+  }
+
+  /**
+   * Persist an order decision to order_decisions
+   * No-op without a trace context or during a dry run. Never throws - the audit trail must not block trading.
+   * @private
+   * @param {Object|null} trace - Trace context (transaction, strategy, instance)
+   * @param {Object} decision - Position snapshot, resolution, payload and outcome
+   */
+  async _recordDecision(trace, decision) {
+    if (!trace || trace.dryRun) return null;
+    trace.decisionCount = (trace.decisionCount || 0) + 1;
+
+    try {
+      return await orderRepository.insertOrderDecision({
+        transaction_id: trace.transaction_id,
+        instance_id: trace.instance_id,
+        symbol_id: trace.symbol_id,
+        strategy: trace.strategy,
+        requested_action: trace.requested_action,
+        trade_mode: trace.trade_mode,
+        retry_attempt: trace.retry_attempt,
+        ...decision,
+      });
+    } catch (error) {
+      log.error('Failed to record order decision', error, {
+        transaction_id: trace.transaction_id,
+        instance_id: trace.instance_id,
+      });
+      return null;
     }
   }
 
+  /**
+   * Place a smart order and record the decision behind it (payload + broker response)
+   * During a dry run the payload is collected on the trace and never sent to the broker.
+   * Quantities above the underlying's freeze limit go out as one splitorder instead.
+   * splitorder places the raw quantity (no position_size check), so a slice-sized order
+   * whose size came from cached positions is first re-sized against the live positionbook.
+   * @private
+   * @param {Object} instance - Instance
+   * @param {Object} payload - placesmartorder payload
+   * @param {Object} context - Order placement context (request_type, trade_mode, ...)
+   * @param {Object|null} trace - Trace context
+   * @param {Object} decision - Position snapshot and resolution details
+   * @returns {Promise<Object>} Broker response
+   */
+  async _placeTracedOrder(instance, payload, context, trace, decision = {}) {
+    let smartLimitQuote = null;
+    if (payload.pricetype === 'SMART_LIMIT') {
+      ({ payload, quote: smartLimitQuote } = await this._priceSmartLimit(payload, context, trace, decision));
+    }
+
+    let freezeQty = await this._getSliceSize(payload);
+
+    if (freezeQty && !trace?.dryRun && !LIVE_POSITION_SOURCES.includes(decision.position_source)) {
+      payload = await this._resizeFromLivePosition(instance, payload, context, trace, decision);
+      if (!payload) {
+        return { status: 'noop', orderid: null, message: 'No position change required (live positionbook)' };
+      }
+      freezeQty = await this._getSliceSize(payload);
+    }
+
+    if (trace?.dryRun) {
+      trace.dryRunOrders.push({
+        request_type: context.request_type,
+        resolved_symbol: decision.resolved_symbol || payload.symbol,
+        strike: decision.strike ?? null,
+        current_position: decision.current_position ?? null,
+        target_position: decision.target_position ?? null,
+        payload,
+        ...(smartLimitQuote && { smart_limit: smartLimitQuote }),
+        ...(freezeQty && {
+          freeze_qty: freezeQty,
+          slices: Math.ceil(Number(payload.quantity) / freezeQty),
+        }),
+      });
+      log.info('Dry run: skipping placesmartorder', {
+        instance_id: instance.id,
+        request_type: context.request_type,
+        symbol: payload.symbol,
+        action: payload.action,
+        quantity: payload.quantity,
+        position_size: payload.position_size,
+        freeze_qty: freezeQty,
+      });
+      return { status: 'dry_run', orderid: null, message: 'Dry run - order not sent' };
+    }
+
+    const sentPayload = freezeQty
+      ? orderPayloadFactory.buildSplitOrder(payload, freezeQty)
+      : payload;
+
+    try {
+      const orderResult = freezeQty
+        ? await this._placeSlicedOrder(instance, sentPayload, context, freezeQty)
+        : await orderPlacementService.placeSmartOrder(instance, payload, context);
+      await this._recordDecision(trace, {
+        ...decision,
+        request_type: context.request_type,
+        payload: sentPayload,
+        broker_response: orderResult,
+        status: 'placed',
+        message: freezeQty ? orderResult.message : decision.message,
+      });
+
+      const placedOrders = freezeQty
+        ? orderResult.split.slices.filter(slice => slice.orderid && slice.status !== 'error')
+        : [{ orderid: orderResult.orderid, quantity: payload.quantity }];
+
+      if (smartLimitQuote) {
+        smartLimitService.scheduleReprices(instance, payload, placedOrders, trace.smartLimit);
+        return { ...orderResult, smart_limit: smartLimitQuote };
+      }
+
+      // Plain LIMIT orders are chased when their watchlist symbol opts in
+      await orderChaserService.track({
+        instance,
+        payload,
+        orders: placedOrders,
+        symbolId: trace?.symbol_id,
+        transactionId: trace?.transaction_id,
+      });
+      return orderResult;
+    } catch (error) {
+      await this._recordDecision(trace, {
+        ...decision,
+        request_type: context.request_type,
+        payload: sentPayload,
+        status: 'failed',
+        message: error.message,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Price a SMART_LIMIT payload off market depth (LIMIT payload + the quote it was priced from)
+   * A failed price lookup is recorded like a failed placement - nothing was sent.
+   * @private
+   */
+  async _priceSmartLimit(payload, context, trace, decision) {
+    try {
+      return await smartLimitService.priceOrder(payload, trace?.smartLimit || smartLimitService.resolveOptions());
+    } catch (error) {
+      await this._recordDecision(trace, {
+        ...decision,
+        request_type: context.request_type,
+        payload,
+        status: 'failed',
+        message: `Smart limit pricing failed: ${error.message}`,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Re-size a payload to its position_size target from the live positionbook
+   * (null when the live position is already at the target)
+   * @private
+   */
+  async _resizeFromLivePosition(instance, payload, context, trace, decision) {
+    const targetPosition = parseIntSafe(payload.position_size, null);
+    if (targetPosition === null) {
+      return payload;
+    }
+
+    let livePosition;
+    try {
+      livePosition = await this._getCurrentPositionSize(
+        instance,
+        payload.symbol,
+        payload.exchange,
+        payload.product,
+        { failOnError: true }
+      );
+    } catch (error) {
+      await this._recordDecision(trace, {
+        ...decision,
+        request_type: context.request_type,
+        payload,
+        status: 'failed',
+        message: `Live position check before splitorder failed: ${error.message}`,
+      });
+      throw error;
+    }
+
+    const delta = targetPosition - livePosition;
+    if (delta === 0) {
+      log.info('Live position already at target - skipping split order', {
+        instance_id: instance.id,
+        symbol: payload.symbol,
+        cached_position: decision.current_position ?? null,
+        live_position: livePosition,
+        target_position: targetPosition,
+      });
+      await this._recordDecision(trace, {
+        ...decision,
+        request_type: context.request_type,
+        position_source: 'live',
+        current_position: livePosition,
+        payload,
+        status: 'noop',
+        message: 'No position change required (live positionbook)',
+      });
+      return null;
+    }
+
+    if (livePosition !== decision.current_position) {
+      log.warn('Cached position differs from live positionbook - re-sizing order', {
+        instance_id: instance.id,
+        symbol: payload.symbol,
+        cached_position: decision.current_position ?? null,
+        live_position: livePosition,
+        target_position: targetPosition,
+      });
+    }
+
+    decision.position_source = 'live';
+    decision.current_position = livePosition;
+    return {
+      ...payload,
+      action: delta > 0 ? 'BUY' : 'SELL',
+      quantity: Math.abs(delta),
+    };
+  }
+
+  /**
+   * Freeze quantity to slice this order by, or null when it fits in one order
+   * @private
+   */
+  async _getSliceSize(payload) {
+    if (!config.orders.freezeSlicing) {
+      return null;
+    }
+
+    const quantity = Number(payload.quantity);
+    if (!Number.isFinite(quantity) || quantity <= 0) {
+      return null;
+    }
+
+    const freezeQty = await instrumentsService.getFreezeQuantity(payload.symbol, payload.exchange);
+    return freezeQty && quantity > freezeQty ? freezeQty : null;
+  }
+
+  /**
+   * Place an oversized order via splitorder and fold the slices back into one result
+   * (orderid of the first slice, every slice under split.slices)
+   * @private
+   */
+  async _placeSlicedOrder(instance, splitPayload, context, freezeQty) {
+    const response = await orderPlacementService.placeSplitOrder(instance, splitPayload, context);
+
+    const slices = (Array.isArray(response?.results) ? response.results : []).map((slice, index) => ({
+      order_num: slice.order_num ?? index + 1,
+      orderid: slice.orderid || null,
+      quantity: parseIntSafe(slice.quantity, null),
+      status: slice.status || (slice.orderid ? 'success' : 'error'),
+      message: slice.message || null,
+    }));
+    const placed = slices.filter(slice => slice.orderid && slice.status !== 'error');
+    const failed = slices.length - placed.length;
+
+    if (placed.length === 0) {
+      const reason = slices.find(slice => slice.message)?.message || response?.message || 'no slices placed';
+      throw new OpenAlgoError(`Split order failed: ${reason}`, 'splitorder');
+    }
+
+    const placedQuantity = placed.reduce((sum, slice) => sum + (slice.quantity || 0), 0);
+    let message = `Sliced ${splitPayload.quantity} into ${slices.length} orders of up to ${freezeQty}`;
+    if (failed > 0) {
+      message += ` - ${failed} slice(s) failed, ${placedQuantity} placed`;
+      log.warn('Split order partially placed', {
+        instance_id: instance.id,
+        symbol: splitPayload.symbol,
+        quantity: splitPayload.quantity,
+        placed_quantity: placedQuantity,
+        failed_slices: failed,
+      });
+    }
+
+    return {
+      status: failed > 0 ? 'partial' : 'success',
+      orderid: placed[0].orderid,
+      orderids: placed.map(slice => slice.orderid),
+      message,
+      split: {
+        freeze_qty: freezeQty,
+        total_quantity: Number(splitPayload.quantity),
+        placed_quantity: placedQuantity,
+        slices,
+      },
+    };
+  }
+
   /**
    * Get quick orders with filters
    * @param {Object} filters - Query filters
@@ -2169,6 +3167,84 @@ class QuickOrderService {
     }
   }
 
+  /**
+   * Get the decision trace for a quick order
+   * Returns every decision recorded for the broadcast the order belonged to, grouped by instance
+   * @param {number} id - Quick order ID
+   * @returns {Promise<Object>} Trace
+   */
+  async getQuickOrderTrace(id) {
+    const order = await this.getQuickOrderById(id);
+
+    if (!order.transaction_id) {
+      return {
+        quick_order: order,
+        transaction_id: null,
+        chases: [],
+        instances: [],
+      };
+    }
+
+    const decisions = await orderRepository.getOrderDecisionsByTransaction(order.transaction_id);
+
+    return {
+      quick_order: order,
+      ...(await this._buildTrace(order.transaction_id, decisions, [order.id])),
+    };
+  }
+
+  /**
+   * Get the decision trace for a broadcast by its transaction ID
+   * Also covers broadcasts that placed nothing (every instance failed, was a no-op or
+   * was skipped for margin), which have no quick order row to look up by
+   * @param {string} transactionId - transaction_id from the placeQuickOrder response
+   * @returns {Promise<Object>} Trace
+   * @throws {NotFoundError} When no decision was recorded for the transaction
+   */
+  async getBroadcastTrace(transactionId) {
+    const decisions = await orderRepository.getOrderDecisionsByTransaction(transactionId);
+
+    if (decisions.length === 0) {
+      throw new NotFoundError(`Trace for transaction ${transactionId}`);
+    }
+
+    const quickOrderIds = [...new Set(decisions.map(d => d.quick_order_id).filter(Boolean))];
+
+    return {
+      quick_order_ids: quickOrderIds,
+      ...(await this._buildTrace(transactionId, decisions, quickOrderIds)),
+    };
+  }
+
+  /**
+   * Group a broadcast's decisions by instance and attach the chases of its quick orders
+   * @private
+   */
+  async _buildTrace(transactionId, decisions, quickOrderIds) {
+    const byInstance = new Map();
+
+    decisions.forEach(decision => {
+      if (!byInstance.has(decision.instance_id)) {
+        byInstance.set(decision.instance_id, {
+          instance_id: decision.instance_id,
+          instance_name: decision.instance_name,
+          decisions: [],
+        });
+      }
+      byInstance.get(decision.instance_id).decisions.push(decision);
+    });
+
+    const chases = await Promise.all(quickOrderIds.map(id => orderChaserService.getChasesForQuickOrder(id)));
+
+    return {
+      transaction_id: transactionId,
+      chases: chases.flat(),
+      strategy: decisions[0]?.strategy || null,
+      requested_action: decisions[0]?.requested_action || null,
+      instances: Array.from(byInstance.values()),
+    };
+  }
+
   /**
    * Get quick order statistics
    * @param {Object} filters - Query filters
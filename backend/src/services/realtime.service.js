@@ -0,0 +1,242 @@
+/**
+ * Realtime Service
+ * Pushes market data feed updates and order events to dashboard sessions over Socket.IO.
+ *
+ * Sockets are authenticated with the same express-session/passport stack as the REST API
+ * and grouped into rooms:
+ * - user:<id>   - every socket of a user (targeted notifications)
+ * - quotes      - quote snapshots from MarketDataFeedService
+ * - positions   - position book snapshots
+ * - funds       - funds snapshots
+ * - orders      - quick-order and strategy results, auto-exit triggers and order/trade cache invalidations
+ */
+
+import { Server } from 'socket.io';
+import passport from 'passport';
+import marketDataFeedService from './market-data-feed.service.js';
+import { config } from '../core/config.js';
+import { log } from '../core/logger.js';
+
+const CHANNELS = ['quotes', 'positions', 'funds', 'orders'];
+
+class RealtimeService {
+  constructor() {
+    this.io = null;
+    this.feedListeners = [];
+  }
+
+  /**
+   * Attach Socket.IO to the HTTP server
+   * @param {http.Server} httpServer - Node HTTP server serving the Express app
+   * @param {Object} options - Options
+   * @param {Function} options.sessionMiddleware - The express-session middleware used by the app
+   */
+  attach(httpServer, { sessionMiddleware } = {}) {
+    if (this.io) {
+      log.warn('RealtimeService already attached');
+      return this.io;
+    }
+
+    this.io = new Server(httpServer, {
+      cors: {
+        origin: config.cors.origin,
+        credentials: true,
+      },
+    });
+
+    // Only the handshake request carries the session cookie we need to authenticate
+    const onlyForHandshake = (middleware) => (req, res, next) => {
+      const isHandshake = req._query?.sid === undefined;
+      if (isHandshake) {
+        middleware(req, res, next);
+      } else {
+        next();
+      }
+    };
+
+    if (sessionMiddleware) {
+      this.io.engine.use(onlyForHandshake(sessionMiddleware));
+      this.io.engine.use(onlyForHandshake(passport.session()));
+    }
+
+    this.io.use((socket, next) => this._authenticate(socket, next));
+    this.io.on('connection', (socket) => this._handleConnection(socket));
+
+    this._bindFeedEvents();
+
+    log.info('RealtimeService attached', { channels: CHANNELS });
+    return this.io;
+  }
+
+  /**
+   * Detach feed listeners and close all sockets
+   */
+  async close() {
+    this.feedListeners.forEach(({ event, handler }) => {
+      marketDataFeedService.off(event, handler);
+    });
+    this.feedListeners = [];
+
+    if (this.io) {
+      await new Promise(resolve => this.io.close(() => resolve()));
+      this.io = null;
+      log.info('RealtimeService closed');
+    }
+  }
+
+  /**
+   * Publish an event to a channel room
+   * No-op when Socket.IO is not attached (e.g. scripts, migrations)
+   * @param {string} channel - One of CHANNELS
+   * @param {string} event - Event name
+   * @param {Object} payload - Event payload
+   */
+  publish(channel, event, payload) {
+    if (!this.io) return;
+    this.io.to(channel).emit(event, payload);
+  }
+
+  /**
+   * Publish an event to every socket of a user
+   * @param {number} userId - User ID
+   * @param {string} event - Event name
+   * @param {Object} payload - Event payload
+   */
+  publishToUser(userId, event, payload) {
+    if (!this.io || !userId) return;
+    this.io.to(`user:${userId}`).emit(event, payload);
+  }
+
+  /**
+   * Broadcast quick order results
+   * @param {Object} order - Order request summary (symbol, action, tradeMode)
+   * @param {Object} result - Result returned by placeQuickOrder
+   */
+  publishQuickOrderResult(order, result) {
+    this.publish('orders', 'quickorder:result', {
+      ...order,
+      success: result.success,
+      summary: result.summary,
+      results: (result.results || []).map(r => ({
+        instance_id: r.instance_id,
+        instance_name: r.instance_name,
+        success: r.success,
+        error: r.error,
+      })),
+      timestamp: Date.now(),
+    });
+  }
+
+  /**
+   * Broadcast multi-leg strategy order outcomes
+   * @param {Object} result - Result returned by placeStrategyOrder
+   */
+  publishStrategyResult(result) {
+    this.publish('orders', 'strategy:result', {
+      group_id: result.group_id,
+      template: result.template,
+      underlying: result.underlying,
+      expiry: result.expiry,
+      status: result.status,
+      instances: (result.instances || []).map(r => ({
+        instance_id: r.instance_id,
+        instance_name: r.instance_name,
+        status: r.status,
+        error: r.error,
+      })),
+      timestamp: Date.now(),
+    });
+  }
+
+  /**
+   * Broadcast an auto-exit trigger
+   * @param {Object} payload - Auto-exit details
+   */
+  publishAutoExit(payload) {
+    this.publish('orders', 'autoexit:triggered', {
+      ...payload,
+      timestamp: Date.now(),
+    });
+  }
+
+  getStatus() {
+    return {
+      attached: !!this.io,
+      connections: this.io ? this.io.engine.clientsCount : 0,
+    };
+  }
+
+  _authenticate(socket, next) {
+    // Test mode: mirror requireAuth and treat every socket as the test user
+    if (config.env === 'development' && !config.auth.googleClientId) {
+      socket.data.user = { id: 1, email: 'test@example.com', is_admin: 1, role: 'admin' };
+      return next();
+    }
+
+    const user = socket.request.user;
+    if (!user) {
+      log.debug('Rejected unauthenticated socket', { id: socket.id });
+      return next(new Error('Authentication required'));
+    }
+
+    socket.data.user = { id: user.id, email: user.email, is_admin: user.is_admin, role: user.role };
+    return next();
+  }
+
+  _handleConnection(socket) {
+    const user = socket.data.user;
+    socket.join(`user:${user.id}`);
+
+    log.debug('Realtime client connected', { id: socket.id, userId: user.id });
+
+    socket.on('subscribe', (channels, ack) => {
+      const joined = this._filterChannels(channels);
+      joined.forEach(channel => socket.join(channel));
+      if (typeof ack === 'function') ack({ channels: joined });
+    });
+
+    socket.on('unsubscribe', (channels) => {
+      this._filterChannels(channels).forEach(channel => socket.leave(channel));
+    });
+
+    socket.on('disconnect', (reason) => {
+      log.debug('Realtime client disconnected', { id: socket.id, reason });
+    });
+  }
+
+  _filterChannels(channels) {
+    const list = Array.isArray(channels) ? channels : [channels];
+    return list.filter(channel => CHANNELS.includes(channel));
+  }
+
+  _bindFeedEvents() {
+    const forward = (event, channel, mapPayload) => {
+      const handler = (payload) => this.publish(channel, event, mapPayload(payload));
+      marketDataFeedService.on(event, handler);
+      this.feedListeners.push({ event, handler });
+    };
+
+    forward('quotes:update', 'quotes', ({ instanceId, data }) => ({
+      instanceId,
+      data,
+      fetchedAt: Date.now(),
+    }));
+    forward('positions:update', 'positions', ({ instanceId, data }) => ({
+      instanceId,
+      data,
+      fetchedAt: Date.now(),
+    }));
+    forward('funds:update', 'funds', ({ instanceId, data }) => ({
+      instanceId,
+      data,
+      fetchedAt: Date.now(),
+    }));
+    forward('cache:invalidated', 'orders', ({ instanceId, feeds }) => ({
+      instanceId,
+      feeds,
+    }));
+  }
+}
+
+export default new RealtimeService();
+export { RealtimeService };
@@ -10,12 +10,12 @@ class RiskControlsService {
     this.trailingState = new Map();
   }
 
-  evaluateExit({ key, side, currentPrice, entryPrice, configEntry, symbol }) {
+  evaluateExit({ key, side, currentPrice, entryPrice, configEntry, symbol, mode: forcedMode = null }) {
     if (!configEntry || !symbol || !currentPrice || !entryPrice) {
       return null;
     }
 
-    const mode = this._determineMode(configEntry, symbol);
+    const mode = forcedMode || this._determineMode(configEntry, symbol);
     const thresholds = this._getThresholds(configEntry, mode);
     if (!thresholds) {
       return { mode, reason: null };
@@ -140,3 +140,4 @@ class RiskControlsService {
 
 const riskControlsService = new RiskControlsService();
 export default riskControlsService;
+export { RiskControlsService };
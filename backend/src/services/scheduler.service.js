@@ -0,0 +1,857 @@
+/**
+ * Scheduler Service
+ * Time-based trading actions persisted in SQLite (schedules / schedule_runs).
+ *
+ * - ORDER:      a quick-order intent (watchlist symbol, action, trade mode, quantity,
+ *               options leg) placed through quickOrderService.placeQuickOrder
+ * - SQUARE_OFF: cancel pending orders and close open positions of one product
+ *               (default MIS) on an instance, or on a watchlist's instances
+ *               limited to that watchlist's symbols
+ *
+ * A schedule fires at an IST time (time_ist, HH:MM) or at a trading session's
+ * start (trading_sessions setting, plus offset_minutes), on the given weekdays or
+ * once on run_date. A node-cron job ticks every minute in IST; a run is claimed by
+ * inserting (schedule_id, run_key) into schedule_runs, so it happens at most once
+ * even across restarts. A run missed by more than RUN_GRACE_MINUTES (server down)
+ * is skipped rather than sent late. Runs use the grants of the schedule's creator.
+ */
+
+import cron from 'node-cron';
+import db from '../core/database.js';
+import { log } from '../core/logger.js';
+import { ValidationError, NotFoundError } from '../core/errors.js';
+import openalgoClient from '../integrations/openalgo/client.js';
+import quickOrderService from './quick-order.service.js';
+import instanceService from './instance.service.js';
+import positionsService from './positions.service.js';
+import marketDataFeedService from './market-data-feed.service.js';
+import userService from './user.service.js';
+import { SIGNAL_ACTIONS, OPTIONS_ACTIONS } from './signal.service.js';
+
+const IST_TIMEZONE = 'Asia/Kolkata';
+const RUN_GRACE_MINUTES = 2;
+const MAX_OFFSET_MINUTES = 240;
+const PENDING_ORDER_STATUSES = ['open', 'pending', 'trigger pending'];
+const OPTIONS_LEGS = ['ITM3', 'ITM2', 'ITM1', 'ATM', 'OTM1', 'OTM2', 'OTM3'];
+
+export const SCHEDULE_TYPES = ['ORDER', 'SQUARE_OFF'];
+export const TRIGGER_TYPES = ['TIME', 'SESSION_START'];
+export const SQUARE_OFF_PRODUCTS = ['MIS', 'NRML', 'CNC'];
+
+class SchedulerService {
+  constructor() {
+    this.job = null;
+    this.isTicking = false;
+  }
+
+  /**
+   * Start the once-a-minute check (IST)
+   */
+  start() {
+    if (this.job) return;
+
+    this.job = cron.schedule('* * * * *', () => this._tick(), { timezone: IST_TIMEZONE });
+    log.info('Scheduler started');
+  }
+
+  /**
+   * Stop the check (schedules stay in the database)
+   */
+  stop() {
+    if (this.job) {
+      this.job.stop();
+      this.job = null;
+    }
+  }
+
+  /**
+   * List schedules with their next run (admins see every schedule, others their own)
+   * @param {Object} user - Authenticated user
+   * @returns {Promise<Array>}
+   */
+  async listSchedules(user) {
+    const isAdmin = userService.hasRole(user, 'admin');
+    const rows = await db.all(
+      `SELECT s.*, ws.symbol AS symbol, ws.exchange AS exchange,
+              w.name AS watchlist_name, i.name AS instance_name
+       FROM schedules s
+       LEFT JOIN watchlist_symbols ws ON ws.id = s.symbol_id
+       LEFT JOIN watchlists w ON w.id = s.watchlist_id
+       LEFT JOIN instances i ON i.id = s.instance_id
+       ${isAdmin ? '' : 'WHERE s.created_by = ?'}
+       ORDER BY s.created_at DESC, s.id DESC`,
+      isAdmin ? [] : [user.id]
+    );
+
+    const sessions = await instanceService.getTradingSessions();
+    const now = this._nowIst();
+    return rows.map(row => ({ ...this._format(row), next_run: this._nextRun(row, now, sessions) }));
+  }
+
+  /**
+   * Get a schedule the user can see
+   * @param {number} id - Schedule ID
+   * @param {Object} user - Authenticated user
+   * @returns {Promise<Object>}
+   */
+  async getSchedule(id, user) {
+    const row = await db.get('SELECT * FROM schedules WHERE id = ?', [id]);
+    if (!row || (!userService.hasRole(user, 'admin') && row.created_by !== user.id)) {
+      throw new NotFoundError('Schedule');
+    }
+    return this._format(row);
+  }
+
+  /**
+   * Create a schedule
+   * @param {Object} data - { name, scheduleType, triggerType, timeIst?, sessionLabel?, offsetMinutes?,
+   *                          daysOfWeek?, runDate?, watchlistId?, symbolId?, instanceId?, action?,
+   *                          tradeMode?, quantity?, optionsLeg?, product?, dryRun? }
+   * @param {Object} user - Creator (runs use this user's grants)
+   * @returns {Promise<Object>}
+   */
+  async createSchedule(data, user) {
+    const fields = await this._validate(data, null, user);
+
+    const result = await db.run(
+      `INSERT INTO schedules (
+        name, schedule_type, trigger_type, time_ist, session_label, offset_minutes, days_of_week,
+        run_date, watchlist_id, symbol_id, instance_id, action, trade_mode, quantity, options_leg,
+        product, dry_run, is_enabled, created_by
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [...this._columnValues(fields), user.id]
+    );
+
+    log.info('Schedule created', {
+      id: result.lastID,
+      name: fields.name,
+      type: fields.schedule_type,
+      by: user.email,
+    });
+    return this.getSchedule(result.lastID, user);
+  }
+
+  /**
+   * Update a schedule (omitted fields are left unchanged)
+   * @param {number} id - Schedule ID
+   * @param {Object} data - Same fields as createSchedule, plus isEnabled
+   * @param {Object} user - Authenticated user
+   * @returns {Promise<Object>}
+   */
+  async updateSchedule(id, data, user) {
+    const existing = await this.getSchedule(id, user);
+    const fields = await this._validate(data, existing, user);
+
+    await db.run(
+      `UPDATE schedules SET
+        name = ?, schedule_type = ?, trigger_type = ?, time_ist = ?, session_label = ?,
+        offset_minutes = ?, days_of_week = ?, run_date = ?, watchlist_id = ?, symbol_id = ?,
+        instance_id = ?, action = ?, trade_mode = ?, quantity = ?, options_leg = ?, product = ?,
+        dry_run = ?, is_enabled = ?, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [...this._columnValues(fields), id]
+    );
+
+    log.info('Schedule updated', { id, by: user.email });
+    return this.getSchedule(id, user);
+  }
+
+  /**
+   * Delete a schedule and its run history
+   * @param {number} id - Schedule ID
+   * @param {Object} user - Authenticated user
+   * @returns {Promise<Object>} - Deleted schedule
+   */
+  async deleteSchedule(id, user) {
+    const schedule = await this.getSchedule(id, user);
+    await db.run('DELETE FROM schedules WHERE id = ?', [id]);
+    log.info('Schedule deleted', { id, by: user.email });
+    return schedule;
+  }
+
+  /**
+   * Past runs, newest first
+   * @param {number} id - Schedule ID
+   * @param {Object} user - Authenticated user
+   * @param {Object} options - { limit }
+   * @returns {Promise<Array>}
+   */
+  async listRuns(id, user, { limit = 50 } = {}) {
+    await this.getSchedule(id, user);
+
+    const parsedLimit = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 500);
+    const rows = await db.all(
+      `SELECT * FROM schedule_runs WHERE schedule_id = ?
+       ORDER BY started_at DESC, id DESC LIMIT ?`,
+      [id, parsedLimit]
+    );
+
+    return rows.map(row => ({ ...row, result: row.result ? JSON.parse(row.result) : null }));
+  }
+
+  /**
+   * Run a schedule now, outside its timetable
+   * @param {number} id - Schedule ID
+   * @param {Object} user - Authenticated user (needs trading access to the schedule's instance)
+   * @returns {Promise<Object>} - The run row
+   */
+  async runNow(id, user) {
+    const schedule = await this.getSchedule(id, user);
+    if (schedule.instance_id) {
+      await userService.assertInstanceAccess(user, [schedule.instance_id]);
+    }
+
+    const row = await db.get('SELECT * FROM schedules WHERE id = ?', [id]);
+    return this._run(row, `manual|${new Date().toISOString()}`, { manual: true });
+  }
+
+  /**
+   * Fire every schedule due this minute
+   * @private
+   */
+  async _tick() {
+    if (this.isTicking) return;
+    this.isTicking = true;
+
+    try {
+      const now = this._nowIst();
+      const rows = await db.all('SELECT * FROM schedules WHERE is_enabled = 1');
+      if (rows.length === 0) return;
+
+      const sessions = await instanceService.getTradingSessions();
+      for (const row of rows) {
+        if (!this._runsOn(row, now)) continue;
+
+        for (const slot of this._slots(row, sessions)) {
+          const late = now.minutes - slot.minutes;
+          if (late >= 0 && late < RUN_GRACE_MINUTES) {
+            await this._run(row, `${now.date}|${slot.key}`);
+          }
+        }
+      }
+    } catch (error) {
+      log.error('Scheduler tick failed', error);
+    } finally {
+      this.isTicking = false;
+    }
+  }
+
+  /**
+   * Claim and execute one run (never throws)
+   * @private
+   * @returns {Promise<Object|null>} - Run row, or null when this run was already claimed
+   */
+  async _run(row, runKey, { manual = false } = {}) {
+    let runId;
+    try {
+      const claim = await db.run(
+        'INSERT OR IGNORE INTO schedule_runs (schedule_id, run_key) VALUES (?, ?)',
+        [row.id, runKey]
+      );
+      if (claim.changes === 0) {
+        return null;
+      }
+      runId = claim.lastID;
+    } catch (error) {
+      log.error('Failed to claim schedule run', error, { schedule_id: row.id, run_key: runKey });
+      return null;
+    }
+
+    let outcome;
+    try {
+      outcome = row.schedule_type === 'SQUARE_OFF'
+        ? await this._squareOff(row)
+        : await this._placeOrder(row);
+    } catch (error) {
+      outcome = { status: 'failed', message: error.message, result: null };
+    }
+
+    await db.run(
+      `UPDATE schedule_runs SET status = ?, message = ?, result = ?, finished_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [outcome.status, outcome.message, outcome.result ? JSON.stringify(outcome.result) : null, runId]
+    );
+    // A one-off schedule is done once its date's run has happened
+    await db.run(
+      `UPDATE schedules SET last_run_at = CURRENT_TIMESTAMP, last_status = ?,
+        is_enabled = CASE WHEN run_date IS NOT NULL AND ? = 0 THEN 0 ELSE is_enabled END
+       WHERE id = ?`,
+      [outcome.status, manual ? 1 : 0, row.id]
+    );
+
+    const logMeta = { schedule_id: row.id, name: row.name, run_key: runKey, status: outcome.status, message: outcome.message };
+    if (outcome.status === 'failed') {
+      log.warn('Scheduled run failed', logMeta);
+    } else {
+      log.info('Scheduled run completed', logMeta);
+    }
+
+    return db.get('SELECT * FROM schedule_runs WHERE id = ?', [runId]);
+  }
+
+  /**
+   * Place the schedule's quick order
+   * @private
+   */
+  async _placeOrder(row) {
+    const symbol = await db.get('SELECT * FROM watchlist_symbols WHERE id = ?', [row.symbol_id]);
+    if (!symbol || !symbol.is_enabled) {
+      return { status: 'skipped', message: 'Watchlist symbol is missing or disabled', result: null };
+    }
+
+    const creator = await db.get('SELECT * FROM users WHERE id = ?', [row.created_by]);
+    const allowedInstanceIds = await userService.getAccessibleInstanceIds(creator);
+    const dryRun = !!row.dry_run;
+
+    const result = await quickOrderService.placeQuickOrder({
+      symbolId: symbol.id,
+      instanceId: row.instance_id || undefined,
+      action: row.action,
+      tradeMode: row.trade_mode,
+      quantity: row.quantity || symbol.qty_value || 1,
+      product: row.product || symbol.product_type || 'MIS',
+      optionsLeg: row.trade_mode === 'OPTIONS' ? row.options_leg || symbol.options_strike_selection || 'ATM' : null,
+      operatingMode: symbol.operating_mode || 'BUYER',
+      strikePolicy: symbol.strike_policy || 'FLOAT_OFS',
+      stepLots: symbol.step_lots || 1,
+      dryRun,
+      allowedInstanceIds,
+    });
+
+    const total = result.results.length;
+    const successful = result.results.filter(r => r.success).length;
+    if (dryRun) {
+      return { status: 'dry_run', message: `Dry run: ${successful}/${total} instance(s) resolved`, result };
+    }
+
+    const status = successful === total && total > 0 ? 'placed' : successful > 0 ? 'partial' : 'failed';
+    return { status, message: `${successful}/${total} instance(s) placed`, result };
+  }
+
+  /**
+   * Cancel pending orders and close open positions of the schedule's product
+   * @private
+   */
+  async _squareOff(row) {
+    const creator = await db.get('SELECT * FROM users WHERE id = ?', [row.created_by]);
+    const allowed = await userService.getAccessibleInstanceIds(creator);
+    const instances = (await this._squareOffInstances(row))
+      .filter(instance => !allowed || allowed.has(instance.id));
+    if (instances.length === 0) {
+      return { status: 'skipped', message: 'No active instances in scope', result: null };
+    }
+
+    const inScope = await this._squareOffScope(row);
+    const product = row.product || 'MIS';
+    const dryRun = !!row.dry_run;
+
+    const results = [];
+    for (const instance of instances) {
+      const entry = { instance_id: instance.id, instance_name: instance.name, cancelled: 0, closed: 0, errors: [] };
+      results.push(entry);
+
+      try {
+        entry.cancelled = await this._cancelPending(instance, product, inScope, { dryRun, entry });
+
+        await marketDataFeedService.invalidatePositions(instance.id);
+        const { positions } = await positionsService.getInstancePositions(instance.id, { onlyOpen: true });
+        const targets = positions.filter(pos =>
+          String(pos.product || '').toUpperCase() === product && inScope(pos.symbol)
+        );
+
+        for (const pos of targets) {
+          if (dryRun) {
+            entry.closed += 1;
+            continue;
+          }
+
+          // Exact position symbol: options close as-is, anything else through the symbol path
+          const result = await quickOrderService.closePosition(
+            instance,
+            { symbol: pos.symbol, exchange: pos.exchange },
+            {
+              tradeMode: /\d(CE|PE)$/i.test(pos.symbol) ? 'OPTIONS' : 'EQUITY',
+              product,
+              watchlist_name: 'scheduled-square-off',
+            }
+          );
+
+          entry.closed += result.closed_count || 0;
+          for (const detail of result.details || []) {
+            if (!detail.success) {
+              entry.errors.push(`${detail.symbol}: ${detail.error}`);
+            }
+          }
+        }
+      } catch (error) {
+        entry.errors.push(error.message);
+        log.error('Scheduled square-off failed for instance', error, { schedule_id: row.id, instance_id: instance.id });
+      }
+    }
+
+    const failed = results.filter(entry => entry.errors.length > 0).length;
+    const closed = results.reduce((sum, entry) => sum + entry.closed, 0);
+    const cancelled = results.reduce((sum, entry) => sum + entry.cancelled, 0);
+    const summary = `${dryRun ? 'Dry run: would close' : 'Closed'} ${closed} ${product} position(s), ` +
+      `${dryRun ? 'cancel' : 'cancelled'} ${cancelled} pending order(s) on ${results.length} instance(s)`;
+
+    let status;
+    if (dryRun) {
+      status = 'dry_run';
+    } else if (failed === 0) {
+      status = 'placed';
+    } else {
+      status = failed < results.length ? 'partial' : 'failed';
+    }
+
+    return {
+      status,
+      message: failed > 0 ? `${summary}; ${failed} instance(s) had errors` : summary,
+      result: { instances: results },
+    };
+  }
+
+  /**
+   * Active instances a square-off acts on
+   * @private
+   */
+  async _squareOffInstances(row) {
+    if (row.instance_id) {
+      return db.all('SELECT * FROM instances WHERE id = ? AND is_active = 1', [row.instance_id]);
+    }
+    return db.all(
+      `SELECT i.* FROM instances i
+       JOIN watchlist_instances wi ON wi.instance_id = i.id
+       WHERE wi.watchlist_id = ? AND i.is_active = 1
+       ORDER BY i.name ASC`,
+      [row.watchlist_id]
+    );
+  }
+
+  /**
+   * Symbol filter for a square-off: everything on an instance schedule; on a watchlist
+   * schedule the watchlist's symbols and their derivatives (underlying followed by a digit)
+   * @private
+   */
+  async _squareOffScope(row) {
+    if (!row.watchlist_id) {
+      return () => true;
+    }
+
+    const symbols = await db.all(
+      'SELECT symbol, underlying_symbol FROM watchlist_symbols WHERE watchlist_id = ?',
+      [row.watchlist_id]
+    );
+    const exact = new Set(symbols.map(s => String(s.symbol).toUpperCase()));
+    const bases = [...new Set(symbols.map(s => String(s.underlying_symbol || s.symbol).toUpperCase()))];
+
+    return (symbol) => {
+      const value = String(symbol || '').toUpperCase();
+      return exact.has(value) || bases.some(base => value.startsWith(base) && /\d/.test(value.charAt(base.length)));
+    };
+  }
+
+  /**
+   * Cancel pending orders of the product in scope, so they cannot reopen a position
+   * @private
+   * @returns {Promise<number>} - Orders cancelled (or that would be, on a dry run)
+   */
+  async _cancelPending(instance, product, inScope, { dryRun, entry }) {
+    const snapshot = await marketDataFeedService.getOrderbookSnapshot(instance.id, { force: true });
+    const data = snapshot?.data || {};
+    const orders = Array.isArray(data) ? data : data.orders || data.data || [];
+
+    const pending = orders.filter(order =>
+      PENDING_ORDER_STATUSES.includes(String(order.order_status || order.status || '').toLowerCase()) &&
+      String(order.product || '').toUpperCase() === product &&
+      inScope(order.symbol)
+    );
+    if (dryRun || pending.length === 0) {
+      return pending.length;
+    }
+
+    let cancelled = 0;
+    for (const order of pending) {
+      const orderId = String(order.orderid || order.order_id);
+      try {
+        await openalgoClient.cancelOrder(instance, orderId, order.strategy || instance.strategy_tag || 'default');
+        cancelled += 1;
+      } catch (error) {
+        entry.errors.push(`cancel ${orderId}: ${error.message}`);
+      }
+    }
+    marketDataFeedService.invalidateOrderbook(instance.id);
+    return cancelled;
+  }
+
+  /**
+   * Whether a schedule runs on the given IST day
+   * @private
+   */
+  _runsOn(row, now) {
+    if (row.run_date) {
+      return row.run_date === now.date;
+    }
+    return JSON.parse(row.days_of_week).includes(now.weekday);
+  }
+
+  /**
+   * Times of day (minutes since midnight IST) a schedule fires at
+   * @private
+   * @returns {Array<Object>} - [{ key, minutes }]
+   */
+  _slots(row, sessions) {
+    if (row.trigger_type === 'TIME') {
+      return [{ key: row.time_ist, minutes: this._parseHm(row.time_ist) }];
+    }
+
+    return sessions
+      .filter(session => !row.session_label || session.label === row.session_label)
+      .map(session => ({
+        key: `${session.label}+${row.offset_minutes}`,
+        minutes: this._parseHm(session.start) + (row.offset_minutes || 0),
+      }))
+      .filter(slot => Number.isFinite(slot.minutes));
+  }
+
+  /**
+   * Next IST run as 'YYYY-MM-DD HH:MM' (null when disabled or never again)
+   * @private
+   */
+  _nextRun(row, now, sessions) {
+    if (!row.is_enabled) return null;
+
+    const slots = this._slots(row, sessions).map(slot => slot.minutes).sort((a, b) => a - b);
+    if (slots.length === 0) return null;
+
+    if (row.run_date) {
+      const minutes = slots.find(slot => row.run_date > now.date || slot >= now.minutes);
+      return row.run_date >= now.date && minutes !== undefined ? `${row.run_date} ${this._formatHm(minutes)}` : null;
+    }
+
+    for (let dayOffset = 0; dayOffset <= 7; dayOffset++) {
+      const day = this._addDays(now, dayOffset);
+      if (!this._runsOn(row, day)) continue;
+
+      const minutes = slots.find(slot => dayOffset > 0 || slot >= now.minutes);
+      if (minutes !== undefined) {
+        return `${day.date} ${this._formatHm(minutes)}`;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Current IST date, weekday (0 = Sunday) and minutes since midnight
+   * @private
+   */
+  _nowIst() {
+    const parts = Object.fromEntries(
+      new Intl.DateTimeFormat('en-CA', {
+        timeZone: IST_TIMEZONE,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23',
+      }).formatToParts(new Date()).map(part => [part.type, part.value])
+    );
+    const date = `${parts.year}-${parts.month}-${parts.day}`;
+
+    return {
+      date,
+      weekday: new Date(`${date}T00:00:00Z`).getUTCDay(),
+      minutes: parseInt(parts.hour, 10) * 60 + parseInt(parts.minute, 10),
+    };
+  }
+
+  /**
+   * @private
+   */
+  _addDays(now, days) {
+    const day = new Date(`${now.date}T00:00:00Z`);
+    day.setUTCDate(day.getUTCDate() + days);
+    return { date: day.toISOString().slice(0, 10), weekday: day.getUTCDay(), minutes: 0 };
+  }
+
+  /**
+   * @private
+   */
+  _parseHm(value) {
+    const match = /^([01]\d|2[0-3]):([0-5]\d)$/.exec(String(value || ''));
+    return match ? parseInt(match[1], 10) * 60 + parseInt(match[2], 10) : NaN;
+  }
+
+  /**
+   * @private
+   */
+  _formatHm(minutes) {
+    const wrapped = ((minutes % 1440) + 1440) % 1440;
+    return `${String(Math.floor(wrapped / 60)).padStart(2, '0')}:${String(wrapped % 60).padStart(2, '0')}`;
+  }
+
+  /**
+   * Validate create/update input, merged over the existing schedule
+   * @private
+   */
+  async _validate(data = {}, existing, user) {
+    const pick = (key, column) => (data[key] !== undefined ? data[key] : existing?.[column]);
+
+    const name = String(pick('name', 'name') || '').trim();
+    if (!name || name.length > 100) {
+      throw new ValidationError('name is required (max 100 characters)');
+    }
+
+    const scheduleType = String(pick('scheduleType', 'schedule_type') || '').toUpperCase();
+    if (!SCHEDULE_TYPES.includes(scheduleType)) {
+      throw new ValidationError(`scheduleType must be one of: ${SCHEDULE_TYPES.join(', ')}`);
+    }
+
+    const trigger = await this._validateTrigger(pick);
+    const target = scheduleType === 'ORDER'
+      ? await this._validateOrderTarget(pick, user)
+      : await this._validateSquareOffTarget(pick, user);
+
+    return {
+      name,
+      schedule_type: scheduleType,
+      ...trigger,
+      ...target,
+      dry_run: !!pick('dryRun', 'dry_run'),
+      is_enabled: data.isEnabled !== undefined ? !!data.isEnabled : existing ? existing.is_enabled : true,
+    };
+  }
+
+  /**
+   * @private
+   */
+  async _validateTrigger(pick) {
+    const triggerType = String(pick('triggerType', 'trigger_type') || 'TIME').toUpperCase();
+    if (!TRIGGER_TYPES.includes(triggerType)) {
+      throw new ValidationError(`triggerType must be one of: ${TRIGGER_TYPES.join(', ')}`);
+    }
+
+    let timeIst = null;
+    let sessionLabel = null;
+    let offsetMinutes = 0;
+
+    if (triggerType === 'TIME') {
+      timeIst = String(pick('timeIst', 'time_ist') || '').trim();
+      if (Number.isNaN(this._parseHm(timeIst))) {
+        throw new ValidationError('timeIst must be an IST time as HH:MM (24h)');
+      }
+    } else {
+      sessionLabel = pick('sessionLabel', 'session_label') || null;
+      if (sessionLabel) {
+        const sessions = await instanceService.getTradingSessions();
+        if (!sessions.some(session => session.label === sessionLabel)) {
+          throw new ValidationError(
+            `Unknown session "${sessionLabel}" (sessions: ${sessions.map(session => session.label).join(', ')})`
+          );
+        }
+      }
+
+      offsetMinutes = Number(pick('offsetMinutes', 'offset_minutes') ?? 0);
+      if (!Number.isInteger(offsetMinutes) || offsetMinutes < 0 || offsetMinutes > MAX_OFFSET_MINUTES) {
+        throw new ValidationError(`offsetMinutes must be a whole number between 0 and ${MAX_OFFSET_MINUTES}`);
+      }
+    }
+
+    const runDate = pick('runDate', 'run_date') || null;
+    if (runDate && (!/^\d{4}-\d{2}-\d{2}$/.test(runDate) || Number.isNaN(Date.parse(`${runDate}T00:00:00Z`)))) {
+      throw new ValidationError('runDate must be a date as YYYY-MM-DD');
+    }
+
+    const days = pick('daysOfWeek', 'days_of_week') ?? [1, 2, 3, 4, 5];
+    const daysOfWeek = [...new Set((Array.isArray(days) ? days : [days]).map(Number))].sort((a, b) => a - b);
+    if (!runDate && (daysOfWeek.length === 0 || daysOfWeek.some(day => !Number.isInteger(day) || day < 0 || day > 6))) {
+      throw new ValidationError('daysOfWeek must be a non-empty array of weekdays (0 = Sunday ... 6 = Saturday)');
+    }
+
+    return {
+      trigger_type: triggerType,
+      time_ist: timeIst,
+      session_label: sessionLabel,
+      offset_minutes: offsetMinutes,
+      days_of_week: daysOfWeek,
+      run_date: runDate,
+    };
+  }
+
+  /**
+   * @private
+   */
+  async _validateOrderTarget(pick, user) {
+    const symbolId = this._optionalId(pick('symbolId', 'symbol_id'), 'symbolId');
+    if (!symbolId) {
+      throw new ValidationError('symbolId is required for ORDER schedules');
+    }
+    const symbol = await db.get('SELECT * FROM watchlist_symbols WHERE id = ?', [symbolId]);
+    if (!symbol) {
+      throw new ValidationError(`Watchlist symbol ${symbolId} not found`);
+    }
+
+    const instanceId = await this._validateInstance(pick, symbol.watchlist_id, user);
+
+    const action = String(pick('action', 'action') || '').toUpperCase();
+    if (!SIGNAL_ACTIONS.includes(action)) {
+      throw new ValidationError(`action must be one of: ${SIGNAL_ACTIONS.join(', ')}`);
+    }
+
+    let tradeMode = pick('tradeMode', 'trade_mode') || null;
+    if (OPTIONS_ACTIONS.includes(action)) {
+      tradeMode = 'OPTIONS';
+    } else if (tradeMode && !['EQUITY', 'FUTURES'].includes(tradeMode)) {
+      throw new ValidationError('tradeMode must be EQUITY or FUTURES (options actions always trade options)');
+    } else if (!tradeMode) {
+      tradeMode = symbol.symbol_type === 'FUTURES' || (symbol.tradable_futures && !symbol.tradable_equity)
+        ? 'FUTURES'
+        : 'EQUITY';
+    }
+
+    const optionsLeg = tradeMode === 'OPTIONS' && pick('optionsLeg', 'options_leg')
+      ? String(pick('optionsLeg', 'options_leg')).toUpperCase()
+      : null;
+    if (optionsLeg && !OPTIONS_LEGS.includes(optionsLeg)) {
+      throw new ValidationError(`optionsLeg must be one of: ${OPTIONS_LEGS.join(', ')}`);
+    }
+
+    const product = pick('product', 'product') ? String(pick('product', 'product')).toUpperCase() : null;
+    if (product && !SQUARE_OFF_PRODUCTS.includes(product)) {
+      throw new ValidationError(`product must be one of: ${SQUARE_OFF_PRODUCTS.join(', ')}`);
+    }
+
+    return {
+      watchlist_id: symbol.watchlist_id,
+      symbol_id: symbolId,
+      instance_id: instanceId,
+      action,
+      trade_mode: tradeMode,
+      quantity: this._optionalId(pick('quantity', 'quantity'), 'quantity'),
+      options_leg: optionsLeg,
+      product,
+    };
+  }
+
+  /**
+   * @private
+   */
+  async _validateSquareOffTarget(pick, user) {
+    const watchlistId = this._optionalId(pick('watchlistId', 'watchlist_id'), 'watchlistId');
+    if (watchlistId) {
+      const watchlist = await db.get('SELECT id FROM watchlists WHERE id = ?', [watchlistId]);
+      if (!watchlist) {
+        throw new ValidationError(`Watchlist ${watchlistId} not found`);
+      }
+    }
+
+    const instanceId = await this._validateInstance(pick, watchlistId, user);
+    if (!instanceId && !watchlistId) {
+      throw new ValidationError('SQUARE_OFF schedules need an instanceId or a watchlistId');
+    }
+
+    const product = String(pick('product', 'product') || 'MIS').toUpperCase();
+    if (!SQUARE_OFF_PRODUCTS.includes(product)) {
+      throw new ValidationError(`product must be one of: ${SQUARE_OFF_PRODUCTS.join(', ')}`);
+    }
+
+    return {
+      watchlist_id: watchlistId,
+      symbol_id: null,
+      instance_id: instanceId,
+      action: null,
+      trade_mode: null,
+      quantity: null,
+      options_leg: null,
+      product,
+    };
+  }
+
+  /**
+   * Optional instance, assigned to the watchlist when there is one, that the user may trade on
+   * @private
+   */
+  async _validateInstance(pick, watchlistId, user) {
+    const instanceId = this._optionalId(pick('instanceId', 'instance_id'), 'instanceId');
+    if (!instanceId) {
+      return null;
+    }
+
+    if (watchlistId) {
+      const assigned = await db.get(
+        'SELECT 1 FROM watchlist_instances WHERE watchlist_id = ? AND instance_id = ?',
+        [watchlistId, instanceId]
+      );
+      if (!assigned) {
+        throw new ValidationError(`Instance ${instanceId} is not assigned to watchlist ${watchlistId}`);
+      }
+    } else {
+      const instance = await db.get('SELECT id FROM instances WHERE id = ?', [instanceId]);
+      if (!instance) {
+        throw new ValidationError(`Instance ${instanceId} not found`);
+      }
+    }
+
+    await userService.assertInstanceAccess(user, [instanceId]);
+    return instanceId;
+  }
+
+  /**
+   * Parse an optional positive integer (null when empty)
+   * @private
+   */
+  _optionalId(value, field) {
+    if (value === undefined || value === null || value === '') {
+      return null;
+    }
+    const parsed = Number(value);
+    if (!Number.isInteger(parsed) || parsed <= 0) {
+      throw new ValidationError(`${field} must be a positive integer`);
+    }
+    return parsed;
+  }
+
+  /**
+   * Column values in INSERT / UPDATE order
+   * @private
+   */
+  _columnValues(fields) {
+    return [
+      fields.name,
+      fields.schedule_type,
+      fields.trigger_type,
+      fields.time_ist,
+      fields.session_label,
+      fields.offset_minutes,
+      JSON.stringify(fields.days_of_week),
+      fields.run_date,
+      fields.watchlist_id,
+      fields.symbol_id,
+      fields.instance_id,
+      fields.action,
+      fields.trade_mode,
+      fields.quantity,
+      fields.options_leg,
+      fields.product,
+      fields.dry_run ? 1 : 0,
+      fields.is_enabled ? 1 : 0,
+    ];
+  }
+
+  /**
+   * @private
+   */
+  _format(row) {
+    return {
+      ...row,
+      days_of_week: JSON.parse(row.days_of_week),
+      dry_run: !!row.dry_run,
+      is_enabled: !!row.is_enabled,
+    };
+  }
+}
+
+// Export singleton instance
+export default new SchedulerService();
+export { SchedulerService };
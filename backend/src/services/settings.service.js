@@ -9,6 +9,7 @@ import EventEmitter from 'events';
 import db from '../core/database.js';
 import { log } from '../core/logger.js';
 import { ValidationError } from '../core/errors.js';
+import secrets from '../core/secrets.js';
 
 class SettingsService extends EventEmitter {
   constructor() {
@@ -16,15 +17,18 @@ class SettingsService extends EventEmitter {
   }
   /**
    * Get all settings grouped by category
+   * @param {Object} options
+   * @param {boolean} options.includeSecrets - Return decrypted sensitive values in rawValue
+   *   (server-side config only; API responses get them masked)
    * @returns {Promise<Object>} - Settings grouped by category
    */
-  async getAllSettings() {
+  async getAllSettings({ includeSecrets = false } = {}) {
     try {
-      const rows = await db.all(`
+      const rows = (await db.all(`
         SELECT key, value, description, category, data_type, is_sensitive
         FROM application_settings
         ORDER BY category, key
-      `);
+      `)).map(row => this._decryptRow(row));
 
       // Group by category
       const settings = {};
@@ -53,7 +57,7 @@ class SettingsService extends EventEmitter {
 
         settings[row.category][row.key] = {
           value: row.is_sensitive ? this.maskValue(row.value) : parsedValue,
-          rawValue: row.value,
+          rawValue: row.is_sensitive && !includeSecrets ? this.maskValue(row.value) : row.value,
           description: row.description,
           dataType: row.data_type,
           isSensitive: !!row.is_sensitive,
@@ -70,16 +74,18 @@ class SettingsService extends EventEmitter {
   /**
    * Get settings by category
    * @param {string} category - Category name
+   * @param {Object} options
+   * @param {boolean} options.includeSecrets - Return decrypted sensitive values in rawValue
    * @returns {Promise<Object>} - Settings in the category
    */
-  async getSettingsByCategory(category) {
+  async getSettingsByCategory(category, { includeSecrets = false } = {}) {
     try {
-      const rows = await db.all(`
+      const rows = (await db.all(`
         SELECT key, value, description, category, data_type, is_sensitive
         FROM application_settings
         WHERE category = ?
         ORDER BY key
-      `, [category]);
+      `, [category])).map(row => this._decryptRow(row));
 
       const settings = {};
       rows.forEach(row => {
@@ -102,7 +108,7 @@ class SettingsService extends EventEmitter {
 
         settings[row.key] = {
           value: row.is_sensitive ? this.maskValue(row.value) : parsedValue,
-          rawValue: row.value,
+          rawValue: row.is_sensitive && !includeSecrets ? this.maskValue(row.value) : row.value,
           description: row.description,
           dataType: row.data_type,
           isSensitive: !!row.is_sensitive,
@@ -119,20 +125,24 @@ class SettingsService extends EventEmitter {
   /**
    * Get a single setting by key
    * @param {string} key - Setting key
+   * @param {Object} options
+   * @param {boolean} options.includeSecrets - Return the decrypted value in rawValue
    * @returns {Promise<Object>} - Setting object
    */
-  async getSetting(key) {
+  async getSetting(key, { includeSecrets = false } = {}) {
     try {
-      const row = await db.get(`
+      const stored = await db.get(`
         SELECT key, value, description, category, data_type, is_sensitive
         FROM application_settings
         WHERE key = ?
       `, [key]);
 
-      if (!row) {
+      if (!stored) {
         throw new ValidationError(`Setting '${key}' not found`);
       }
 
+      const row = this._decryptRow(stored);
+
       let parsedValue = row.value;
       switch (row.data_type) {
         case 'number':
@@ -153,7 +163,7 @@ class SettingsService extends EventEmitter {
       return {
         key: row.key,
         value: row.is_sensitive ? this.maskValue(row.value) : parsedValue,
-        rawValue: row.value,
+        rawValue: row.is_sensitive && !includeSecrets ? this.maskValue(row.value) : row.value,
         description: row.description,
         category: row.category,
         dataType: row.data_type,
@@ -211,12 +221,17 @@ class SettingsService extends EventEmitter {
           stringValue = String(value);
       }
 
-      // Update in database
+      // A masked value echoed back by the UI leaves the secret unchanged
+      if (current.isSensitive && stringValue === current.value) {
+        return current;
+      }
+
+      // Sensitive values are stored encrypted at rest
       await db.run(`
         UPDATE application_settings
         SET value = ?, updated_at = CURRENT_TIMESTAMP
         WHERE key = ?
-      `, [stringValue, key]);
+      `, [current.isSensitive ? secrets.encrypt(stringValue) : stringValue, key]);
 
       log.info('Setting updated', { key, value: current.isSensitive ? '[MASKED]' : stringValue });
 
@@ -225,7 +240,7 @@ class SettingsService extends EventEmitter {
       this.emit('settings:changed', {
         key,
         category: current.category,
-        oldValue: current.isSensitive ? this.maskValue(String(current.rawValue)) : current.value,
+        oldValue: current.value,
         newValue: current.isSensitive ? this.maskValue(String(value)) : value,
         isSensitive: current.isSensitive,
       });
@@ -316,14 +331,15 @@ class SettingsService extends EventEmitter {
     try {
       // Get default value from .env.example or current implementation
       const defaultValue = this.getDefaultValue(key);
+      const current = await this.getSetting(key);
 
       await db.run(`
         UPDATE application_settings
         SET value = ?, updated_at = CURRENT_TIMESTAMP
         WHERE key = ?
-      `, [defaultValue, key]);
+      `, [current.isSensitive ? secrets.encrypt(defaultValue) : defaultValue, key]);
 
-      log.info('Setting reset to default', { key, value: defaultValue });
+      log.info('Setting reset to default', { key, value: current.isSensitive ? '[MASKED]' : defaultValue });
 
       return await this.getSetting(key);
     } catch (error) {
@@ -332,6 +348,33 @@ class SettingsService extends EventEmitter {
     }
   }
 
+  /**
+   * Plain value of a setting, decrypting sensitive ones (for services that need the secret itself)
+   * @param {string} key - Setting key
+   * @returns {Promise<string|null>} - Plaintext, or null when the setting does not exist
+   */
+  async getSecret(key) {
+    const row = await db.get('SELECT key, value, is_sensitive FROM application_settings WHERE key = ?', [key]);
+    return row ? this._decryptRow(row).value : null;
+  }
+
+  /**
+   * Decrypt a sensitive row's value (legacy plaintext passes through)
+   * @private
+   */
+  _decryptRow(row) {
+    if (!row.is_sensitive || !secrets.isEncrypted(row.value)) {
+      return row;
+    }
+
+    try {
+      return { ...row, value: secrets.decrypt(row.value) };
+    } catch (error) {
+      log.error('Failed to decrypt setting', error, { key: row.key });
+      return { ...row, value: null };
+    }
+  }
+
   /**
    * Mask sensitive values (show only first 4 and last 4 characters)
    * @param {string} value - Value to mask
@@ -0,0 +1,648 @@
+/**
+ * Signal Service
+ * Webhook endpoints for external alerts (TradingView, Chartink, scripts).
+ *
+ * Each signal is a secret URL (POST /api/v1/signals/:token) mapped to a watchlist,
+ * optionally pinned to one symbol and/or instance, with the actions it may trigger.
+ * A payload names a watchlist symbol and an action; it is validated against the
+ * mapping and placed through quickOrderService.placeQuickOrder with the symbol's
+ * own configuration (trade mode, options leg, operating mode). Orders run with the
+ * grants of the user who created the signal. Every payload is logged in signal_events.
+ *
+ * Accepted payloads:
+ *   JSON        {"action": "BUY", "symbol": "NIFTY", "quantity": 1, "intent_id": "..."}
+ *   key=value   action=SELL_CE symbol=NSE:NIFTY qty=2
+ *   positional  BUY RELIANCE 5
+ */
+
+import crypto from 'crypto';
+import db from '../core/database.js';
+import { log } from '../core/logger.js';
+import { ValidationError, NotFoundError, ForbiddenError } from '../core/errors.js';
+import quickOrderService from './quick-order.service.js';
+import orderIntentService from './order-intent.service.js';
+import userService from './user.service.js';
+
+const TOKEN_PREFIX = 'sig_';
+const MAX_PAYLOAD_LENGTH = 4000;
+const SIGNAL_COLUMNS = `id, name, token_prefix, watchlist_id, symbol_id, instance_id, allowed_actions,
+  trade_mode, quantity, max_quantity, dry_run, is_enabled, created_by, last_received_at, created_at, updated_at`;
+
+export const DIRECT_ACTIONS = ['BUY', 'SELL', 'SHORT', 'COVER', 'EXIT'];
+export const OPTIONS_ACTIONS = [
+  'BUY_CE', 'SELL_CE', 'BUY_PE', 'SELL_PE', 'EXIT_ALL',
+  'REDUCE_CE', 'REDUCE_PE', 'INCREASE_CE', 'INCREASE_PE', 'CLOSE_ALL_CE', 'CLOSE_ALL_PE',
+];
+export const SIGNAL_ACTIONS = [...DIRECT_ACTIONS, ...OPTIONS_ACTIONS];
+
+class SignalService {
+  /**
+   * List signals (admins see every signal, others their own)
+   * @param {Object} user - Authenticated user
+   * @returns {Promise<Array>}
+   */
+  async listSignals(user) {
+    const isAdmin = userService.hasRole(user, 'admin');
+    const rows = await db.all(
+      `SELECT ${SIGNAL_COLUMNS} FROM signals
+       ${isAdmin ? '' : 'WHERE created_by = ?'}
+       ORDER BY created_at DESC, id DESC`,
+      isAdmin ? [] : [user.id]
+    );
+    return rows.map(row => this._format(row));
+  }
+
+  /**
+   * Get a signal the user can see
+   * @param {number} id - Signal ID
+   * @param {Object} user - Authenticated user
+   * @returns {Promise<Object>}
+   */
+  async getSignal(id, user) {
+    const row = await db.get(`SELECT ${SIGNAL_COLUMNS} FROM signals WHERE id = ?`, [id]);
+    if (!row || (!userService.hasRole(user, 'admin') && row.created_by !== user.id)) {
+      throw new NotFoundError('Signal');
+    }
+    return this._format(row);
+  }
+
+  /**
+   * Create a signal
+   * @param {Object} data - { name, watchlistId, symbolId?, instanceId?, allowedActions,
+   *                          tradeMode?, quantity?, maxQuantity?, dryRun? }
+   * @param {Object} user - Creator (orders run with this user's grants)
+   * @returns {Promise<Object>} - Signal plus `token` and `webhook_path` (shown once)
+   */
+  async createSignal(data, user) {
+    const fields = await this._validate(data, null, user);
+    const token = this._generateToken();
+
+    const result = await db.run(
+      `INSERT INTO signals (
+        name, token_hash, token_prefix, watchlist_id, symbol_id, instance_id, allowed_actions,
+        trade_mode, quantity, max_quantity, dry_run, is_enabled, created_by
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        fields.name,
+        this._hash(token),
+        token.slice(0, TOKEN_PREFIX.length + 6),
+        fields.watchlist_id,
+        fields.symbol_id,
+        fields.instance_id,
+        JSON.stringify(fields.allowed_actions),
+        fields.trade_mode,
+        fields.quantity,
+        fields.max_quantity,
+        fields.dry_run ? 1 : 0,
+        fields.is_enabled ? 1 : 0,
+        user.id,
+      ]
+    );
+
+    log.info('Signal created', { id: result.lastID, name: fields.name, by: user.email });
+
+    const signal = await this.getSignal(result.lastID, user);
+    return { ...signal, token, webhook_path: `/api/v1/signals/${token}` };
+  }
+
+  /**
+   * Update a signal's mapping (fields that are omitted are left unchanged)
+   * @param {number} id - Signal ID
+   * @param {Object} data - Same fields as createSignal, plus isEnabled
+   * @param {Object} user - Authenticated user
+   * @returns {Promise<Object>}
+   */
+  async updateSignal(id, data, user) {
+    const existing = await this.getSignal(id, user);
+    const fields = await this._validate(data, existing, user);
+
+    await db.run(
+      `UPDATE signals SET
+        name = ?, watchlist_id = ?, symbol_id = ?, instance_id = ?, allowed_actions = ?,
+        trade_mode = ?, quantity = ?, max_quantity = ?, dry_run = ?, is_enabled = ?,
+        updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [
+        fields.name,
+        fields.watchlist_id,
+        fields.symbol_id,
+        fields.instance_id,
+        JSON.stringify(fields.allowed_actions),
+        fields.trade_mode,
+        fields.quantity,
+        fields.max_quantity,
+        fields.dry_run ? 1 : 0,
+        fields.is_enabled ? 1 : 0,
+        id,
+      ]
+    );
+
+    log.info('Signal updated', { id, by: user.email });
+    return this.getSignal(id, user);
+  }
+
+  /**
+   * Replace a signal's URL token (the old URL stops working)
+   * @param {number} id - Signal ID
+   * @param {Object} user - Authenticated user
+   * @returns {Promise<Object>} - Signal plus the new `token` and `webhook_path`
+   */
+  async rotateToken(id, user) {
+    await this.getSignal(id, user);
+    const token = this._generateToken();
+
+    await db.run(
+      `UPDATE signals SET token_hash = ?, token_prefix = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [this._hash(token), token.slice(0, TOKEN_PREFIX.length + 6), id]
+    );
+
+    log.info('Signal token rotated', { id, by: user.email });
+
+    const signal = await this.getSignal(id, user);
+    return { ...signal, token, webhook_path: `/api/v1/signals/${token}` };
+  }
+
+  /**
+   * Delete a signal and its event log
+   * @param {number} id - Signal ID
+   * @param {Object} user - Authenticated user
+   * @returns {Promise<Object>} - Deleted signal
+   */
+  async deleteSignal(id, user) {
+    const signal = await this.getSignal(id, user);
+    await db.run('DELETE FROM signals WHERE id = ?', [id]);
+    log.info('Signal deleted', { id, by: user.email });
+    return signal;
+  }
+
+  /**
+   * Received payloads and their outcome, newest first
+   * @param {number} id - Signal ID
+   * @param {Object} user - Authenticated user
+   * @param {Object} options - { limit }
+   * @returns {Promise<Array>}
+   */
+  async listEvents(id, user, { limit = 100 } = {}) {
+    await this.getSignal(id, user);
+
+    const parsedLimit = Math.min(Math.max(parseInt(limit, 10) || 100, 1), 500);
+    const rows = await db.all(
+      `SELECT * FROM signal_events WHERE signal_id = ?
+       ORDER BY received_at DESC, id DESC LIMIT ?`,
+      [id, parsedLimit]
+    );
+
+    return rows.map(row => ({ ...row, result: row.result ? JSON.parse(row.result) : null }));
+  }
+
+  /**
+   * Handle a webhook call
+   * @param {string} token - URL token
+   * @param {Object|string} body - Parsed JSON/form body or raw text
+   * @param {Object} context - { sourceIp }
+   * @returns {Promise<Object>} - { event_id, status, message, replayed, order }
+   */
+  async handleWebhook(token, body, { sourceIp = null } = {}) {
+    const signal = await this._findByToken(token);
+
+    await db.run('UPDATE signals SET last_received_at = CURRENT_TIMESTAMP WHERE id = ?', [signal.id]);
+
+    const event = {
+      signal_id: signal.id,
+      source_ip: sourceIp,
+      payload: this._serializePayload(body),
+    };
+
+    try {
+      if (!signal.is_enabled) {
+        throw new ForbiddenError(`Signal ${signal.name} is disabled`);
+      }
+
+      const payload = this.parsePayload(body);
+      Object.assign(event, { action: payload.action, symbol: payload.symbol, intent_id: payload.intentId });
+
+      const order = await this._buildOrder(signal, payload);
+      Object.assign(event, {
+        symbol: order.symbol.symbol,
+        symbol_id: order.symbol.id,
+        trade_mode: order.params.tradeMode,
+        quantity: order.params.quantity,
+      });
+
+      const creator = await db.get('SELECT * FROM users WHERE id = ?', [signal.created_by]);
+      const allowedInstanceIds = await userService.getAccessibleInstanceIds(creator);
+      const dryRun = order.params.dryRun;
+
+      // Dry runs place nothing, so they skip the intent check
+      const { result, replayed } = await orderIntentService.execute(
+        signal.created_by,
+        dryRun ? undefined : payload.intentId,
+        'signal',
+        { signal_id: signal.id, ...order.params },
+        () => quickOrderService.placeQuickOrder({ ...order.params, allowedInstanceIds })
+      );
+
+      const { status, message } = this._describeOutcome(result, { dryRun, replayed });
+      const eventId = await this._logEvent({ ...event, status, message, result });
+
+      log.info('Signal processed', {
+        signal: signal.id,
+        action: order.params.action,
+        symbol: order.symbol.symbol,
+        status,
+      });
+
+      return { event_id: eventId, status, message, replayed, order: result };
+    } catch (error) {
+      const status = error.statusCode && error.statusCode < 500 ? 'rejected' : 'failed';
+      await this._logEvent({ ...event, status, message: error.message });
+
+      log.warn('Signal not placed', { signal: signal.id, status, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Normalize a webhook body into { action, symbol, exchange, quantity, intentId, dryRun }
+   * @param {Object|string} body - Parsed JSON/form body or raw text
+   * @returns {Object}
+   */
+  parsePayload(body) {
+    let fields = body;
+
+    if (typeof body === 'string' || Buffer.isBuffer(body)) {
+      const text = String(body).trim();
+
+      if (text.startsWith('{')) {
+        try {
+          fields = JSON.parse(text);
+        } catch {
+          throw new ValidationError('Signal payload is not valid JSON');
+        }
+      } else if (text.includes('=')) {
+        fields = Object.fromEntries(
+          text.split(/[\s,;&]+/)
+            .filter(pair => pair.includes('='))
+            .map(pair => {
+              const [key, ...rest] = pair.split('=');
+              return [key, rest.join('=')];
+            })
+        );
+      } else {
+        const [action, symbol, quantity] = text.split(/[\s,]+/).filter(Boolean);
+        fields = { action, symbol, quantity };
+      }
+    }
+
+    if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+      throw new ValidationError('Signal payload must be an object or text');
+    }
+
+    const get = (...keys) => {
+      for (const key of keys) {
+        const match = Object.keys(fields).find(field => field.toLowerCase() === key);
+        if (match && fields[match] !== undefined && fields[match] !== null && fields[match] !== '') {
+          return String(fields[match]).trim();
+        }
+      }
+      return undefined;
+    };
+
+    const rawAction = get('action', 'signal', 'side');
+    if (!rawAction) {
+      throw new ValidationError('Signal payload has no action');
+    }
+
+    let symbol = get('symbol', 'ticker', 'tradingsymbol');
+    let exchange = get('exchange');
+    if (symbol && symbol.includes(':')) {
+      // TradingView {{ticker}} may arrive as EXCHANGE:SYMBOL
+      const [prefix, rest] = symbol.split(':');
+      exchange = exchange || prefix;
+      symbol = rest;
+    }
+
+    const quantity = get('quantity', 'qty', 'lots');
+    const dryRun = get('dry_run', 'dryrun');
+
+    return {
+      action: rawAction.toUpperCase().replace(/[\s-]+/g, '_'),
+      symbol: symbol ? symbol.toUpperCase() : undefined,
+      exchange: exchange ? exchange.toUpperCase() : undefined,
+      quantity: quantity === undefined ? undefined : Number(quantity),
+      intentId: get('intent_id', 'intentid'),
+      dryRun: dryRun === 'true' || dryRun === '1',
+    };
+  }
+
+  /**
+   * Validate a payload against the signal mapping and build placeQuickOrder params
+   * @private
+   */
+  async _buildOrder(signal, payload) {
+    const allowedActions = JSON.parse(signal.allowed_actions);
+    if (!SIGNAL_ACTIONS.includes(payload.action)) {
+      throw new ValidationError(`Unknown action ${payload.action}`);
+    }
+    if (!allowedActions.includes(payload.action)) {
+      throw new ValidationError(
+        `Action ${payload.action} is not allowed for this signal (allowed: ${allowedActions.join(', ')})`
+      );
+    }
+
+    const symbol = await this._resolveSymbol(signal, payload);
+
+    let quantity = signal.quantity || symbol.qty_value || 1;
+    if (payload.quantity !== undefined) {
+      if (!Number.isInteger(payload.quantity) || payload.quantity <= 0) {
+        throw new ValidationError('quantity must be a positive integer');
+      }
+      quantity = payload.quantity;
+    }
+    if (signal.max_quantity && quantity > signal.max_quantity) {
+      throw new ValidationError(`quantity ${quantity} exceeds this signal's maximum of ${signal.max_quantity}`);
+    }
+
+    const tradeMode = this._resolveTradeMode(signal, symbol, payload.action);
+
+    return {
+      symbol,
+      params: {
+        symbolId: symbol.id,
+        instanceId: signal.instance_id || undefined,
+        action: payload.action,
+        tradeMode,
+        quantity,
+        product: symbol.product_type || 'MIS',
+        optionsLeg: tradeMode === 'OPTIONS' ? symbol.options_strike_selection || 'ATM' : null,
+        operatingMode: symbol.operating_mode || 'BUYER',
+        strikePolicy: symbol.strike_policy || 'FLOAT_OFS',
+        stepLots: symbol.step_lots || 1,
+        dryRun: !!signal.dry_run || payload.dryRun,
+      },
+    };
+  }
+
+  /**
+   * Find the watchlist symbol a payload refers to
+   * @private
+   */
+  async _resolveSymbol(signal, payload) {
+    let symbol;
+
+    if (signal.symbol_id) {
+      symbol = await db.get('SELECT * FROM watchlist_symbols WHERE id = ?', [signal.symbol_id]);
+      if (payload.symbol && symbol && symbol.symbol.toUpperCase() !== payload.symbol) {
+        throw new ValidationError(`This signal is mapped to ${symbol.symbol}, not ${payload.symbol}`);
+      }
+    } else {
+      if (!payload.symbol) {
+        throw new ValidationError('Signal payload has no symbol');
+      }
+
+      const params = [signal.watchlist_id, payload.symbol];
+      let exchangeClause = '';
+      if (payload.exchange) {
+        exchangeClause = 'AND upper(exchange) = ?';
+        params.push(payload.exchange);
+      }
+
+      const matches = await db.all(
+        `SELECT * FROM watchlist_symbols
+         WHERE watchlist_id = ? AND upper(symbol) = ? ${exchangeClause}`,
+        params
+      );
+
+      if (matches.length > 1) {
+        throw new ValidationError(
+          `${payload.symbol} is listed on several exchanges in this watchlist; include the exchange`
+        );
+      }
+      symbol = matches[0];
+    }
+
+    if (!symbol) {
+      throw new ValidationError(`Symbol ${payload.symbol || signal.symbol_id} is not in the signal's watchlist`);
+    }
+    if (!symbol.is_enabled) {
+      throw new ValidationError(`Symbol ${symbol.symbol} is disabled in the watchlist`);
+    }
+
+    return symbol;
+  }
+
+  /**
+   * Trade mode for an action: options actions trade options; direct actions use the
+   * signal's override, else futures for futures-only symbols, else equity
+   * @private
+   */
+  _resolveTradeMode(signal, symbol, action) {
+    if (OPTIONS_ACTIONS.includes(action)) {
+      return 'OPTIONS';
+    }
+    if (signal.trade_mode) {
+      return signal.trade_mode;
+    }
+    if (symbol.symbol_type === 'FUTURES' || (symbol.tradable_futures && !symbol.tradable_equity)) {
+      return 'FUTURES';
+    }
+    return 'EQUITY';
+  }
+
+  /**
+   * @private
+   */
+  _describeOutcome(result, { dryRun, replayed }) {
+    const total = result.results.length;
+    const successful = result.results.filter(r => r.success).length;
+
+    if (replayed) {
+      return { status: 'duplicate', message: 'Duplicate intent_id - stored result returned, nothing re-sent' };
+    }
+    if (dryRun) {
+      return { status: 'dry_run', message: `Dry run: ${successful}/${total} instance(s) resolved` };
+    }
+
+    const status = successful === total ? 'placed' : successful > 0 ? 'partial' : 'failed';
+    return { status, message: `${successful}/${total} instance(s) placed` };
+  }
+
+  /**
+   * @private
+   */
+  async _logEvent(event) {
+    try {
+      const result = await db.run(
+        `INSERT INTO signal_events (
+          signal_id, source_ip, payload, action, symbol, symbol_id, trade_mode, quantity,
+          intent_id, status, message, result
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          event.signal_id,
+          event.source_ip,
+          event.payload,
+          event.action || null,
+          event.symbol || null,
+          event.symbol_id || null,
+          event.trade_mode || null,
+          event.quantity || null,
+          event.intent_id || null,
+          event.status,
+          event.message || null,
+          event.result ? JSON.stringify(event.result) : null,
+        ]
+      );
+      return result.lastID;
+    } catch (error) {
+      log.error('Failed to log signal event', error, { signal: event.signal_id });
+      return null;
+    }
+  }
+
+  /**
+   * Validate create/update input, merged over the existing signal
+   * @private
+   */
+  async _validate(data = {}, existing, user) {
+    const pick = (key, column) => (data[key] !== undefined ? data[key] : existing?.[column]);
+
+    const name = String(pick('name', 'name') || '').trim();
+    if (!name || name.length > 100) {
+      throw new ValidationError('name is required (max 100 characters)');
+    }
+
+    const watchlistId = this._optionalId(pick('watchlistId', 'watchlist_id'), 'watchlistId');
+    if (!watchlistId) {
+      throw new ValidationError('watchlistId is required');
+    }
+    const watchlist = await db.get('SELECT id FROM watchlists WHERE id = ?', [watchlistId]);
+    if (!watchlist) {
+      throw new ValidationError(`Watchlist ${watchlistId} not found`);
+    }
+
+    const symbolId = this._optionalId(pick('symbolId', 'symbol_id'), 'symbolId');
+    if (symbolId) {
+      const symbol = await db.get(
+        'SELECT id FROM watchlist_symbols WHERE id = ? AND watchlist_id = ?',
+        [symbolId, watchlistId]
+      );
+      if (!symbol) {
+        throw new ValidationError(`Symbol ${symbolId} is not in watchlist ${watchlistId}`);
+      }
+    }
+
+    const instanceId = this._optionalId(pick('instanceId', 'instance_id'), 'instanceId');
+    if (instanceId) {
+      const assigned = await db.get(
+        'SELECT 1 FROM watchlist_instances WHERE watchlist_id = ? AND instance_id = ?',
+        [watchlistId, instanceId]
+      );
+      if (!assigned) {
+        throw new ValidationError(`Instance ${instanceId} is not assigned to watchlist ${watchlistId}`);
+      }
+      await userService.assertInstanceAccess(user, [instanceId]);
+    }
+
+    const allowedActions = pick('allowedActions', 'allowed_actions');
+    if (!Array.isArray(allowedActions) || allowedActions.length === 0) {
+      throw new ValidationError(`allowedActions must be a non-empty array of: ${SIGNAL_ACTIONS.join(', ')}`);
+    }
+    const actions = [...new Set(allowedActions.map(action => String(action).toUpperCase()))];
+    const unknown = actions.filter(action => !SIGNAL_ACTIONS.includes(action));
+    if (unknown.length > 0) {
+      throw new ValidationError(`Unknown action(s): ${unknown.join(', ')}`);
+    }
+
+    const tradeMode = pick('tradeMode', 'trade_mode') || null;
+    if (tradeMode && !['EQUITY', 'FUTURES'].includes(tradeMode)) {
+      throw new ValidationError('tradeMode must be EQUITY or FUTURES (options actions always trade options)');
+    }
+
+    const quantity = this._optionalId(pick('quantity', 'quantity'), 'quantity');
+    const maxQuantity = this._optionalId(pick('maxQuantity', 'max_quantity'), 'maxQuantity');
+    if (quantity && maxQuantity && quantity > maxQuantity) {
+      throw new ValidationError('quantity cannot exceed maxQuantity');
+    }
+
+    return {
+      name,
+      watchlist_id: watchlistId,
+      symbol_id: symbolId,
+      instance_id: instanceId,
+      allowed_actions: actions,
+      trade_mode: tradeMode,
+      quantity,
+      max_quantity: maxQuantity,
+      dry_run: !!pick('dryRun', 'dry_run'),
+      is_enabled: data.isEnabled !== undefined ? !!data.isEnabled : existing ? existing.is_enabled : true,
+    };
+  }
+
+  /**
+   * Parse an optional positive integer (null when empty)
+   * @private
+   */
+  _optionalId(value, field) {
+    if (value === undefined || value === null || value === '') {
+      return null;
+    }
+    const parsed = Number(value);
+    if (!Number.isInteger(parsed) || parsed <= 0) {
+      throw new ValidationError(`${field} must be a positive integer`);
+    }
+    return parsed;
+  }
+
+  /**
+   * @private
+   */
+  async _findByToken(token) {
+    const value = String(token || '');
+    const row = value.startsWith(TOKEN_PREFIX)
+      ? await db.get('SELECT * FROM signals WHERE token_hash = ?', [this._hash(value)])
+      : null;
+
+    if (!row) {
+      throw new NotFoundError('Signal');
+    }
+    return row;
+  }
+
+  /**
+   * @private
+   */
+  _serializePayload(body) {
+    const text = typeof body === 'string' || Buffer.isBuffer(body) ? String(body) : JSON.stringify(body ?? null);
+    return text.length > MAX_PAYLOAD_LENGTH ? `${text.slice(0, MAX_PAYLOAD_LENGTH)}…` : text;
+  }
+
+  /**
+   * @private
+   */
+  _generateToken() {
+    return `${TOKEN_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+  }
+
+  /**
+   * @private
+   */
+  _hash(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  /**
+   * @private
+   */
+  _format(row) {
+    return {
+      ...row,
+      allowed_actions: JSON.parse(row.allowed_actions),
+      dry_run: !!row.dry_run,
+      is_enabled: !!row.is_enabled,
+    };
+  }
+}
+
+// Export singleton instance
+export default new SignalService();
+export { SignalService };
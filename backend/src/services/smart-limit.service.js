@@ -0,0 +1,331 @@
+/**
+ * Smart Limit Service
+ * Prices "SMART_LIMIT" quick orders off live market depth instead of sending
+ * MARKET orders into wide spreads (options especially), then walks unfilled
+ * orders toward the far side of the book a bounded number of times.
+ *
+ * Pricing modes (BUY shown, SELL mirrors):
+ * - BID:   best bid
+ * - ASK:   best ask
+ * - MID:   mid of best bid/ask, rounded down to the tick
+ * - TICKS: N ticks through the spread from the passive side (best bid + N ticks)
+ * Every reprice moves one more tick toward the far side, never past the far touch.
+ */
+
+import { log } from '../core/logger.js';
+import config from '../core/config.js';
+import { ValidationError, OpenAlgoError } from '../core/errors.js';
+import { parseFloatSafe, parseIntSafe } from '../utils/sanitizers.js';
+import openalgoClient from '../integrations/openalgo/client.js';
+import marketDataFeedService from './market-data-feed.service.js';
+import instrumentsService from './instruments.service.js';
+
+export const SMART_LIMIT_PRICING = ['BID', 'ASK', 'MID', 'TICKS'];
+
+const DEFAULT_TICK_SIZE = 0.05;
+const MAX_REPRICES = 10;
+const MIN_REPRICE_INTERVAL_MS = 1000;
+const PENDING_ORDER_STATUSES = ['open', 'pending', 'trigger pending'];
+
+class SmartLimitService {
+  constructor() {
+    this.activeReprices = new Map(); // key: instanceId:orderid -> reprice state
+  }
+
+  /**
+   * Resolve smart-limit options from request params, falling back to orders.smart_limit.* settings
+   * @param {Object} params - { limitPricing, limitTicks, maxReprices, repriceIntervalMs }
+   * @returns {Object} - { pricing, ticks, maxReprices, repriceIntervalMs }
+   * @throws {ValidationError} On an unknown pricing mode or out-of-range numbers
+   */
+  resolveOptions(params = {}) {
+    const defaults = config.orders.smartLimit;
+    const pricing = String(params.limitPricing || defaults.pricing || 'MID').toUpperCase();
+    const ticks = parseIntSafe(params.limitTicks, defaults.ticks);
+    const maxReprices = parseIntSafe(params.maxReprices, defaults.maxReprices);
+    const repriceIntervalMs = parseIntSafe(params.repriceIntervalMs, defaults.repriceIntervalMs);
+
+    if (!SMART_LIMIT_PRICING.includes(pricing)) {
+      throw new ValidationError(`limitPricing must be one of: ${SMART_LIMIT_PRICING.join(', ')}`);
+    }
+    if (!Number.isInteger(ticks) || ticks < 0) {
+      throw new ValidationError('limitTicks must be 0 or more');
+    }
+    if (!Number.isInteger(maxReprices) || maxReprices < 0 || maxReprices > MAX_REPRICES) {
+      throw new ValidationError(`maxReprices must be between 0 and ${MAX_REPRICES}`);
+    }
+    if (!Number.isInteger(repriceIntervalMs) || repriceIntervalMs < MIN_REPRICE_INTERVAL_MS) {
+      throw new ValidationError(`repriceIntervalMs must be at least ${MIN_REPRICE_INTERVAL_MS}`);
+    }
+
+    return { pricing, ticks, maxReprices, repriceIntervalMs };
+  }
+
+  /**
+   * Tick size of a symbol from the instruments cache
+   * @param {string} symbol - Trading symbol
+   * @param {string} exchange - Exchange code
+   * @returns {Promise<number>} - Tick size (0.05 when unknown)
+   */
+  async getTickSize(symbol, exchange) {
+    const instrument = await instrumentsService.getInstrument(symbol, exchange);
+    const tickSize = parseFloatSafe(instrument?.tick_size, null);
+    return tickSize && tickSize > 0 ? tickSize : DEFAULT_TICK_SIZE;
+  }
+
+  /**
+   * Limit price for an order from a depth snapshot
+   * @param {Object} params - Pricing inputs
+   * @param {string} params.action - BUY or SELL
+   * @param {Object} params.depth - { best_bid, best_ask, ltp } (see marketDataFeedService.getDepthSnapshot)
+   * @param {number} params.tickSize - Instrument tick size
+   * @param {string} params.pricing - BID, ASK, MID or TICKS
+   * @param {number} params.ticks - Ticks through the spread (TICKS mode)
+   * @param {number} params.step - Reprice step (0 = first placement), one extra tick each
+   * @returns {number} - Limit price on the tick grid
+   * @throws {ValidationError} When the depth has neither bid, ask nor LTP
+   */
+  computeLimitPrice({ action, depth, tickSize, pricing, ticks = 0, step = 0 }) {
+    const isBuy = String(action).toUpperCase() === 'BUY';
+    const ltp = depth?.ltp || null;
+    const bid = depth?.best_bid || depth?.best_ask || ltp;
+    const ask = depth?.best_ask || depth?.best_bid || ltp;
+
+    if (!bid || !ask) {
+      throw new ValidationError(`No bid, ask or LTP in market depth for ${depth?.symbol || 'symbol'}`);
+    }
+
+    const passive = isBuy ? bid : ask;
+    const farTouch = isBuy ? ask : bid;
+    const direction = isBuy ? 1 : -1;
+
+    let price;
+    switch (pricing) {
+      case 'BID':
+        price = bid;
+        break;
+      case 'ASK':
+        price = ask;
+        break;
+      case 'MID':
+        price = (bid + ask) / 2;
+        break;
+      case 'TICKS':
+      default:
+        price = passive + direction * ticks * tickSize;
+        break;
+    }
+
+    price += direction * step * tickSize;
+    price = isBuy ? Math.min(price, farTouch) : Math.max(price, farTouch);
+
+    // Round away from the far side so rounding never pays more than asked for
+    return this.roundToTick(price, tickSize, isBuy ? 'down' : 'up');
+  }
+
+  /**
+   * Turn a SMART_LIMIT payload into a LIMIT payload priced off fresh depth
+   * @param {Object} payload - Order payload with pricetype SMART_LIMIT
+   * @param {Object} options - Resolved options (see resolveOptions)
+   * @param {number} step - Reprice step (0 for the first placement)
+   * @returns {Promise<Object>} - { payload, quote: { pricing, price, tick_size, best_bid, best_ask, ltp, step } }
+   */
+  async priceOrder(payload, options, step = 0) {
+    const [depth, tickSize] = await Promise.all([
+      marketDataFeedService.getDepthSnapshot(payload.exchange, payload.symbol, { force: step > 0 }),
+      this.getTickSize(payload.symbol, payload.exchange),
+    ]);
+
+    const price = this.computeLimitPrice({
+      action: payload.action,
+      depth,
+      tickSize,
+      pricing: options.pricing,
+      ticks: options.ticks,
+      step,
+    });
+
+    return {
+      payload: { ...payload, pricetype: 'LIMIT', price: String(price) },
+      quote: {
+        pricing: options.pricing,
+        ticks: options.ticks,
+        price,
+        tick_size: tickSize,
+        best_bid: depth.best_bid,
+        best_ask: depth.best_ask,
+        ltp: depth.ltp,
+        step,
+      },
+    };
+  }
+
+  /**
+   * Reprice placed orders in the background until they fill or the reprices run out
+   * @param {Object} instance - Instance the orders were placed on
+   * @param {Object} payload - Priced LIMIT payload (see priceOrder)
+   * @param {Array<Object>} orders - [{ orderid, quantity }] (one per split slice)
+   * @param {Object} options - Resolved options (see resolveOptions)
+   */
+  scheduleReprices(instance, payload, orders, options) {
+    if (!options.maxReprices) return;
+
+    for (const order of orders.filter(o => o.orderid)) {
+      const key = `${instance.id}:${order.orderid}`;
+      this.cancelReprices(instance.id, order.orderid);
+
+      const state = {
+        key,
+        instance,
+        orderid: String(order.orderid),
+        payload: { ...payload, quantity: String(order.quantity || payload.quantity) },
+        price: parseFloatSafe(payload.price, 0),
+        options,
+        step: 0,
+        timer: null,
+      };
+      this.activeReprices.set(key, state);
+      this._scheduleNext(state);
+    }
+  }
+
+  /**
+   * Stop repricing an order
+   * @param {number} instanceId - Instance ID
+   * @param {string} orderid - Broker order ID
+   */
+  cancelReprices(instanceId, orderid) {
+    const key = `${instanceId}:${orderid}`;
+    const state = this.activeReprices.get(key);
+    if (state) {
+      clearTimeout(state.timer);
+      this.activeReprices.delete(key);
+    }
+  }
+
+  /**
+   * Stop all pending reprices (shutdown)
+   */
+  stop() {
+    for (const state of this.activeReprices.values()) {
+      clearTimeout(state.timer);
+    }
+    this.activeReprices.clear();
+  }
+
+  /**
+   * @private
+   */
+  _scheduleNext(state) {
+    state.timer = setTimeout(() => {
+      this._repriceStep(state).catch(error => {
+        log.error('Smart limit reprice failed', error, {
+          instance_id: state.instance.id,
+          order_id: state.orderid,
+          step: state.step,
+        });
+        this.activeReprices.delete(state.key);
+      });
+    }, state.options.repriceIntervalMs);
+    state.timer.unref?.();
+  }
+
+  /**
+   * One reprice: stop if the order is no longer open, otherwise modify it to a one-tick-more aggressive price
+   * @private
+   */
+  async _repriceStep(state) {
+    if (this.activeReprices.get(state.key) !== state) return;
+
+    const { instance, orderid, payload, options } = state;
+    const status = await this._getOrderStatus(instance, orderid);
+
+    if (!PENDING_ORDER_STATUSES.includes(status)) {
+      log.info('Smart limit order no longer open - repricing stopped', {
+        instance_id: instance.id,
+        order_id: orderid,
+        status: status || 'not found',
+        reprices: state.step,
+      });
+      this.activeReprices.delete(state.key);
+      return;
+    }
+
+    state.step += 1;
+    const { quote } = await this.priceOrder(payload, options, state.step);
+
+    if (quote.price !== state.price) {
+      const response = await openalgoClient.modifyOrder(instance, {
+        strategy: payload.strategy,
+        exchange: payload.exchange,
+        symbol: payload.symbol,
+        orderid,
+        action: payload.action,
+        product: payload.product,
+        pricetype: 'LIMIT',
+        price: String(quote.price),
+        quantity: String(payload.quantity),
+        disclosed_quantity: '0',
+        trigger_price: '0',
+      });
+      if (response.status && response.status !== 'success') {
+        throw new OpenAlgoError(`modifyorder returned ${response.status}`, 'modifyorder');
+      }
+    }
+
+    log.info('Smart limit order repriced', {
+      instance_id: instance.id,
+      order_id: orderid,
+      symbol: payload.symbol,
+      step: state.step,
+      from: state.price,
+      to: quote.price,
+      best_bid: quote.best_bid,
+      best_ask: quote.best_ask,
+    });
+    state.price = quote.price;
+
+    if (state.step >= options.maxReprices) {
+      log.info('Smart limit reprices exhausted - order left working', {
+        instance_id: instance.id,
+        order_id: orderid,
+        price: state.price,
+      });
+      this.activeReprices.delete(state.key);
+      return;
+    }
+
+    this._scheduleNext(state);
+  }
+
+  /**
+   * Lower-case order status from a fresh order book ('' when the order is not listed)
+   * @private
+   */
+  async _getOrderStatus(instance, orderid) {
+    const snapshot = await marketDataFeedService.getOrderbookSnapshot(instance.id, { force: true });
+    const data = snapshot?.data || {};
+    const orders = Array.isArray(data) ? data : data.orders || data.data || [];
+    const order = orders.find(o => String(o.orderid || o.order_id) === String(orderid));
+    return String(order?.order_status || order?.status || '').toLowerCase();
+  }
+
+  /**
+   * Round a price onto the tick grid
+   * @param {number} price - Price
+   * @param {number} tickSize - Tick size
+   * @param {string} direction - 'down' or 'up'
+   * @returns {number} - Rounded price
+   */
+  roundToTick(price, tickSize, direction) {
+    const ticks = price / tickSize;
+    // Tolerate float noise (24.999999 ticks is 25 ticks)
+    const whole = direction === 'down' ? Math.floor(ticks + 1e-9) : Math.ceil(ticks - 1e-9);
+    const decimals = (String(tickSize).split('.')[1] || '').length;
+    return Number((whole * tickSize).toFixed(decimals));
+  }
+}
+
+// Export singleton instance
+export default new SmartLimitService();
+export { SmartLimitService };
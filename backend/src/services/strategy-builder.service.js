@@ -0,0 +1,755 @@
+/**
+ * Strategy Builder Service
+ * Places multi-leg options strategies (straddles, strangles, spreads, iron condors)
+ * as one strategy group across a watchlist's instances.
+ *
+ * Legs are resolved once on the market data instance, then placed per instance with
+ * hedge (BUY) legs first so short legs never go out naked. A leg that does not fill
+ * stops the instance; the legs already placed are either rolled back or flagged.
+ */
+
+import { log } from '../core/logger.js';
+import db from '../core/database.js';
+import openalgoClient from '../integrations/openalgo/client.js';
+import optionsResolutionService from './options-resolution.service.js';
+import derivativeResolutionService from './derivative-resolution.service.js';
+import orderPlacementService from './order-placement.service.js';
+import orderPayloadFactory from './order-payload.factory.js';
+import quickOrderService from './quick-order.service.js';
+import realtimeService from './realtime.service.js';
+import { ValidationError, NotFoundError } from '../core/errors.js';
+import { parseIntSafe } from '../utils/sanitizers.js';
+
+const FILL_CHECK_ATTEMPTS = 3;
+const FILL_CHECK_INTERVAL_MS = 1000;
+const ON_PARTIAL_MODES = ['rollback', 'flag'];
+
+/**
+ * Leg templates. Offsets are relative to the option type (OTM2 CE is above spot,
+ * OTM2 PE below), so symmetric strategies use the same offset on both sides.
+ */
+const STRATEGY_TEMPLATES = {
+  SHORT_STRADDLE: {
+    label: 'Short Straddle',
+    defaults: { offset: 'ATM' },
+    legs: ({ offset }) => [
+      { action: 'SELL', optionType: 'CE', strikeOffset: offset },
+      { action: 'SELL', optionType: 'PE', strikeOffset: offset },
+    ],
+  },
+  LONG_STRADDLE: {
+    label: 'Long Straddle',
+    defaults: { offset: 'ATM' },
+    legs: ({ offset }) => [
+      { action: 'BUY', optionType: 'CE', strikeOffset: offset },
+      { action: 'BUY', optionType: 'PE', strikeOffset: offset },
+    ],
+  },
+  SHORT_STRANGLE: {
+    label: 'Short Strangle',
+    defaults: { offset: 'OTM2' },
+    legs: ({ offset }) => [
+      { action: 'SELL', optionType: 'CE', strikeOffset: offset },
+      { action: 'SELL', optionType: 'PE', strikeOffset: offset },
+    ],
+  },
+  LONG_STRANGLE: {
+    label: 'Long Strangle',
+    defaults: { offset: 'OTM2' },
+    legs: ({ offset }) => [
+      { action: 'BUY', optionType: 'CE', strikeOffset: offset },
+      { action: 'BUY', optionType: 'PE', strikeOffset: offset },
+    ],
+  },
+  IRON_CONDOR: {
+    label: 'Iron Condor',
+    defaults: { offset: 'OTM2', wingOffset: 'OTM4' },
+    legs: ({ offset, wingOffset }) => [
+      { action: 'BUY', optionType: 'CE', strikeOffset: wingOffset },
+      { action: 'BUY', optionType: 'PE', strikeOffset: wingOffset },
+      { action: 'SELL', optionType: 'CE', strikeOffset: offset },
+      { action: 'SELL', optionType: 'PE', strikeOffset: offset },
+    ],
+  },
+  IRON_BUTTERFLY: {
+    label: 'Iron Butterfly',
+    defaults: { offset: 'ATM', wingOffset: 'OTM3' },
+    legs: ({ offset, wingOffset }) => [
+      { action: 'BUY', optionType: 'CE', strikeOffset: wingOffset },
+      { action: 'BUY', optionType: 'PE', strikeOffset: wingOffset },
+      { action: 'SELL', optionType: 'CE', strikeOffset: offset },
+      { action: 'SELL', optionType: 'PE', strikeOffset: offset },
+    ],
+  },
+  BULL_CALL_SPREAD: {
+    label: 'Bull Call Spread',
+    defaults: { offset: 'ATM', wingOffset: 'OTM2' },
+    legs: ({ offset, wingOffset }) => [
+      { action: 'BUY', optionType: 'CE', strikeOffset: offset },
+      { action: 'SELL', optionType: 'CE', strikeOffset: wingOffset },
+    ],
+  },
+  BEAR_PUT_SPREAD: {
+    label: 'Bear Put Spread',
+    defaults: { offset: 'ATM', wingOffset: 'OTM2' },
+    legs: ({ offset, wingOffset }) => [
+      { action: 'BUY', optionType: 'PE', strikeOffset: offset },
+      { action: 'SELL', optionType: 'PE', strikeOffset: wingOffset },
+    ],
+  },
+  BULL_PUT_SPREAD: {
+    label: 'Bull Put Spread',
+    defaults: { offset: 'ATM', wingOffset: 'OTM2' },
+    legs: ({ offset, wingOffset }) => [
+      { action: 'BUY', optionType: 'PE', strikeOffset: wingOffset },
+      { action: 'SELL', optionType: 'PE', strikeOffset: offset },
+    ],
+  },
+  BEAR_CALL_SPREAD: {
+    label: 'Bear Call Spread',
+    defaults: { offset: 'ATM', wingOffset: 'OTM2' },
+    legs: ({ offset, wingOffset }) => [
+      { action: 'BUY', optionType: 'CE', strikeOffset: wingOffset },
+      { action: 'SELL', optionType: 'CE', strikeOffset: offset },
+    ],
+  },
+};
+
+class StrategyBuilderService {
+  /**
+   * List available leg templates with their default offsets
+   * @returns {Array<Object>} Templates
+   */
+  getTemplates() {
+    return Object.entries(STRATEGY_TEMPLATES).map(([key, template]) => ({
+      template: key,
+      label: template.label,
+      defaults: template.defaults,
+      legs: template.legs(template.defaults),
+    }));
+  }
+
+  /**
+   * Place a multi-leg strategy across the watchlist's instances
+   * @param {Object} params - Strategy parameters
+   * @param {number} params.symbolId - Watchlist symbol ID of the underlying
+   * @param {string} params.template - Template key (e.g. IRON_CONDOR) or CUSTOM
+   * @param {Array<Object>} params.legs - Custom legs [{ action, optionType, strikeOffset, lots }] (CUSTOM only)
+   * @param {string} params.offset - Override for the template's short/body offset
+   * @param {string} params.wingOffset - Override for the template's wing offset
+   * @param {string} params.expiry - Expiry (YYYY-MM-DD or DD-MMM-YY), nearest if omitted
+   * @param {number} params.lots - Lots per leg (multiplies custom leg lots)
+   * @param {number|string} params.instanceId - Single instance, or ALL/undefined for every assigned instance
+   * @param {string} params.onPartial - rollback (default) or flag
+   * @param {boolean} params.dryRun - Resolve legs and positions without placing orders
+   * @param {Set<number>|null} params.allowedInstanceIds - Instances the caller may trade on (null = unrestricted)
+   * @returns {Promise<Object>} Group result with per-instance leg outcomes
+   */
+  async placeStrategyOrder(params) {
+    const {
+      symbolId,
+      template = 'CUSTOM',
+      instanceId,
+      onPartial = 'rollback',
+      dryRun = false,
+      allowedInstanceIds = null,
+    } = params;
+    const lots = parseIntSafe(params.lots) || 1;
+
+    if (!ON_PARTIAL_MODES.includes(onPartial)) {
+      throw new ValidationError(`onPartial must be one of: ${ON_PARTIAL_MODES.join(', ')}`);
+    }
+    if (lots <= 0) {
+      throw new ValidationError('lots must be a positive integer');
+    }
+
+    const legSpecs = this._buildLegSpecs(params);
+
+    const symbol = await quickOrderService._getSymbolConfig(symbolId);
+    const supportsOptions = await quickOrderService._ensureOptionsTradability(symbol);
+    if (!supportsOptions) {
+      throw new ValidationError(`Options trading is not available for ${symbol.symbol}`);
+    }
+
+    const instances = await quickOrderService._getTargetInstances(
+      instanceId,
+      symbol.watchlist_id,
+      allowedInstanceIds
+    );
+    const marketDataInstance = await quickOrderService._getMarketDataInstance(instances);
+
+    const resolved = await this._resolveLegs(marketDataInstance, symbol, legSpecs, params.expiry);
+    // Same rule as quick orders: derivatives always go out as NRML
+    const product = 'NRML';
+    const legs = resolved.legs.map(leg => ({
+      ...leg,
+      quantity: leg.lots * lots * leg.lotSize,
+    }));
+
+    log.info('Placing strategy order', {
+      template,
+      underlying: resolved.underlying,
+      expiry: resolved.expiry,
+      legs: legs.map(l => `${l.action} ${l.symbol} x${l.quantity}`),
+      instances: instances.length,
+      onPartial,
+      dryRun,
+    });
+
+    const groupId = dryRun
+      ? null
+      : await this._insertGroup({
+        symbol,
+        template,
+        lots,
+        product,
+        onPartial,
+        resolved,
+      });
+
+    const context = { groupId, symbol, product, onPartial, dryRun };
+    const instanceResults = await Promise.all(
+      instances.map(instance => this._executeForInstance(instance, legs, context))
+    );
+
+    const status = this._summarizeStatus(instanceResults);
+    const failedCount = instanceResults.filter(r => !['complete', 'dry_run'].includes(r.status)).length;
+    let message;
+    if (failedCount > 0) {
+      message = `${failedCount} of ${instanceResults.length} instance(s) did not complete (${status})`;
+    } else if (dryRun) {
+      message = `Dry run: ${legs.length}-leg ${template} resolved for ${instanceResults.length} instance(s)`;
+    } else {
+      message = `${legs.length}-leg ${template} placed on ${instanceResults.length} instance(s)`;
+    }
+
+    if (!dryRun) {
+      await db.run(
+        `UPDATE strategy_groups SET status = ?, message = ?, updated_at = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [status, message, groupId]
+      );
+    }
+
+    const response = {
+      group_id: groupId,
+      template,
+      underlying: resolved.underlying,
+      exchange: resolved.exchange,
+      expiry: resolved.expiry,
+      underlying_ltp: resolved.ltp,
+      on_partial: onPartial,
+      dry_run: dryRun,
+      status: dryRun ? 'dry_run' : status,
+      message,
+      legs: legs.map(({ lotSize, ...leg }) => ({ ...leg, lot_size: lotSize })),
+      instances: instanceResults,
+    };
+
+    if (!dryRun) {
+      realtimeService.publishStrategyResult(response);
+    }
+
+    return response;
+  }
+
+  /**
+   * List strategy groups, newest first
+   * @param {Object} filters - Query filters
+   * @param {string} filters.status - Filter by group status
+   * @param {number} filters.limit - Limit results
+   * @param {number} filters.offset - Offset for pagination
+   * @returns {Promise<Array<Object>>} Strategy groups
+   */
+  async getStrategyGroups(filters = {}) {
+    let query = 'SELECT * FROM strategy_groups WHERE 1=1';
+    const params = [];
+
+    if (filters.status) {
+      query += ' AND status = ?';
+      params.push(filters.status);
+    }
+
+    query += ' ORDER BY created_at DESC, id DESC LIMIT ? OFFSET ?';
+    params.push(filters.limit || 50, filters.offset || 0);
+
+    return db.all(query, params);
+  }
+
+  /**
+   * Get a strategy group with its legs grouped by instance
+   * @param {number} id - Strategy group ID
+   * @returns {Promise<Object>} Group with instances[].legs
+   */
+  async getStrategyGroup(id) {
+    const group = await db.get('SELECT * FROM strategy_groups WHERE id = ?', [id]);
+    if (!group) {
+      throw new NotFoundError(`Strategy group ${id} not found`);
+    }
+
+    const legs = await db.all(
+      `SELECT sl.*, i.name AS instance_name
+       FROM strategy_legs sl
+       LEFT JOIN instances i ON sl.instance_id = i.id
+       WHERE sl.group_id = ?
+       ORDER BY sl.instance_id, sl.leg_index`,
+      [id]
+    );
+
+    const byInstance = new Map();
+    for (const leg of legs) {
+      if (!byInstance.has(leg.instance_id)) {
+        byInstance.set(leg.instance_id, {
+          instance_id: leg.instance_id,
+          instance_name: leg.instance_name,
+          legs: [],
+        });
+      }
+      byInstance.get(leg.instance_id).legs.push(leg);
+    }
+
+    return { ...group, instances: Array.from(byInstance.values()) };
+  }
+
+  /**
+   * Expand template/custom legs into validated leg specs, hedges first
+   * @private
+   */
+  _buildLegSpecs({ template = 'CUSTOM', legs, offset, wingOffset }) {
+    let specs;
+
+    if (template === 'CUSTOM') {
+      if (!Array.isArray(legs) || legs.length === 0) {
+        throw new ValidationError('legs are required for a CUSTOM strategy');
+      }
+      specs = legs;
+    } else {
+      const definition = STRATEGY_TEMPLATES[template];
+      if (!definition) {
+        throw new ValidationError(
+          `template must be CUSTOM or one of: ${Object.keys(STRATEGY_TEMPLATES).join(', ')}`
+        );
+      }
+      specs = definition.legs({
+        ...definition.defaults,
+        ...(offset ? { offset } : {}),
+        ...(wingOffset ? { wingOffset } : {}),
+      });
+    }
+
+    const normalized = specs.map((leg, index) => {
+      const action = String(leg.action || '').toUpperCase();
+      const optionType = String(leg.optionType || '').toUpperCase();
+      const strikeOffset = String(leg.strikeOffset || 'ATM').toUpperCase();
+      const legLots = leg.lots === undefined ? 1 : parseIntSafe(leg.lots);
+
+      if (!['BUY', 'SELL'].includes(action)) {
+        throw new ValidationError(`Leg ${index + 1}: action must be BUY or SELL`);
+      }
+      if (!['CE', 'PE'].includes(optionType)) {
+        throw new ValidationError(`Leg ${index + 1}: optionType must be CE or PE`);
+      }
+      if (optionsResolutionService._parseStrikeOffset(strikeOffset, optionType) === null) {
+        throw new ValidationError(`Leg ${index + 1}: strikeOffset must be ATM or ITM1-ITM10 / OTM1-OTM10`);
+      }
+      if (!legLots || legLots <= 0) {
+        throw new ValidationError(`Leg ${index + 1}: lots must be a positive integer`);
+      }
+
+      return { action, optionType, strikeOffset, lots: legLots };
+    });
+
+    // Long legs are hedges only when the strategy also has short legs
+    const hasShortLegs = normalized.some(leg => leg.action === 'SELL');
+    return normalized
+      .map(leg => ({ ...leg, role: hasShortLegs && leg.action === 'BUY' ? 'hedge' : 'core' }))
+      .sort((a, b) => (a.action === b.action ? 0 : a.action === 'BUY' ? -1 : 1))
+      .map((leg, index) => ({ ...leg, legIndex: index }));
+  }
+
+  /**
+   * Resolve every leg to a tradable option symbol against one spot/expiry snapshot
+   * @private
+   */
+  async _resolveLegs(marketDataInstance, symbol, legSpecs, userExpiry) {
+    const underlying = symbol.underlying_symbol || symbol.symbol;
+    const exchange = derivativeResolutionService.getDerivativeExchange(symbol.exchange);
+    const quoteExchange = quickOrderService._getUnderlyingQuoteExchange(symbol);
+    const quoteSymbol = quickOrderService._getUnderlyingQuoteSymbol(symbol);
+
+    const [ltp, expiry] = await Promise.all([
+      quickOrderService._getUnderlyingLTPWithFallback(marketDataInstance, quoteSymbol, quoteExchange),
+      quickOrderService._resolveExpiryForOption(marketDataInstance, underlying, exchange, userExpiry),
+    ]);
+
+    if (!expiry) {
+      throw new ValidationError('Unable to determine expiry for strategy legs');
+    }
+
+    const legs = [];
+    for (const spec of legSpecs) {
+      const option = await optionsResolutionService.resolveOptionSymbol({
+        underlying,
+        exchange,
+        expiry,
+        optionType: spec.optionType,
+        strikeOffset: spec.strikeOffset,
+        ltp,
+        instance: marketDataInstance,
+      });
+
+      legs.push({
+        ...spec,
+        symbol: option.symbol,
+        exchange: option.exchange || exchange,
+        strike: option.targetStrike || option.strike,
+        lotSize: option.lot_size || symbol.lot_size || 1,
+      });
+    }
+
+    return { underlying, exchange, expiry, ltp, legs };
+  }
+
+  /**
+   * Place all legs on one instance, hedges first; stop and unwind on the first unfilled leg
+   * @private
+   */
+  async _executeForInstance(instance, legs, context) {
+    const { groupId, symbol, product, onPartial, dryRun } = context;
+    const strategyTag = symbol.watchlist_name || 'default';
+    const result = {
+      instance_id: instance.id,
+      instance_name: instance.name,
+      status: 'complete',
+      legs: [],
+    };
+
+    let positionBook;
+    try {
+      positionBook = await quickOrderService._getPositionBook(instance);
+    } catch (error) {
+      log.error('Strategy order: failed to load positions', error, { instance_id: instance.id });
+      result.status = 'failed';
+      result.error = `Failed to load positions: ${error.message}`;
+      for (const leg of legs) {
+        result.legs.push(await this._insertLeg(groupId, instance, leg, {
+          status: 'skipped',
+          message: result.error,
+        }, dryRun));
+      }
+      return result;
+    }
+
+    // Track running positions so two legs on the same contract stack correctly
+    const positions = new Map();
+    let stopReason = null;
+
+    for (const leg of legs) {
+      const positionBefore = positions.has(leg.symbol)
+        ? positions.get(leg.symbol)
+        : quickOrderService._extractPositionFromBook(positionBook, leg.symbol, leg.exchange, product);
+      const targetPosition = positionBefore + (leg.action === 'BUY' ? leg.quantity : -leg.quantity);
+
+      const legRecord = {
+        ...leg,
+        position_before: positionBefore,
+        target_position: targetPosition,
+      };
+
+      if (stopReason) {
+        result.legs.push(await this._insertLeg(groupId, instance, legRecord, {
+          status: 'skipped',
+          message: stopReason,
+        }, dryRun));
+        continue;
+      }
+
+      const payload = orderPayloadFactory.buildOptionsOrder({
+        strategy: strategyTag,
+        exchange: leg.exchange,
+        symbol: leg.symbol,
+        action: leg.action,
+        quantity: leg.quantity,
+        position_size: targetPosition,
+        product,
+        pricetype: 'MARKET',
+      });
+
+      if (dryRun) {
+        result.legs.push({ ...this._formatLeg(instance, legRecord, { status: 'dry_run' }), payload });
+        positions.set(leg.symbol, targetPosition);
+        continue;
+      }
+
+      const row = await this._insertLeg(groupId, instance, legRecord, { status: 'pending' });
+      const outcome = await this._placeLeg(instance, payload, leg, groupId);
+      await this._updateLeg(row.id, outcome);
+      result.legs.push({ ...row, ...outcome });
+
+      if (outcome.status === 'filled') {
+        positions.set(leg.symbol, targetPosition);
+      } else {
+        stopReason = `${leg.role === 'hedge' ? 'Hedge' : 'Core'} leg ${leg.symbol} ${outcome.status}: ${outcome.message}`;
+      }
+    }
+
+    if (dryRun) {
+      result.status = 'dry_run';
+      return result;
+    }
+
+    quickOrderService._invalidateInstanceCaches(instance.id);
+
+    if (!stopReason) {
+      return result;
+    }
+
+    result.error = stopReason;
+    const placedLegs = result.legs.filter(leg => ['filled', 'open'].includes(leg.status));
+
+    if (placedLegs.length === 0) {
+      result.status = 'failed';
+      return result;
+    }
+
+    if (onPartial === 'flag') {
+      result.status = 'partial';
+      log.warn('Strategy order partially placed - flagged for manual handling', {
+        group_id: groupId,
+        instance_id: instance.id,
+        placed_legs: placedLegs.map(leg => leg.symbol),
+        reason: stopReason,
+      });
+      return result;
+    }
+
+    const rolledBack = await this._rollbackLegs(instance, placedLegs, product, strategyTag);
+    result.status = rolledBack ? 'rolled_back' : 'partial';
+    return result;
+  }
+
+  /**
+   * Place one leg and wait briefly for the broker to confirm the fill
+   * @private
+   */
+  async _placeLeg(instance, payload, leg, groupId) {
+    try {
+      const response = await orderPlacementService.placeSmartOrder(instance, payload, {
+        request_type: 'STRATEGY_LEG',
+        trade_mode: 'OPTIONS',
+        strategy_group_id: groupId,
+        leg_role: leg.role,
+      });
+
+      const orderId = response?.orderid || response?.order_id || null;
+      if (!orderId) {
+        return { status: 'failed', order_id: null, message: response?.message || 'No order ID returned' };
+      }
+
+      const fill = await this._waitForFill(instance, orderId);
+      return { order_id: orderId, ...fill };
+    } catch (error) {
+      log.error('Strategy leg placement failed', error, {
+        instance_id: instance.id,
+        symbol: leg.symbol,
+        action: leg.action,
+      });
+      return { status: 'failed', order_id: null, message: error.message };
+    }
+  }
+
+  /**
+   * Poll the order book until the order completes, is rejected, or the checks run out
+   * @private
+   */
+  async _waitForFill(instance, orderId) {
+    let lastStatus = null;
+
+    for (let attempt = 1; attempt <= FILL_CHECK_ATTEMPTS; attempt++) {
+      await new Promise(resolve => setTimeout(resolve, FILL_CHECK_INTERVAL_MS));
+
+      try {
+        const book = await openalgoClient.getOrderBook(instance);
+        const orders = Array.isArray(book) ? book : book?.orders || [];
+        const order = orders.find(o => String(o.orderid || o.order_id) === String(orderId));
+        lastStatus = String(order?.order_status || order?.status || '').toLowerCase() || lastStatus;
+      } catch (error) {
+        log.warn('Strategy fill check failed', {
+          instance_id: instance.id,
+          order_id: orderId,
+          attempt,
+          error: error.message,
+        });
+      }
+
+      if (lastStatus === 'complete') {
+        return { status: 'filled', message: 'Filled' };
+      }
+      if (['rejected', 'cancelled', 'canceled'].includes(lastStatus)) {
+        return { status: 'rejected', message: `Order ${lastStatus}` };
+      }
+    }
+
+    return {
+      status: 'open',
+      message: lastStatus ? `Not filled (${lastStatus})` : 'Fill not confirmed in order book',
+    };
+  }
+
+  /**
+   * Unwind placed legs in reverse order: cancel open orders, restore filled positions
+   * @returns {Promise<boolean>} True when every leg was unwound
+   * @private
+   */
+  async _rollbackLegs(instance, placedLegs, product, strategyTag) {
+    let allRolledBack = true;
+
+    for (const leg of [...placedLegs].reverse()) {
+      try {
+        if (leg.status === 'open') {
+          await openalgoClient.cancelOrder(instance, leg.order_id, strategyTag);
+        }
+
+        // Smart order back to the pre-strategy size also covers any partial fill before the cancel
+        const payload = orderPayloadFactory.buildOptionsOrder({
+          strategy: strategyTag,
+          exchange: leg.exchange,
+          symbol: leg.symbol,
+          action: leg.action === 'BUY' ? 'SELL' : 'BUY',
+          quantity: leg.quantity,
+          position_size: leg.position_before,
+          product,
+          pricetype: 'MARKET',
+        });
+        const response = await orderPlacementService.placeSmartOrder(instance, payload, {
+          request_type: 'STRATEGY_ROLLBACK',
+          trade_mode: 'OPTIONS',
+          strategy_group_id: leg.group_id,
+        });
+        const rollbackOrderId = response?.orderid || response?.order_id || null;
+
+        leg.status = 'rolled_back';
+        leg.rollback_order_id = rollbackOrderId;
+        await db.run(
+          `UPDATE strategy_legs SET status = 'rolled_back', rollback_order_id = ?, updated_at = CURRENT_TIMESTAMP
+           WHERE id = ?`,
+          [rollbackOrderId, leg.id]
+        );
+      } catch (error) {
+        allRolledBack = false;
+        leg.status = 'rollback_failed';
+        log.error('Strategy leg rollback failed', error, {
+          instance_id: instance.id,
+          symbol: leg.symbol,
+          order_id: leg.order_id,
+        });
+        await db.run(
+          `UPDATE strategy_legs SET status = 'rollback_failed', message = ?, updated_at = CURRENT_TIMESTAMP
+           WHERE id = ?`,
+          [`Rollback failed: ${error.message}`, leg.id]
+        );
+      }
+    }
+
+    quickOrderService._invalidateInstanceCaches(instance.id);
+    return allRolledBack;
+  }
+
+  /**
+   * Roll instance outcomes up into the group status
+   * @private
+   */
+  _summarizeStatus(instanceResults) {
+    const statuses = instanceResults.map(r => r.status);
+
+    if (statuses.every(s => s === 'complete' || s === 'dry_run')) return 'complete';
+    if (statuses.every(s => s === 'failed')) return 'failed';
+    if (statuses.includes('partial')) return 'partial';
+    if (statuses.every(s => s === 'rolled_back' || s === 'failed')) return 'rolled_back';
+    return 'partial';
+  }
+
+  async _insertGroup({ symbol, template, lots, product, onPartial, resolved }) {
+    const result = await db.run(
+      `INSERT INTO strategy_groups (
+        watchlist_id, symbol_id, underlying, exchange, expiry, template,
+        lots, product, on_partial, underlying_ltp, status
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'pending')`,
+      [
+        symbol.watchlist_id,
+        symbol.id,
+        resolved.underlying,
+        resolved.exchange,
+        resolved.expiry,
+        template,
+        lots,
+        product,
+        onPartial,
+        resolved.ltp,
+      ]
+    );
+    return result.lastID;
+  }
+
+  async _insertLeg(groupId, instance, leg, { status, message = null }, dryRun = false) {
+    if (dryRun) {
+      return this._formatLeg(instance, leg, { status, message });
+    }
+
+    const result = await db.run(
+      `INSERT INTO strategy_legs (
+        group_id, instance_id, leg_index, role, action, option_type, strike_offset,
+        strike, symbol, exchange, quantity, position_before, target_position, status, message
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        groupId,
+        instance.id,
+        leg.legIndex,
+        leg.role,
+        leg.action,
+        leg.optionType,
+        leg.strikeOffset,
+        leg.strike,
+        leg.symbol,
+        leg.exchange,
+        leg.quantity,
+        leg.position_before ?? null,
+        leg.target_position ?? null,
+        status,
+        message,
+      ]
+    );
+
+    return { id: result.lastID, group_id: groupId, ...this._formatLeg(instance, leg, { status, message }) };
+  }
+
+  async _updateLeg(id, { status, order_id = null, message = null }) {
+    await db.run(
+      `UPDATE strategy_legs SET status = ?, order_id = ?, message = ?, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [status, order_id, message, id]
+    );
+  }
+
+  _formatLeg(instance, leg, { status, message = null }) {
+    return {
+      instance_id: instance.id,
+      leg_index: leg.legIndex,
+      role: leg.role,
+      action: leg.action,
+      option_type: leg.optionType,
+      strike_offset: leg.strikeOffset,
+      strike: leg.strike,
+      symbol: leg.symbol,
+      exchange: leg.exchange,
+      quantity: leg.quantity,
+      position_before: leg.position_before ?? null,
+      target_position: leg.target_position ?? null,
+      status,
+      message,
+    };
+  }
+}
+
+export default new StrategyBuilderService();
+export { StrategyBuilderService, STRATEGY_TEMPLATES };
@@ -1,28 +1,237 @@
 /**
  * Telegram Service
- * Handles Telegram bot integration for trading alerts
+ * Handles Telegram bot integration for trading alerts, and bot commands for
+ * linked users (/status, /positions, /pnl, /funds, /exit). Commands act as the
+ * linked user: reads are open to every role, /exit needs trading access to the
+ * instance (same grants as the web UI) and an inline-keyboard confirmation.
+ *
+ * Alerts come from the event bus (auto-exits, session cutoffs, broker rejections,
+ * instance health, market-data fallback) and go to every linked admin or trader
+ * with access to the instance, filtered by their notify_on_* preferences.
  */
 
 import crypto from 'crypto';
 import db from '../core/database.js';
 import log from '../core/logger.js';
 import { config } from '../core/config.js';
+import { ForbiddenError } from '../core/errors.js';
+import eventBus, { EVENT_TYPES } from '../core/event-bus.js';
+import { parseFloatSafe, parseIntSafe } from '../utils/sanitizers.js';
+import settingsService from './settings.service.js';
+import instanceService from './instance.service.js';
+import positionsService from './positions.service.js';
+import marketDataFeedService from './market-data-feed.service.js';
+import quickOrderService from './quick-order.service.js';
+import userService from './user.service.js';
+
+const BOT_COMMANDS = ['/status', '/positions', '/pnl', '/funds', '/exit'];
+const EXIT_CONFIRMATION_TTL_MS = 60 * 1000;
+const MAX_MESSAGE_LENGTH = 4000;
+
+// Auto-exit reasons (risk controls) -> alert types
+const AUTO_EXIT_ALERT_TYPES = {
+  TARGET_MET: 'TARGET_HIT',
+  STOPLOSS_HIT: 'SL_HIT',
+  TSL_HIT: 'TSL_HIT',
+};
+
+// Alert type -> user_telegram_config preference column
+const ALERT_PREFERENCES = {
+  TARGET_HIT: 'notify_on_target',
+  SL_HIT: 'notify_on_sl',
+  TSL_HIT: 'notify_on_tsl',
+  ERROR: 'notify_on_error',
+  SESSION_CUTOFF: 'notify_on_session_cutoff',
+  ORDER_REJECTED: 'notify_on_rejection',
+  INSTANCE_UNHEALTHY: 'notify_on_health',
+  MARKET_DATA_FALLBACK: 'notify_on_health',
+};
 
 class TelegramService {
   constructor() {
-    this.botToken = process.env.TELEGRAM_BOT_TOKEN;
-    this.botUsername = process.env.TELEGRAM_BOT_USERNAME;
-    this.apiUrl = `https://api.telegram.org/bot${this.botToken}`;
     this.pollingInterval = null;
     this.lastUpdateId = 0;
     this.isPolling = false; // Guard against concurrent polling cycles
+    this.pendingExits = new Map(); // nonce -> { chatId, userId, target, expiresAt }
+    this.unsubscribeEvents = null;
 
-    if (!this.botToken || this.botToken === 'your-telegram-bot-token-here') {
-      log.warn('Telegram bot token not configured. Alerts will not be sent.');
-      this.isConfigured = false;
-    } else {
-      this.isConfigured = true;
+    this._setCredentials(process.env.TELEGRAM_BOT_TOKEN, process.env.TELEGRAM_BOT_USERNAME);
+  }
+
+  /**
+   * Load bot credentials from settings (telegram.bot_token is stored encrypted),
+   * falling back to TELEGRAM_BOT_TOKEN / TELEGRAM_BOT_USERNAME
+   * @returns {Promise<void>}
+   */
+  async loadCredentials() {
+    try {
+      const [token, username] = await Promise.all([
+        settingsService.getSecret('telegram.bot_token'),
+        settingsService.getSecret('telegram.bot_username'),
+      ]);
+
+      this._setCredentials(
+        token || process.env.TELEGRAM_BOT_TOKEN,
+        username || process.env.TELEGRAM_BOT_USERNAME
+      );
+    } catch (error) {
+      log.warn('Failed to load Telegram credentials from settings', { error: error.message });
+    }
+
+    if (this.isConfigured) {
       log.info('Telegram service initialized', { bot_username: this.botUsername });
+    } else {
+      log.warn('Telegram bot token not configured. Alerts will not be sent.');
+    }
+  }
+
+  /**
+   * @private
+   */
+  _setCredentials(botToken, botUsername) {
+    this.botToken = botToken;
+    this.botUsername = botUsername;
+    this.apiUrl = `https://api.telegram.org/bot${this.botToken}`;
+    this.isConfigured = !!this.botToken && this.botToken !== 'your-telegram-bot-token-here';
+  }
+
+  /**
+   * Start turning event-bus events into alerts (idempotent)
+   */
+  subscribeToEvents() {
+    if (this.unsubscribeEvents) {
+      return;
+    }
+
+    this.unsubscribeEvents = eventBus.subscribe(
+      Object.values(EVENT_TYPES),
+      event => this.handleEvent(event)
+    );
+    log.info('Telegram alerts subscribed to event bus');
+  }
+
+  /**
+   * Stop listening to the event bus
+   */
+  unsubscribeFromEvents() {
+    if (this.unsubscribeEvents) {
+      this.unsubscribeEvents();
+      this.unsubscribeEvents = null;
+    }
+  }
+
+  /**
+   * Send an event to every user who should hear about it
+   * @param {Object} event - Event bus event ({ type, timestamp, ...payload })
+   * @returns {Promise<Array>} - sendAlert results
+   */
+  async handleEvent(event) {
+    if (!this.isConfigured) {
+      return [];
+    }
+
+    const alert = this.buildEventAlert(event);
+    if (!alert) {
+      return [];
+    }
+
+    const recipients = await this._getAlertRecipients(event.instance_id);
+    const results = [];
+    for (const userId of recipients) {
+      results.push(await this.sendAlert(userId, alert));
+    }
+    return results;
+  }
+
+  /**
+   * Map an event to an alert for sendAlert / formatAlertMessage
+   * @param {Object} event - Event bus event
+   * @returns {Object|null} - Alert
+   */
+  buildEventAlert(event) {
+    const instanceName = event.instance_name || `#${event.instance_id}`;
+
+    switch (event.type) {
+      case EVENT_TYPES.AUTO_EXIT:
+        if (!event.success) {
+          return {
+            type: 'ERROR',
+            title: 'Auto-exit failed',
+            lines: [
+              `${event.symbol} | ${event.exchange}`,
+              `Reason: ${event.reason}`,
+              `Error: ${event.error}`,
+            ],
+            instance_name: instanceName,
+          };
+        }
+        return {
+          type: AUTO_EXIT_ALERT_TYPES[event.reason] || 'SL_HIT',
+          pnl: event.pnl ?? 0,
+          position: {
+            symbol: this._escapeMarkdown(event.symbol),
+            exchange: event.exchange,
+            side: event.side,
+            quantity: event.quantity,
+            entry_price: event.entry_price,
+            instance_name: this._escapeMarkdown(instanceName),
+          },
+          trigger: {
+            exit_price: event.exit_price,
+            exit_quantity: event.quantity,
+          },
+        };
+
+      case EVENT_TYPES.SESSION_CUTOFF:
+        return {
+          type: 'SESSION_CUTOFF',
+          title: event.reason === 'SESSION_TARGET_PROFIT_REACHED' ? 'Session target reached' : 'Session max loss breached',
+          lines: [
+            `Session: ${event.session}`,
+            `Session P&L: ${this.formatPnL(Number(event.session_pnl) || 0)}`,
+            event.switched_to_analyzer
+              ? 'Switched to analyzer mode - no new live orders'
+              : 'Failed to switch to analyzer mode - check the instance',
+          ],
+          instance_name: instanceName,
+        };
+
+      case EVENT_TYPES.ORDER_REJECTED:
+        return {
+          type: 'ORDER_REJECTED',
+          title: 'Order rejected',
+          lines: [
+            `${event.action || ''} ${event.quantity ?? ''} ${event.symbol || ''} | ${event.exchange || ''}`.trim(),
+            event.order_id ? `Order: ${event.order_id}` : null,
+            `Reason: ${event.message}`,
+          ],
+          instance_name: instanceName,
+        };
+
+      case EVENT_TYPES.INSTANCE_UNHEALTHY:
+        return {
+          type: 'INSTANCE_UNHEALTHY',
+          title: 'Instance unhealthy',
+          lines: [
+            `Was: ${event.previous_status || 'unknown'}`,
+            event.error ? `Error: ${event.error}` : null,
+          ],
+          instance_name: instanceName,
+        };
+
+      case EVENT_TYPES.MARKET_DATA_FALLBACK:
+        return {
+          type: 'MARKET_DATA_FALLBACK',
+          title: 'Market data fallback',
+          lines: [
+            `Switched from ${event.from} to ${event.to}`,
+            event.reason ? `Reason: ${event.reason}` : null,
+          ],
+          instance_name: instanceName,
+        };
+
+      default:
+        return null;
     }
   }
 
@@ -117,6 +326,19 @@ class TelegramService {
    */
   formatAlertMessage(alert) {
     const emoji = this.getAlertEmoji(alert.type, alert.pnl);
+
+    // Non-position alerts: title plus free-form lines
+    if (!alert.position) {
+      return [
+        `${emoji} *${this._escapeMarkdown(alert.title || alert.type.replace(/_/g, ' '))}*`,
+        '',
+        ...(alert.lines || []).filter(Boolean).map(line => this._escapeMarkdown(line)),
+        '',
+        `*Instance:* ${this._escapeMarkdown(alert.instance_name || '-')}`,
+        `*Time:* ${new Date().toLocaleTimeString('en-IN', { timeZone: 'Asia/Kolkata' })}`,
+      ].join('\n');
+    }
+
     const pos = alert.position;
     const trigger = alert.trigger;
 
@@ -149,6 +371,10 @@ ${pos.side} ${Math.abs(pos.quantity)} @ ₹${this.formatPrice(pos.entry_price)}
     if (type === 'SL_HIT') return pnl < 0 ? '🛑' : '⚠️';
     if (type === 'TSL_HIT') return '📉';
     if (type === 'ERROR') return '❌';
+    if (type === 'SESSION_CUTOFF') return '⛔';
+    if (type === 'ORDER_REJECTED') return '🚫';
+    if (type === 'INSTANCE_UNHEALTHY') return '🩺';
+    if (type === 'MARKET_DATA_FALLBACK') return '📡';
     return '📊';
   }
 
@@ -169,7 +395,8 @@ ${pos.side} ${Math.abs(pos.quantity)} @ ₹${this.formatPrice(pos.entry_price)}
    * @returns {string} - Formatted price
    */
   formatPrice(price) {
-    return price.toFixed(2);
+    const value = Number(price);
+    return Number.isFinite(value) && price !== null ? value.toFixed(2) : '-';
   }
 
   /**
@@ -180,14 +407,22 @@ ${pos.side} ${Math.abs(pos.quantity)} @ ₹${this.formatPrice(pos.entry_price)}
    * @returns {Promise<Object>} - Telegram API response
    */
   async sendMessage(chatId, text, options = {}) {
-    const response = await fetch(`${this.apiUrl}/sendMessage`, {
+    return this._callApi('sendMessage', {
+      chat_id: chatId,
+      text,
+      ...options,
+    });
+  }
+
+  /**
+   * Call a Telegram Bot API method
+   * @private
+   */
+  async _callApi(method, payload) {
+    const response = await fetch(`${this.apiUrl}/${method}`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        chat_id: chatId,
-        text,
-        ...options,
-      }),
+      body: JSON.stringify(payload),
     });
 
     const result = await response.json();
@@ -291,11 +526,10 @@ ${pos.side} ${Math.abs(pos.quantity)} @ ₹${this.formatPrice(pos.entry_price)}
    * @returns {boolean} - Should send
    */
   shouldSendAlert(config, alertType) {
-    if (alertType === 'TARGET_HIT') return config.notify_on_target;
-    if (alertType === 'SL_HIT') return config.notify_on_sl;
-    if (alertType === 'TSL_HIT') return config.notify_on_tsl;
-    if (alertType === 'ERROR') return config.notify_on_error;
-    return true;
+    const column = ALERT_PREFERENCES[alertType];
+    if (!column) return true;
+    // Columns added after a user linked default to on
+    return config[column] === undefined || config[column] === null || !!config[column];
   }
 
   /**
@@ -332,11 +566,20 @@ ${pos.side} ${Math.abs(pos.quantity)} @ ₹${this.formatPrice(pos.entry_price)}
    * @returns {Promise<void>}
    */
   async handleWebhook(update) {
+    if (update.callback_query) {
+      await this.handleCallbackQuery(update.callback_query);
+      return;
+    }
+
     if (update.message && update.message.text) {
       const chatId = update.message.chat.id;
-      const text = update.message.text;
+      const text = update.message.text.trim();
       const username = update.message.from.username || update.message.from.first_name;
 
+      // "/status@SimplifyedBot args" -> "/status", ["args"]
+      const [rawCommand, ...args] = text.split(/\s+/);
+      const command = rawCommand.toLowerCase().replace(/@\w+$/, '');
+
       // Handle /start LINK-XXXXX
       if (text.startsWith('/start LINK-')) {
         const linkingCode = text.split(' ')[1];
@@ -358,18 +601,22 @@ ${pos.side} ${Math.abs(pos.quantity)} @ ₹${this.formatPrice(pos.entry_price)}
         }
       }
 
-      // Handle /status command
-      else if (text === '/status') {
-        await this.sendMessage(chatId, '📊 Status command coming soon!');
+      // Handle trading commands (linked users only)
+      else if (BOT_COMMANDS.includes(command)) {
+        await this.handleCommand(chatId, command, args);
       }
 
       // Handle /help command
-      else if (text === '/help' || text === '/start') {
+      else if (command === '/help' || command === '/start') {
         const helpText = `
 *Simplifyed Trading Bot*
 
 *Commands:*
-/status - View active positions
+/status - Instances, mode, health and session P&L
+/positions - Open positions per instance
+/pnl - Session P&L per instance
+/funds - Funds per instance
+/exit - Close positions (all instances, or /exit <instance>)
 /help - Show this help message
 
 You'll receive automatic alerts when:
@@ -382,6 +629,528 @@ You'll receive automatic alerts when:
     }
   }
 
+  /**
+   * Run a bot command for the user linked to the chat
+   * @param {string|number} chatId - Telegram chat ID
+   * @param {string} command - /status, /positions, /pnl, /funds or /exit
+   * @param {Array<string>} args - Command arguments
+   * @returns {Promise<void>}
+   */
+  async handleCommand(chatId, command, args = []) {
+    const user = await this.getLinkedUser(chatId);
+    if (!user) {
+      await this.sendMessage(chatId, '🔒 This chat is not linked. Link it from Settings → Telegram first.');
+      return;
+    }
+
+    try {
+      let text;
+      if (command === '/status') text = await this.buildStatusMessage(user);
+      else if (command === '/positions') text = await this.buildPositionsMessage();
+      else if (command === '/pnl') text = await this.buildPnlMessage();
+      else if (command === '/funds') text = await this.buildFundsMessage();
+      else if (command === '/exit') {
+        await this.startExit(chatId, user, args.join(' '));
+        return;
+      }
+
+      await this.sendMessage(chatId, this._truncate(text), { parse_mode: 'HTML' });
+    } catch (error) {
+      log.error('Telegram command failed', { command, userId: user.id, error: error.message });
+      await this.sendMessage(chatId, `❌ ${error.message}`);
+    }
+  }
+
+  /**
+   * User linked to a chat (active links only)
+   * @param {string|number} chatId - Telegram chat ID
+   * @returns {Promise<Object|null>}
+   */
+  async getLinkedUser(chatId) {
+    const user = await db.get(
+      `SELECT u.* FROM user_telegram_config c
+       JOIN users u ON u.id = c.user_id
+       WHERE c.telegram_chat_id = ? AND c.is_active = 1`,
+      [String(chatId)]
+    );
+    return user || null;
+  }
+
+  /**
+   * /status - per-instance mode, health, session P&L and open positions
+   * @param {Object} user - Linked user
+   * @returns {Promise<string>} - HTML message
+   */
+  async buildStatusMessage(user) {
+    const instances = await instanceService.getAllInstances({ is_active: true });
+    const lines = [
+      '📊 <b>Status</b>',
+      `${this._escapeHtml(user.email)} (${userService.getRole(user)})`,
+      '',
+    ];
+
+    if (instances.length === 0) {
+      lines.push('No active instances.');
+    }
+
+    for (const instance of instances) {
+      const snapshot = marketDataFeedService.getPositionSnapshot(instance.id);
+      const openCount = Array.isArray(snapshot?.data)
+        ? snapshot.data.filter(pos => this._positionQuantity(pos) !== 0).length
+        : null;
+
+      lines.push(
+        `• <b>${this._escapeHtml(instance.name)}</b> - ${instance.is_analyzer_mode ? 'ANALYZER' : 'LIVE'}, ` +
+          `${this._escapeHtml(instance.health_status || 'unknown')}\n` +
+          `   Session ${this._formatAmount(instance.session_pnl)}` +
+          (openCount === null ? '' : ` · ${openCount} open`) +
+          (instance.session_cutoff_reason ? ` · ⛔ ${this._escapeHtml(instance.session_cutoff_reason)}` : '')
+      );
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * /positions - open positions per instance
+   * @returns {Promise<string>} - HTML message
+   */
+  async buildPositionsMessage() {
+    const data = await positionsService.getAllPositions({ onlyOpen: true });
+    const lines = [`📈 <b>Open positions</b> (${data.overall_open_positions})`];
+
+    for (const instance of data.instances) {
+      if (instance.error) {
+        lines.push('', `<b>${this._escapeHtml(instance.instance_name)}</b>: ⚠️ ${this._escapeHtml(instance.error)}`);
+        continue;
+      }
+      if (instance.positions.length === 0) continue;
+
+      lines.push('', `<b>${this._escapeHtml(instance.instance_name)}</b> (${this._formatAmount(instance.total_pnl)})`);
+      for (const pos of instance.positions) {
+        const price = parseFloatSafe(pos.average_price ?? pos.avg_price, null);
+        lines.push(
+          `• ${this._escapeHtml(pos.symbol)} ${this._escapeHtml(pos.exchange || '')} ` +
+            `${this._positionQuantity(pos)}` +
+            (price !== null ? ` @ ${price.toFixed(2)}` : '') +
+            (pos.pnl != null ? ` · ${this._formatAmount(pos.pnl)}` : '')
+        );
+      }
+    }
+
+    if (data.overall_open_positions === 0) {
+      lines.push('', 'No open positions.');
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * /pnl - session P&L per instance (instances.session_pnl)
+   * @returns {Promise<string>} - HTML message
+   */
+  async buildPnlMessage() {
+    const instances = await instanceService.getAllInstances({ is_active: true });
+    const lines = ['💰 <b>Session P&amp;L</b>', ''];
+    let sessionTotal = 0;
+    let total = 0;
+
+    for (const instance of instances) {
+      sessionTotal += parseFloatSafe(instance.session_pnl, 0);
+      total += parseFloatSafe(instance.total_pnl, 0);
+      lines.push(
+        `• <b>${this._escapeHtml(instance.name)}</b>${instance.is_analyzer_mode ? ' (analyzer)' : ''}: ` +
+          `${this._formatAmount(instance.session_pnl)}\n` +
+          `   Realized ${this._formatAmount(instance.realized_pnl)} · ` +
+          `Unrealized ${this._formatAmount(instance.unrealized_pnl)} · Total ${this._formatAmount(instance.total_pnl)}`
+      );
+    }
+
+    lines.push('', `<b>Session:</b> ${this._formatAmount(sessionTotal)} · <b>Total:</b> ${this._formatAmount(total)}`);
+    return lines.join('\n');
+  }
+
+  /**
+   * /funds - latest funds snapshot per instance
+   * @returns {Promise<string>} - HTML message
+   */
+  async buildFundsMessage() {
+    const instances = await instanceService.getAllInstances({ is_active: true });
+    const lines = ['🏦 <b>Funds</b>', ''];
+
+    for (const instance of instances) {
+      let snapshot = marketDataFeedService.getFundsSnapshot(instance.id);
+      if (!snapshot) {
+        await marketDataFeedService.refreshFundsForInstance(instance.id, { force: true });
+        snapshot = marketDataFeedService.getFundsSnapshot(instance.id);
+      }
+
+      const funds = snapshot?.data;
+      if (!funds) {
+        lines.push(`• <b>${this._escapeHtml(instance.name)}</b>: unavailable`);
+        continue;
+      }
+
+      const m2m = parseFloatSafe(funds.m2mrealized, 0) + parseFloatSafe(funds.m2munrealized, 0);
+      lines.push(
+        `• <b>${this._escapeHtml(instance.name)}</b>: available ${this._formatAmount(funds.availablecash, false)}\n` +
+          `   Used ${this._formatAmount(funds.utiliseddebits, false)} · ` +
+          `Collateral ${this._formatAmount(funds.collateral, false)} · M2M ${this._formatAmount(m2m)}`
+      );
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * /exit - offer targets, or ask to confirm closing one instance / all
+   * @param {string|number} chatId - Telegram chat ID
+   * @param {Object} user - Linked user
+   * @param {string} arg - "all", an instance ID or name, or empty to pick
+   * @returns {Promise<void>}
+   */
+  async startExit(chatId, user, arg = '') {
+    const instances = await this._getExitableInstances(user);
+    if (instances.length === 0) {
+      await this.sendMessage(chatId, '🔒 You have no trading access to any active instance.');
+      return;
+    }
+
+    const target = arg.trim();
+    if (!target) {
+      const keyboard = [[{ text: '🛑 Exit ALL instances', callback_data: 'exit:ask:all' }]];
+      for (const instance of instances) {
+        keyboard.push([{ text: `Exit ${instance.name}`, callback_data: `exit:ask:${instance.id}` }]);
+      }
+      await this.sendMessage(chatId, 'Which positions should be closed?', {
+        reply_markup: { inline_keyboard: keyboard },
+      });
+      return;
+    }
+
+    if (target.toLowerCase() === 'all') {
+      await this.askExitConfirmation(chatId, user, 'all');
+      return;
+    }
+
+    const instance = instances.find(
+      inst => String(inst.id) === target || inst.name.toLowerCase() === target.toLowerCase()
+    );
+    if (!instance) {
+      await this.sendMessage(chatId, `❌ No instance "${target}" that you can trade on.`);
+      return;
+    }
+
+    await this.askExitConfirmation(chatId, user, instance.id);
+  }
+
+  /**
+   * Send the confirm/cancel keyboard for an exit
+   * @param {string|number} chatId - Telegram chat ID
+   * @param {Object} user - Linked user
+   * @param {number|string} target - Instance ID or "all"
+   * @returns {Promise<void>}
+   */
+  async askExitConfirmation(chatId, user, target) {
+    const instances = await this._resolveExitTargets(user, target);
+
+    let openCount = 0;
+    for (const instance of instances) {
+      const data = await positionsService.getInstancePositions(instance.id, { onlyOpen: true });
+      openCount += data.open_positions_count;
+    }
+
+    this._prunePendingExits();
+    const nonce = crypto.randomBytes(6).toString('hex');
+    this.pendingExits.set(nonce, {
+      chatId: String(chatId),
+      userId: user.id,
+      target,
+      expiresAt: Date.now() + EXIT_CONFIRMATION_TTL_MS,
+    });
+
+    const names = instances.map(inst => inst.name).join(', ');
+    await this.sendMessage(
+      chatId,
+      `⚠️ Close ${openCount} open position(s) on ${target === 'all' ? 'ALL instances' : 'instance'} ` +
+        `${names} at MARKET?\n\nThis expires in ${EXIT_CONFIRMATION_TTL_MS / 1000}s.`,
+      {
+        reply_markup: {
+          inline_keyboard: [[
+            { text: '✅ Confirm exit', callback_data: `exit:yes:${nonce}` },
+            { text: 'Cancel', callback_data: `exit:no:${nonce}` },
+          ]],
+        },
+      }
+    );
+  }
+
+  /**
+   * Handle inline-keyboard presses (exit target picks and confirmations)
+   * @param {Object} query - Telegram callback_query
+   * @returns {Promise<void>}
+   */
+  async handleCallbackQuery(query) {
+    const chatId = query.message?.chat?.id;
+    const messageId = query.message?.message_id;
+    const [scope, step, value] = String(query.data || '').split(':');
+
+    try {
+      const user = chatId ? await this.getLinkedUser(chatId) : null;
+      if (!user) {
+        await this.answerCallbackQuery(query.id, 'This chat is not linked');
+        return;
+      }
+      if (scope !== 'exit') {
+        await this.answerCallbackQuery(query.id);
+        return;
+      }
+
+      if (step === 'ask') {
+        await this.answerCallbackQuery(query.id);
+        await this.askExitConfirmation(chatId, user, value === 'all' ? 'all' : parseInt(value, 10));
+        return;
+      }
+
+      // A confirmation only counts in the chat, and for the user, it was sent to
+      const pending = this.pendingExits.get(value);
+      const isOwn = pending && pending.chatId === String(chatId) && pending.userId === user.id;
+      if (isOwn) {
+        this.pendingExits.delete(value);
+      }
+
+      if (step === 'no') {
+        await this.answerCallbackQuery(query.id, 'Cancelled');
+        await this.editMessageText(chatId, messageId, 'Exit cancelled.');
+        return;
+      }
+
+      if (!isOwn || pending.expiresAt < Date.now()) {
+        await this.answerCallbackQuery(query.id, 'Confirmation expired');
+        await this.editMessageText(chatId, messageId, '⌛ Confirmation expired - send /exit again.');
+        return;
+      }
+
+      await this.answerCallbackQuery(query.id, 'Closing positions…');
+      await this.editMessageText(chatId, messageId, '⏳ Closing positions…');
+
+      log.info('Telegram exit confirmed', { userId: user.id, target: pending.target });
+      const summary = await this.exitPositions(user, pending.target);
+
+      await this.sendMessage(chatId, this._truncate(this._formatExitSummary(summary)), { parse_mode: 'HTML' });
+    } catch (error) {
+      log.error('Telegram callback failed', { data: query.data, error: error.message });
+      await this.answerCallbackQuery(query.id).catch(() => {});
+      if (chatId) {
+        await this.sendMessage(chatId, `❌ ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Close every open position on the target instance(s) with quickOrderService.closePosition
+   * @param {Object} user - Linked user (needs trading access to each instance)
+   * @param {number|string} target - Instance ID or "all" (every instance the user may trade on)
+   * @returns {Promise<Array>} - Per instance { instance, closed, failed, errors }
+   */
+  async exitPositions(user, target) {
+    const instances = await this._resolveExitTargets(user, target);
+    await userService.assertInstanceAccess(user, instances.map(inst => inst.id));
+
+    const summary = [];
+    for (const instance of instances) {
+      const entry = { instance: instance.name, closed: 0, failed: 0, errors: [] };
+      summary.push(entry);
+
+      try {
+        const { positions } = await positionsService.getInstancePositions(instance.id, { onlyOpen: true });
+
+        for (const pos of positions) {
+          // Exact position symbol: options close as-is; anything else goes through the
+          // symbol path (the FUTURES path would re-resolve from the underlying)
+          const tradeMode = /\d(CE|PE)$/i.test(pos.symbol) ? 'OPTIONS' : 'EQUITY';
+          const result = await quickOrderService.closePosition(
+            instance,
+            { symbol: pos.symbol, exchange: pos.exchange },
+            {
+              tradeMode,
+              product: (pos.product || 'MIS').toUpperCase(),
+              watchlist_name: 'telegram-exit',
+            }
+          );
+
+          entry.closed += result.closed_count || 0;
+          for (const detail of result.details || []) {
+            if (!detail.success) {
+              entry.failed += 1;
+              entry.errors.push(`${detail.symbol}: ${detail.error}`);
+            }
+          }
+        }
+      } catch (error) {
+        entry.failed += 1;
+        entry.errors.push(error.message);
+        log.error('Telegram exit failed for instance', { instance_id: instance.id, error: error.message });
+      }
+    }
+
+    log.info('Telegram exit completed', { userId: user.id, target, summary });
+    return summary;
+  }
+
+  /**
+   * Answer an inline-keyboard press (clears the button spinner)
+   * @param {string} callbackQueryId - callback_query.id
+   * @param {string} text - Optional toast text
+   * @returns {Promise<Object>}
+   */
+  async answerCallbackQuery(callbackQueryId, text) {
+    return this._callApi('answerCallbackQuery', {
+      callback_query_id: callbackQueryId,
+      ...(text ? { text } : {}),
+    });
+  }
+
+  /**
+   * Replace a message's text (and remove its keyboard)
+   * @param {string|number} chatId - Telegram chat ID
+   * @param {number} messageId - Message to edit
+   * @param {string} text - New text
+   * @returns {Promise<Object>}
+   */
+  async editMessageText(chatId, messageId, text) {
+    return this._callApi('editMessageText', { chat_id: chatId, message_id: messageId, text });
+  }
+
+  /**
+   * Active instances the user may close positions on
+   * @private
+   */
+  async _getExitableInstances(user) {
+    if (!userService.hasRole(user, 'trader')) {
+      return [];
+    }
+
+    const allowed = await userService.getAccessibleInstanceIds(user);
+    const instances = await instanceService.getAllInstances({ is_active: true });
+    return instances.filter(inst => allowed === null || allowed.has(inst.id));
+  }
+
+  /**
+   * @private
+   */
+  async _resolveExitTargets(user, target) {
+    const instances = await this._getExitableInstances(user);
+
+    if (target === 'all') {
+      if (instances.length === 0) {
+        throw new ForbiddenError('You have no trading access to any active instance');
+      }
+      return instances;
+    }
+
+    const instance = instances.find(inst => inst.id === target);
+    if (!instance) {
+      throw new ForbiddenError(`No trading access to instance ${target}`);
+    }
+    return [instance];
+  }
+
+  /**
+   * @private
+   */
+  _formatExitSummary(summary) {
+    const lines = ['🛑 <b>Exit result</b>', ''];
+    for (const entry of summary) {
+      lines.push(
+        `• <b>${this._escapeHtml(entry.instance)}</b>: ${entry.closed} closed` +
+          (entry.failed ? `, ${entry.failed} failed` : '')
+      );
+      for (const error of entry.errors) {
+        lines.push(`   ⚠️ ${this._escapeHtml(error)}`);
+      }
+    }
+    return lines.join('\n');
+  }
+
+  /**
+   * @private
+   */
+  _prunePendingExits() {
+    const now = Date.now();
+    for (const [nonce, pending] of this.pendingExits) {
+      if (pending.expiresAt < now) {
+        this.pendingExits.delete(nonce);
+      }
+    }
+  }
+
+  /**
+   * @private
+   */
+  _positionQuantity(pos) {
+    return parseIntSafe(pos.quantity ?? pos.netqty ?? pos.net_quantity ?? pos.netQty ?? pos.net, 0);
+  }
+
+  /**
+   * @private
+   */
+  _formatAmount(value, signed = true) {
+    const amount = parseFloatSafe(value, null);
+    if (amount === null) return 'n/a';
+    const sign = signed && amount > 0 ? '+' : amount < 0 ? '-' : '';
+    return `${sign}₹${Math.abs(amount).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+  }
+
+  /**
+   * @private
+   */
+  _escapeHtml(value) {
+    return String(value ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  }
+
+  /**
+   * Escape legacy Markdown entities (alerts use parse_mode Markdown)
+   * @private
+   */
+  _escapeMarkdown(value) {
+    return String(value ?? '').replace(/([_*`[])/g, '\\$1');
+  }
+
+  /**
+   * Linked users who should get alerts for an instance: admins, and traders
+   * granted the instance (events without an instance go to admins only)
+   * @private
+   */
+  async _getAlertRecipients(instanceId) {
+    const users = await db.all(
+      `SELECT u.* FROM user_telegram_config c
+       JOIN users u ON u.id = c.user_id
+       WHERE c.telegram_chat_id IS NOT NULL AND c.is_active = 1 AND c.enabled = 1`
+    );
+
+    const recipients = [];
+    for (const user of users) {
+      if (!userService.hasRole(user, 'trader')) continue;
+      const allowed = await userService.getAccessibleInstanceIds(user);
+      if (allowed === null || (instanceId && allowed.has(instanceId))) {
+        recipients.push(user.id);
+      }
+    }
+    return recipients;
+  }
+
+  /**
+   * Keep replies under Telegram's 4096-character limit
+   * @private
+   */
+  _truncate(text) {
+    if (text.length <= MAX_MESSAGE_LENGTH) return text;
+    // Cut at a line break so no HTML tag is left open
+    const cut = text.slice(0, MAX_MESSAGE_LENGTH);
+    return `${cut.slice(0, cut.lastIndexOf('\n'))}\n…`;
+  }
+
   /**
    * Get updates from Telegram (for polling)
    * @returns {Promise<Array>} - Array of updates
@@ -434,6 +1203,8 @@ You'll receive automatic alerts when:
    * @param {number} intervalMs - Polling interval in milliseconds (default: 2000)
    */
   async startPolling(intervalMs = 2000) {
+    await this.loadCredentials();
+
     if (!this.isConfigured) {
       log.debug('Telegram not configured, skipping polling');
       return;
@@ -0,0 +1,550 @@
+/**
+ * Trade History Service
+ * Ingests each instance's tradebook into the trades table (brokers clear it daily)
+ * and computes FIFO realized P&L per symbol, underlying, watchlist and day over the
+ * whole history.
+ */
+
+import db from '../core/database.js';
+import { log } from '../core/logger.js';
+import { ValidationError } from '../core/errors.js';
+import marketDataFeedService from './market-data-feed.service.js';
+import instanceService from './instance.service.js';
+import instrumentsService from './instruments.service.js';
+import pnlService from './pnl.service.js';
+import { parseFloatSafe } from '../utils/sanitizers.js';
+
+const INGEST_INTERVAL_MS = 60 * 1000;
+const IST_OFFSET_MS = 330 * 60 * 1000;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const GROUP_BY_OPTIONS = ['symbol', 'underlying', 'watchlist', 'day', 'instance'];
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 1000;
+
+export const TRADE_CSV_COLUMNS = [
+  'traded_at', 'trade_date', 'instance_name', 'trade_id', 'order_id', 'symbol', 'exchange',
+  'product', 'action', 'quantity', 'price', 'trade_value', 'underlying', 'watchlist_name',
+  'is_analyzer_mode', 'closed_quantity', 'realized_pnl',
+];
+
+export const PNL_CSV_COLUMNS = [
+  'key', 'label', 'realized_pnl', 'closed_quantity', 'closing_trades', 'cumulative_pnl',
+];
+
+class TradeHistoryService {
+  constructor() {
+    this.lastIngestAt = new Map();
+  }
+
+  /**
+   * Ingest one instance's tradebook snapshot
+   * Trades already stored (same instance + trade ID) are skipped.
+   *
+   * @param {number} instanceId - Instance ID
+   * @param {Object} options
+   * @param {boolean} [options.force=false] - Ignore the once-a-minute throttle and the tradebook cache
+   * @returns {Promise<Object>} - { instance_id, fetched, inserted, skipped? }
+   */
+  async ingestInstance(instanceId, { force = false } = {}) {
+    const now = Date.now();
+    const last = this.lastIngestAt.get(instanceId);
+    if (!force && last && now - last < INGEST_INTERVAL_MS) {
+      return { instance_id: instanceId, fetched: 0, inserted: 0, skipped: 'throttled' };
+    }
+    this.lastIngestAt.set(instanceId, now);
+
+    const instance = await instanceService.getInstanceById(instanceId);
+    const snapshot = await marketDataFeedService.getTradebookSnapshot(instanceId, { force });
+    const rawTrades = Array.isArray(snapshot?.data) ? snapshot.data : [];
+
+    const trades = this._numberDuplicateFills(
+      rawTrades
+        .map(trade => this._normalizeTrade(trade))
+        .filter(Boolean)
+    );
+
+    if (trades.length === 0) {
+      return { instance_id: instanceId, fetched: rawTrades.length, inserted: 0 };
+    }
+
+    const existing = await this._getExistingTradeIds(instanceId, trades.map(t => t.trade_id));
+    let inserted = 0;
+
+    for (const trade of trades) {
+      if (existing.has(trade.trade_id)) continue;
+      existing.add(trade.trade_id);
+
+      const [underlying, watchlistId] = await Promise.all([
+        instrumentsService.getUnderlyingKey(trade.symbol, trade.exchange).catch(() => null),
+        this._resolveWatchlistId(instanceId, trade.order_id),
+      ]);
+
+      const result = await db.run(
+        `INSERT OR IGNORE INTO trades (
+          instance_id, trade_id, order_id, symbol, exchange, product, action,
+          quantity, price, trade_value, underlying, watchlist_id, is_analyzer_mode,
+          traded_at, trade_date, raw
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          instanceId,
+          trade.trade_id,
+          trade.order_id,
+          trade.symbol,
+          trade.exchange,
+          trade.product,
+          trade.action,
+          trade.quantity,
+          trade.price,
+          trade.trade_value,
+          underlying,
+          watchlistId,
+          instance.is_analyzer_mode ? 1 : 0,
+          trade.traded_at,
+          trade.trade_date,
+          JSON.stringify(trade.raw),
+        ]
+      );
+      inserted += result.changes;
+    }
+
+    if (inserted > 0) {
+      log.info('Trades ingested', { instance_id: instanceId, fetched: rawTrades.length, inserted });
+    }
+
+    return { instance_id: instanceId, fetched: rawTrades.length, inserted };
+  }
+
+  /**
+   * Ingest the tradebook of every active instance
+   * @param {Object} options - See ingestInstance
+   * @returns {Promise<Object>} - { results, summary }
+   */
+  async ingestAll(options = {}) {
+    const instances = await instanceService.getAllInstances({ is_active: true });
+
+    const results = await Promise.all(instances.map(async (instance) => {
+      try {
+        return await this.ingestInstance(instance.id, options);
+      } catch (error) {
+        log.warn('Trade ingestion failed', { instance_id: instance.id, error: error.message });
+        return { instance_id: instance.id, fetched: 0, inserted: 0, error: error.message };
+      }
+    }));
+
+    return {
+      results,
+      summary: {
+        instances: results.length,
+        inserted: results.reduce((sum, r) => sum + r.inserted, 0),
+        failed: results.filter(r => r.error).length,
+      },
+    };
+  }
+
+  /**
+   * Stored trades with the realized P&L each closing trade booked (newest first)
+   * @param {Object} filters - instanceId, symbol, exchange, underlying, watchlistId, from, to, includeAnalyzer
+   * @param {Object} pagination - { limit, offset } (limit null = all, for CSV export)
+   * @returns {Promise<Object>} - { trades, total, limit, offset, summary }
+   */
+  async getTrades(filters = {}, { limit = DEFAULT_PAGE_SIZE, offset = 0 } = {}) {
+    const normalized = this._normalizeFilters(filters);
+    const { trades, matches } = await this._loadAndMatch(normalized);
+
+    const realizedByTrade = new Map();
+    for (const match of matches) {
+      const entry = realizedByTrade.get(match.close.id) || { pnl: 0, quantity: 0 };
+      entry.pnl += match.pnl;
+      entry.quantity += match.quantity;
+      realizedByTrade.set(match.close.id, entry);
+    }
+
+    const filtered = trades
+      .filter(trade => this._matchesOutputFilters(trade, normalized, trade.watchlist_id))
+      .map(trade => {
+        const realized = realizedByTrade.get(trade.id);
+        return {
+          ...trade,
+          is_analyzer_mode: !!trade.is_analyzer_mode,
+          closed_quantity: realized ? realized.quantity : 0,
+          realized_pnl: realized ? this._round(realized.pnl) : null,
+        };
+      })
+      .reverse();
+
+    const pageSize = limit === null ? filtered.length : this._parsePageSize(limit);
+    const start = Math.max(parseInt(offset, 10) || 0, 0);
+
+    return {
+      trades: filtered.slice(start, start + pageSize),
+      total: filtered.length,
+      limit: pageSize,
+      offset: start,
+      summary: {
+        buy_trades: filtered.filter(t => t.action === 'BUY').length,
+        sell_trades: filtered.filter(t => t.action === 'SELL').length,
+        total_value: this._round(filtered.reduce((sum, t) => sum + (t.trade_value || 0), 0)),
+        realized_pnl: this._round(filtered.reduce((sum, t) => sum + (t.realized_pnl || 0), 0)),
+      },
+    };
+  }
+
+  /**
+   * FIFO realized P&L grouped by symbol, underlying, watchlist, day or instance
+   * P&L is booked on the closing trade's date; watchlist P&L follows the opening
+   * trade's watchlist (the closing trade's when the opening one has none).
+   *
+   * @param {Object} filters - See getTrades
+   * @param {string} groupBy - symbol | underlying | watchlist | day | instance
+   * @returns {Promise<Object>} - { group_by, groups, total_realized_pnl }
+   */
+  async getRealizedPnL(filters = {}, groupBy = 'symbol') {
+    if (!GROUP_BY_OPTIONS.includes(groupBy)) {
+      throw new ValidationError(`groupBy must be one of: ${GROUP_BY_OPTIONS.join(', ')}`);
+    }
+
+    const normalized = this._normalizeFilters(filters);
+    const { matches } = await this._loadAndMatch(normalized);
+
+    const groups = new Map();
+    const closingTradesByGroup = new Map();
+
+    for (const match of matches) {
+      const watchlistId = match.open.watchlist_id ?? match.close.watchlist_id;
+      if (!this._matchesOutputFilters(match.close, normalized, watchlistId)) continue;
+
+      const { key, label } = this._groupKey(groupBy, match, watchlistId);
+      if (!groups.has(key)) {
+        groups.set(key, { key, label, realized_pnl: 0, closed_quantity: 0, closing_trades: 0 });
+        closingTradesByGroup.set(key, new Set());
+      }
+
+      const group = groups.get(key);
+      group.realized_pnl += match.pnl;
+      group.closed_quantity += match.quantity;
+      closingTradesByGroup.get(key).add(match.close.id);
+    }
+
+    const result = [...groups.values()].map(group => ({
+      ...group,
+      realized_pnl: this._round(group.realized_pnl),
+      closing_trades: closingTradesByGroup.get(group.key).size,
+    }));
+
+    if (groupBy === 'day') {
+      result.sort((a, b) => a.key.localeCompare(b.key));
+      let cumulative = 0;
+      for (const group of result) {
+        cumulative += group.realized_pnl;
+        group.cumulative_pnl = this._round(cumulative);
+      }
+    } else {
+      result.sort((a, b) => b.realized_pnl - a.realized_pnl);
+    }
+
+    return {
+      group_by: groupBy,
+      filters: normalized,
+      groups: result,
+      total_realized_pnl: this._round(result.reduce((sum, g) => sum + g.realized_pnl, 0)),
+    };
+  }
+
+  /**
+   * Load the trades needed for FIFO and match them per position
+   * Only filters that select whole positions (instance, symbol, exchange, underlying,
+   * mode) go to SQL; date and watchlist filters apply to the output, so lots opened
+   * before `from` are still matched.
+   * @private
+   */
+  async _loadAndMatch(filters) {
+    const conditions = [];
+    const params = [];
+
+    if (filters.instanceId) {
+      conditions.push('t.instance_id = ?');
+      params.push(filters.instanceId);
+    }
+    if (filters.symbol) {
+      conditions.push('t.symbol = ?');
+      params.push(filters.symbol);
+    }
+    if (filters.exchange) {
+      conditions.push('t.exchange = ?');
+      params.push(filters.exchange);
+    }
+    if (filters.underlying) {
+      conditions.push('t.underlying = ?');
+      params.push(filters.underlying);
+    }
+    if (!filters.includeAnalyzer) {
+      conditions.push('t.is_analyzer_mode = 0');
+    }
+    if (filters.to) {
+      conditions.push('t.trade_date <= ?');
+      params.push(filters.to);
+    }
+
+    const trades = await db.all(
+      `SELECT t.id, t.instance_id, i.name AS instance_name, t.trade_id, t.order_id,
+              t.symbol, t.exchange, t.product, t.action, t.quantity, t.price, t.trade_value,
+              t.underlying, t.watchlist_id, w.name AS watchlist_name, t.is_analyzer_mode,
+              t.traded_at, t.trade_date
+       FROM trades t
+       LEFT JOIN instances i ON i.id = t.instance_id
+       LEFT JOIN watchlists w ON w.id = t.watchlist_id
+       ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+       ORDER BY t.traded_at ASC, t.id ASC`,
+      params
+    );
+
+    const byPosition = new Map();
+    for (const trade of trades) {
+      const key = [trade.instance_id, trade.is_analyzer_mode, trade.exchange, trade.symbol, trade.product].join('|');
+      if (!byPosition.has(key)) {
+        byPosition.set(key, []);
+      }
+      byPosition.get(key).push(trade);
+    }
+
+    const matches = [];
+    for (const positionTrades of byPosition.values()) {
+      matches.push(...pnlService.matchTradesFifo(positionTrades).matches);
+    }
+
+    return { trades, matches };
+  }
+
+  /**
+   * @private
+   */
+  _matchesOutputFilters(trade, filters, watchlistId) {
+    if (filters.from && trade.trade_date < filters.from) return false;
+    if (filters.to && trade.trade_date > filters.to) return false;
+    if (filters.watchlistId && watchlistId !== filters.watchlistId) return false;
+    return true;
+  }
+
+  /**
+   * @private
+   */
+  _groupKey(groupBy, match, watchlistId) {
+    const trade = match.close;
+
+    switch (groupBy) {
+      case 'underlying':
+        return { key: trade.underlying || trade.symbol, label: trade.underlying || trade.symbol };
+      case 'watchlist': {
+        const source = match.open.watchlist_id !== null && match.open.watchlist_id !== undefined
+          ? match.open
+          : trade;
+        return watchlistId
+          ? { key: String(watchlistId), label: source.watchlist_name || `Watchlist ${watchlistId}` }
+          : { key: 'none', label: 'No watchlist' };
+      }
+      case 'day':
+        return { key: trade.trade_date, label: trade.trade_date };
+      case 'instance':
+        return { key: String(trade.instance_id), label: trade.instance_name || `Instance ${trade.instance_id}` };
+      case 'symbol':
+      default:
+        return { key: `${trade.exchange}:${trade.symbol}`, label: trade.symbol };
+    }
+  }
+
+  /**
+   * Validate history filters
+   * @private
+   */
+  _normalizeFilters(filters = {}) {
+    const normalized = {
+      instanceId: null,
+      symbol: filters.symbol ? String(filters.symbol).trim().toUpperCase() : null,
+      exchange: filters.exchange ? String(filters.exchange).trim().toUpperCase() : null,
+      underlying: filters.underlying ? String(filters.underlying).trim().toUpperCase() : null,
+      watchlistId: null,
+      from: filters.from || null,
+      to: filters.to || null,
+      includeAnalyzer: filters.includeAnalyzer === true || filters.includeAnalyzer === 'true',
+    };
+
+    for (const field of ['instanceId', 'watchlistId']) {
+      if (filters[field] !== undefined && filters[field] !== null && filters[field] !== '') {
+        const value = parseInt(filters[field], 10);
+        if (isNaN(value) || value <= 0) {
+          throw new ValidationError(`${field} must be a positive integer`);
+        }
+        normalized[field] = value;
+      }
+    }
+
+    for (const field of ['from', 'to']) {
+      if (normalized[field] && !DATE_PATTERN.test(normalized[field])) {
+        throw new ValidationError(`${field} must be a date in YYYY-MM-DD format`);
+      }
+    }
+
+    if (normalized.from && normalized.to && normalized.from > normalized.to) {
+      throw new ValidationError('from must be on or before to');
+    }
+
+    return normalized;
+  }
+
+  /**
+   * @private
+   */
+  _parsePageSize(limit) {
+    const value = parseInt(limit, 10);
+    if (isNaN(value) || value <= 0) return DEFAULT_PAGE_SIZE;
+    return Math.min(value, MAX_PAGE_SIZE);
+  }
+
+  /**
+   * Normalize a broker tradebook row; null when it cannot be stored
+   * @private
+   */
+  _normalizeTrade(trade = {}) {
+    const action = (trade.action || trade.side || trade.transaction_type || '').toUpperCase();
+    const symbol = trade.symbol || trade.tradingsymbol;
+    const exchange = (trade.exchange || '').toUpperCase();
+    const quantity = Math.abs(parseFloatSafe(trade.quantity ?? trade.filled_quantity, 0));
+    const price = parseFloatSafe(trade.average_price ?? trade.price, 0);
+
+    if ((action !== 'BUY' && action !== 'SELL') || !symbol || !exchange || quantity <= 0 || price <= 0) {
+      return null;
+    }
+
+    const orderId = trade.orderid || trade.order_id || null;
+    const timestampRaw = trade.timestamp || trade.trade_time || trade.fill_timestamp || null;
+    const { tradedAt, tradeDate } = this._parseTradeTime(timestampRaw);
+
+    // OpenAlgo tradebooks rarely carry a trade ID; fall back to the fill's identity
+    const brokerTradeId = trade.tradeid || trade.trade_id || trade.fillid || trade.fill_id;
+    const tradeId = brokerTradeId || [orderId, timestampRaw, action, quantity, price].join('|');
+
+    return {
+      trade_id: String(tradeId),
+      derived_id: !brokerTradeId,
+      order_id: orderId ? String(orderId) : null,
+      symbol: String(symbol).toUpperCase(),
+      exchange,
+      product: trade.product ? String(trade.product).toUpperCase() : null,
+      action,
+      quantity,
+      price,
+      trade_value: parseFloatSafe(trade.trade_value, null) ?? this._round(quantity * price),
+      traded_at: tradedAt,
+      trade_date: tradeDate,
+      raw: trade,
+    };
+  }
+
+  /**
+   * Number fills whose derived ID repeats within one tradebook (identical partial fills of
+   * an order in the same second). The first keeps the bare ID, later ones get "|2", "|3"...
+   * The tradebook is cumulative for the day, so the numbering is stable across ingests.
+   * @private
+   */
+  _numberDuplicateFills(trades) {
+    const seen = new Map();
+    return trades.map(trade => {
+      if (!trade.derived_id) return trade;
+
+      const occurrence = (seen.get(trade.trade_id) || 0) + 1;
+      seen.set(trade.trade_id, occurrence);
+      return occurrence === 1 ? trade : { ...trade, trade_id: `${trade.trade_id}|${occurrence}` };
+    });
+  }
+
+  /**
+   * Broker timestamps are IST wall-clock ("HH:MM:SS DD-MM-YYYY" or "YYYY-MM-DD HH:MM:SS")
+   * @private
+   */
+  _parseTradeTime(raw) {
+    const value = raw ? String(raw).trim() : '';
+    let parts = null;
+
+    const timeFirst = value.match(/^(\d{2}):(\d{2}):(\d{2})\s+(\d{2})[-/](\d{2})[-/](\d{4})$/);
+    const dateFirst = value.match(/^(\d{4})-(\d{2})-(\d{2})[ T](\d{2}):(\d{2}):(\d{2})$/);
+
+    if (timeFirst) {
+      const [, hh, mm, ss, dd, month, yyyy] = timeFirst;
+      parts = { yyyy, month, dd, hh, mm, ss };
+    } else if (dateFirst) {
+      const [, yyyy, month, dd, hh, mm, ss] = dateFirst;
+      parts = { yyyy, month, dd, hh, mm, ss };
+    }
+
+    if (parts) {
+      const utc = Date.UTC(+parts.yyyy, +parts.month - 1, +parts.dd, +parts.hh, +parts.mm, +parts.ss) - IST_OFFSET_MS;
+      return {
+        tradedAt: new Date(utc).toISOString(),
+        tradeDate: `${parts.yyyy}-${parts.month}-${parts.dd}`,
+      };
+    }
+
+    const parsed = value ? new Date(value) : new Date();
+    const date = Number.isNaN(parsed.getTime()) ? new Date() : parsed;
+    return {
+      tradedAt: date.toISOString(),
+      tradeDate: date.toLocaleDateString('en-CA', { timeZone: 'Asia/Kolkata' }),
+    };
+  }
+
+  /**
+   * @private
+   */
+  async _getExistingTradeIds(instanceId, tradeIds) {
+    if (tradeIds.length === 0) return new Set();
+
+    const placeholders = tradeIds.map(() => '?').join(',');
+    const rows = await db.all(
+      `SELECT trade_id FROM trades WHERE instance_id = ? AND trade_id IN (${placeholders})`,
+      [instanceId, ...tradeIds]
+    );
+    return new Set(rows.map(row => row.trade_id));
+  }
+
+  /**
+   * Watchlist of the quick / watchlist order that produced a trade
+   * Sliced quick orders keep the other slice IDs in metadata.split.orderids.
+   * @private
+   */
+  async _resolveWatchlistId(instanceId, orderId) {
+    if (!orderId) return null;
+
+    try {
+      const quickOrder = await db.get(
+        `SELECT watchlist_id FROM quick_orders
+         WHERE instance_id = ? AND watchlist_id IS NOT NULL
+           AND (order_id = ? OR metadata LIKE ?)
+         ORDER BY id DESC LIMIT 1`,
+        [instanceId, orderId, `%"${orderId}"%`]
+      );
+      if (quickOrder) return quickOrder.watchlist_id;
+
+      const watchlistOrder = await db.get(
+        `SELECT watchlist_id FROM watchlist_orders
+         WHERE instance_id = ? AND order_id = ?
+         ORDER BY id DESC LIMIT 1`,
+        [instanceId, orderId]
+      );
+      return watchlistOrder?.watchlist_id ?? null;
+    } catch (error) {
+      log.warn('Failed to resolve trade watchlist', { instanceId, orderId, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * @private
+   */
+  _round(value) {
+    return Math.round(value * 100) / 100;
+  }
+}
+
+// Export singleton instance
+export default new TradeHistoryService();
+export { TradeHistoryService };
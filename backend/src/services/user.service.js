@@ -0,0 +1,304 @@
+/**
+ * User Service
+ * Users, roles and per-instance / per-watchlist grants (role-based access control)
+ *
+ * Roles:
+ * - viewer: read-only dashboards
+ * - trader: places and manages orders on granted instances, and on the instances
+ *   assigned to granted watchlists
+ * - admin: everything, including instances, watchlists, settings and API keys
+ */
+
+import db from '../core/database.js';
+import { log } from '../core/logger.js';
+import {
+  NotFoundError,
+  ConflictError,
+  ValidationError,
+  ForbiddenError,
+} from '../core/errors.js';
+
+export const ROLES = ['viewer', 'trader', 'admin'];
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+class UserService {
+  /**
+   * Role of a user (falls back to is_admin for rows loaded before the role column)
+   * @param {Object} user - Authenticated user
+   * @returns {string} - viewer | trader | admin
+   */
+  getRole(user) {
+    if (!user) return null;
+    if (ROLES.includes(user.role)) return user.role;
+    return user.is_admin ? 'admin' : 'viewer';
+  }
+
+  /**
+   * Whether the user's role is at least minRole
+   * @param {Object} user - Authenticated user
+   * @param {string} minRole - viewer | trader | admin
+   * @returns {boolean}
+   */
+  hasRole(user, minRole) {
+    const role = this.getRole(user);
+    return role !== null && ROLES.indexOf(role) >= ROLES.indexOf(minRole);
+  }
+
+  /**
+   * Instances the user may trade on
+   * @param {Object} user - Authenticated user
+   * @returns {Promise<Set<number>|null>} - null when unrestricted (admin)
+   */
+  async getAccessibleInstanceIds(user) {
+    if (this.hasRole(user, 'admin')) {
+      return null;
+    }
+
+    if (!this.hasRole(user, 'trader')) {
+      return new Set();
+    }
+
+    const rows = await db.all(
+      `SELECT instance_id FROM user_instance_grants WHERE user_id = ?
+       UNION
+       SELECT wi.instance_id FROM user_watchlist_grants g
+       JOIN watchlist_instances wi ON wi.watchlist_id = g.watchlist_id
+       WHERE g.user_id = ?`,
+      [user.id, user.id]
+    );
+
+    return new Set(rows.map(row => row.instance_id));
+  }
+
+  /**
+   * Throw ForbiddenError unless the user may trade on every given instance
+   * @param {Object} user - Authenticated user
+   * @param {Array<number>} instanceIds - Instance IDs the request acts on
+   * @returns {Promise<void>}
+   */
+  async assertInstanceAccess(user, instanceIds = []) {
+    const allowed = await this.getAccessibleInstanceIds(user);
+    if (allowed === null) return;
+
+    const denied = [...new Set(instanceIds.map(id => parseInt(id, 10)))]
+      .filter(id => !isNaN(id) && !allowed.has(id));
+
+    if (!this.hasRole(user, 'trader') || denied.length > 0) {
+      log.warn('Instance access denied', { user: user?.email, role: this.getRole(user), denied });
+      throw new ForbiddenError(
+        denied.length > 0
+          ? `No trading access to instance(s): ${denied.join(', ')}`
+          : 'Trader role required'
+      );
+    }
+  }
+
+  /**
+   * Strip secrets from an instance for non-admin users
+   * @param {Object} instance - Instance row
+   * @param {Object} user - Authenticated user
+   * @returns {Object} - Instance without api_key unless the user is an admin
+   */
+  redactInstance(instance, user) {
+    if (!instance || this.hasRole(user, 'admin')) {
+      return instance;
+    }
+    const { api_key: _apiKey, ...rest } = instance;
+    return rest;
+  }
+
+  /**
+   * List users with their grants
+   * @returns {Promise<Array>}
+   */
+  async listUsers() {
+    const users = await db.all('SELECT id, email, role, is_admin, created_at FROM users ORDER BY email');
+    return Promise.all(users.map(user => this._withGrants(user)));
+  }
+
+  /**
+   * Get user by ID (with grants)
+   * @param {number} id - User ID
+   * @returns {Promise<Object>}
+   */
+  async getUserById(id) {
+    const user = await db.get('SELECT id, email, role, is_admin, created_at FROM users WHERE id = ?', [id]);
+    if (!user) {
+      throw new NotFoundError('User');
+    }
+    return this._withGrants(user);
+  }
+
+  /**
+   * Pre-register a user (before their first Google sign-in)
+   * @param {Object} data - { email, role, instanceIds, watchlistIds }
+   * @returns {Promise<Object>} - Created user
+   */
+  async createUser(data = {}) {
+    const email = String(data.email || '').trim().toLowerCase();
+    if (!EMAIL_PATTERN.test(email)) {
+      throw new ValidationError('A valid email is required');
+    }
+
+    const role = this._validateRole(data.role || 'viewer');
+
+    const existing = await db.get('SELECT id FROM users WHERE lower(email) = ?', [email]);
+    if (existing) {
+      throw new ConflictError(`User ${email} already exists`);
+    }
+
+    const result = await db.run(
+      'INSERT INTO users (email, role, is_admin) VALUES (?, ?, ?)',
+      [email, role, role === 'admin' ? 1 : 0]
+    );
+
+    await this._replaceGrants(result.lastID, data);
+
+    log.info('User created', { id: result.lastID, email, role });
+    return this.getUserById(result.lastID);
+  }
+
+  /**
+   * Update a user's role and/or grants
+   * @param {number} id - User ID
+   * @param {Object} data - { role?, instanceIds?, watchlistIds? }
+   * @param {Object} actingUser - Admin making the change
+   * @returns {Promise<Object>} - Updated user
+   */
+  async updateUser(id, data = {}, actingUser = null) {
+    const user = await this.getUserById(id);
+
+    if (data.role !== undefined) {
+      const role = this._validateRole(data.role);
+
+      if (user.role === 'admin' && role !== 'admin') {
+        if (actingUser && actingUser.id === user.id) {
+          throw new ValidationError('You cannot remove your own admin role');
+        }
+        await this._assertNotLastAdmin(user.id);
+      }
+
+      await db.run(
+        'UPDATE users SET role = ?, is_admin = ? WHERE id = ?',
+        [role, role === 'admin' ? 1 : 0, id]
+      );
+    }
+
+    await this._replaceGrants(id, data);
+
+    log.info('User access updated', {
+      id,
+      email: user.email,
+      role: data.role ?? user.role,
+      by: actingUser?.email,
+    });
+    return this.getUserById(id);
+  }
+
+  /**
+   * Delete a user
+   * @param {number} id - User ID
+   * @param {Object} actingUser - Admin making the change
+   * @returns {Promise<Object>} - Deleted user
+   */
+  async deleteUser(id, actingUser = null) {
+    const user = await this.getUserById(id);
+
+    if (actingUser && actingUser.id === user.id) {
+      throw new ValidationError('You cannot delete your own user');
+    }
+    if (user.role === 'admin') {
+      await this._assertNotLastAdmin(user.id);
+    }
+
+    await db.run('DELETE FROM users WHERE id = ?', [id]);
+
+    log.info('User deleted', { id, email: user.email, by: actingUser?.email });
+    return user;
+  }
+
+  /**
+   * Replace grants for the lists present in data (omitted lists are left alone)
+   * @private
+   */
+  async _replaceGrants(userId, data) {
+    const grants = [
+      ['instanceIds', 'user_instance_grants', 'instance_id', 'instances'],
+      ['watchlistIds', 'user_watchlist_grants', 'watchlist_id', 'watchlists'],
+    ];
+
+    for (const [field, table, column, targetTable] of grants) {
+      if (data[field] === undefined) continue;
+
+      if (!Array.isArray(data[field])) {
+        throw new ValidationError(`${field} must be an array`);
+      }
+
+      const ids = [...new Set(data[field].map(value => parseInt(value, 10)))];
+      if (ids.some(value => isNaN(value) || value <= 0)) {
+        throw new ValidationError(`${field} must contain positive integers`);
+      }
+
+      if (ids.length > 0) {
+        const placeholders = ids.map(() => '?').join(',');
+        const found = await db.all(`SELECT id FROM ${targetTable} WHERE id IN (${placeholders})`, ids);
+        const foundIds = new Set(found.map(row => row.id));
+        const missing = ids.filter(value => !foundIds.has(value));
+        if (missing.length > 0) {
+          throw new ValidationError(`${field} not found: ${missing.join(', ')}`);
+        }
+      }
+
+      await db.run(`DELETE FROM ${table} WHERE user_id = ?`, [userId]);
+      for (const value of ids) {
+        await db.run(`INSERT INTO ${table} (user_id, ${column}) VALUES (?, ?)`, [userId, value]);
+      }
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _withGrants(user) {
+    const [instances, watchlists] = await Promise.all([
+      db.all('SELECT instance_id FROM user_instance_grants WHERE user_id = ? ORDER BY instance_id', [user.id]),
+      db.all('SELECT watchlist_id FROM user_watchlist_grants WHERE user_id = ? ORDER BY watchlist_id', [user.id]),
+    ]);
+
+    return {
+      ...user,
+      role: this.getRole(user),
+      is_admin: !!user.is_admin,
+      instance_ids: instances.map(row => row.instance_id),
+      watchlist_ids: watchlists.map(row => row.watchlist_id),
+    };
+  }
+
+  /**
+   * @private
+   */
+  _validateRole(role) {
+    if (!ROLES.includes(role)) {
+      throw new ValidationError(`role must be one of: ${ROLES.join(', ')}`);
+    }
+    return role;
+  }
+
+  /**
+   * @private
+   */
+  async _assertNotLastAdmin(userId) {
+    const row = await db.get(
+      `SELECT COUNT(*) AS count FROM users WHERE role = 'admin' AND id != ?`,
+      [userId]
+    );
+    if (!row || row.count === 0) {
+      throw new ValidationError('At least one admin user is required');
+    }
+  }
+}
+
+// Export singleton instance
+export default new UserService();
+export { UserService };
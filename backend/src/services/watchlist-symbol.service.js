@@ -262,6 +262,31 @@ class WatchlistSymbolService {
       applyOrNull(field, parseFloatSafe(data[field], null));
     }
 
+    if (data.chase_enabled !== undefined) {
+      normalized.chase_enabled = parseBooleanSafe(data.chase_enabled, false) ? 1 : 0;
+    }
+    if (data.chase_interval_seconds !== undefined) {
+      const interval = parseIntSafe(data.chase_interval_seconds, null);
+      if (interval === null || interval < 2) {
+        throw new ValidationError('chase_interval_seconds must be at least 2');
+      }
+      normalized.chase_interval_seconds = interval;
+    }
+    if (data.chase_max_slippage_percent !== undefined) {
+      const slippage = parseFloatSafe(data.chase_max_slippage_percent, null);
+      if (slippage === null || slippage < 0 || slippage > 20) {
+        throw new ValidationError('chase_max_slippage_percent must be between 0 and 20');
+      }
+      normalized.chase_max_slippage_percent = slippage;
+    }
+    if (data.chase_on_exhausted !== undefined) {
+      const onExhausted = String(data.chase_on_exhausted).toUpperCase();
+      if (!['MARKET', 'CANCEL'].includes(onExhausted)) {
+        throw new ValidationError('chase_on_exhausted must be MARKET or CANCEL');
+      }
+      normalized.chase_on_exhausted = onExhausted;
+    }
+
     applyOrNull('strike', parseFloatSafe(data.strike, null));
     applyOrNull('tick_size', parseFloatSafe(data.tick_size, null));
 
@@ -0,0 +1,173 @@
+/**
+ * Black-76 Option Pricing Utilities
+ * Pure functions for pricing European options on a forward/futures price and backing out
+ * implied volatility. No I/O - callers supply prices, strikes and time to expiry.
+ *
+ * Conventions:
+ * - forward, strike and price are in rupees per unit
+ * - timeToExpiry is in years (calendar days / 365)
+ * - volatility and rate are annualized decimals (0.15 = 15%)
+ * - theta is per calendar day, vega is per 1 vol point (0.01)
+ */
+
+const MIN_VOLATILITY = 0.0001;
+const MAX_VOLATILITY = 5;
+const IV_TOLERANCE = 1e-6;
+const IV_MAX_ITERATIONS = 100;
+
+/**
+ * Standard normal probability density
+ * @param {number} x
+ * @returns {number}
+ */
+export function normPdf(x) {
+  return Math.exp(-0.5 * x * x) / Math.sqrt(2 * Math.PI);
+}
+
+/**
+ * Standard normal cumulative distribution (Abramowitz & Stegun 26.2.17, |error| < 7.5e-8)
+ * @param {number} x
+ * @returns {number}
+ */
+export function normCdf(x) {
+  const k = 1 / (1 + 0.2316419 * Math.abs(x));
+  const poly = k * (0.319381530 + k * (-0.356563782 + k * (1.781477937 + k * (-1.821255978 + k * 1.330274429))));
+  const tail = normPdf(x) * poly;
+  return x >= 0 ? 1 - tail : tail;
+}
+
+function isCall(optionType) {
+  return String(optionType).toUpperCase() === 'CE' || String(optionType).toUpperCase() === 'CALL';
+}
+
+function validInputs(forward, strike, timeToExpiry) {
+  return forward > 0 && strike > 0 && timeToExpiry > 0;
+}
+
+/**
+ * Black-76 option price
+ * @param {Object} params
+ * @param {number} params.forward - Forward/futures price of the underlying
+ * @param {number} params.strike - Strike price
+ * @param {number} params.timeToExpiry - Time to expiry in years
+ * @param {number} params.volatility - Annualized volatility
+ * @param {number} [params.rate=0] - Annualized risk-free rate (discounting)
+ * @param {string} params.optionType - 'CE' or 'PE'
+ * @returns {number|null} Option price or null for invalid inputs
+ */
+export function black76Price({ forward, strike, timeToExpiry, volatility, rate = 0, optionType }) {
+  if (!validInputs(forward, strike, timeToExpiry) || !(volatility > 0)) {
+    return null;
+  }
+
+  const sqrtT = Math.sqrt(timeToExpiry);
+  const d1 = (Math.log(forward / strike) + 0.5 * volatility * volatility * timeToExpiry) / (volatility * sqrtT);
+  const d2 = d1 - volatility * sqrtT;
+  const discount = Math.exp(-rate * timeToExpiry);
+
+  return isCall(optionType)
+    ? discount * (forward * normCdf(d1) - strike * normCdf(d2))
+    : discount * (strike * normCdf(-d2) - forward * normCdf(-d1));
+}
+
+/**
+ * Black-76 price and Greeks
+ * @param {Object} params - Same as black76Price
+ * @returns {{ price: number, delta: number, gamma: number, theta: number, vega: number }|null}
+ */
+export function black76Greeks({ forward, strike, timeToExpiry, volatility, rate = 0, optionType }) {
+  if (!validInputs(forward, strike, timeToExpiry) || !(volatility > 0)) {
+    return null;
+  }
+
+  const call = isCall(optionType);
+  const sqrtT = Math.sqrt(timeToExpiry);
+  const d1 = (Math.log(forward / strike) + 0.5 * volatility * volatility * timeToExpiry) / (volatility * sqrtT);
+  const d2 = d1 - volatility * sqrtT;
+  const discount = Math.exp(-rate * timeToExpiry);
+  const pdf = normPdf(d1);
+
+  const price = call
+    ? discount * (forward * normCdf(d1) - strike * normCdf(d2))
+    : discount * (strike * normCdf(-d2) - forward * normCdf(-d1));
+
+  const delta = call ? discount * normCdf(d1) : -discount * normCdf(-d1);
+  const gamma = (discount * pdf) / (forward * volatility * sqrtT);
+  const vega = forward * discount * pdf * sqrtT;
+  // dV/dt with the forward held constant: time decay of optionality plus carry on the premium
+  const thetaAnnual = -(forward * discount * pdf * volatility) / (2 * sqrtT) + rate * price;
+
+  return {
+    price,
+    delta,
+    gamma,
+    theta: thetaAnnual / 365,
+    vega: vega / 100,
+  };
+}
+
+/**
+ * Implied volatility from an option price (Newton-Raphson with bisection fallback)
+ * @param {Object} params
+ * @param {number} params.price - Observed option price
+ * @param {number} params.forward - Forward/futures price of the underlying
+ * @param {number} params.strike - Strike price
+ * @param {number} params.timeToExpiry - Time to expiry in years
+ * @param {number} [params.rate=0] - Annualized risk-free rate
+ * @param {string} params.optionType - 'CE' or 'PE'
+ * @returns {number|null} Annualized implied volatility, or null when the price is outside no-arbitrage bounds
+ */
+export function impliedVolatility({ price, forward, strike, timeToExpiry, rate = 0, optionType }) {
+  if (!validInputs(forward, strike, timeToExpiry) || !(price > 0)) {
+    return null;
+  }
+
+  const discount = Math.exp(-rate * timeToExpiry);
+  const intrinsic = isCall(optionType)
+    ? discount * Math.max(forward - strike, 0)
+    : discount * Math.max(strike - forward, 0);
+  const upperBound = isCall(optionType) ? discount * forward : discount * strike;
+
+  if (price <= intrinsic || price >= upperBound) {
+    return null;
+  }
+
+  const priceAt = (vol) => black76Price({ forward, strike, timeToExpiry, volatility: vol, rate, optionType });
+
+  let low = MIN_VOLATILITY;
+  let high = MAX_VOLATILITY;
+  if (priceAt(high) < price) {
+    return null;
+  }
+
+  // Brenner-Subrahmanyam seed, clamped into the search bracket
+  let vol = Math.sqrt((2 * Math.PI) / timeToExpiry) * (price / (discount * forward));
+  vol = Math.min(Math.max(vol, 0.05), 2);
+
+  for (let i = 0; i < IV_MAX_ITERATIONS; i++) {
+    const diff = priceAt(vol) - price;
+    if (Math.abs(diff) < IV_TOLERANCE) {
+      return vol;
+    }
+
+    if (diff > 0) {
+      high = vol;
+    } else {
+      low = vol;
+    }
+
+    const sqrtT = Math.sqrt(timeToExpiry);
+    const d1 = (Math.log(forward / strike) + 0.5 * vol * vol * timeToExpiry) / (vol * sqrtT);
+    const vega = forward * discount * normPdf(d1) * sqrtT;
+    const newtonStep = vega > 1e-8 ? vol - diff / vega : NaN;
+
+    // Take the Newton step only while it stays inside the bracket
+    vol = newtonStep > low && newtonStep < high ? newtonStep : (low + high) / 2;
+
+    if (high - low < IV_TOLERANCE) {
+      return vol;
+    }
+  }
+
+  return vol;
+}
@@ -0,0 +1,34 @@
+/**
+ * CSV Utilities
+ * Builds RFC 4180 CSV text for export endpoints
+ */
+
+/**
+ * Escape a single CSV field
+ * @param {any} value - Field value
+ * @returns {string} - Quoted when it contains a comma, quote or newline
+ */
+export function escapeCsvValue(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Convert rows to CSV
+ * @param {Array<Object>} rows - Rows to export
+ * @param {Array<string>} columns - Column keys, in order (also the header row)
+ * @returns {string} - CSV text
+ */
+export function toCsv(rows, columns) {
+  const lines = [columns.map(escapeCsvValue).join(',')];
+
+  for (const row of rows) {
+    lines.push(columns.map(column => escapeCsvValue(row[column])).join(','));
+  }
+
+  return `${lines.join('\r\n')}\r\n`;
+}
@@ -0,0 +1,147 @@
+/**
+ * Market data streaming against a local mock OpenAlgo websocket server:
+ * authenticate -> subscribe -> tick into the quote cache, REST fallback when the
+ * socket drops, and reconnect + resubscribe.
+ */
+
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { WebSocketServer } from 'ws';
+import { MarketDataStreamService } from '../../src/services/market-data-stream.service.js';
+import marketDataFeedService from '../../src/services/market-data-feed.service.js';
+import OpenAlgoStreamClient from '../../src/integrations/openalgo/websocket.js';
+
+const API_KEY = 'test-api-key';
+const SYMBOL = { exchange: 'NSE', symbol: 'RELIANCE' };
+const CACHE_KEY = 'NSE|RELIANCE';
+
+async function waitFor(check, { timeoutMs = 5000, intervalMs = 10 } = {}) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    const value = check();
+    if (value) return value;
+    await new Promise(resolve => setTimeout(resolve, intervalMs));
+  }
+  throw new Error('Timed out waiting for condition');
+}
+
+/**
+ * Mock OpenAlgo websocket proxy: accepts API_KEY, records subscriptions
+ */
+function startMockServer() {
+  const server = new WebSocketServer({ port: 0 });
+  const state = { server, sockets: [], authenticated: 0, subscribes: [] };
+
+  server.on('connection', (socket) => {
+    state.sockets.push(socket);
+    socket.on('message', (raw) => {
+      const message = JSON.parse(raw.toString());
+      if (message.action === 'authenticate') {
+        const ok = message.api_key === API_KEY;
+        if (ok) state.authenticated += 1;
+        socket.send(JSON.stringify({ type: 'auth', status: ok ? 'success' : 'error', message: ok ? 'ok' : 'bad key' }));
+      } else if (message.action === 'subscribe') {
+        state.subscribes.push({ socket, symbols: message.symbols, mode: message.mode });
+      }
+    });
+  });
+
+  return new Promise(resolve => server.on('listening', () => resolve(state)));
+}
+
+function sendTick(socket, ltp) {
+  socket.send(JSON.stringify({
+    type: 'market_data',
+    mode: 2,
+    topic: 'RELIANCE.NSE',
+    data: { ...SYMBOL, ltp },
+  }));
+}
+
+let mockServer;
+let service;
+const streamingStates = [];
+let refreshCalls = [];
+
+before(async () => {
+  mockServer = await startMockServer();
+
+  mock.method(marketDataFeedService, '_buildGlobalSymbolList', async () => [SYMBOL]);
+  mock.method(marketDataFeedService, 'refreshQuotes', async (options) => {
+    refreshCalls.push(options);
+  });
+  const setStreamingState = marketDataFeedService.setStreamingState.bind(marketDataFeedService);
+  mock.method(marketDataFeedService, 'setStreamingState', (active, options) => {
+    streamingStates.push(active);
+    setStreamingState(active, options);
+  });
+
+  service = new MarketDataStreamService();
+  mock.method(service, '_getStreamInstance', async () => ({
+    id: 1,
+    name: 'mock-stream',
+    websocket_role: 'primary',
+    websocket_url: `ws://127.0.0.1:${mockServer.server.address().port}`,
+    api_key: API_KEY,
+  }));
+
+  await service.start({
+    resyncInterval: 60000,
+    flushInterval: 20,
+    clientFactory: options => new OpenAlgoStreamClient({
+      ...options,
+      reconnectBaseMs: 50,
+      reconnectMaxMs: 100,
+      heartbeatMs: 0,
+    }),
+  });
+});
+
+after(async () => {
+  service?.stop();
+  mock.restoreAll();
+  marketDataFeedService.symbolQuoteCache.delete(CACHE_KEY);
+  if (mockServer) {
+    mockServer.sockets.forEach(socket => socket.terminate());
+    await new Promise(resolve => mockServer.server.close(resolve));
+  }
+});
+
+test('authenticates, subscribes and writes ticks into the symbol quote cache', async () => {
+  const subscribe = await waitFor(() => mockServer.subscribes[0]);
+  assert.equal(mockServer.authenticated, 1);
+  assert.deepEqual(subscribe.symbols, [SYMBOL]);
+
+  await waitFor(() => service.getStatus().connected);
+  assert.equal(streamingStates.at(-1), true);
+  assert.equal(marketDataFeedService.streamingActive, true);
+
+  sendTick(subscribe.socket, 2500.5);
+  const cached = await waitFor(() => marketDataFeedService.symbolQuoteCache.get(CACHE_KEY));
+  assert.equal(cached.quote.ltp, 2500.5);
+  assert.ok(service.getStatus().last_tick_at);
+});
+
+test('falls back to REST quotes when the socket drops', async () => {
+  refreshCalls = [];
+  const statesBefore = streamingStates.length;
+
+  mockServer.subscribes[0].socket.terminate();
+
+  await waitFor(() => streamingStates.slice(statesBefore).includes(false));
+  assert.equal(marketDataFeedService.streamingActive, false);
+  await waitFor(() => refreshCalls.length > 0);
+  assert.deepEqual(refreshCalls[0], { force: true });
+});
+
+test('reconnects, re-authenticates and resubscribes', async () => {
+  const resubscribe = await waitFor(() => mockServer.subscribes[1]);
+  assert.equal(mockServer.authenticated, 2);
+  assert.deepEqual(resubscribe.symbols, [SYMBOL]);
+
+  await waitFor(() => service.getStatus().connected);
+  assert.equal(streamingStates.at(-1), true);
+
+  sendTick(resubscribe.socket, 2511);
+  await waitFor(() => marketDataFeedService.symbolQuoteCache.get(CACHE_KEY)?.quote.ltp === 2511);
+});
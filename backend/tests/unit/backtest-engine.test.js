@@ -0,0 +1,97 @@
+/**
+ * Backtest bar walk: intrabar ordering (stop-loss before target) and fill levels
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { BacktestService } from '../../src/services/backtest.service.js';
+import { RiskControlsService } from '../../src/services/risk-controls.service.js';
+
+const backtest = new BacktestService();
+const DAY_START = Date.UTC(2026, 9, 19, 3, 45); // 09:15 IST
+const MINUTE = 60 * 1000;
+
+function bars(rows) {
+  return rows.map(([open, high, low, close], i) => ({ time: DAY_START + i * 5 * MINUTE, open, high, low, close }));
+}
+
+function context({ side = 'LONG', entryMode = 'REENTER', quantity = 1, ...points }) {
+  const riskControls = new RiskControlsService();
+  const configEntry = {
+    target_points_direct: points.target,
+    stoploss_points_direct: points.stoploss,
+    trailing_stoploss_points_direct: points.trailing,
+    trailing_activation_points_direct: points.activation,
+  };
+  return {
+    riskControls,
+    configEntry,
+    thresholds: riskControls._getThresholds(configEntry, 'direct'),
+    mode: 'direct',
+    side,
+    entryMode,
+    quantity,
+    symbol: 'ABC',
+  };
+}
+
+test('a long bar that spans both stop-loss and target exits at the stop-loss', () => {
+  const ctx = context({ target: 10, stoploss: 5, quantity: 2 });
+  const [trade] = backtest._simulate(bars([
+    [100, 112, 94, 111],
+  ]), ctx);
+
+  assert.equal(trade.reason, 'STOPLOSS_HIT');
+  assert.equal(trade.entry_price, 100);
+  assert.equal(trade.exit_price, 95);
+  assert.equal(trade.points, -5);
+  assert.equal(trade.pnl, -10);
+});
+
+test('a short bar that spans both stop-loss and target exits at the stop-loss', () => {
+  const ctx = context({ side: 'SHORT', target: 10, stoploss: 5 });
+  const exit = backtest._evaluateBar(
+    { time: DAY_START, open: 100, high: 106, low: 88, close: 89 },
+    { key: 'short', entryPrice: 100 },
+    ctx
+  );
+
+  assert.deepEqual(exit, { reason: 'STOPLOSS_HIT', price: 105 });
+});
+
+test('the target fills at the target level when only the target is touched', () => {
+  const ctx = context({ target: 10, stoploss: 5 });
+  const exit = backtest._evaluateBar(
+    { time: DAY_START, open: 100, high: 114, low: 97, close: 113 },
+    { key: 'target', entryPrice: 100 },
+    ctx
+  );
+
+  assert.deepEqual(exit, { reason: 'TARGET_MET', price: 110 });
+});
+
+test('a trailing stop fills at the trailing level below the running high', () => {
+  const ctx = context({ trailing: 5 });
+  const trades = backtest._simulate(bars([
+    [100, 110, 99, 109],  // high 110 -> trailing level 105
+    [108, 108, 100, 101], // falls through 105
+  ]), ctx);
+
+  assert.equal(trades.length, 1);
+  assert.equal(trades[0].reason, 'TSL_HIT');
+  assert.equal(trades[0].exit_price, 105);
+  assert.equal(trades[0].bars_held, 2);
+  assert.equal(ctx.riskControls.trailingState.size, 0);
+});
+
+test('an open position is closed at the last close when the data runs out', () => {
+  const ctx = context({ target: 50, stoploss: 50 });
+  const trades = backtest._simulate(bars([
+    [100, 102, 98, 101],
+    [101, 104, 100, 103],
+  ]), ctx);
+
+  assert.equal(trades.length, 1);
+  assert.equal(trades[0].reason, 'END_OF_DATA');
+  assert.equal(trades[0].exit_price, 103);
+});
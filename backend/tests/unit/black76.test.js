@@ -0,0 +1,84 @@
+/**
+ * Black-76 pricing: implied volatility round-trip and Greeks against finite differences
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { black76Price, black76Greeks, impliedVolatility, normCdf } from '../../src/utils/black76.js';
+
+const BASE = { forward: 25000, timeToExpiry: 7 / 365, rate: 0.065 };
+
+test('normCdf is symmetric and matches known values', () => {
+  assert.ok(Math.abs(normCdf(0) - 0.5) < 1e-7);
+  assert.ok(Math.abs(normCdf(1.96) - 0.9750021) < 1e-6);
+  assert.ok(Math.abs(normCdf(-1.2) + normCdf(1.2) - 1) < 1e-7);
+});
+
+test('put-call parity holds on the forward', () => {
+  const params = { ...BASE, strike: 25200, volatility: 0.14 };
+  const call = black76Price({ ...params, optionType: 'CE' });
+  const put = black76Price({ ...params, optionType: 'PE' });
+  const parity = Math.exp(-BASE.rate * BASE.timeToExpiry) * (BASE.forward - params.strike);
+
+  assert.ok(Math.abs(call - put - parity) < 1e-6);
+});
+
+test('implied volatility recovers the pricing volatility', () => {
+  for (const optionType of ['CE', 'PE']) {
+    for (const strike of [24000, 25000, 26000]) {
+      for (const volatility of [0.08, 0.15, 0.45]) {
+        const price = black76Price({ ...BASE, strike, volatility, optionType });
+        const iv = impliedVolatility({ ...BASE, strike, price, optionType });
+
+        assert.ok(iv !== null, `${optionType} ${strike} @ ${volatility}: no IV`);
+        assert.ok(Math.abs(iv - volatility) < 1e-4, `${optionType} ${strike}: ${iv} != ${volatility}`);
+      }
+    }
+  }
+});
+
+test('implied volatility is null outside no-arbitrage bounds', () => {
+  const discount = Math.exp(-BASE.rate * BASE.timeToExpiry);
+
+  // At or below intrinsic
+  assert.equal(impliedVolatility({ ...BASE, strike: 24000, price: discount * 1000, optionType: 'CE' }), null);
+  // At or above the forward (a call can never be worth more)
+  assert.equal(impliedVolatility({ ...BASE, strike: 25000, price: BASE.forward, optionType: 'CE' }), null);
+  assert.equal(impliedVolatility({ ...BASE, strike: 25000, price: 0, optionType: 'PE' }), null);
+});
+
+test('delta matches a central finite difference of price', () => {
+  const h = 0.5;
+  for (const optionType of ['CE', 'PE']) {
+    const params = { ...BASE, strike: 25100, volatility: 0.16, optionType };
+    const up = black76Price({ ...params, forward: BASE.forward + h });
+    const down = black76Price({ ...params, forward: BASE.forward - h });
+    const { delta } = black76Greeks(params);
+
+    assert.ok(Math.abs(delta - (up - down) / (2 * h)) < 1e-5, `${optionType} delta ${delta}`);
+  }
+});
+
+test('theta matches a finite difference of price in time (per calendar day)', () => {
+  const day = 1 / 365;
+  for (const optionType of ['CE', 'PE']) {
+    const params = { ...BASE, timeToExpiry: 30 / 365, strike: 25000, volatility: 0.14, optionType };
+    const today = black76Price(params);
+    const later = black76Price({ ...params, timeToExpiry: params.timeToExpiry - day / 100 });
+    const { theta } = black76Greeks(params);
+
+    // dV/dt per day from a small step; theta is negative (time decay) for ATM options
+    const finiteDifference = (later - today) / (day / 100) / 365;
+    assert.ok(theta < 0);
+    assert.ok(Math.abs(theta - finiteDifference) < 1e-3, `${optionType} theta ${theta} vs ${finiteDifference}`);
+  }
+});
+
+test('vega matches a finite difference per vol point', () => {
+  const params = { ...BASE, strike: 25000, volatility: 0.15, optionType: 'CE' };
+  const up = black76Price({ ...params, volatility: 0.1501 });
+  const down = black76Price({ ...params, volatility: 0.1499 });
+  const { vega } = black76Greeks(params);
+
+  assert.ok(Math.abs(vega - ((up - down) / 0.0002) / 100) < 1e-4);
+});
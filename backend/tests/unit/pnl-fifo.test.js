@@ -0,0 +1,82 @@
+/**
+ * FIFO trade matching: partial closes, flips through zero, and realized P&L
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import pnlService from '../../src/services/pnl.service.js';
+
+const trade = (action, quantity, price, id) => ({ action, quantity, price, id });
+
+test('a partial close realizes only the matched quantity and keeps the rest open', () => {
+  const buy = trade('BUY', 100, 50, 'b1');
+  const sell = trade('SELL', 40, 55, 's1');
+
+  const { matches, openLots, realized } = pnlService.matchTradesFifo([buy, sell]);
+
+  assert.equal(matches.length, 1);
+  assert.equal(matches[0].open, buy);
+  assert.equal(matches[0].close, sell);
+  assert.equal(matches[0].quantity, 40);
+  assert.equal(matches[0].pnl, 200);
+  assert.equal(realized, 200);
+
+  assert.equal(openLots.length, 1);
+  assert.equal(openLots[0].side, 'BUY');
+  assert.equal(openLots[0].quantity, 60);
+  assert.equal(openLots[0].price, 50);
+});
+
+test('closes the oldest lots first across several entries', () => {
+  const { matches, openLots, realized } = pnlService.matchTradesFifo([
+    trade('BUY', 50, 100, 'b1'),
+    trade('BUY', 50, 110, 'b2'),
+    trade('SELL', 70, 120, 's1'),
+  ]);
+
+  assert.deepEqual(matches.map(m => [m.open.id, m.quantity, m.pnl]), [
+    ['b1', 50, 1000],
+    ['b2', 20, 200],
+  ]);
+  assert.equal(realized, 1200);
+  assert.deepEqual(openLots.map(l => [l.trade.id, l.quantity]), [['b2', 30]]);
+});
+
+test('a flip closes the long and opens a short with the leftover quantity', () => {
+  const { matches, openLots, realized } = pnlService.matchTradesFifo([
+    trade('BUY', 75, 200, 'b1'),
+    trade('SELL', 125, 190, 's1'),
+    trade('BUY', 50, 180, 'b2'),
+  ]);
+
+  // Long 75 closed at a loss, short 50 opened at 190 and covered at 180
+  assert.deepEqual(matches.map(m => [m.open.id, m.close.id, m.quantity, m.pnl]), [
+    ['b1', 's1', 75, -750],
+    ['s1', 'b2', 50, 500],
+  ]);
+  assert.equal(realized, -250);
+  assert.equal(openLots.length, 0);
+});
+
+test('realized P&L of a short is entry minus exit', () => {
+  const { realized, openLots } = pnlService.matchTradesFifo([
+    trade('SELL', 10, 300),
+    trade('BUY', 10, 310),
+  ]);
+
+  assert.equal(realized, -100);
+  assert.equal(openLots.length, 0);
+});
+
+test('accepts broker field aliases and skips unusable rows', () => {
+  const { matches, realized } = pnlService.matchTradesFifo([
+    { transaction_type: 'buy', qty: '5', average_price: '100' },
+    { action: 'HOLD', quantity: 5, price: 100 },
+    { action: 'SELL', quantity: 0, price: 105 },
+    { side: 'SELL', quantity: 5, price: 0 },
+    { side: 'sell', quantity: 5, price: 104 },
+  ]);
+
+  assert.equal(matches.length, 1);
+  assert.equal(realized, 20);
+});